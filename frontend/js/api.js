@@ -6,8 +6,9 @@
  * - Автоматическое обновление accessToken через refresh token при 401
  * - Отправку cookies (для refreshToken)
  * - Единый обработчик ошибок и логаут при неудачном refresh
+ * - Скачивание файлов (CSV и т.п.) с той же авторизацией
  * 
- * Доступен глобально как window.apiRequest и window.logout
+ * Доступен глобально как window.apiRequest, window.apiDownload и window.logout
  */
 
 /**
@@ -19,23 +20,16 @@
 const API_URL = 'http://localhost:3000';
 
 /**
- * Выполняет запрос к API с автоматической обработкой аутентификации
- * 
+ * Отправляет запрос с accessToken; при 401 один раз обновляет токен и повторяет запрос
+ *
  * @async
- * @function apiRequest
- * @param {string} path - Путь API (например, '/api/schedule' или '/api/admin/groups')
- * @param {Object} [options={}] - Опции fetch (method, body, headers и т.д.)
- * @param {string} [options.method='GET'] - HTTP-метод
- * @param {Object|string} [options.body] - Тело запроса (будет преобразовано в JSON)
- * @param {Object} [options.headers] - Дополнительные заголовки
- * 
- * @returns {Promise<Object>} Распарсенные данные ответа (JSON)
- * @throws {Error} Если запрос неуспешен (после всех попыток refresh)
- * 
- * @example
- * const groups = await apiRequest('/api/admin/groups');
+ * @function apiFetch
+ * @param {string} path - Путь API
+ * @param {Object} [options={}] - Опции fetch
+ * @returns {Promise<Response>} Ответ fetch (тело не прочитано)
+ * @throws {Error} Если не удалось обновить токен (после логаута)
  */
-async function apiRequest(path, options = {}) {
+async function apiFetch(path, options = {}) {
   let accessToken = localStorage.getItem('accessToken');
   const config = {
     ...options,
@@ -71,6 +65,30 @@ async function apiRequest(path, options = {}) {
     }
   }
 
+  return response;
+}
+
+/**
+ * Выполняет запрос к API с автоматической обработкой аутентификации
+ * 
+ * @async
+ * @function apiRequest
+ * @param {string} path - Путь API (например, '/api/schedule' или '/api/admin/groups')
+ * @param {Object} [options={}] - Опции fetch (method, body, headers и т.д.)
+ * @param {string} [options.method='GET'] - HTTP-метод
+ * @param {Object|string} [options.body] - Тело запроса (будет преобразовано в JSON)
+ * @param {Object} [options.headers] - Дополнительные заголовки
+ * 
+ * @returns {Promise<Object>} Распарсенные данные ответа (JSON)
+ * @throws {Error} Если запрос неуспешен (после всех попыток refresh).
+ *   У ошибки есть поля status (HTTP-код) и data (тело ответа)
+ * 
+ * @example
+ * const groups = await apiRequest('/api/admin/groups');
+ */
+async function apiRequest(path, options = {}) {
+  const response = await apiFetch(path, options);
+
   // Парсим тело ответа 
   let data = null;
   try {
@@ -82,12 +100,54 @@ async function apiRequest(path, options = {}) {
   // Проверяем успешность ответа
   if (!response.ok) {
     const message = data?.message || `Ошибка ${response.status}`;
-    throw new Error(message);
+    const error = new Error(message);
+    error.status = response.status; // например, 409 — конфликты расписания
+    error.data = data;               // полное тело ответа (conflicts и т.п.)
+    throw error;
   }
 
   return data;
 }
 
+/**
+ * Скачивает файл из API (CSV, XLSX и т.п.) с той же авторизацией, что и apiRequest
+ *
+ * @async
+ * @function apiDownload
+ * @param {string} path - Путь API
+ * @param {string} filename - Имя файла по умолчанию
+ * @returns {Promise<void>}
+ * @throws {Error} Если ответ неуспешен — с полями status и data, как в apiRequest
+ *
+ * @example
+ * await apiDownload('/api/admin/audit/export?groupId=1', 'audit.csv');
+ */
+async function apiDownload(path, filename) {
+  const response = await apiFetch(path);
+
+  if (!response.ok) {
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (e) {
+      // Тело не JSON
+    }
+    const error = new Error(data?.message || `Ошибка ${response.status}`);
+    error.status = response.status;
+    error.data = data;
+    throw error;
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Выполняет полный логаут пользователя
  * 
@@ -126,4 +186,5 @@ function getCurrentUser() {
 
 
 window.apiRequest = apiRequest;
+window.apiDownload = apiDownload;
 window.logout = performLogout;
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * @file freeRooms.js
+ * @description Форма поиска свободной аудитории на странице расписания (schedule.html).
+ * 
+ * Показывается только преподавателям и администраторам.
+ * Отправляет запрос GET /api/rooms/free и выводит подходящие аудитории.
+ * 
+ * Зависимости:
+ * - apiRequest, getCurrentUser из api.js
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const section = document.getElementById('freeRoomsSection');
+  const form = document.getElementById('freeRoomsForm');
+  const list = document.getElementById('freeRoomsList');
+  const errorEl = document.getElementById('freeRoomsError');
+  const featuresBox = document.getElementById('freeRoomFeatures');
+
+  const user = getCurrentUser();
+  if (!section || !user || (user.role !== 'teacher' && user.role !== 'admin')) return;
+
+  section.classList.remove('hidden');
+
+  /** @type {Object<string, string>} Справочник оснащения { projector: 'Проектор', ... } */
+  let features = {};
+
+  try {
+    features = await apiRequest('/api/rooms/features');
+    featuresBox.innerHTML = Object.entries(features)
+      .map(([key, label]) => `<label><input type="checkbox" value="${key}"> ${label}</label>`)
+      .join(' ');
+  } catch (err) {
+    console.warn('Не удалось загрузить справочник оснащения:', err);
+  }
+
+  /**
+   * Отправка формы поиска
+   */
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    errorEl.textContent = '';
+    list.innerHTML = '';
+
+    const params = new URLSearchParams({
+      date: document.getElementById('freeRoomDate').value,
+      start: document.getElementById('freeRoomStart').value,
+      end: document.getElementById('freeRoomEnd').value
+    });
+
+    const capacity = document.getElementById('freeRoomCapacity').value;
+    const building = document.getElementById('freeRoomBuilding').value.trim();
+    const checked = [...featuresBox.querySelectorAll('input:checked')].map(i => i.value);
+
+    if (capacity) params.set('minCapacity', capacity);
+    if (building) params.set('building', building);
+    if (checked.length) params.set('features', checked.join(','));
+
+    try {
+      const rooms = await apiRequest(`/api/rooms/free?${params}`);
+
+      if (rooms.length === 0) {
+        errorEl.textContent = 'Свободных аудиторий не найдено';
+        return;
+      }
+
+      rooms.forEach(room => {
+        const li = document.createElement('li');
+        li.textContent = [
+          `📍 ${room.name}`,
+          room.building ? `корпус ${room.building}` : null,
+          room.capacity ? `${room.capacity} мест` : null,
+          room.features.map(f => features[f] || f).join(', ') || null
+        ].filter(Boolean).join(' · ');
+        list.appendChild(li);
+      });
+    } catch (err) {
+      errorEl.textContent = err.message;
+    }
+  });
+});
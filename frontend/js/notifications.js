@@ -0,0 +1,145 @@
+/**
+ * @file notifications.js
+ * @description Центр уведомлений на странице расписания (schedule.html).
+ *
+ * Показывает в шапке значок с числом непрочитанных уведомлений об изменениях
+ * расписания и панель со списком. Клик по уведомлению отмечает его прочитанным.
+ * Список обновляется раз в минуту, пока есть сеть. Внизу панели — настройки писем.
+ *
+ * Зависимости:
+ * - apiRequest, getCurrentUser из api.js
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const button = document.getElementById('notificationsBtn');
+  const badge = document.getElementById('notificationsBadge');
+  const panel = document.getElementById('notificationsPanel');
+  const list = document.getElementById('notificationsList');
+  const readAllBtn = document.getElementById('notificationsReadAll');
+  const prefInputs = {
+    email_changes: document.getElementById('prefEmailChanges'),
+    email_digest: document.getElementById('prefEmailDigest')
+  };
+
+  if (!button || !getCurrentUser()) return;
+
+  /** @constant {number} Период обновления списка, мс */
+  const POLL_INTERVAL = 60 * 1000;
+
+  /**
+   * Загружает уведомления и обновляет значок и панель
+   */
+  async function loadNotifications() {
+    if (!navigator.onLine) return;
+
+    try {
+      const data = await apiRequest('/api/notifications');
+      renderBadge(data.unread);
+      renderList(data.notifications);
+    } catch (err) {
+      console.warn('Не удалось загрузить уведомления:', err);
+    }
+  }
+
+  /**
+   * @param {number} unread - Число непрочитанных
+   */
+  function renderBadge(unread) {
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    badge.classList.toggle('hidden', unread === 0);
+  }
+
+  /**
+   * @param {Object[]} notifications
+   */
+  function renderList(notifications) {
+    list.innerHTML = '';
+
+    if (notifications.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'Уведомлений нет';
+      list.appendChild(empty);
+      return;
+    }
+
+    notifications.forEach(notification => {
+      const li = document.createElement('li');
+      li.classList.toggle('unread', !notification.read_at);
+
+      const title = document.createElement('strong');
+      title.textContent = notification.title;
+
+      const message = document.createElement('div');
+      message.className = 'notification-message';
+      message.textContent = notification.message;
+
+      const time = document.createElement('div');
+      time.className = 'notification-time';
+      time.textContent = new Date(notification.created_at).toLocaleString('ru-RU', {
+        day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+      });
+
+      li.append(title, message, time);
+      if (!notification.read_at) {
+        li.addEventListener('click', () => markRead(notification.id));
+      }
+      list.appendChild(li);
+    });
+  }
+
+  /**
+   * @param {number} id - ID уведомления
+   */
+  async function markRead(id) {
+    try {
+      await apiRequest(`/api/notifications/${id}/read`, { method: 'POST' });
+      await loadNotifications();
+    } catch (err) {
+      console.warn('Не удалось отметить уведомление:', err);
+    }
+  }
+
+  /**
+   * Загружает настройки писем в чекбоксы
+   */
+  async function loadPreferences() {
+    try {
+      const prefs = await apiRequest('/api/notifications/preferences');
+      Object.entries(prefInputs).forEach(([field, input]) => { input.checked = prefs[field]; });
+    } catch (err) {
+      console.warn('Не удалось загрузить настройки уведомлений:', err);
+    }
+  }
+
+  Object.entries(prefInputs).forEach(([field, input]) => {
+    input.addEventListener('change', async () => {
+      try {
+        await apiRequest('/api/notifications/preferences', {
+          method: 'PUT',
+          body: JSON.stringify({ [field]: input.checked })
+        });
+      } catch (err) {
+        input.checked = !input.checked;
+        alert('Не удалось сохранить настройку: ' + err.message);
+      }
+    });
+  });
+
+  button.addEventListener('click', () => {
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) loadPreferences();
+  });
+
+  readAllBtn.addEventListener('click', async () => {
+    try {
+      await apiRequest('/api/notifications/read-all', { method: 'POST' });
+      await loadNotifications();
+    } catch (err) {
+      console.warn('Не удалось отметить уведомления:', err);
+    }
+  });
+
+  loadNotifications();
+  setInterval(loadNotifications, POLL_INTERVAL);
+  window.addEventListener('online', loadNotifications);
+});
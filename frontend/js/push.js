@@ -0,0 +1,99 @@
+/**
+ * @file push.js
+ * @description Включение и выключение push-уведомлений на странице расписания (schedule.html).
+ *
+ * Регистрирует service worker (sw.js), подписывается через PushManager с публичным
+ * ключом VAPID сервера и сохраняет подписку за вошедшим пользователем.
+ * Кнопка в панели уведомлений скрыта, если браузер не поддерживает push
+ * или push не настроен на сервере.
+ *
+ * Зависимости:
+ * - apiRequest, getCurrentUser из api.js
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const toggle = document.getElementById('pushToggle');
+
+  if (!toggle || !getCurrentUser()) return;
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) return;
+
+  /** @type {string|null} Публичный ключ VAPID */
+  let publicKey = null;
+
+  try {
+    ({ publicKey } = await apiRequest('/api/push/public-key'));
+  } catch (err) {
+    console.warn('Push-уведомления недоступны:', err.message);
+    return;
+  }
+
+  const registration = await navigator.serviceWorker.register('sw.js');
+
+  /**
+   * Ключ VAPID (base64url) в формате applicationServerKey
+   * @param {string} base64 - base64url
+   * @returns {Uint8Array}
+   */
+  function toKeyBytes(base64) {
+    const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+  }
+
+  /**
+   * @param {boolean} subscribed
+   */
+  function renderToggle(subscribed) {
+    toggle.textContent = subscribed ? '🔕 Отключить push' : '🔔 Включить push';
+    toggle.classList.remove('hidden');
+  }
+
+  toggle.addEventListener('click', async () => {
+    try {
+      const current = await registration.pushManager.getSubscription();
+
+      if (current) {
+        await apiRequest('/api/push/subscriptions', {
+          method: 'DELETE',
+          body: JSON.stringify({ endpoint: current.endpoint })
+        }).catch(() => {});
+        await current.unsubscribe();
+        renderToggle(false);
+        return;
+      }
+
+      if (await Notification.requestPermission() !== 'granted') {
+        alert('Разрешите уведомления для этого сайта в настройках браузера');
+        return;
+      }
+
+      const subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: toKeyBytes(publicKey)
+      });
+      await apiRequest('/api/push/subscriptions', {
+        method: 'POST',
+        body: JSON.stringify(subscription)
+      });
+      renderToggle(true);
+    } catch (err) {
+      alert('Не удалось изменить подписку: ' + err.message);
+    }
+  });
+
+  // Подписка могла остаться от прошлого входа: своя обновляется, чужая (409) снимается —
+  // сервер не переносит её на другого пользователя
+  let existing = await registration.pushManager.getSubscription();
+  if (existing) {
+    try {
+      await apiRequest('/api/push/subscriptions', { method: 'POST', body: JSON.stringify(existing) });
+    } catch (err) {
+      if (err.status === 409) {
+        await existing.unsubscribe();
+        existing = null;
+      } else {
+        console.warn('Не удалось обновить push-подписку:', err);
+      }
+    }
+  }
+  renderToggle(Boolean(existing));
+});
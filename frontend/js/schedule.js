@@ -17,7 +17,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // === ГЕНЕРАЦИЯ СЕТКИ (ТОЧНО КАК В СТАРОМ ФАЙЛЕ) ===
-  function renderGrid(weekStartDate) {
+  function renderGrid(weekStartDate, calendarDays) {
     if (!scheduleGrid) return;
     scheduleGrid.innerHTML = '';
 
@@ -51,9 +51,20 @@ document.addEventListener('DOMContentLoaded', () => {
         dateText = date.toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit' });
       }
 
+      // Праздник, каникулы или перенос (calendarDays из /api/schedule)
+      const calendarDay = (calendarDays || []).find(d => dayIndexOf(d.date) === index);
+      let noteText = '';
+      if (calendarDay) {
+        header.classList.add(calendarDay.teaching ? 'transfer' : 'holiday');
+        noteText = calendarDay.teaching
+          ? `по расписанию ${days[calendarDay.weekday]}`
+          : calendarDay.exception.name;
+      }
+
       header.innerHTML = `
         <div>${day}</div>
         <div class="day-date" style="font-size: 0.8em; font-weight: normal; opacity: 0.8;">${dateText}</div>
+        ${noteText ? `<div class="day-note">${noteText}</div>` : ''}
       `;
       scheduleGrid.appendChild(header);
     });
@@ -78,13 +89,14 @@ document.addEventListener('DOMContentLoaded', () => {
       const data = await apiRequest(`/api/schedule?weekOffset=${currentWeekOffset}&group=${encodeURIComponent(user.group)}`);
       
       // Сначала строим сетку, потом уроки
-      renderGrid(data.weekStart); 
+      renderGrid(data.weekStart, data.calendarDays); 
       
       if (weekInfoEl) {
         weekInfoEl.textContent = `${data.weekStart} — ${data.weekEnd} (${data.weekType})`;
       }
 
       renderLessons(data.lessons);
+      renderHolidays(data.calendarDays);
       if (currentWeekOffset === 0) scrollToCurrentDay();
     } catch (e) {
       console.error('Ошибка загрузки:', e);
@@ -111,15 +123,85 @@ document.addEventListener('DOMContentLoaded', () => {
       card.className = `lesson ${lesson.type || 'lecture'}`;
       card.style.gridColumn = dayIdx + 1;
       card.style.gridRow = `${timeToRow(lesson.start_time)} / ${timeToRow(lesson.end_time)}`;
+      const roomChanged = lesson.original_room && lesson.original_room !== lesson.room;
       card.innerHTML = `
         <div class="lesson-title">${lesson.subject}</div>
-        <div class="lesson-info">📍 ${lesson.room || ''}</div>
-        <div class="lesson-info">👤 ${lesson.teacher || ''}</div>
+        ${renderStatusBadge(lesson)}
+        ${lesson.subgroup_name ? `<div class="lesson-info">👥 подгр. ${lesson.subgroup_name}</div>` : ''}
+        ${lesson.stream_name ? `<div class="lesson-info">🎓 поток: ${lesson.group_name}</div>` : ''}
+        <div class="lesson-info">📍 ${roomChanged
+          ? `<span class="lesson-replaced">${lesson.original_room}</span> ${lesson.room} <span class="lesson-badge room">новая ауд.</span>`
+          : lesson.room || ''}</div>
+        <div class="lesson-info">👤 ${lesson.substitute
+          ? `${lesson.substitute} <span class="lesson-replaced">(вместо ${lesson.teacher || ''})</span>`
+          : lesson.teacher || ''}</div>
       `;
+      // Ссылку ставим через DOM, а не в разметку: значение приходит из БД
+      const onlineLink = card.querySelector('a.lesson-badge.online');
+      if (onlineLink) onlineLink.href = lesson.online_url;
+      if (lesson.status && lesson.status !== 'scheduled') card.classList.add(lesson.status);
+      const notes = [];
+      if (lesson.change_note) notes.push(lesson.change_note);
+      if (lesson.substitute) {
+        card.classList.add('substituted');
+        notes.push(`Замена: ${lesson.substitute} вместо ${lesson.teacher || ''}${lesson.substitution_reason ? ` — ${lesson.substitution_reason}` : ''}`);
+      }
+      if (notes.length > 0) card.title = notes.join('\n');
       lessonsLayer.appendChild(card);
     });
   }
 
+  // Пометка отменённого, перенесённого и онлайн-занятия
+  function renderStatusBadge(lesson) {
+    if (lesson.status === 'cancelled') {
+      return '<span class="lesson-badge cancelled">Отменено</span>';
+    }
+    if (lesson.status === 'moved' && lesson.original_date) {
+      const from = new Date(lesson.original_date).toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit' });
+      const time = lesson.original_start_time ? ` ${lesson.original_start_time.slice(0, 5)}` : '';
+      return `<span class="lesson-badge moved">↪ перенесено с ${from}${time}</span>`;
+    }
+    if (lesson.status === 'online') {
+      return isWebUrl(lesson.online_url)
+        ? '<a class="lesson-badge online" target="_blank" rel="noopener">Онлайн</a>'
+        : '<span class="lesson-badge online">Онлайн</span>';
+    }
+    return '';
+  }
+
+  // Ссылка на трансляцию открывается, только если это http(s)-адрес
+  function isWebUrl(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Индекс дня в сетке (0 = ПН) по дате YYYY-MM-DD; -1 для воскресенья
+  function dayIndexOf(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return (new Date(y, m - 1, d).getDay() + 6) % 7;
+  }
+
+  // Праздники и каникулы закрывают колонку дня целиком
+  function renderHolidays(calendarDays) {
+    if (!calendarDays) return;
+    calendarDays.forEach(day => {
+      const idx = dayIndexOf(day.date);
+      if (day.teaching || idx > 5) return;
+      const block = document.createElement('div');
+      block.className = 'holiday-block';
+      block.style.gridColumn = idx + 2;
+      block.style.gridRow = `2 / ${timeToRow('21:00')}`;
+      block.innerHTML = `
+        <div class="lesson-title">${day.exception.name}</div>
+        <div class="lesson-info">Занятий нет</div>
+      `;
+      lessonsLayer.appendChild(block);
+    });
+  }
+
   function updateTimeLine() {
     if (!currentTimeLine) return;
     if (currentWeekOffset !== 0) {
@@ -149,6 +231,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
   if (btnPrevWeek) btnPrevWeek.onclick = () => { currentWeekOffset--; loadSchedule(); };
   if (btnNextWeek) btnNextWeek.onclick = () => { currentWeekOffset++; loadSchedule(); };
+  // Студент сменил подгруппу (subgroups.js) — набор занятий изменился
+  document.addEventListener('subgroupchange', () => loadSchedule());
 
   init();
 });
\ No newline at end of file
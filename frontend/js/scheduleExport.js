@@ -0,0 +1,71 @@
+/**
+ * @file scheduleExport.js
+ * @description Скачивание своего расписания в XLSX, CSV или PDF для печати на странице расписания (schedule.html).
+ *
+ * Студент получает расписание своей группы, преподаватель — своё (сервер определяет
+ * это по токену). Администраторы выгружают расписание из админ-панели.
+ *
+ * Зависимости:
+ * - apiDownload, getCurrentUser из api.js
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const section = document.getElementById('exportSection');
+  const form = document.getElementById('exportForm');
+  const period = document.getElementById('exportPeriod');
+  const fromInput = document.getElementById('exportFrom');
+  const toInput = document.getElementById('exportTo');
+  const errorEl = document.getElementById('exportError');
+
+  const user = getCurrentUser();
+  if (!section || !user || (user.role !== 'student' && user.role !== 'teacher')) return;
+
+  section.classList.remove('hidden');
+
+  period.addEventListener('change', () => {
+    fromInput.classList.toggle('hidden', period.value !== 'range');
+    toInput.classList.toggle('hidden', period.value !== 'range');
+  });
+
+  /**
+   * Отправка формы: кнопка, которой отправили форму, задаёт формат файла
+   */
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    errorEl.textContent = '';
+
+    const format = e.submitter?.value || 'xlsx';
+
+    // PDF печатается на неделю или семестр — произвольный период для него не подходит
+    if (format === 'pdf') {
+      if (period.value === 'range') {
+        errorEl.textContent = 'PDF формируется на текущую неделю или на весь семестр';
+        return;
+      }
+      try {
+        await apiDownload(`/api/schedule/pdf?period=${period.value}`, 'schedule.pdf');
+      } catch (err) {
+        errorEl.textContent = err.message;
+      }
+      return;
+    }
+
+    const params = new URLSearchParams({ format, layout: document.getElementById('exportLayout').value });
+
+    if (period.value === 'semester') params.set('period', 'semester');
+    if (period.value === 'range') {
+      if (!fromInput.value || !toInput.value) {
+        errorEl.textContent = 'Укажите начало и конец периода';
+        return;
+      }
+      params.set('from', fromInput.value);
+      params.set('to', toInput.value);
+    }
+
+    try {
+      await apiDownload(`/api/schedule/export?${params}`, `schedule.${format}`);
+    } catch (err) {
+      errorEl.textContent = err.message;
+    }
+  });
+});
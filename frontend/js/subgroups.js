@@ -0,0 +1,54 @@
+/**
+ * @file subgroups.js
+ * @description Выбор своей подгруппы на странице расписания (schedule.html).
+ * 
+ * Показывается только студентам, у группы которых есть подгруппы.
+ * Загружает GET /api/subgroups, сохраняет выбор через PUT /api/subgroups/mine
+ * и просит schedule.js перезагрузить неделю (событие subgroupchange).
+ * 
+ * Зависимости:
+ * - apiRequest, getCurrentUser из api.js
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const picker = document.getElementById('subgroupPicker');
+  const select = document.getElementById('subgroupSelect');
+
+  const user = getCurrentUser();
+  if (!picker || !user || user.role !== 'student') return;
+
+  try {
+    const data = await apiRequest('/api/subgroups');
+    if (data.subgroups.length === 0) return;
+
+    data.subgroups.forEach(sg => {
+      const opt = document.createElement('option');
+      opt.value = sg.id;
+      opt.textContent = `Подгруппа ${sg.name}`;
+      select.appendChild(opt);
+    });
+    select.value = data.subgroup_id || '';
+    picker.classList.remove('hidden');
+  } catch (err) {
+    console.warn('Не удалось загрузить подгруппы:', err);
+    return;
+  }
+
+  /**
+   * Сохранение выбранной подгруппы
+   */
+  select.addEventListener('change', async () => {
+    const previous = select.dataset.saved ?? '';
+    try {
+      await apiRequest('/api/subgroups/mine', {
+        method: 'PUT',
+        body: JSON.stringify({ subgroup_id: select.value ? Number(select.value) : null })
+      });
+      select.dataset.saved = select.value;
+      document.dispatchEvent(new Event('subgroupchange'));
+    } catch (err) {
+      alert('Не удалось сохранить подгруппу: ' + err.message);
+      select.value = previous;
+    }
+  });
+});
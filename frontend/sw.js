@@ -0,0 +1,43 @@
+/**
+ * @file sw.js
+ * @description Service worker для push-уведомлений об изменениях расписания.
+ *
+ * Лежит в корне frontend, чтобы область действия охватывала schedule.html.
+ * Сервер присылает JSON { title, body, url, tag } (push.service на backend).
+ */
+
+/**
+ * Показ уведомления, даже если страница закрыта
+ */
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (e) {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Изменение расписания', {
+      body: data.body || '',
+      tag: data.tag,
+      icon: 'assets/logo.webp',
+      data: { url: data.url || 'schedule.html' }
+    })
+  );
+});
+
+/**
+ * Клик по уведомлению: открываем расписание или переключаемся на открытую вкладку
+ */
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.registration.scope).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const opened = windows.find(client => client.url === url);
+      return opened ? opened.focus() : self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,556 @@
+/**
+ * @file absence.controller.js
+ * @description Контроллер реестра отсутствий преподавателей.
+ *
+ * По отсутствию для каждого занятия преподавателя в этот период подбираются
+ * кандидаты на замену (substitution.service — findCandidates). Для занятия админ
+ * принимает одно из решений:
+ * - назначить заменяющего — замена на одно занятие (teacher_substitutions.lesson_id)
+ * - отменить занятие — оно остаётся в расписании со статусом cancelled
+ * - перенести занятие — новая дата, время или аудитория (статус moved)
+ *
+ * Каждое решение пишется в schedule_changes; отмену и перенос можно откатить
+ * из истории изменений. Удаление отсутствия удаляет и назначенные по нему замены.
+ *
+ * Все функции защищены authMiddleware + adminOnly.
+ *
+ * @requires ../db
+ * @requires ../services/audit.service
+ * @requires ../services/conflict.service
+ * @requires ../services/lessonStatus.service
+ * @requires ../services/notification.service
+ * @requires ../services/room.service
+ * @requires ../services/series.service
+ * @requires ../services/stream.service
+ * @requires ../services/substitution.service
+ */
+
+const pool = require('../db');
+const { logChange } = require('../services/audit.service');
+const { findConflicts } = require('../services/conflict.service');
+const { updateOccurrence } = require('../services/lessonStatus.service');
+const { notifyLessonChanges } = require('../services/notification.service');
+const { resolveRoom } = require('../services/room.service');
+const { markException } = require('../services/series.service');
+const { LESSON_GROUP_COLUMNS, lessonGroupsJoin } = require('../services/stream.service');
+const {
+  SUBSTITUTION_COLUMNS,
+  substitutionJoin,
+  findSubstituteConflicts,
+  findCandidates
+} = require('../services/substitution.service');
+
+/** @constant {RegExp} Формат даты (YYYY-MM-DD) */
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** @constant {string} Поля отсутствия в ответах API */
+const ABSENCE_COLUMNS = `
+  a.id,
+  a.teacher_id,
+  t.full_name AS teacher,
+  to_char(a.date_from, 'YYYY-MM-DD') AS date_from,
+  to_char(a.date_to, 'YYYY-MM-DD') AS date_to,
+  a.reason,
+  a.created_at`;
+
+/**
+ * Отсутствие по ID
+ * @private
+ * @param {Object} db - pool или client
+ * @param {number|string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getAbsenceById(db, id) {
+  const result = await db.query(
+    `SELECT ${ABSENCE_COLUMNS}
+     FROM teacher_absences a
+     JOIN users t ON t.id = a.teacher_id
+     WHERE a.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Занятие отсутствующего преподавателя в период отсутствия (с блокировкой строки)
+ *
+ * @private
+ * @param {Object} db - client в транзакции
+ * @param {Object} absence
+ * @param {number|string} lessonId
+ * @returns {Promise<Object|null>}
+ */
+async function getAbsenceLesson(db, absence, lessonId) {
+  const result = await db.query(
+    `SELECT * FROM lessons
+     WHERE id = $1 AND teacher_id = $2 AND lesson_date BETWEEN $3 AND $4
+     FOR UPDATE`,
+    [lessonId, absence.teacher_id, absence.date_from, absence.date_to]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Получить отсутствия
+ *
+ * @route GET /api/admin/absences
+ * @param {string} [req.query.from] - Отсутствия, которые идут с даты (YYYY-MM-DD)
+ * @param {string} [req.query.to] - Отсутствия, которые идут по дату (YYYY-MM-DD)
+ * @param {string} [req.query.teacherId] - Преподаватель
+ * @returns {Object[]} Отсутствия с числом занятий (lessons_count) и числом занятий с заменой (covered_count)
+ */
+const getAbsences = async (req, res) => {
+  const { from, to, teacherId } = req.query;
+
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    return res.status(400).json({ message: 'Даты укажите в формате YYYY-MM-DD' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ${ABSENCE_COLUMNS},
+         COUNT(l.id)::int AS lessons_count,
+         COUNT(sub.substitution_id)::int AS covered_count
+       FROM teacher_absences a
+       JOIN users t ON t.id = a.teacher_id
+       LEFT JOIN lessons l
+         ON l.teacher_id = a.teacher_id
+        AND l.lesson_date BETWEEN a.date_from AND a.date_to
+        AND l.status <> 'cancelled'
+       ${substitutionJoin('l')}
+       WHERE ($1::date IS NULL OR a.date_to >= $1::date)
+         AND ($2::date IS NULL OR a.date_from <= $2::date)
+         AND ($3::int IS NULL OR a.teacher_id = $3::int)
+       GROUP BY a.id, t.full_name
+       ORDER BY a.date_from DESC, a.id DESC`,
+      [from || null, to || null, Number(teacherId) || null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения отсутствий:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Зарегистрировать отсутствие преподавателя
+ *
+ * @route POST /api/admin/absences
+ * @param {Object} req.body
+ * @param {number} req.body.teacher_id
+ * @param {string} req.body.date_from - YYYY-MM-DD
+ * @param {string} [req.body.date_to] - YYYY-MM-DD (включительно), по умолчанию date_from
+ * @param {string} [req.body.reason] - Причина
+ * @returns {Object} Созданное отсутствие
+ */
+const createAbsence = async (req, res) => {
+  const { teacher_id, date_from, reason } = req.body;
+  const date_to = req.body.date_to || date_from;
+
+  if (!teacher_id || !DATE_RE.test(date_from || '') || !DATE_RE.test(date_to)) {
+    return res.status(400).json({ message: 'Укажите teacher_id, date_from и date_to' });
+  }
+  if (date_from > date_to) {
+    return res.status(400).json({ message: 'Дата начала должна быть не позже даты окончания' });
+  }
+
+  try {
+    const teacher = await pool.query("SELECT id FROM users WHERE id = $1 AND role = 'teacher'", [teacher_id]);
+    if (teacher.rows.length === 0) {
+      return res.status(400).json({ message: 'Преподаватель не найден' });
+    }
+
+    const inserted = await pool.query(
+      `INSERT INTO teacher_absences (teacher_id, date_from, date_to, reason, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [teacher_id, date_from, date_to, String(reason || '').trim() || null, req.user.id]
+    );
+    const absence = await getAbsenceById(pool, inserted.rows[0].id);
+
+    const lessonsRes = await pool.query(
+      `SELECT l.id, lg.group_ids FROM lessons l
+       ${lessonGroupsJoin('l')}
+       WHERE l.teacher_id = $1 AND l.lesson_date BETWEEN $2 AND $3 AND l.status <> 'cancelled'`,
+      [teacher_id, date_from, date_to]
+    );
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'create_teacher_absence',
+      targetType: 'teacher_absence',
+      targetId: absence.id,
+      newValue: {
+        ...absence,
+        lessons: lessonsRes.rows.map(lesson => lesson.id),
+        group_ids: [...new Set(lessonsRes.rows.flatMap(lesson => lesson.group_ids))]
+      }
+    });
+
+    res.status(201).json({ ...absence, lessons_count: lessonsRes.rows.length });
+  } catch (err) {
+    console.error('Ошибка регистрации отсутствия:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Занятия отсутствия с назначенными заменами и кандидатами
+ *
+ * @route GET /api/admin/absences/:id
+ * @param {string} req.params.id
+ * @returns {Object} { ...absence, lessons: [{ ...lesson, substitute_id, substitute, candidates }] } —
+ *   candidates только у неотменённых занятий без замены
+ */
+const getAbsence = async (req, res) => {
+  try {
+    const absence = await getAbsenceById(pool, req.params.id);
+    if (!absence) {
+      return res.status(404).json({ message: 'Отсутствие не найдено' });
+    }
+
+    const lessonsRes = await pool.query(
+      `SELECT l.id, l.group_id, l.stream_id, l.subject_id, l.teacher_id, l.series_id,
+              to_char(l.lesson_date, 'YYYY-MM-DD') AS lesson_date,
+              l.start_time, l.end_time, l.subject, l.room, l.room_id, l.type,
+              l.status, l.change_note,
+              ${LESSON_GROUP_COLUMNS},
+              ${SUBSTITUTION_COLUMNS}
+       FROM lessons l
+       ${lessonGroupsJoin('l')}
+       ${substitutionJoin('l')}
+       WHERE l.teacher_id = $1 AND l.lesson_date BETWEEN $2 AND $3
+       ORDER BY l.lesson_date, l.start_time`,
+      [absence.teacher_id, absence.date_from, absence.date_to]
+    );
+
+    const lessons = [];
+    for (const lesson of lessonsRes.rows) {
+      lessons.push({
+        ...lesson,
+        candidates: lesson.substitute_id || lesson.status === 'cancelled' ? [] : await findCandidates(pool, lesson)
+      });
+    }
+
+    res.json({ ...absence, lessons });
+  } catch (err) {
+    console.error('Ошибка получения отсутствия:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Удалить отсутствие вместе с назначенными по нему заменами
+ *
+ * Отменённые и перенесённые занятия не возвращаются — их откатывают из истории изменений.
+ *
+ * @route DELETE /api/admin/absences/:id
+ * @param {string} req.params.id
+ */
+const deleteAbsence = async (req, res) => {
+  try {
+    const absence = await getAbsenceById(pool, req.params.id);
+    if (!absence) {
+      return res.status(404).json({ message: 'Отсутствие не найдено' });
+    }
+
+    const substitutionsRes = await pool.query(
+      `SELECT s.id, s.substitute_id, s.lesson_id, l.group_id, l.stream_id
+       FROM teacher_substitutions s
+       LEFT JOIN lessons l ON l.id = s.lesson_id
+       WHERE s.absence_id = $1`,
+      [absence.id]
+    );
+    await pool.query('DELETE FROM teacher_absences WHERE id = $1', [absence.id]);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_teacher_absence',
+      targetType: 'teacher_absence',
+      targetId: absence.id,
+      oldValue: { ...absence, substitutions: substitutionsRes.rows }
+    });
+
+    res.json({ message: 'Отсутствие удалено', substitutions: substitutionsRes.rows.length });
+  } catch (err) {
+    console.error('Ошибка удаления отсутствия:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Назначить заменяющего на занятие отсутствующего преподавателя
+ *
+ * Повторное назначение заменяет предыдущее. Занятие серии становится исключением:
+ * изменения правила серии и учебного календаря его больше не пересоздают.
+ *
+ * @route POST /api/admin/absences/:id/lessons/:lessonId/substitute
+ * @param {number} req.body.substitute_id - Заменяющий (обычно один из candidates)
+ * @param {boolean} [req.body.override=false] - Назначить, несмотря на конфликты
+ * @returns {Object} { message, substitution_id }
+ * @throws {409} { message, conflicts } — заменяющий занят или недоступен и не передан override
+ */
+const assignSubstitute = async (req, res) => {
+  const { substitute_id, override } = req.body;
+  if (!substitute_id) {
+    return res.status(400).json({ message: 'Укажите substitute_id' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const absence = await getAbsenceById(client, req.params.id);
+    const lesson = absence && await getAbsenceLesson(client, absence, req.params.lessonId);
+    if (!lesson) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Занятие отсутствия не найдено' });
+    }
+
+    const substitute = await client.query(
+      "SELECT id, full_name FROM users WHERE id = $1 AND role = 'teacher' AND id <> $2",
+      [substitute_id, absence.teacher_id]
+    );
+    if (substitute.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Заменяющий преподаватель не найден' });
+    }
+
+    const conflicts = await findSubstituteConflicts(client, Number(substitute_id), [lesson]);
+    if (conflicts.length > 0 && !override) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'Заменяющий преподаватель занят или недоступен', conflicts });
+    }
+
+    const previousRes = await client.query(
+      'DELETE FROM teacher_substitutions WHERE absence_id = $1 AND lesson_id = $2 RETURNING id, substitute_id',
+      [absence.id, lesson.id]
+    );
+    const inserted = await client.query(
+      `INSERT INTO teacher_substitutions
+         (teacher_id, substitute_id, date_from, date_to, group_ids, reason, created_by, absence_id, lesson_id)
+       VALUES ($1, $2, $3, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [
+        absence.teacher_id,
+        Number(substitute_id),
+        lesson.lesson_date,
+        // Занятие задано lesson_id; у лекции потока своей группы нет
+        lesson.group_id ? [lesson.group_id] : null,
+        absence.reason,
+        req.user.id,
+        absence.id,
+        lesson.id
+      ]
+    );
+
+    // Замена привязана к lesson_id: занятие серии становится исключением,
+    // чтобы пересоздание дат серии не удалило его вместе с заменой
+    if (lesson.series_id && !lesson.is_exception) {
+      await client.query('UPDATE lessons SET is_exception = TRUE WHERE id = $1', [lesson.id]);
+      await markException(client, lesson.series_id, lesson.lesson_date, lesson.id);
+    }
+
+    await client.query('COMMIT');
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'assign_absence_substitute',
+      targetType: 'lesson',
+      targetId: lesson.id,
+      oldValue: previousRes.rows[0] ? { substitution: previousRes.rows[0] } : null,
+      newValue: {
+        absence_id: absence.id,
+        group_id: lesson.group_id,
+        stream_id: lesson.stream_id,
+        substitution: { id: inserted.rows[0].id, substitute_id: Number(substitute_id) },
+        substitute: substitute.rows[0].full_name,
+        conflicts: conflicts.length > 0 ? conflicts : undefined
+      }
+    });
+
+    // Новый заменяющий найдётся по teacher_substitutions, прежний — только явно
+    await notifyLessonChanges({
+      actionType: 'assign_absence_substitute',
+      lessons: [lesson],
+      actorId: req.user.id,
+      userIds: previousRes.rows.map(row => row.substitute_id)
+    });
+
+    res.json({ message: `Назначена замена: ${substitute.rows[0].full_name}`, substitution_id: inserted.rows[0].id });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Ошибка назначения замены:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Отменить занятие отсутствующего преподавателя
+ *
+ * Занятие остаётся в расписании со статусом cancelled; причина — из запроса или из отсутствия.
+ *
+ * @route POST /api/admin/absences/:id/lessons/:lessonId/cancel
+ * @param {string} [req.body.reason] - Причина отмены
+ * @returns {Object} { message }
+ */
+const cancelAbsenceLesson = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const absence = await getAbsenceById(client, req.params.id);
+    const lesson = absence && await getAbsenceLesson(client, absence, req.params.lessonId);
+    if (!lesson) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Занятие отсутствия не найдено' });
+    }
+
+    if (lesson.status === 'cancelled') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Занятие уже отменено' });
+    }
+
+    const result = await updateOccurrence(client, lesson, {
+      status: 'cancelled',
+      change_note: String(req.body?.reason || '').trim() || absence.reason || 'Преподаватель отсутствует'
+    });
+
+    await client.query('COMMIT');
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'cancel_absence_lesson',
+      targetType: 'lesson',
+      targetId: lesson.id,
+      oldValue: lesson,
+      newValue: { ...result, absence_id: absence.id }
+    });
+
+    await notifyLessonChanges({ actionType: 'cancel_absence_lesson', lessons: [result], actorId: req.user.id });
+
+    res.json({ message: 'Занятие отменено' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Ошибка отмены занятия:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Перенести занятие отсутствующего преподавателя
+ *
+ * @route POST /api/admin/absences/:id/lessons/:lessonId/move
+ * @param {string} [req.body.lesson_date] - Новая дата (YYYY-MM-DD)
+ * @param {string} [req.body.start_time] - HH:MM
+ * @param {string} [req.body.end_time] - HH:MM
+ * @param {number} [req.body.room_id] - Новая аудитория (или room — название)
+ * @param {string} [req.body.reason] - Причина переноса
+ * @param {boolean} [req.body.override=false] - Перенести, несмотря на конфликты
+ * @returns {Object} { message, lesson }
+ * @throws {409} { message, conflicts } — если есть пересечения и не передан override
+ */
+const moveAbsenceLesson = async (req, res) => {
+  const { lesson_date, start_time, end_time, room_id, room, override } = req.body;
+
+  if (lesson_date !== undefined && !DATE_RE.test(lesson_date)) {
+    return res.status(400).json({ message: 'lesson_date: укажите дату в формате YYYY-MM-DD' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const absence = await getAbsenceById(client, req.params.id);
+    const lesson = absence && await getAbsenceLesson(client, absence, req.params.lessonId);
+    if (!lesson) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Занятие отсутствия не найдено' });
+    }
+
+    const changes = {};
+    if (lesson_date) changes.lesson_date = lesson_date;
+    if (start_time) changes.start_time = start_time;
+    if (end_time) changes.end_time = end_time;
+    if (room_id !== undefined || room !== undefined) {
+      const roomRow = await resolveRoom(client, { room_id, room });
+      if (!roomRow) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `Аудитория не найдена: ${room_id || room || '—'}` });
+      }
+      changes.room_id = roomRow.id;
+      changes.room = roomRow.name;
+    }
+
+    const fields = Object.keys(changes);
+    if (fields.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Укажите новую дату, время или аудиторию' });
+    }
+
+    const updated = { ...lesson, ...changes };
+    if (String(updated.start_time) >= String(updated.end_time)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Время начала должно быть раньше времени окончания' });
+    }
+
+    const conflicts = await findConflicts(client, [updated], { ignoreIds: [lesson.id] });
+    if (conflicts.length > 0 && !override) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'Обнаружены конфликты расписания', conflicts });
+    }
+
+    const result = await updateOccurrence(client, lesson, {
+      ...changes,
+      status: 'moved',
+      change_note: String(req.body.reason || '').trim() || absence.reason || 'Преподаватель отсутствует'
+    });
+
+    await client.query('COMMIT');
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'move_absence_lesson',
+      targetType: 'lesson',
+      targetId: lesson.id,
+      oldValue: lesson,
+      newValue: { ...result, absence_id: absence.id }
+    });
+
+    if (conflicts.length > 0) {
+      await logChange({
+        adminId: req.user.id,
+        actionType: 'conflict_override',
+        targetType: 'lesson',
+        newValue: { ids: [lesson.id], conflicts }
+      });
+    }
+
+    await notifyLessonChanges({ actionType: 'move_absence_lesson', lessons: [result], actorId: req.user.id });
+
+    res.json({ message: 'Занятие перенесено', lesson: result });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Ошибка переноса занятия:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getAbsences,
+  createAbsence,
+  getAbsence,
+  deleteAbsence,
+  assignSubstitute,
+  cancelAbsenceLesson,
+  moveAbsenceLesson
+};
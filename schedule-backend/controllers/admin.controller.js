@@ -1,19 +1,34 @@
 /**
  * @file admin.controller.js
- * @description Контроллер для админских операций: управление группами, занятиями, массовыми действиями и историей изменений.
+ * @description Контроллер для админских операций: управление группами, занятиями и массовыми действиями.
  * 
  * Все функции защищены middleware authMiddleware + adminOnly (роль 'admin').
  * 
  * Использует:
  * - pool из db.js для запросов к PostgreSQL
  * - logChange из audit.service.js для записи в историю изменений
+ * - findConflicts из conflict.service.js для проверки пересечений при создании занятий
  * 
  * @requires ../db
  * @requires ../services/audit.service
+ * @requires ../services/conflict.service
+ * @requires ../services/calendar.service
+ * @requires ../services/series.service
+ * @requires ../services/subgroup.service
+ * @requires ../services/notification.service
  */
 
 const pool = require('../db');
 const { logChange } = require('../services/audit.service');
+const { findConflicts, findExistingConflicts } = require('../services/conflict.service');
+const { ensureCalendar, getSemesterRange } = require('../services/calendar.service');
+const { resolveRoom } = require('../services/room.service');
+const { SERIES_FIELDS, addDays, planOccurrences, insertOccurrences, markException, splitSeries } = require('../services/series.service');
+const { resolveSubject } = require('../services/subject.service');
+const { resolveSubgroup } = require('../services/subgroup.service');
+const { LESSON_GROUP_COLUMNS, lessonGroupsJoin, groupLessonCondition, resolveStream } = require('../services/stream.service');
+const { notifyLessonChanges } = require('../services/notification.service');
+const { getWeekInfo, formatLocalDate, isDateString } = require('../services/week.service');
 
 /* ================== ГРУППЫ ================== */
 
@@ -22,11 +37,11 @@ const { logChange } = require('../services/audit.service');
  * @route GET /api/admin/groups
  * @param {Object} req - Express request
  * @param {Object} res - Express response
- * @returns {Object[]} Массив групп { id, name }
+ * @returns {Object[]} Массив групп { id, name, size }
  */
 const getGroups = async (req, res) => {
   try {
-    const result = await pool.query('SELECT id, name FROM groups ORDER BY name');
+    const result = await pool.query('SELECT id, name, size FROM groups ORDER BY name');
     res.json(result.rows);
   } catch (err) {
     console.error('Ошибка получения групп:', err);
@@ -40,29 +55,33 @@ const getGroups = async (req, res) => {
  * @param {Object} req - Express request
  * @param {Object} req.body
  * @param {string} req.body.name - Название группы
+ * @param {number} [req.body.size] - Число студентов (для вместимости аудиторий)
  * @param {Object} res - Express response
- * @returns {Object} Созданная группа { id, name }
+ * @returns {Object} Созданная группа { id, name, size }
  */
 const createGroup = async (req, res) => {
   const { name } = req.body;
   if (!name) return res.status(400).json({ message: 'Укажите название группы' });
 
+  const size = req.body.size ? Number(req.body.size) : null;
+  if (size !== null && (!Number.isInteger(size) || size <= 0)) {
+    return res.status(400).json({ message: 'Размер группы должен быть положительным целым числом' });
+  }
+
   try {
     const result = await pool.query(
-      'INSERT INTO groups (name) VALUES ($1) RETURNING id, name',
-      [name.trim()]
+      'INSERT INTO groups (name, size) VALUES ($1, $2) RETURNING id, name, size',
+      [name.trim(), size]
     );
 
     // Логируем создание группы
-    await logChange(
-      req.user.id,
-      'create_group',
-      'group',
-      result.rows[0].id,
-      null,
-      { name: name.trim() },
-      `Создана группа: ${name.trim()}`
-    );
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'create_group',
+      targetType: 'group',
+      targetId: result.rows[0].id,
+      newValue: result.rows[0]
+    });
 
     res.json(result.rows[0]);
   } catch (err) {
@@ -74,6 +93,47 @@ const createGroup = async (req, res) => {
   }
 };
 
+/**
+ * Изменить размер группы (число студентов)
+ * @route PATCH /api/admin/groups/:id
+ * @param {string} req.params.id - ID группы
+ * @param {number|null} req.body.size - Число студентов (null — неизвестно)
+ * @returns {Object} Обновлённая группа { id, name, size }
+ */
+const updateGroup = async (req, res) => {
+  const { id } = req.params;
+  const size = req.body.size === null || req.body.size === '' ? null : Number(req.body.size);
+  if (size !== null && (!Number.isInteger(size) || size <= 0)) {
+    return res.status(400).json({ message: 'Размер группы должен быть положительным целым числом' });
+  }
+
+  try {
+    const oldGroup = await pool.query('SELECT id, name, size FROM groups WHERE id = $1', [id]);
+    if (oldGroup.rows.length === 0) {
+      return res.status(404).json({ message: 'Группа не найдена' });
+    }
+
+    const result = await pool.query(
+      'UPDATE groups SET size = $1 WHERE id = $2 RETURNING id, name, size',
+      [size, id]
+    );
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'update_group',
+      targetType: 'group',
+      targetId: Number(id),
+      oldValue: oldGroup.rows[0],
+      newValue: result.rows[0]
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Ошибка изменения группы:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
 /**
  * Удалить группу и все её занятия
  * @route DELETE /api/admin/groups/:id
@@ -95,15 +155,13 @@ const deleteGroup = async (req, res) => {
     await pool.query('DELETE FROM groups WHERE id = $1', [id]);
 
     // Логируем удаление
-    await logChange(
-      req.user.id,
-      'delete_group',
-      'group',
-      id,
-      oldGroup.rows[0],
-      null,
-      `Удалена группа: ${oldGroup.rows[0].name}`
-    );
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_group',
+      targetType: 'group',
+      targetId: Number(id),
+      oldValue: oldGroup.rows[0]
+    });
 
     res.json({ message: 'Группа удалена' });
   } catch (err) {
@@ -118,23 +176,24 @@ const deleteGroup = async (req, res) => {
  * Получить все занятия (с фильтром по группе)
  * @route GET /api/admin/lessons
  * @param {Object} req.query
- * @param {string} [req.query.groupId] - ID группы для фильтра
- * @returns {Object[]} Массив занятий с group_name
+ * @param {string} [req.query.groupId] - ID группы для фильтра (с занятиями её потоков)
+ * @returns {Object[]} Массив занятий с group_name (у потока — группы через запятую), stream_name и subgroup_name
  */
 const getLessons = async (req, res) => {
   try {
     const { groupId, start, end } = req.query; // start/end - даты ISO (2023-10-01)
 
     let query = `
-      SELECT l.*, g.name AS group_name 
+      SELECT l.*, ${LESSON_GROUP_COLUMNS}, sg.name AS subgroup_name
       FROM lessons l 
-      JOIN groups g ON l.group_id = g.id 
+      LEFT JOIN subgroups sg ON sg.id = l.subgroup_id
+      ${lessonGroupsJoin('l')}
       WHERE l.lesson_date BETWEEN $1 AND $2 
     `;
     const params = [start || '1970-01-01', end || '2099-12-31'];
 
     if (groupId) {
-      query += ` AND l.group_id = $3`;
+      query += ` AND ${groupLessonCondition('l', '$3')}`;
       params.push(groupId);
     }
 
@@ -147,82 +206,546 @@ const getLessons = async (req, res) => {
     res.status(500).json({ message: 'Ошибка сервера' });
   }
 };
+/** @constant {string[]} Области изменения/удаления занятия серии */
+const SERIES_SCOPES = ['single', 'following', 'all'];
+
+/**
+ * Сегодняшняя дата (YYYY-MM-DD) — прошедшие занятия серии не переписываются
+ * @private
+ * @returns {string}
+ */
+function today() {
+  return formatLocalDate(new Date());
+}
+
+/**
+ * Дата в виде YYYY-MM-DD
+ * @private
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date instanceof Date ? formatLocalDate(date) : String(date).slice(0, 10);
+}
+
+/**
+ * Собирает изменения полей занятия из тела запроса (аудитория и дисциплина — через справочники)
+ * @private
+ * @param {Object} db - client
+ * @param {Object} body - req.body
+ * @param {number|null} groupId - Группа занятия (подгруппа должна быть из неё; у занятия потока — null)
+ * @returns {Promise<{ error?: string, changes?: Object }>}
+ */
+async function parseLessonChanges(db, body = {}, groupId) {
+  const changes = {};
+
+  for (const field of ['start_time', 'end_time', 'type', 'teacher']) {
+    if (body[field] !== undefined) changes[field] = body[field];
+  }
+  if (body.teacher_id !== undefined) changes.teacher_id = body.teacher_id || null;
+
+  if (body.room_id !== undefined || body.room !== undefined) {
+    const roomRow = await resolveRoom(db, { room_id: body.room_id, room: body.room });
+    if (!roomRow) return { error: `Аудитория не найдена: ${body.room_id || body.room || '—'}` };
+    changes.room_id = roomRow.id;
+    changes.room = roomRow.name;
+  }
+
+  if (body.subject_id !== undefined || body.subject !== undefined) {
+    const subjectRow = await resolveSubject(db, { subject_id: body.subject_id, subject: body.subject });
+    if (!subjectRow) return { error: `Дисциплина не найдена в каталоге: ${body.subject_id || body.subject || '—'}` };
+    changes.subject_id = subjectRow.id;
+    changes.subject = subjectRow.name;
+  }
+
+  if (body.subgroup_id !== undefined) {
+    if (body.subgroup_id && !(await resolveSubgroup(db, groupId, body.subgroup_id))) {
+      return { error: `Подгруппа не найдена в группе занятия: ${body.subgroup_id}` };
+    }
+    changes.subgroup_id = body.subgroup_id || null;
+  }
+
+  return { changes };
+}
+
 /**
- * Создать новое занятие
+ * Создать новое занятие или серию
+ *
+ * single_date — одно занятие. day + week — серия: правило сохраняется в lesson_series,
+ * а её даты в диапазоне date_from..date_to (по умолчанию — текущий семестр) — в lessons.
+ *
+ * Занятие для нескольких групп — stream_id вместо group_id: оно хранится одной строкой
+ * и показывается в расписании каждой группы потока.
+ *
  * @route POST /api/admin/lessons
  * @param {Object} req.body - Данные занятия
- * @returns {Object} { id, message }
+ * @param {string} [req.body.single_date] - Дата одного занятия (YYYY-MM-DD)
+ * @param {number} [req.body.day] - День недели серии: 0 (Пн) - 5 (Сб)
+ * @param {number} [req.body.week] - Тип недели серии: 0 каждая, 1 чётная, 2 нечётная
+ * @param {string} [req.body.date_from] - Начало серии (YYYY-MM-DD)
+ * @param {string} [req.body.date_to] - Конец серии (YYYY-MM-DD)
+ * @param {number} [req.body.group_id] - Группа
+ * @param {number} [req.body.stream_id] - Поток (вместо group_id)
+ * @param {number} [req.body.subgroup_id] - Подгруппа (без неё — занятие всей группы; у потока не бывает)
+ * @param {number} [req.body.teacher_id] - ID преподавателя (users.id)
+ * @param {number} [req.body.room_id] - ID аудитории (или room — название)
+ * @param {number} [req.body.subject_id] - ID дисциплины из каталога (или subject — название)
+ * @param {boolean} [req.body.override=false] - Сохранить, несмотря на конфликты
+ * @returns {Object} { message, ids, series_id }
+ * @throws {409} { message, conflicts } — если есть пересечения и не передан override
  */
 const createLesson = async (req, res) => {
-  // week теперь используется только для генерации, но не хранится как истина в последней инстанции
-  const { group_id, day, start_time, end_time, subject, teacher, room, type, week, single_date } = req.body;
+  const { group_id, stream_id, subgroup_id, day, start_time, end_time, subject, subject_id, teacher, teacher_id, room_id, room, type, week, single_date, override = false } = req.body;
+
+  const isSeries = !single_date && week !== undefined && day !== undefined;
+  if (!single_date && !isSeries) {
+    return res.status(400).json({ message: 'Укажите single_date или day и week' });
+  }
+  if (!group_id === !stream_id) {
+    return res.status(400).json({ message: 'Укажите group_id или stream_id' });
+  }
+  if (stream_id && subgroup_id) {
+    return res.status(400).json({ message: 'У занятия потока не бывает подгруппы' });
+  }
 
   const client = await pool.connect();
 
   try {
+    await ensureCalendar(client);
+
+    const semester = getSemesterRange();
+    const dateFrom = req.body.date_from || semester.from;
+    const dateTo = req.body.date_to || semester.to;
+    if (isSeries && dateFrom > dateTo) {
+      return res.status(400).json({ message: 'Дата начала серии позже даты окончания' });
+    }
+
     await client.query('BEGIN');
 
-    let datesToInsert = [];
+    const roomRow = await resolveRoom(client, { room_id, room });
+    if (!roomRow) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Аудитория не найдена: ${room_id || room || '—'}` });
+    }
+
+    const subjectRow = await resolveSubject(client, { subject_id, subject });
+    if (!subjectRow) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Дисциплина не найдена в каталоге: ${subject_id || subject || '—'}` });
+    }
+
+    if (subgroup_id && !(await resolveSubgroup(client, group_id, subgroup_id))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Подгруппа не найдена в группе: ${subgroup_id}` });
+    }
 
-    // ВАРИАНТ 1: Создаем конкретную пару (админ кликнул на день в календаре)
-    if (single_date) {
-      datesToInsert.push(single_date);
+    const stream = stream_id ? await resolveStream(client, stream_id) : null;
+    if (stream_id && (!stream || stream.group_ids.length === 0)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Поток не найден или в нём нет групп: ${stream_id}` });
     }
-    // ВАРИАНТ 2: Создаем серию (админ выбрал "Каждую неделю")
-    else if (week !== undefined && day !== undefined) {
-      datesToInsert = generateDates(day, week); // Генерируем даты на семестр
+
+    const lesson = {
+      group_id: stream ? null : group_id, stream_id: stream ? stream.id : null, subgroup_id: subgroup_id || null, start_time, end_time, subject: subjectRow.name, subject_id: subjectRow.id,
+      teacher, teacher_id: teacher_id || null, room_id: roomRow.id, room: roomRow.name, type
+    };
+
+    let series = null;
+    let lessons = [{ ...lesson, lesson_date: single_date }];
+
+    if (isSeries) {
+      series = { ...lesson, day, week, date_from: dateFrom, date_to: dateTo };
+      lessons = await planOccurrences(client, series);
+    }
+
+    if (lessons.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'В указанном диапазоне нет ни одной даты серии' });
     }
 
-    if (datesToInsert.length === 0) {
-      throw new Error('Не удалось определить даты для занятия');
+    // Проверяем конфликты для всех дат серии
+    const conflicts = await findConflicts(client, lessons);
+
+    if (conflicts.length > 0 && !override) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'Обнаружены конфликты расписания', conflicts });
+    }
+
+    if (series) {
+      const fields = SERIES_FIELDS;
+      const seriesRes = await client.query(
+        `INSERT INTO lesson_series (${fields.join(', ')})
+         VALUES (${fields.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING id`,
+        fields.map(field => series[field] ?? null)
+      );
+      series.id = seriesRes.rows[0].id;
+    }
+
+    const insertedIds = await insertOccurrences(client, series ? series.id : null, lessons);
+
+    await client.query('COMMIT');
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: series ? 'create_lesson_series' : 'create_lesson',
+      targetType: series ? 'lesson_series' : 'lesson',
+      targetId: series ? series.id : insertedIds[0],
+      newValue: series
+        ? { series, count: insertedIds.length, ids: insertedIds }
+        : { ...lessons[0], id: insertedIds[0] }
+    });
+
+    if (conflicts.length > 0) {
+      await logChange({
+        adminId: req.user.id,
+        actionType: 'conflict_override',
+        targetType: 'lesson',
+        newValue: { ids: insertedIds, conflicts }
+      });
+    }
+
+    await notifyLessonChanges({
+      actionType: series ? 'create_lesson_series' : 'create_lesson',
+      lessonIds: insertedIds,
+      actorId: req.user.id
+    });
+
+    res.json({
+      message: `Создано ${insertedIds.length} занятий`,
+      ids: insertedIds,
+      series_id: series ? series.id : null
+    });
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Ошибка создания:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Изменить занятие или серию, к которой оно относится
+ *
+ * scope:
+ * - single — только это занятие; в серии оно становится исключением и больше не
+ *   перезаписывается правилом
+ * - following — это занятие и все следующие: серия делится на две с этой даты
+ * - all — вся серия
+ *
+ * Прошедшие занятия серии не переписываются: изменение применяется не раньше сегодняшнего дня.
+ * Исключения (отдельно изменённые занятия) сохраняются как есть.
+ *
+ * @route PATCH /api/admin/lessons/:id
+ * @param {string} req.params.id - ID занятия
+ * @param {Object} req.body
+ * @param {string} [req.body.scope='single'] - single | following | all
+ * @param {string} [req.body.lesson_date] - Новая дата (только single)
+ * @param {number} [req.body.day] - Новый день недели серии (following/all)
+ * @param {number} [req.body.week] - Новый тип недели серии (following/all)
+ * @param {string} [req.body.date_to] - Новый конец серии (following/all)
+ * @param {boolean} [req.body.override=false] - Сохранить, несмотря на конфликты
+ * @returns {Object} { message, ids, series_id }
+ * @throws {409} { message, conflicts } — если есть пересечения и не передан override
+ */
+const updateLesson = async (req, res) => {
+  const { id } = req.params;
+  const { scope = 'single', override = false } = req.body;
+
+  if (!SERIES_SCOPES.includes(scope)) {
+    return res.status(400).json({ message: `scope: ${SERIES_SCOPES.join(' | ')}` });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await ensureCalendar(client);
+    await client.query('BEGIN');
+
+    const lessonRes = await client.query('SELECT * FROM lessons WHERE id = $1 FOR UPDATE', [id]);
+    if (lessonRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Занятие не найдено' });
     }
+    const lesson = lessonRes.rows[0];
 
-    const insertedIds = [];
+    const { error, changes } = await parseLessonChanges(client, req.body, lesson.group_id);
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: error });
+    }
 
-    for (const date of datesToInsert) {
+    // ---------- Одно занятие ----------
+    if (scope === 'single' || !lesson.series_id) {
+      if (req.body.lesson_date) changes.lesson_date = req.body.lesson_date;
+
+      const fields = Object.keys(changes);
+      if (fields.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Нет полей для изменения' });
+      }
+
+      const updated = { ...lesson, ...changes };
+      if (String(updated.start_time) >= String(updated.end_time)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Время начала должно быть раньше времени окончания' });
+      }
+
+      const conflicts = await findConflicts(client, [updated], { ignoreIds: [lesson.id] });
+      if (conflicts.length > 0 && !override) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: 'Обнаружены конфликты расписания', conflicts });
+      }
+
+      const setClause = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
       const result = await client.query(
-        `INSERT INTO lessons 
-        (group_id, lesson_date, start_time, end_time, subject, teacher, room, type)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
-        RETURNING id`,
-        [group_id, date, start_time, end_time, subject, teacher, room, type]
+        `UPDATE lessons SET ${setClause}, is_exception = series_id IS NOT NULL
+         WHERE id = $1
+         RETURNING *`,
+        [lesson.id, ...fields.map(field => changes[field])]
       );
-      insertedIds.push(result.rows[0].id);
+
+      if (lesson.series_id && !lesson.is_exception) {
+        await markException(client, lesson.series_id, lesson.lesson_date, lesson.id);
+      }
+
+      await client.query('COMMIT');
+
+      await logChange({
+        adminId: req.user.id,
+        actionType: 'update_lesson',
+        targetType: 'lesson',
+        targetId: lesson.id,
+        oldValue: lesson,
+        newValue: result.rows[0]
+      });
+
+      if (conflicts.length > 0) {
+        await logChange({
+          adminId: req.user.id,
+          actionType: 'conflict_override',
+          targetType: 'lesson',
+          newValue: { ids: [lesson.id], conflicts }
+        });
+      }
+
+      // Прежний слот — «удалено», если занятие перенесли или передали другой группе;
+      // прежний преподаватель узнаёт, что занятие больше не его
+      await notifyLessonChanges({
+        actionType: 'update_lesson',
+        lessons: [{ ...lesson, removed: true }, result.rows[0]],
+        actorId: req.user.id,
+        userIds: lesson.teacher_id && Number(lesson.teacher_id) !== Number(result.rows[0].teacher_id) ? [lesson.teacher_id] : []
+      });
+
+      return res.json({ message: 'Занятие изменено', ids: [lesson.id], series_id: lesson.series_id });
     }
 
-    await logChange(
-      req.user.id, 'create_lesson_series', 'lesson', null, null,
-      { count: insertedIds.length, subject },
-      `Создано ${insertedIds.length} занятий (${subject})`
+    // ---------- Серия: это и следующие / вся ----------
+    const seriesRes = await client.query('SELECT * FROM lesson_series WHERE id = $1 FOR UPDATE', [lesson.series_id]);
+    const series = seriesRes.rows[0];
+
+    for (const field of ['day', 'week', 'date_to']) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+
+    const fields = Object.keys(changes);
+    if (fields.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Нет полей для изменения' });
+    }
+
+    const start = scope === 'all' ? toDateString(series.date_from) : toDateString(lesson.lesson_date);
+    const pivot = start > today() ? start : today();
+    const dateTo = changes.date_to || toDateString(series.date_to);
+
+    if (pivot > dateTo) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Серия уже закончилась — изменить можно только отдельные занятия' });
+    }
+
+    const target = pivot > toDateString(series.date_from)
+      ? await splitSeries(client, series, pivot)
+      : series;
+
+    const setClause = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+    const updatedRes = await client.query(
+      `UPDATE lesson_series SET ${setClause} WHERE id = $1 RETURNING *`,
+      [target.id, ...fields.map(field => changes[field])]
     );
+    const updatedSeries = updatedRes.rows[0];
+
+    if (String(updatedSeries.start_time) >= String(updatedSeries.end_time)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Время начала должно быть раньше времени окончания' });
+    }
+
+    // Занятия по правилу пересоздаются, исключения остаются
+    const oldRes = await client.query(
+      `DELETE FROM lessons
+       WHERE series_id = $1 AND NOT is_exception AND lesson_date >= $2
+       RETURNING *`,
+      [target.id, pivot]
+    );
+
+    const lessons = await planOccurrences(client, updatedSeries, pivot);
+
+    const conflicts = await findConflicts(client, lessons);
+    if (conflicts.length > 0 && !override) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'Обнаружены конфликты расписания', conflicts });
+    }
+
+    const insertedIds = await insertOccurrences(client, updatedSeries.id, lessons);
 
     await client.query('COMMIT');
-    res.json({ message: `Создано ${insertedIds.length} занятий`, ids: insertedIds });
 
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'update_lesson_series',
+      targetType: 'lesson_series',
+      targetId: updatedSeries.id,
+      oldValue: { series, scope, from: pivot, lessons: oldRes.rows },
+      newValue: { series: updatedSeries, ids: insertedIds }
+    });
+
+    if (conflicts.length > 0) {
+      await logChange({
+        adminId: req.user.id,
+        actionType: 'conflict_override',
+        targetType: 'lesson',
+        newValue: { ids: insertedIds, conflicts }
+      });
+    }
+
+    await notifyLessonChanges({
+      actionType: 'update_lesson_series',
+      lessons: oldRes.rows.map(old => ({ ...old, removed: true })),
+      lessonIds: insertedIds,
+      actorId: req.user.id,
+      userIds: series.teacher_id && Number(series.teacher_id) !== Number(updatedSeries.teacher_id) ? [series.teacher_id] : []
+    });
+
+    res.json({
+      message: `Серия изменена с ${pivot}: ${insertedIds.length} занятий`,
+      ids: insertedIds,
+      series_id: updatedSeries.id
+    });
   } catch (err) {
     await client.query('ROLLBACK');
-    console.error('Ошибка создания:', err);
+    console.error('Ошибка изменения занятия:', err);
     res.status(500).json({ message: 'Ошибка сервера' });
   } finally {
     client.release();
   }
 };
+
 /**
- * Удалить занятие
+ * Удалить занятие или серию, к которой оно относится
+ *
+ * scope — как в updateLesson. Удалённое отдельно занятие серии запоминается как
+ * исключение (отмена), чтобы правило его не восстановило. Прошедшие занятия серии
+ * при following/all остаются, серия заканчивается накануне сегодняшнего дня.
+ *
  * @route DELETE /api/admin/lessons/:id
  * @param {string} req.params.id - ID занятия
+ * @param {string} [req.query.scope='single'] - single | following | all (можно и в теле запроса)
+ * @param {boolean} [req.body.deleteSeries] - Устаревший флаг, равносилен scope=all
+ * @returns {Object} { message, deleted }
  */
 const deleteLesson = async (req, res) => {
   const { id } = req.params;
-  const { deleteSeries } = req.body; // Флаг: удалить только это или всю серию?
+  const scope = req.query.scope || req.body?.scope || (req.body?.deleteSeries ? 'all' : 'single');
+
+  if (!SERIES_SCOPES.includes(scope)) {
+    return res.status(400).json({ message: `scope: ${SERIES_SCOPES.join(' | ')}` });
+  }
+
+  const client = await pool.connect();
 
-  // Если хотите удалять всю серию, вам нужно хранить `series_id` в БД или искать похожие
-  // Для простоты пока удаляем по одному
   try {
-    await pool.query('DELETE FROM lessons WHERE id = $1', [id]);
-    res.json({ message: 'Занятие удалено' });
+    await client.query('BEGIN');
+
+    const lessonRes = await client.query('SELECT * FROM lessons WHERE id = $1 FOR UPDATE', [id]);
+    if (lessonRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Занятие не найдено' });
+    }
+    const lesson = lessonRes.rows[0];
+
+    if (scope === 'single' || !lesson.series_id) {
+      await client.query('DELETE FROM lessons WHERE id = $1', [lesson.id]);
+
+      // У исключения запись уже есть: lesson_id обнулится через ON DELETE SET NULL
+      if (lesson.series_id && !lesson.is_exception) {
+        await markException(client, lesson.series_id, lesson.lesson_date);
+      }
+
+      await client.query('COMMIT');
+
+      await logChange({
+        adminId: req.user.id,
+        actionType: 'delete_lesson',
+        targetType: 'lesson',
+        targetId: lesson.id,
+        oldValue: lesson
+      });
+
+      await notifyLessonChanges({
+        actionType: 'delete_lesson',
+        lessons: [{ ...lesson, removed: true }],
+        actorId: req.user.id
+      });
+
+      return res.json({ message: 'Занятие удалено', deleted: 1 });
+    }
+
+    const seriesRes = await client.query('SELECT * FROM lesson_series WHERE id = $1 FOR UPDATE', [lesson.series_id]);
+    const series = seriesRes.rows[0];
+
+    const start = scope === 'all' ? toDateString(series.date_from) : toDateString(lesson.lesson_date);
+    const pivot = start > today() ? start : today();
+
+    const deletedRes = await client.query(
+      'DELETE FROM lessons WHERE series_id = $1 AND lesson_date >= $2 RETURNING *',
+      [series.id, pivot]
+    );
+    const exceptionsRes = await client.query(
+      'DELETE FROM lesson_series_exceptions WHERE series_id = $1 AND lesson_date >= $2 RETURNING *',
+      [series.id, pivot]
+    );
+
+    if (pivot <= toDateString(series.date_from)) {
+      await client.query('DELETE FROM lesson_series WHERE id = $1', [series.id]);
+    } else if (pivot <= toDateString(series.date_to)) {
+      await client.query('UPDATE lesson_series SET date_to = $2 WHERE id = $1', [series.id, addDays(pivot, -1)]);
+    }
+
+    await client.query('COMMIT');
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_lesson_series',
+      targetType: 'lesson_series',
+      targetId: series.id,
+      oldValue: { series, scope, from: pivot, lessons: deletedRes.rows, exceptions: exceptionsRes.rows }
+    });
+
+    await notifyLessonChanges({
+      actionType: 'delete_lesson_series',
+      lessons: deletedRes.rows.map(old => ({ ...old, removed: true })),
+      actorId: req.user.id
+    });
+
+    res.json({ message: `Удалено ${deletedRes.rowCount} занятий серии`, deleted: deletedRes.rowCount });
   } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Ошибка удаления занятия:', err);
     res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
   }
 };
 /* ================== МАССОВЫЕ ОПЕРАЦИИ ================== */
@@ -253,27 +776,36 @@ const copyWeek = async (req, res) => {
     }
 
     // Перезаписываем целевую неделю
-    await pool.query('DELETE FROM lessons WHERE group_id = $1 AND week = $2', [group_id, to_week]);
+    const replaced = await pool.query(
+      'DELETE FROM lessons WHERE group_id = $1 AND week = $2 RETURNING *',
+      [group_id, to_week]
+    );
 
     const insertQuery = `
       INSERT INTO lessons (group_id, day, start_time, end_time, subject, teacher, room, type, week)
       SELECT $1, day, start_time, end_time, subject, teacher, room, type, $2
       FROM lessons 
       WHERE group_id = $1 AND week = $3
+      RETURNING id
     `;
 
-    await pool.query(insertQuery, [group_id, to_week, from_week]);
-
-    // Логируем
-    await logChange(
-      req.user.id,
-      'copy_week',
-      'lessons',
-      null,
-      { from_week, group_id },
-      { to_week, group_id },
-      `Скопирована неделя ${from_week} → ${to_week} для группы ${group_id}`
-    );
+    const inserted = await pool.query(insertQuery, [group_id, to_week, from_week]);
+
+    // Логируем (строки и ID — для отката)
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'copy_week',
+      targetType: 'lessons',
+      oldValue: { from_week, group_id, lessons: replaced.rows },
+      newValue: { to_week, group_id, ids: inserted.rows.map(row => row.id) }
+    });
+
+    await notifyLessonChanges({
+      actionType: 'copy_week',
+      lessons: replaced.rows.map(lesson => ({ ...lesson, removed: true })),
+      lessonIds: inserted.rows.map(row => row.id),
+      actorId: req.user.id
+    });
 
     res.json({ message: `Неделя скопирована (week ${from_week} → ${to_week})` });
   } catch (err) {
@@ -297,27 +829,25 @@ const clearWeek = async (req, res) => {
   }
 
   try {
-    // Получаем удаляемые занятия
-    const deletedLessons = await pool.query(
-      'SELECT * FROM lessons WHERE group_id = $1 AND week = $2',
-      [group_id, week]
-    );
-
+    // Удалённые строки сохраняются в лог — по ним неделю можно восстановить
     const result = await pool.query(
-      'DELETE FROM lessons WHERE group_id = $1 AND week = $2',
+      'DELETE FROM lessons WHERE group_id = $1 AND week = $2 RETURNING *',
       [group_id, week]
     );
 
     if (result.rowCount > 0) {
-      await logChange(
-        req.user.id,
-        'clear_week',
-        'lessons',
-        null,
-        null,  // Не храним весь список — слишком большой
-        null,
-        `Очищена неделя ${week} для группы ${group_id}. Удалено ${result.rowCount} занятий`
-      );
+      await logChange({
+        adminId: req.user.id,
+        actionType: 'clear_week',
+        targetType: 'lessons',
+        oldValue: { group_id, week, lessons: result.rows }
+      });
+
+      await notifyLessonChanges({
+        actionType: 'clear_week',
+        lessons: result.rows.map(lesson => ({ ...lesson, removed: true })),
+        actorId: req.user.id
+      });
     }
 
     res.json({ message: `Удалено ${result.rowCount} занятий` });
@@ -344,9 +874,7 @@ const replaceTeacher = async (req, res) => {
 
   try {
     const affectedLessons = await pool.query(
-      `SELECT id, subject, day, start_time, end_time, room, type, week 
-       FROM lessons 
-       WHERE group_id = $1 AND teacher = $2`,
+      'SELECT * FROM lessons WHERE group_id = $1 AND teacher = $2',
       [group_id, old_teacher.trim()]
     );
 
@@ -359,15 +887,25 @@ const replaceTeacher = async (req, res) => {
     );
 
     if (result.rowCount > 0) {
-      await logChange(
-        req.user.id,
-        'replace_teacher',
-        'lessons',
-        null,
-        { teacher: old_teacher },
-        { teacher: new_teacher },
-        `Заменён преподаватель "${old_teacher}" → "${new_teacher}" в ${result.rowCount} занятиях группы ${group_id}`
+      await logChange({
+        adminId: req.user.id,
+        actionType: 'replace_teacher',
+        targetType: 'lessons',
+        oldValue: { group_id, teacher: old_teacher.trim(), lessons: affectedLessons.rows },
+        newValue: { group_id, teacher: new_teacher.trim(), ids: result.rows.map(row => row.id) }
+      });
+
+      // Новый преподаватель задан именем — уведомляем его, если он есть среди пользователей
+      const newTeacherRes = await pool.query(
+        "SELECT id FROM users WHERE role = 'teacher' AND full_name = $1",
+        [new_teacher.trim()]
       );
+      await notifyLessonChanges({
+        actionType: 'replace_teacher',
+        lessons: affectedLessons.rows.map(lesson => ({ ...lesson, teacher: new_teacher.trim() })),
+        actorId: req.user.id,
+        userIds: newTeacherRes.rows.map(row => row.id)
+      });
     }
 
     res.json({ message: `Заменено ${result.rowCount} занятий` });
@@ -377,38 +915,36 @@ const replaceTeacher = async (req, res) => {
   }
 };
 
+/* ================== КОНФЛИКТЫ ================== */
+
+/** @constant {number} Максимальная длина периода отчёта о конфликтах в днях */
+const MAX_RANGE_DAYS = 366;
+
 /**
- * Получить историю изменений (аудит-лог)
- * @route GET /api/admin/changes
+ * Отчёт о конфликтах, уже сохранённых в расписании
+ * @route GET /api/admin/conflicts
  * @param {Object} req.query
- * @param {string} [req.query.limit=50]
- * @param {string} [req.query.offset=0]
- * @returns {Object[]} Массив записей истории
+ * @param {string} [req.query.from] - Начало периода (YYYY-MM-DD), по умолчанию начало текущей недели
+ * @param {string} [req.query.to] - Конец периода (YYYY-MM-DD), по умолчанию +16 недель
+ * @returns {Object} { from, to, total, byType: { teacher, room, group } } — сгруппировано по типу и дате
+ * @throws {400} Неверная дата или период длиннее MAX_RANGE_DAYS
  */
-const getChangeHistory = async (req, res) => {
-  try {
-    const limit = Number(req.query.limit) || 50;
-    const offset = Number(req.query.offset) || 0;
+const getConflictReport = async (req, res) => {
+  const from = req.query.from || getWeekInfo(0).weekStart;
+  const to = req.query.to || getWeekInfo(16).weekEnd;
 
-    const result = await pool.query(
-      `SELECT 
-         sc.id,
-         sc.action_type,
-         sc.description,
-         sc.changed_at,
-         u.email AS admin_email,
-         sc.old_value,
-         sc.new_value
-       FROM schedule_changes sc
-       JOIN users u ON sc.admin_id = u.id
-       ORDER BY sc.changed_at DESC
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
-    );
+  if (!isDateString(from) || !isDateString(to) || from > to) {
+    return res.status(400).json({ message: 'Неверный период: укажите from и to в формате YYYY-MM-DD' });
+  }
+  if ((new Date(to) - new Date(from)) / 86400000 > MAX_RANGE_DAYS) {
+    return res.status(400).json({ message: `Период не может превышать ${MAX_RANGE_DAYS} дней` });
+  }
 
-    res.json(result.rows);
+  try {
+    const report = await findExistingConflicts(pool, from, to);
+    res.json({ from, to, ...report });
   } catch (err) {
-    console.error('Ошибка получения истории изменений:', err);
+    console.error('Ошибка построения отчёта о конфликтах:', err);
     res.status(500).json({ message: 'Ошибка сервера' });
   }
 };
@@ -417,12 +953,14 @@ const getChangeHistory = async (req, res) => {
 module.exports = {
   getGroups,
   createGroup,
+  updateGroup,
   deleteGroup,
   getLessons,
   createLesson,
+  updateLesson,
   deleteLesson,
   copyWeek,
   clearWeek,
   replaceTeacher,
-  getChangeHistory
+  getConflictReport
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const pool = require('../db');
+const { LESSON_GROUP_COLUMNS, lessonGroupsJoin } = require('../services/stream.service');
 
 /**
  * GET /api/admin/lessons
@@ -15,11 +16,13 @@ const getAdminLessons = async (req, res) => {
         l.subject,
         l.room,
         l.type,
-        g.name AS group_name,
+        l.status,
+        l.change_note,
+        ${LESSON_GROUP_COLUMNS},
         u.full_name AS teacher
       FROM lessons l
-      JOIN groups g ON g.id = l.group_id
       LEFT JOIN users u ON u.id = l.teacher_id
+      ${lessonGroupsJoin('l')}
       ORDER BY l.lesson_date, l.start_time
     `);
 
@@ -0,0 +1,332 @@
+/**
+ * @file audit.controller.js
+ * @description Контроллер аудит-лога (schedule_changes): просмотр с фильтрами, экспорт в CSV и откат.
+ *
+ * Фильтры: админ, тип действия, тип объекта, группа (group_ids записи) и период.
+ * Пагинация курсором: записи идут от новых к старым, nextCursor — ID последней
+ * выданной записи, следующая страница — ?cursor=nextCursor.
+ *
+ * Откат строится по old_value/new_value записи (revert.service). Если данные
+ * после записи менялись ещё раз, откат отвечает 409 со списком конфликтов;
+ * с override: true он выполняется поверх них. Сам откат — новая запись лога
+ * revert_change; откаченная запись помечается reverted_at в той же транзакции,
+ * поэтому откатить одно изменение можно только один раз.
+ *
+ * Все функции защищены authMiddleware + adminOnly.
+ *
+ * @requires ../db
+ * @requires ../services/audit.service
+ * @requires ../services/calendar.service
+ * @requires ../services/notification.service
+ * @requires ../services/revert.service
+ */
+
+const pool = require('../db');
+const { logChange } = require('../services/audit.service');
+const { loadCalendar } = require('../services/calendar.service');
+const { notifyLessonChanges } = require('../services/notification.service');
+const { isRevertible, buildRevertPlan, findRevertConflicts, applyRevert } = require('../services/revert.service');
+
+/** @constant {RegExp} Формат даты (YYYY-MM-DD) */
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** @constant {number} Размер страницы по умолчанию */
+const PAGE_SIZE = 50;
+
+/** @constant {number} Максимальный размер страницы */
+const MAX_PAGE_SIZE = 200;
+
+/** @constant {number} Максимум строк в CSV-выгрузке */
+const EXPORT_LIMIT = 10000;
+
+/** @constant {string} Поля записи истории в ответах API */
+const AUDIT_COLUMNS = `
+  sc.id,
+  sc.changed_at,
+  sc.admin_id,
+  u.email AS admin_email,
+  sc.action_type,
+  sc.target_type,
+  sc.target_id,
+  sc.group_ids,
+  sc.old_value,
+  sc.new_value,
+  (
+    SELECT r.id FROM schedule_changes r
+    WHERE r.action_type = 'revert_change' AND r.target_type = 'schedule_change' AND r.target_id = sc.id
+    LIMIT 1
+  ) AS reverted_by`;
+
+/**
+ * Собирает условие WHERE из фильтров запроса
+ * @private
+ * @param {Object} query - req.query
+ * @returns {{ error?: string, where?: string, params?: Array }}
+ */
+function buildAuditFilter(query = {}) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  const numeric = {
+    adminId: 'sc.admin_id = ?',
+    groupId: '? = ANY(sc.group_ids)',
+    cursor: 'sc.id < ?'
+  };
+  for (const [name, sql] of Object.entries(numeric)) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value <= 0) return { error: `${name}: укажите положительное целое число` };
+    add(sql, value);
+  }
+
+  // Несколько типов действий — через запятую
+  if (query.actionType) {
+    add('sc.action_type = ANY(?::text[])', String(query.actionType).split(',').map(t => t.trim()).filter(Boolean));
+  }
+  if (query.targetType) add('sc.target_type = ?', String(query.targetType));
+
+  for (const name of ['from', 'to']) {
+    if (query[name] && !DATE_RE.test(query[name])) return { error: `${name}: укажите дату в формате YYYY-MM-DD` };
+  }
+  if (query.from) add('sc.changed_at >= ?::date', query.from);
+  if (query.to) add('sc.changed_at < ?::date + 1', query.to);
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Значение для ячейки CSV
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Получить историю изменений
+ *
+ * @route GET /api/admin/audit
+ * @param {string} [req.query.adminId] - Кто изменил
+ * @param {string} [req.query.actionType] - Тип действия (несколько — через запятую)
+ * @param {string} [req.query.targetType] - Тип объекта
+ * @param {string} [req.query.groupId] - Группа, которой касается изменение
+ * @param {string} [req.query.from] - С даты (YYYY-MM-DD)
+ * @param {string} [req.query.to] - По дату включительно (YYYY-MM-DD)
+ * @param {string} [req.query.cursor] - nextCursor предыдущей страницы
+ * @param {string} [req.query.limit=50] - Размер страницы (до 200)
+ * @returns {Object} { items, nextCursor } — nextCursor = null на последней странице
+ */
+const getAuditLog = async (req, res) => {
+  const { error, where, params } = buildAuditFilter(req.query);
+  if (error) return res.status(400).json({ message: error });
+
+  const limit = Math.min(Math.max(Number(req.query.limit) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  try {
+    // Берём на одну запись больше, чтобы понять, есть ли следующая страница
+    const result = await pool.query(
+      `SELECT ${AUDIT_COLUMNS}
+       FROM schedule_changes sc
+       LEFT JOIN users u ON u.id = sc.admin_id
+       ${where}
+       ORDER BY sc.id DESC
+       LIMIT ${limit + 1}`,
+      params
+    );
+
+    const items = result.rows.slice(0, limit).map(row => ({ ...row, revertible: isRevertible(row.action_type) }));
+    res.json({
+      items,
+      nextCursor: result.rows.length > limit ? items[items.length - 1].id : null
+    });
+  } catch (err) {
+    console.error('Ошибка получения истории изменений:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Выгрузить историю изменений в CSV (те же фильтры, без пагинации)
+ *
+ * Разделитель — «;», UTF-8 с BOM, чтобы файл сразу открывался в Excel.
+ *
+ * @route GET /api/admin/audit/export
+ * @returns {string} text/csv, не больше EXPORT_LIMIT строк
+ */
+const exportAuditLog = async (req, res) => {
+  const { error, where, params } = buildAuditFilter({ ...req.query, cursor: undefined });
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const result = await pool.query(
+      `SELECT ${AUDIT_COLUMNS}
+       FROM schedule_changes sc
+       LEFT JOIN users u ON u.id = sc.admin_id
+       ${where}
+       ORDER BY sc.id DESC
+       LIMIT ${EXPORT_LIMIT}`,
+      params
+    );
+
+    const columns = [
+      'id', 'changed_at', 'admin_email', 'action_type', 'target_type', 'target_id',
+      'group_ids', 'reverted_by', 'old_value', 'new_value'
+    ];
+    const lines = [
+      columns.join(';'),
+      ...result.rows.map(row => columns
+        .map(column => csvCell(column === 'group_ids' ? (row.group_ids || []).join(',') : row[column]))
+        .join(';'))
+    ];
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="audit.csv"');
+    res.send('\uFEFF' + lines.join('\r\n'));
+  } catch (err) {
+    console.error('Ошибка выгрузки истории изменений:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Значения для фильтров истории: админы, типы действий и объектов, которые есть в логе
+ *
+ * @route GET /api/admin/audit/filters
+ * @returns {Object} { admins: [{ id, email }], actionTypes: string[], targetTypes: string[] }
+ */
+const getAuditFilters = async (req, res) => {
+  try {
+    const [admins, actionTypes, targetTypes] = await Promise.all([
+      pool.query(
+        `SELECT u.id, u.email FROM users u
+         WHERE EXISTS (SELECT 1 FROM schedule_changes sc WHERE sc.admin_id = u.id)
+         ORDER BY u.email`
+      ),
+      pool.query('SELECT DISTINCT action_type FROM schedule_changes ORDER BY action_type'),
+      pool.query('SELECT DISTINCT target_type FROM schedule_changes WHERE target_type IS NOT NULL ORDER BY target_type')
+    ]);
+
+    res.json({
+      admins: admins.rows,
+      actionTypes: actionTypes.rows.map(row => row.action_type),
+      targetTypes: targetTypes.rows.map(row => row.target_type)
+    });
+  } catch (err) {
+    console.error('Ошибка получения фильтров истории:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Откатить изменение из истории
+ *
+ * @route POST /api/admin/audit/:id/revert
+ * @param {string} req.params.id - ID записи schedule_changes
+ * @param {boolean} [req.body.override=false] - Откатить, несмотря на более поздние изменения
+ * @returns {Object} { message, deleted, restored, updated }
+ * @throws {400} Некорректный id, действие не поддерживает откат или уже откачено
+ * @throws {404} Запись не найдена
+ * @throws {409} { message, conflicts } — данные менялись после записи и не передан override
+ */
+const revertChange = async (req, res) => {
+  const id = Number(req.params.id);
+  const override = Boolean(req.body?.override);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ message: 'id: укажите положительное целое число' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const changeRes = await client.query('SELECT * FROM schedule_changes WHERE id = $1 FOR UPDATE', [id]);
+    if (changeRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Запись истории не найдена' });
+    }
+    const change = changeRes.rows[0];
+
+    // Строка заблокирована FOR UPDATE: параллельный откат дождётся COMMIT и увидит reverted_at
+    if (change.reverted_at) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Это изменение уже откачено' });
+    }
+
+    const plan = buildRevertPlan(change);
+    if (!plan) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Действие «${change.action_type}» нельзя откатить` });
+    }
+
+    const conflicts = await findRevertConflicts(client, change, plan);
+    if (conflicts.length > 0 && !override) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'После этого изменения данные менялись', conflicts });
+    }
+
+    const result = await applyRevert(client, plan);
+    await client.query('UPDATE schedule_changes SET reverted_at = NOW() WHERE id = $1', [change.id]);
+
+    await client.query('COMMIT');
+    if (plan.calendar) await loadCalendar(pool);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'revert_change',
+      targetType: 'schedule_change',
+      targetId: change.id,
+      oldValue: {
+        action_type: change.action_type,
+        lessons: result.deleted,
+        updated: result.updated.map(u => u.before)
+      },
+      newValue: {
+        ids: result.restored,
+        updated: result.updated.map(u => u.after),
+        conflicts: conflicts.length > 0 ? conflicts : undefined
+      }
+    });
+
+    // Изменённые до отката занятия — как удалённые из прежнего слота (в тот же слот встанут восстановленные)
+    await notifyLessonChanges({
+      actionType: 'revert_change',
+      lessons: [...result.deleted, ...result.updated.map(u => u.before)].map(lesson => ({ ...lesson, removed: true })),
+      lessonIds: [...result.restored, ...result.updated.map(u => Number(u.after.id))],
+      actorId: req.user.id
+    });
+
+    res.json({
+      message: 'Изменение откачено',
+      deleted: result.deleted.length,
+      restored: result.restored.length,
+      updated: result.updated.length
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Ошибка отката изменения:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getAuditLog,
+  exportAuditLog,
+  getAuditFilters,
+  revertChange
+};
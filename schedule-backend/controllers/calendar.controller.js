@@ -0,0 +1,790 @@
+/**
+ * @file calendar.controller.js
+ * @description Контроллер учебного календаря: учебные годы, семестры, праздники, каникулы и переносы.
+ *
+ * После каждого изменения (после COMMIT) календарь перечитывается в кэш calendar.service,
+ * поэтому номера и чётность недель сразу считаются по новым правилам.
+ *
+ * Все функции защищены authMiddleware + adminOnly.
+ *
+ * @requires ../db
+ * @requires ../services/audit.service
+ * @requires ../services/calendar.service
+ * @requires ../services/notification.service
+ * @requires ../services/series.service
+ * @requires ../services/stream.service
+ */
+
+const pool = require('../db');
+const { logChange } = require('../services/audit.service');
+const { WEEK_NUMBERING, WEEK_PARITIES, EXCEPTION_KINDS, loadCalendar, ensureCalendar } = require('../services/calendar.service');
+const { notifyLessonChanges } = require('../services/notification.service');
+const { replanSeries } = require('../services/series.service');
+const { lessonGroupsJoin } = require('../services/stream.service');
+const { formatLocalDate } = require('../services/week.service');
+
+/** @constant {RegExp} Формат даты (YYYY-MM-DD) */
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Сегодняшняя дата (YYYY-MM-DD) — прошедшие занятия при изменении календаря не трогаются
+ * @private
+ * @returns {string}
+ */
+function today() {
+  return formatLocalDate(new Date());
+}
+
+/**
+ * Проверяет и нормализует поля учебного года из тела запроса
+ * @private
+ * @param {Object} body - req.body
+ * @param {boolean} partial - PATCH: поля необязательны
+ * @returns {{ error?: string, data?: Object }}
+ */
+function parseYearBody(body = {}, partial = false) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Укажите название учебного года, например 2026/2027' };
+    data.name = name;
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (body[field] !== undefined || !partial) {
+      if (!DATE_RE.test(body[field] || '')) return { error: `${field}: укажите дату в формате YYYY-MM-DD` };
+      data[field] = body[field];
+    }
+  }
+
+  if (body.week_numbering !== undefined) {
+    if (!WEEK_NUMBERING.includes(body.week_numbering)) {
+      return { error: `week_numbering: ${WEEK_NUMBERING.join(' | ')}` };
+    }
+    data.week_numbering = body.week_numbering;
+  }
+
+  if (body.first_week_parity !== undefined) {
+    if (!WEEK_PARITIES.includes(body.first_week_parity)) {
+      return { error: `first_week_parity: ${WEEK_PARITIES.join(' | ')}` };
+    }
+    data.first_week_parity = body.first_week_parity;
+  }
+
+  return { data };
+}
+
+/**
+ * Проверяет и нормализует поля семестра из тела запроса
+ * @private
+ * @param {Object} body - req.body
+ * @param {boolean} partial - PATCH: поля необязательны
+ * @returns {{ error?: string, data?: Object }}
+ */
+function parseSemesterBody(body = {}, partial = false) {
+  const data = {};
+
+  if (body.number !== undefined || !partial) {
+    const number = Number(body.number);
+    if (!Number.isInteger(number) || number <= 0) return { error: 'Номер семестра должен быть положительным целым числом' };
+    data.number = number;
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (body[field] !== undefined || !partial) {
+      if (!DATE_RE.test(body[field] || '')) return { error: `${field}: укажите дату в формате YYYY-MM-DD` };
+      data[field] = body[field];
+    }
+  }
+
+  for (const field of ['name', 'code']) {
+    if (body[field] !== undefined) {
+      const value = String(body[field] || '').trim();
+      if (!value) return { error: `${field}: значение не может быть пустым` };
+      data[field] = value;
+    }
+  }
+
+  return { data };
+}
+
+/**
+ * Проверяет, что год не пересекается с другими, а его семестры остаются внутри него
+ * @private
+ * @param {Object} db - client
+ * @param {Object} year - { id?, start_date, end_date }
+ * @returns {Promise<string|null>} Текст ошибки или null
+ */
+async function validateYear(db, year) {
+  if (year.start_date >= year.end_date) return 'Дата начала года должна быть раньше даты окончания';
+
+  const overlap = await db.query(
+    `SELECT name FROM academic_years
+     WHERE id <> $1 AND start_date <= $3 AND $2 <= end_date`,
+    [year.id || 0, year.start_date, year.end_date]
+  );
+  if (overlap.rows.length > 0) return `Пересекается с учебным годом ${overlap.rows[0].name}`;
+
+  if (year.id) {
+    const outside = await db.query(
+      `SELECT name FROM semesters
+       WHERE academic_year_id = $1 AND (start_date < $2 OR end_date > $3)`,
+      [year.id, year.start_date, year.end_date]
+    );
+    if (outside.rows.length > 0) return `Семестр «${outside.rows[0].name}» выходит за границы года`;
+  }
+
+  return null;
+}
+
+/**
+ * Проверяет, что семестр лежит внутри своего года и не пересекается с другими семестрами
+ * @private
+ * @param {Object} db - client
+ * @param {Object} semester - { id?, academic_year_id, start_date, end_date }
+ * @returns {Promise<string|null>} Текст ошибки или null
+ */
+async function validateSemester(db, semester) {
+  if (semester.start_date > semester.end_date) return 'Дата начала семестра позже даты окончания';
+
+  const yearRes = await db.query(
+    `SELECT to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+     FROM academic_years WHERE id = $1`,
+    [semester.academic_year_id]
+  );
+  const year = yearRes.rows[0];
+  if (semester.start_date < year.start_date || semester.end_date > year.end_date) {
+    return `Семестр должен быть внутри учебного года (${year.start_date} — ${year.end_date})`;
+  }
+
+  const overlap = await db.query(
+    `SELECT name FROM semesters
+     WHERE academic_year_id = $1 AND id <> $2 AND start_date <= $4 AND $3 <= end_date`,
+    [semester.academic_year_id, semester.id || 0, semester.start_date, semester.end_date]
+  );
+  if (overlap.rows.length > 0) return `Пересекается с семестром «${overlap.rows[0].name}»`;
+
+  return null;
+}
+
+/** Поля года и семестра в ответах API (даты — YYYY-MM-DD) */
+const YEAR_COLUMNS = `id, name, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date, week_numbering, first_week_parity`;
+const SEMESTER_COLUMNS = `id, academic_year_id, number, code, name,
+  to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date`;
+
+/**
+ * Получить учебные годы с семестрами
+ * @route GET /api/admin/academic-years
+ * @returns {Object[]} { id, name, start_date, end_date, week_numbering, first_week_parity, semesters: [...] }
+ */
+const getAcademicYears = async (req, res) => {
+  try {
+    const [years, semesters] = await Promise.all([
+      pool.query(`SELECT ${YEAR_COLUMNS} FROM academic_years ORDER BY start_date DESC`),
+      pool.query(`SELECT ${SEMESTER_COLUMNS} FROM semesters ORDER BY start_date`)
+    ]);
+
+    res.json(years.rows.map(year => ({
+      ...year,
+      semesters: semesters.rows.filter(s => s.academic_year_id === year.id)
+    })));
+  } catch (err) {
+    console.error('Ошибка получения учебного календаря:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Создать учебный год
+ * @route POST /api/admin/academic-years
+ * @param {Object} req.body
+ * @param {string} req.body.name - Название, например 2026/2027
+ * @param {string} req.body.start_date - Начало (YYYY-MM-DD)
+ * @param {string} req.body.end_date - Конец (YYYY-MM-DD)
+ * @param {string} [req.body.week_numbering='year'] - year | semester
+ * @param {string} [req.body.first_week_parity='odd'] - odd | even
+ * @returns {Object} Созданный год
+ */
+const createAcademicYear = async (req, res) => {
+  const { error, data } = parseYearBody(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const invalid = await validateYear(client, data);
+    if (invalid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: invalid });
+    }
+
+    const result = await client.query(
+      `INSERT INTO academic_years (name, start_date, end_date, week_numbering, first_week_parity)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${YEAR_COLUMNS}`,
+      [data.name, data.start_date, data.end_date, data.week_numbering || 'year', data.first_week_parity || 'odd']
+    );
+
+    await client.query('COMMIT');
+    await loadCalendar(pool);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'create_academic_year',
+      targetType: 'academic_year',
+      targetId: result.rows[0].id,
+      newValue: result.rows[0]
+    });
+
+    res.status(201).json({ ...result.rows[0], semesters: [] });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'Учебный год с таким названием уже существует' });
+    }
+    console.error('Ошибка создания учебного года:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Изменить учебный год
+ * @route PATCH /api/admin/academic-years/:id
+ * @param {string} req.params.id - ID года
+ * @returns {Object} Обновлённый год
+ */
+const updateAcademicYear = async (req, res) => {
+  const { id } = req.params;
+  const { error, data } = parseYearBody(req.body, true);
+  if (error) return res.status(400).json({ message: error });
+
+  const fields = Object.keys(data);
+  if (fields.length === 0) return res.status(400).json({ message: 'Нет полей для изменения' });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const oldRes = await client.query(`SELECT ${YEAR_COLUMNS} FROM academic_years WHERE id = $1 FOR UPDATE`, [id]);
+    if (oldRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Учебный год не найден' });
+    }
+
+    const invalid = await validateYear(client, { ...oldRes.rows[0], ...data });
+    if (invalid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: invalid });
+    }
+
+    const setClause = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+    const result = await client.query(
+      `UPDATE academic_years SET ${setClause} WHERE id = $1 RETURNING ${YEAR_COLUMNS}`,
+      [id, ...fields.map(f => data[f])]
+    );
+
+    await client.query('COMMIT');
+    await loadCalendar(pool);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'update_academic_year',
+      targetType: 'academic_year',
+      targetId: Number(id),
+      oldValue: oldRes.rows[0],
+      newValue: result.rows[0]
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'Учебный год с таким названием уже существует' });
+    }
+    console.error('Ошибка изменения учебного года:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Удалить учебный год вместе с его семестрами
+ * @route DELETE /api/admin/academic-years/:id
+ * @param {string} req.params.id - ID года
+ */
+const deleteAcademicYear = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const oldRes = await pool.query(`SELECT ${YEAR_COLUMNS} FROM academic_years WHERE id = $1`, [id]);
+    if (oldRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Учебный год не найден' });
+    }
+    const semesters = await pool.query(`SELECT ${SEMESTER_COLUMNS} FROM semesters WHERE academic_year_id = $1`, [id]);
+
+    await pool.query('DELETE FROM academic_years WHERE id = $1', [id]);
+    await loadCalendar(pool);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_academic_year',
+      targetType: 'academic_year',
+      targetId: Number(id),
+      oldValue: { ...oldRes.rows[0], semesters: semesters.rows }
+    });
+
+    res.json({ message: 'Учебный год удалён' });
+  } catch (err) {
+    console.error('Ошибка удаления учебного года:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Создать семестр
+ *
+ * code по умолчанию — «<год>-<номер>» (2026/2027-1): по нему семестр связан с
+ * учебными планами, назначениями преподавателей и черновиками генератора.
+ *
+ * @route POST /api/admin/semesters
+ * @param {Object} req.body
+ * @param {number} req.body.academic_year_id - ID учебного года
+ * @param {number} req.body.number - Номер семестра в году
+ * @param {string} req.body.start_date - Начало (YYYY-MM-DD)
+ * @param {string} req.body.end_date - Конец (YYYY-MM-DD)
+ * @param {string} [req.body.name] - Название (по умолчанию «N семестр»)
+ * @param {string} [req.body.code] - Код семестра
+ * @returns {Object} Созданный семестр
+ */
+const createSemester = async (req, res) => {
+  const { error, data } = parseSemesterBody(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const yearRes = await client.query('SELECT id, name FROM academic_years WHERE id = $1', [req.body.academic_year_id]);
+    if (yearRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Учебный год не найден' });
+    }
+    const year = yearRes.rows[0];
+
+    const semester = {
+      ...data,
+      academic_year_id: year.id,
+      code: data.code || `${year.name}-${data.number}`,
+      name: data.name || `${data.number} семестр`
+    };
+
+    const invalid = await validateSemester(client, semester);
+    if (invalid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: invalid });
+    }
+
+    const result = await client.query(
+      `INSERT INTO semesters (academic_year_id, number, code, name, start_date, end_date)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${SEMESTER_COLUMNS}`,
+      [semester.academic_year_id, semester.number, semester.code, semester.name, semester.start_date, semester.end_date]
+    );
+
+    await client.query('COMMIT');
+    await loadCalendar(pool);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'create_semester',
+      targetType: 'semester',
+      targetId: result.rows[0].id,
+      newValue: result.rows[0]
+    });
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'Семестр с таким номером или кодом уже существует' });
+    }
+    console.error('Ошибка создания семестра:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Изменить семестр
+ * @route PATCH /api/admin/semesters/:id
+ * @param {string} req.params.id - ID семестра
+ * @returns {Object} Обновлённый семестр
+ */
+const updateSemester = async (req, res) => {
+  const { id } = req.params;
+  const { error, data } = parseSemesterBody(req.body, true);
+  if (error) return res.status(400).json({ message: error });
+
+  const fields = Object.keys(data);
+  if (fields.length === 0) return res.status(400).json({ message: 'Нет полей для изменения' });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const oldRes = await client.query(`SELECT ${SEMESTER_COLUMNS} FROM semesters WHERE id = $1 FOR UPDATE`, [id]);
+    if (oldRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Семестр не найден' });
+    }
+
+    const invalid = await validateSemester(client, { ...oldRes.rows[0], ...data });
+    if (invalid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: invalid });
+    }
+
+    const setClause = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+    const result = await client.query(
+      `UPDATE semesters SET ${setClause} WHERE id = $1 RETURNING ${SEMESTER_COLUMNS}`,
+      [id, ...fields.map(f => data[f])]
+    );
+
+    // Учебные планы, назначения и черновики ссылаются на семестр по коду — переименовываем и там
+    if (data.code && data.code !== oldRes.rows[0].code) {
+      for (const table of ['curriculum_plans', 'teacher_assignments', 'timetable_drafts']) {
+        await client.query(`UPDATE ${table} SET semester = $1 WHERE semester = $2`, [data.code, oldRes.rows[0].code]);
+      }
+    }
+
+    await client.query('COMMIT');
+    await loadCalendar(pool);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'update_semester',
+      targetType: 'semester',
+      targetId: Number(id),
+      oldValue: oldRes.rows[0],
+      newValue: result.rows[0]
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'Семестр с таким номером или кодом уже существует' });
+    }
+    console.error('Ошибка изменения семестра:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Удалить семестр
+ * @route DELETE /api/admin/semesters/:id
+ * @param {string} req.params.id - ID семестра
+ */
+const deleteSemester = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const oldRes = await pool.query(`SELECT ${SEMESTER_COLUMNS} FROM semesters WHERE id = $1`, [id]);
+    if (oldRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Семестр не найден' });
+    }
+
+    await pool.query('DELETE FROM semesters WHERE id = $1', [id]);
+    await loadCalendar(pool);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_semester',
+      targetType: 'semester',
+      targetId: Number(id),
+      oldValue: oldRes.rows[0]
+    });
+
+    res.json({ message: 'Семестр удалён' });
+  } catch (err) {
+    console.error('Ошибка удаления семестра:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/* ================== ИСКЛЮЧЕНИЯ КАЛЕНДАРЯ ================== */
+
+/** Поля исключения календаря в ответах API (даты — YYYY-MM-DD) */
+const EXCEPTION_COLUMNS = `id, kind, to_char(date_from, 'YYYY-MM-DD') AS date_from,
+  to_char(date_to, 'YYYY-MM-DD') AS date_to, weekday, name`;
+
+/**
+ * Проверяет и нормализует исключение календаря из тела запроса
+ * @private
+ * @param {Object} body - req.body
+ * @returns {{ error?: string, data?: Object }}
+ */
+function parseExceptionBody(body = {}) {
+  const { kind } = body;
+  if (!EXCEPTION_KINDS[kind]) {
+    return { error: `kind: ${Object.keys(EXCEPTION_KINDS).join(' | ')}` };
+  }
+  if (!DATE_RE.test(body.date_from || '')) {
+    return { error: 'date_from: укажите дату в формате YYYY-MM-DD' };
+  }
+
+  // Праздник и перенос — один день, каникулы — диапазон
+  const dateTo = kind === 'vacation' ? body.date_to : body.date_from;
+  if (!DATE_RE.test(dateTo || '') || dateTo < body.date_from) {
+    return { error: 'date_to: укажите дату окончания каникул не раньше date_from' };
+  }
+
+  let weekday = null;
+  if (kind === 'transfer') {
+    weekday = Number(body.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 5) {
+      return { error: 'weekday: день недели, по расписанию которого идёт перенос, 0 (Пн) - 5 (Сб)' };
+    }
+  }
+
+  return {
+    data: {
+      kind,
+      date_from: body.date_from,
+      date_to: dateTo,
+      weekday,
+      name: String(body.name || '').trim() || null
+    }
+  };
+}
+
+/**
+ * Получить исключения календаря за период
+ * @route GET /api/admin/calendar-exceptions
+ * @param {string} [req.query.from] - Начало периода (YYYY-MM-DD)
+ * @param {string} [req.query.to] - Конец периода (YYYY-MM-DD)
+ * @returns {Object[]} { id, kind, date_from, date_to, weekday, name }
+ */
+const getCalendarExceptions = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${EXCEPTION_COLUMNS}
+       FROM calendar_exceptions
+       WHERE date_to >= $1 AND date_from <= $2
+       ORDER BY date_from, kind`,
+      [req.query.from || '1970-01-01', req.query.to || '2099-12-31']
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения исключений календаря:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Добавить праздник, каникулы или день переноса
+ *
+ * Серии занятий с сегодняшнего дня пересоздаются по новому календарю: в праздник и на
+ * каникулах их занятий нет, в день переноса появляются занятия указанного дня недели.
+ * Отдельные занятия (не по правилу серии) в праздник и на каникулах удаляются —
+ * если такие есть, без override отвечает 409 со списком.
+ *
+ * @route POST /api/admin/calendar-exceptions
+ * @param {Object} req.body
+ * @param {string} req.body.kind - holiday | vacation | transfer
+ * @param {string} req.body.date_from - Дата (YYYY-MM-DD)
+ * @param {string} [req.body.date_to] - Конец каникул (YYYY-MM-DD)
+ * @param {number} [req.body.weekday] - Перенос: по расписанию какого дня недели идёт дата (0 = Пн)
+ * @param {string} [req.body.name] - Название, например «День народного единства»
+ * @param {boolean} [req.body.override=false] - Удалить отдельные занятия в эти даты
+ * @returns {Object} { exception, removed, replanned }
+ * @throws {409} { message, lessons } — в эти даты есть отдельные занятия и не передан override
+ */
+const createCalendarException = async (req, res) => {
+  const { error, data } = parseExceptionBody(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  const client = await pool.connect();
+
+  try {
+    // Годы и семестры — из кэша; исключения replanSeries читает сама, внутри транзакции
+    await ensureCalendar(pool);
+    await client.query('BEGIN');
+
+    const overlap = await client.query(
+      `SELECT ${EXCEPTION_COLUMNS} FROM calendar_exceptions
+       WHERE kind = $1 AND date_from <= $3 AND $2 <= date_to`,
+      [data.kind, data.date_from, data.date_to]
+    );
+    if (overlap.rows.length > 0) {
+      await client.query('ROLLBACK');
+      const other = overlap.rows[0];
+      return res.status(400).json({
+        message: `Пересекается с «${other.name || EXCEPTION_KINDS[other.kind]}» (${other.date_from} — ${other.date_to})`
+      });
+    }
+
+    const result = await client.query(
+      `INSERT INTO calendar_exceptions (kind, date_from, date_to, weekday, name)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${EXCEPTION_COLUMNS}`,
+      [data.kind, data.date_from, data.date_to, data.weekday, data.name]
+    );
+    const exception = result.rows[0];
+
+    // Прошедшие даты не переписываем
+    const from = data.date_from > today() ? data.date_from : today();
+    let removed = [];
+    let replanned = { removed: [], inserted: [] };
+
+    if (from <= data.date_to) {
+      if (data.kind !== 'transfer') {
+        const lessonsRes = await client.query(
+          `SELECT l.*, to_char(l.lesson_date, 'YYYY-MM-DD') AS lesson_date, lg.group_name
+           FROM lessons l
+           ${lessonGroupsJoin('l')}
+           WHERE l.lesson_date BETWEEN $1 AND $2 AND (l.series_id IS NULL OR l.is_exception)
+           ORDER BY l.lesson_date, l.start_time`,
+          [from, data.date_to]
+        );
+
+        if (lessonsRes.rows.length > 0 && !req.body.override) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            message: `На эти даты есть отдельные занятия (${lessonsRes.rows.length}) — они будут удалены`,
+            lessons: lessonsRes.rows
+          });
+        }
+
+        await client.query('DELETE FROM lessons WHERE id = ANY($1::int[])', [lessonsRes.rows.map(l => l.id)]);
+        removed = lessonsRes.rows;
+      }
+
+      replanned = await replanSeries(client, from, data.date_to);
+    }
+
+    await client.query('COMMIT');
+    await loadCalendar(pool);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'create_calendar_exception',
+      targetType: 'calendar_exception',
+      targetId: exception.id,
+      oldValue: { lessons: [...removed, ...replanned.removed] },
+      newValue: { ...exception, ids: replanned.inserted }
+    });
+
+    await notifyLessonChanges({
+      actionType: 'create_calendar_exception',
+      lessons: [...removed, ...replanned.removed].map(lesson => ({ ...lesson, removed: true })),
+      lessonIds: replanned.inserted,
+      actorId: req.user.id
+    });
+
+    res.status(201).json({
+      exception,
+      removed: removed.length,
+      replanned: { removed: replanned.removed.length, inserted: replanned.inserted.length }
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Ошибка добавления исключения календаря:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Удалить исключение календаря
+ *
+ * Серии занятий с сегодняшнего дня пересоздаются без него. Отдельные занятия,
+ * удалённые при добавлении праздника, не восстанавливаются.
+ *
+ * @route DELETE /api/admin/calendar-exceptions/:id
+ * @param {string} req.params.id - ID исключения
+ * @returns {Object} { message, replanned }
+ */
+const deleteCalendarException = async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+
+  try {
+    // Годы и семестры — из кэша; исключения replanSeries читает сама, внутри транзакции
+    await ensureCalendar(pool);
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `DELETE FROM calendar_exceptions WHERE id = $1 RETURNING ${EXCEPTION_COLUMNS}`,
+      [id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Исключение календаря не найдено' });
+    }
+    const exception = result.rows[0];
+
+    const from = exception.date_from > today() ? exception.date_from : today();
+    let replanned = { removed: [], inserted: [] };
+    if (from <= exception.date_to) {
+      replanned = await replanSeries(client, from, exception.date_to);
+    }
+
+    await client.query('COMMIT');
+    await loadCalendar(pool);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_calendar_exception',
+      targetType: 'calendar_exception',
+      targetId: exception.id,
+      oldValue: { ...exception, lessons: replanned.removed },
+      newValue: { ids: replanned.inserted }
+    });
+
+    await notifyLessonChanges({
+      actionType: 'delete_calendar_exception',
+      lessons: replanned.removed.map(lesson => ({ ...lesson, removed: true })),
+      lessonIds: replanned.inserted,
+      actorId: req.user.id
+    });
+
+    res.json({
+      message: 'Исключение календаря удалено',
+      replanned: { removed: replanned.removed.length, inserted: replanned.inserted.length }
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Ошибка удаления исключения календаря:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getAcademicYears,
+  createAcademicYear,
+  updateAcademicYear,
+  deleteAcademicYear,
+  createSemester,
+  updateSemester,
+  deleteSemester,
+  getCalendarExceptions,
+  createCalendarException,
+  deleteCalendarException
+};
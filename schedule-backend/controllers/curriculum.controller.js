@@ -0,0 +1,520 @@
+/**
+ * @file curriculum.controller.js
+ * @description Контроллер каталога дисциплин и учебного плана групп.
+ *
+ * - Каталог дисциплин (subjects)
+ * - Учебный план: требуемые часы лекций, практик и лабораторных для группы в семестре
+ * - Назначения преподавателей: кто ведёт дисциплину у группы (по видам занятий)
+ * - Отчёт «план / факт»: сравнение плана с часами, поставленными в lessons
+ *
+ * Все функции защищены authMiddleware + adminOnly.
+ *
+ * @requires ../db
+ * @requires ../services/audit.service
+ * @requires ../services/subject.service
+ * @requires ../services/stream.service
+ */
+
+const pool = require('../db');
+const { logChange } = require('../services/audit.service');
+const { LESSON_KINDS, minutesToHours } = require('../services/subject.service');
+const { groupLessonCondition } = require('../services/stream.service');
+
+/* ================== ДИСЦИПЛИНЫ ================== */
+
+/**
+ * Получить каталог дисциплин
+ * @route GET /api/admin/subjects
+ * @returns {Object[]} { id, name, short_name }
+ */
+const getSubjects = async (req, res) => {
+  try {
+    const result = await pool.query('SELECT id, name, short_name FROM subjects ORDER BY name');
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения дисциплин:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Добавить дисциплину
+ * @route POST /api/admin/subjects
+ * @param {Object} req.body
+ * @param {string} req.body.name - Название
+ * @param {string} [req.body.short_name] - Сокращение для сетки
+ * @returns {Object} Созданная дисциплина
+ */
+const createSubject = async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  const shortName = String(req.body.short_name || '').trim() || null;
+  if (!name) return res.status(400).json({ message: 'Укажите название дисциплины' });
+
+  try {
+    const result = await pool.query(
+      'INSERT INTO subjects (name, short_name) VALUES ($1, $2) RETURNING id, name, short_name',
+      [name, shortName]
+    );
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'create_subject',
+      targetType: 'subject',
+      targetId: result.rows[0].id,
+      newValue: result.rows[0]
+    });
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'Такая дисциплина уже есть в каталоге' });
+    }
+    console.error('Ошибка создания дисциплины:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Переименовать дисциплину (lessons.subject обновляется вместе с ней)
+ * @route PATCH /api/admin/subjects/:id
+ * @param {string} req.params.id - ID дисциплины
+ * @param {string} req.body.name - Название
+ * @param {string|null} [req.body.short_name] - Сокращение; без ключа не меняется, null или '' — убрать
+ * @returns {Object} Обновлённая дисциплина
+ */
+const updateSubject = async (req, res) => {
+  const { id } = req.params;
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ message: 'Укажите название дисциплины' });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const oldRes = await client.query('SELECT id, name, short_name FROM subjects WHERE id = $1', [id]);
+    if (oldRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Дисциплина не найдена' });
+    }
+
+    const shortName = req.body.short_name === undefined
+      ? oldRes.rows[0].short_name
+      : String(req.body.short_name ?? '').trim() || null;
+
+    const result = await client.query(
+      `UPDATE subjects SET name = $1, short_name = $2
+       WHERE id = $3 RETURNING id, name, short_name`,
+      [name, shortName, id]
+    );
+    await client.query('UPDATE lessons SET subject = $1 WHERE subject_id = $2', [name, id]);
+
+    await client.query('COMMIT');
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'update_subject',
+      targetType: 'subject',
+      targetId: Number(id),
+      oldValue: oldRes.rows[0],
+      newValue: result.rows[0]
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'Такая дисциплина уже есть в каталоге' });
+    }
+    console.error('Ошибка изменения дисциплины:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Удалить дисциплину (только если по ней нет занятий)
+ * @route DELETE /api/admin/subjects/:id
+ * @param {string} req.params.id - ID дисциплины
+ * @throws {409} Если дисциплина используется в занятиях
+ */
+const deleteSubject = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const oldRes = await pool.query('SELECT id, name, short_name FROM subjects WHERE id = $1', [id]);
+    if (oldRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Дисциплина не найдена' });
+    }
+
+    const usage = await pool.query('SELECT COUNT(*)::int AS count FROM lessons WHERE subject_id = $1', [id]);
+    if (usage.rows[0].count > 0) {
+      return res.status(409).json({ message: `Дисциплина используется в ${usage.rows[0].count} занятиях` });
+    }
+
+    await pool.query('DELETE FROM subjects WHERE id = $1', [id]);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_subject',
+      targetType: 'subject',
+      targetId: Number(id),
+      oldValue: oldRes.rows[0]
+    });
+
+    res.json({ message: 'Дисциплина удалена' });
+  } catch (err) {
+    console.error('Ошибка удаления дисциплины:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/* ================== УЧЕБНЫЙ ПЛАН ================== */
+
+/**
+ * Получить учебный план группы на семестр
+ * @route GET /api/admin/curriculum
+ * @param {Object} req.query
+ * @param {string} req.query.groupId - ID группы
+ * @param {string} req.query.semester - Семестр, например '2025/2026-1'
+ * @returns {Object[]} { id, subject_id, subject, lecture_hours, practice_hours, lab_hours }
+ */
+const getCurriculum = async (req, res) => {
+  const { groupId, semester } = req.query;
+  if (!groupId || !semester) {
+    return res.status(400).json({ message: 'Укажите groupId и semester' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT cp.id, cp.subject_id, s.name AS subject,
+              cp.lecture_hours, cp.practice_hours, cp.lab_hours
+       FROM curriculum_plans cp
+       JOIN subjects s ON s.id = cp.subject_id
+       WHERE cp.group_id = $1 AND cp.semester = $2
+       ORDER BY s.name`,
+      [groupId, semester]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения учебного плана:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Задать часы по дисциплине в учебном плане (создаёт или перезаписывает строку)
+ * @route PUT /api/admin/curriculum
+ * @param {Object} req.body
+ * @param {number} req.body.group_id
+ * @param {string} req.body.semester
+ * @param {number} req.body.subject_id
+ * @param {number} [req.body.lecture_hours=0]
+ * @param {number} [req.body.practice_hours=0]
+ * @param {number} [req.body.lab_hours=0]
+ * @returns {Object} Строка плана
+ */
+const saveCurriculumPlan = async (req, res) => {
+  const { group_id, semester, subject_id } = req.body;
+  if (!group_id || !semester || !subject_id) {
+    return res.status(400).json({ message: 'Укажите group_id, semester и subject_id' });
+  }
+
+  const hours = {};
+  for (const kind of LESSON_KINDS) {
+    const value = Number(req.body[`${kind}_hours`] ?? 0);
+    if (!Number.isInteger(value) || value < 0) {
+      return res.status(400).json({ message: 'Часы должны быть неотрицательными целыми числами' });
+    }
+    hours[kind] = value;
+  }
+
+  try {
+    const oldRes = await pool.query(
+      'SELECT * FROM curriculum_plans WHERE group_id = $1 AND semester = $2 AND subject_id = $3',
+      [group_id, String(semester).trim(), subject_id]
+    );
+
+    const result = await pool.query(
+      `INSERT INTO curriculum_plans (group_id, semester, subject_id, lecture_hours, practice_hours, lab_hours)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (group_id, semester, subject_id)
+       DO UPDATE SET lecture_hours = EXCLUDED.lecture_hours,
+                     practice_hours = EXCLUDED.practice_hours,
+                     lab_hours = EXCLUDED.lab_hours
+       RETURNING *`,
+      [group_id, String(semester).trim(), subject_id, hours.lecture, hours.practice, hours.lab]
+    );
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'save_curriculum_plan',
+      targetType: 'curriculum_plan',
+      targetId: result.rows[0].id,
+      oldValue: oldRes.rows[0] || null,
+      newValue: result.rows[0]
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(400).json({ message: 'Группа или дисциплина не найдены' });
+    }
+    console.error('Ошибка сохранения учебного плана:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Удалить дисциплину из учебного плана
+ * @route DELETE /api/admin/curriculum/:id
+ * @param {string} req.params.id - ID строки плана
+ */
+const deleteCurriculumPlan = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query('DELETE FROM curriculum_plans WHERE id = $1 RETURNING *', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Строка плана не найдена' });
+    }
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_curriculum_plan',
+      targetType: 'curriculum_plan',
+      targetId: Number(id),
+      oldValue: result.rows[0]
+    });
+
+    res.json({ message: 'Строка плана удалена' });
+  } catch (err) {
+    console.error('Ошибка удаления строки плана:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/* ================== НАЗНАЧЕНИЯ ПРЕПОДАВАТЕЛЕЙ ================== */
+
+/**
+ * Получить назначения преподавателей группы на семестр
+ * @route GET /api/admin/teacher-assignments
+ * @param {Object} req.query
+ * @param {string} req.query.groupId - ID группы
+ * @param {string} req.query.semester - Семестр
+ * @returns {Object[]} { id, subject_id, subject, type, teacher_id, teacher }
+ */
+const getTeacherAssignments = async (req, res) => {
+  const { groupId, semester } = req.query;
+  if (!groupId || !semester) {
+    return res.status(400).json({ message: 'Укажите groupId и semester' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ta.id, ta.subject_id, s.name AS subject, ta.type,
+              ta.teacher_id, u.full_name AS teacher
+       FROM teacher_assignments ta
+       JOIN subjects s ON s.id = ta.subject_id
+       JOIN users u ON u.id = ta.teacher_id
+       WHERE ta.group_id = $1 AND ta.semester = $2
+       ORDER BY s.name, ta.type`,
+      [groupId, semester]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения назначений преподавателей:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Назначить преподавателя на вид занятий по дисциплине (перезаписывает прежнее назначение)
+ * @route PUT /api/admin/teacher-assignments
+ * @param {Object} req.body
+ * @param {number} req.body.group_id
+ * @param {string} req.body.semester
+ * @param {number} req.body.subject_id
+ * @param {string} req.body.type - lecture | practice | lab
+ * @param {number} req.body.teacher_id
+ * @returns {Object} Назначение
+ */
+const saveTeacherAssignment = async (req, res) => {
+  const { group_id, semester, subject_id, type, teacher_id } = req.body;
+  if (!group_id || !semester || !subject_id || !teacher_id || !LESSON_KINDS.includes(type)) {
+    return res.status(400).json({ message: 'Укажите group_id, semester, subject_id, type и teacher_id' });
+  }
+
+  try {
+    const teacher = await pool.query("SELECT id FROM users WHERE id = $1 AND role = 'teacher'", [teacher_id]);
+    if (teacher.rows.length === 0) {
+      return res.status(400).json({ message: 'Преподаватель не найден' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO teacher_assignments (group_id, semester, subject_id, type, teacher_id)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (group_id, semester, subject_id, type)
+       DO UPDATE SET teacher_id = EXCLUDED.teacher_id
+       RETURNING *`,
+      [group_id, String(semester).trim(), subject_id, type, teacher_id]
+    );
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'save_teacher_assignment',
+      targetType: 'teacher_assignment',
+      targetId: result.rows[0].id,
+      newValue: result.rows[0]
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(400).json({ message: 'Группа или дисциплина не найдены' });
+    }
+    console.error('Ошибка назначения преподавателя:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Снять назначение преподавателя
+ * @route DELETE /api/admin/teacher-assignments/:id
+ * @param {string} req.params.id
+ */
+const deleteTeacherAssignment = async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM teacher_assignments WHERE id = $1 RETURNING *', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Назначение не найдено' });
+    }
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_teacher_assignment',
+      targetType: 'teacher_assignment',
+      targetId: Number(req.params.id),
+      oldValue: result.rows[0]
+    });
+
+    res.json({ message: 'Назначение снято' });
+  } catch (err) {
+    console.error('Ошибка снятия назначения:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Отчёт «план / факт» по часам группы
+ *
+ * Часы в расписании считаются по длительности занятий в lessons
+ * (академический час — ACADEMIC_HOUR_MINUTES минут). Дисциплины, которые стоят
+ * в расписании, но отсутствуют в плане, тоже попадают в отчёт (planned = 0).
+ *
+ * @route GET /api/admin/curriculum/report
+ * @param {Object} req.query
+ * @param {string} req.query.groupId - ID группы
+ * @param {string} [req.query.semesterId] - ID семестра из учебного календаря (код и границы)
+ * @param {string} [req.query.semester] - Семестр учебного плана
+ * @param {string} [req.query.from] - Начало семестра (YYYY-MM-DD)
+ * @param {string} [req.query.to] - Конец семестра (YYYY-MM-DD)
+ * @returns {Object} { groupId, semester, from, to, subjects: [{ subject_id, subject, status, hours: { lecture, practice, lab } }] },
+ *   где hours[kind] = { planned, scheduled, diff }, status — 'ok' | 'under' | 'over' | 'mixed'
+ */
+const getCurriculumReport = async (req, res) => {
+  const { groupId, semesterId } = req.query;
+  let { semester, from, to } = req.query;
+
+  try {
+    // Семестр из учебного календаря задаёт код и границы, явные параметры их переопределяют
+    if (semesterId) {
+      const semesterRes = await pool.query(
+        `SELECT code, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+         FROM semesters WHERE id = $1`,
+        [semesterId]
+      );
+      if (semesterRes.rows.length === 0) {
+        return res.status(404).json({ message: 'Семестр не найден' });
+      }
+      semester = semester || semesterRes.rows[0].code;
+      from = from || semesterRes.rows[0].start_date;
+      to = to || semesterRes.rows[0].end_date;
+    }
+
+    if (!groupId || !semester || !/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '')) {
+      return res.status(400).json({ message: 'Укажите groupId и semesterId или semester, from и to (YYYY-MM-DD)' });
+    }
+
+    const result = await pool.query(
+      `WITH scheduled AS (
+         SELECT l.subject_id,
+                SUM(EXTRACT(EPOCH FROM (l.end_time - l.start_time)) / 60)
+                  FILTER (WHERE l.type = 'lecture') AS lecture_minutes,
+                SUM(EXTRACT(EPOCH FROM (l.end_time - l.start_time)) / 60)
+                  FILTER (WHERE l.type = 'practice') AS practice_minutes,
+                SUM(EXTRACT(EPOCH FROM (l.end_time - l.start_time)) / 60)
+                  FILTER (WHERE l.type = 'lab') AS lab_minutes
+         FROM lessons l
+         WHERE ${groupLessonCondition('l', '$1')}
+           AND l.lesson_date BETWEEN $3 AND $4
+           AND l.subject_id IS NOT NULL
+           AND l.status <> 'cancelled'
+         GROUP BY l.subject_id
+       ),
+       plan AS (
+         SELECT * FROM curriculum_plans WHERE group_id = $1 AND semester = $2
+       )
+       SELECT s.id AS subject_id, s.name AS subject,
+              COALESCE(p.lecture_hours, 0) AS lecture_planned,
+              COALESCE(p.practice_hours, 0) AS practice_planned,
+              COALESCE(p.lab_hours, 0) AS lab_planned,
+              COALESCE(sc.lecture_minutes, 0) AS lecture_minutes,
+              COALESCE(sc.practice_minutes, 0) AS practice_minutes,
+              COALESCE(sc.lab_minutes, 0) AS lab_minutes
+       FROM plan p
+       FULL OUTER JOIN scheduled sc ON sc.subject_id = p.subject_id
+       JOIN subjects s ON s.id = COALESCE(p.subject_id, sc.subject_id)
+       ORDER BY s.name`,
+      [groupId, semester, from, to]
+    );
+
+    const subjects = result.rows.map(row => {
+      const hours = {};
+      const statuses = new Set();
+
+      for (const kind of LESSON_KINDS) {
+        const planned = Number(row[`${kind}_planned`]);
+        const scheduled = minutesToHours(row[`${kind}_minutes`]);
+        const diff = Math.round((scheduled - planned) * 10) / 10;
+        hours[kind] = { planned, scheduled, diff };
+        statuses.add(diff < 0 ? 'under' : diff > 0 ? 'over' : 'ok');
+      }
+
+      statuses.delete('ok');
+      const status = statuses.size === 0 ? 'ok' : statuses.size === 1 ? [...statuses][0] : 'mixed';
+
+      return { subject_id: row.subject_id, subject: row.subject, status, hours };
+    });
+
+    res.json({ groupId: Number(groupId), semester, from, to, subjects });
+  } catch (err) {
+    console.error('Ошибка построения отчёта по учебному плану:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+module.exports = {
+  getSubjects,
+  createSubject,
+  updateSubject,
+  deleteSubject,
+  getCurriculum,
+  saveCurriculumPlan,
+  deleteCurriculumPlan,
+  getTeacherAssignments,
+  saveTeacherAssignment,
+  deleteTeacherAssignment,
+  getCurriculumReport
+};
@@ -0,0 +1,197 @@
+/**
+ * @file feedTokens.controller.js
+ * @description Контроллер токенов подписки на расписание (календари, смарт-экраны).
+ *
+ * Пользователь управляет своими токенами через /api/feed-tokens,
+ * администратор — токенами любого пользователя через /api/admin/users/:userId/feed-tokens.
+ *
+ * Открытый токен возвращается только в ответе на создание и ротацию.
+ *
+ * Токен даёт только чтение расписания владельца. Токен администратора выпускается
+ * на одно расписание (target_type + target_id), иначе он открывал бы расписание всех.
+ *
+ * @requires ../db
+ * @requires ../services/feedToken.service
+ */
+
+const pool = require('../db');
+const { generateToken } = require('../services/feedToken.service');
+
+/**
+ * Чьи токены обрабатываем: из URL (админ) или текущего пользователя
+ * @private
+ * @param {Object} req
+ * @returns {number}
+ */
+function targetUserId(req) {
+  return Number(req.params.userId || req.user.id);
+}
+
+/** @constant {Object<string, string>} Проверка существования цели токена администратора */
+const TARGET_QUERIES = {
+  group: 'SELECT id FROM groups WHERE id = $1',
+  teacher: `SELECT id FROM users WHERE id = $1 AND role = 'teacher'`,
+  room: 'SELECT id FROM rooms WHERE id = $1'
+};
+
+/**
+ * Проверяет цель токена администратора
+ * @private
+ * @param {Object} body - req.body
+ * @returns {Promise<{ error?: string, target?: { type: string, id: number } }>}
+ */
+async function parseTarget(body) {
+  const type = body?.target_type;
+  const id = Number(body?.target_id);
+  if (!TARGET_QUERIES[type] || !Number.isInteger(id) || id <= 0) {
+    return { error: 'Токен администратора выпускается на одно расписание: укажите target_type (group, teacher, room) и target_id' };
+  }
+
+  const result = await pool.query(TARGET_QUERIES[type], [id]);
+  if (result.rows.length === 0) return { error: `Не найдено расписание: ${type} ${id}` };
+
+  return { target: { type, id } };
+}
+
+/**
+ * Ссылки, по которым работает токен
+ * @private
+ * @param {string} token
+ * @returns {Object} { schedule, ics }
+ */
+function buildFeedUrls(token) {
+  return {
+    schedule: `/api/schedule?token=${token}`,
+    ics: `/api/schedule/ics?token=${token}`
+  };
+}
+
+/**
+ * Получить список действующих токенов
+ * @route GET /api/feed-tokens
+ * @route GET /api/admin/users/:userId/feed-tokens
+ * @returns {Object[]} { id, name, token_prefix, target_type, target_id, created_at, rotated_at, last_used_at }
+ */
+const getFeedTokens = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, token_prefix, target_type, target_id, created_at, rotated_at, last_used_at
+       FROM feed_tokens
+       WHERE user_id = $1 AND revoked_at IS NULL
+       ORDER BY created_at DESC`,
+      [targetUserId(req)]
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения токенов подписки:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Создать токен подписки
+ * @route POST /api/feed-tokens
+ * @route POST /api/admin/users/:userId/feed-tokens
+ * @param {Object} req.body
+ * @param {string} [req.body.name] - Подпись, например «Телефон» или «Экран в холле»
+ * @param {string} [req.body.target_type] - group | teacher | room (обязательно для токена администратора)
+ * @param {number} [req.body.target_id] - ID группы, преподавателя или аудитории
+ * @returns {Object} { id, name, token, urls } — token показывается один раз
+ */
+const createFeedToken = async (req, res) => {
+  const userId = targetUserId(req);
+  const name = (req.body?.name || '').trim() || 'Подписка';
+
+  try {
+    const userRes = await pool.query('SELECT id, role FROM users WHERE id = $1', [userId]);
+    if (userRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Пользователь не найден' });
+    }
+
+    // Студент и преподаватель видят по токену только своё расписание — цель не нужна
+    let target = null;
+    if (userRes.rows[0].role === 'admin') {
+      const parsed = await parseTarget(req.body);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      target = parsed.target;
+    }
+
+    const { token, hash, prefix } = generateToken();
+
+    const result = await pool.query(
+      `INSERT INTO feed_tokens (user_id, name, token_hash, token_prefix, target_type, target_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, token_prefix, target_type, target_id, created_at`,
+      [userId, name, hash, prefix, target?.type ?? null, target?.id ?? null]
+    );
+
+    res.status(201).json({ ...result.rows[0], token, urls: buildFeedUrls(token) });
+  } catch (err) {
+    console.error('Ошибка создания токена подписки:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Перевыпустить токен (старая ссылка сразу перестаёт работать)
+ * @route POST /api/feed-tokens/:id/rotate
+ * @route POST /api/admin/users/:userId/feed-tokens/:id/rotate
+ * @param {string} req.params.id - ID токена
+ * @returns {Object} { id, name, token, urls }
+ */
+const rotateFeedToken = async (req, res) => {
+  try {
+    const { token, hash, prefix } = generateToken();
+
+    const result = await pool.query(
+      `UPDATE feed_tokens
+       SET token_hash = $1, token_prefix = $2, rotated_at = NOW(), last_used_at = NULL
+       WHERE id = $3 AND user_id = $4 AND revoked_at IS NULL
+       RETURNING id, name, token_prefix, target_type, target_id, created_at, rotated_at`,
+      [hash, prefix, req.params.id, targetUserId(req)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Токен не найден' });
+    }
+
+    res.json({ ...result.rows[0], token, urls: buildFeedUrls(token) });
+  } catch (err) {
+    console.error('Ошибка ротации токена подписки:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Отозвать токен
+ * @route DELETE /api/feed-tokens/:id
+ * @route DELETE /api/admin/users/:userId/feed-tokens/:id
+ * @param {string} req.params.id - ID токена
+ */
+const revokeFeedToken = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE feed_tokens
+       SET revoked_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+      [req.params.id, targetUserId(req)]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Токен не найден' });
+    }
+
+    res.json({ message: 'Токен отозван' });
+  } catch (err) {
+    console.error('Ошибка отзыва токена подписки:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+module.exports = {
+  getFeedTokens,
+  createFeedToken,
+  rotateFeedToken,
+  revokeFeedToken
+};
@@ -0,0 +1,515 @@
+/**
+ * @file generator.controller.js
+ * @description Контроллер генератора расписания.
+ *
+ * - Ограничения: когда преподаватель не может вести занятия
+ * - Черновики: запуск генерации отдельным процессом (scripts/generate-timetable.js),
+ *   просмотр, применение к lessons и удаление
+ *
+ * Все функции защищены authMiddleware + adminOnly.
+ *
+ * @requires ../db
+ * @requires ../services/audit.service
+ * @requires ../services/calendar.service
+ * @requires ../services/conflict.service
+ * @requires ../services/generator.service
+ * @requires ../services/notification.service
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const pool = require('../db');
+const { logChange } = require('../services/audit.service');
+const { ensureCalendar } = require('../services/calendar.service');
+const { findExistingConflicts } = require('../services/conflict.service');
+const { DEFAULT_DAYS, expandTemplate } = require('../services/generator.service');
+const { notifyLessonChanges } = require('../services/notification.service');
+const { formatLocalDate, isDateString } = require('../services/week.service');
+
+/** @constant {string} Скрипт, который выполняет генерацию */
+const GENERATOR_SCRIPT = path.join(__dirname, '..', 'scripts', 'generate-timetable.js');
+
+/** @constant {number} Код выхода генератора, когда часть занятий не размещена (черновик готов) */
+const GENERATOR_EXIT_PARTIAL = 2;
+
+/** @constant {number} Сколько stderr генератора хранить для сообщения об ошибке */
+const MAX_STDERR_LENGTH = 4000;
+
+/** @constant {number} Максимальное время генерации, секунд */
+const MAX_TIME_LIMIT_SEC = 600;
+
+/** @constant {number} Запас сверх time_limit_sec, после которого незавершённая генерация считается прерванной, секунд */
+const STALE_GRACE_SEC = 300;
+
+/* ================== НЕДОСТУПНОСТЬ ПРЕПОДАВАТЕЛЕЙ ================== */
+
+/**
+ * Получить ограничения по времени преподавателей
+ * @route GET /api/admin/teacher-unavailability
+ * @param {string} [req.query.teacherId] - Фильтр по преподавателю
+ * @returns {Object[]} { id, teacher_id, teacher, day, start_time, end_time, note }
+ */
+const getTeacherUnavailability = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT tu.id, tu.teacher_id, u.full_name AS teacher, tu.day,
+              to_char(tu.start_time, 'HH24:MI') AS start_time,
+              to_char(tu.end_time, 'HH24:MI') AS end_time, tu.note
+       FROM teacher_unavailability tu
+       JOIN users u ON u.id = tu.teacher_id
+       WHERE ($1::int IS NULL OR tu.teacher_id = $1)
+       ORDER BY u.full_name, tu.day, tu.start_time`,
+      [req.query.teacherId ? Number(req.query.teacherId) : null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения ограничений преподавателей:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Добавить время, когда преподаватель недоступен
+ * @route POST /api/admin/teacher-unavailability
+ * @param {Object} req.body
+ * @param {number} req.body.teacher_id
+ * @param {number} req.body.day - 0 = Пн ... 5 = Сб
+ * @param {string} req.body.start_time - HH:MM
+ * @param {string} req.body.end_time - HH:MM
+ * @param {string} [req.body.note] - Причина
+ * @returns {Object} Созданная запись
+ */
+const createTeacherUnavailability = async (req, res) => {
+  const { teacher_id, day, start_time, end_time, note } = req.body;
+
+  if (!teacher_id || !Number.isInteger(Number(day)) || Number(day) < 0 || Number(day) > 5
+    || !/^\d{2}:\d{2}/.test(start_time || '') || !/^\d{2}:\d{2}/.test(end_time || '')) {
+    return res.status(400).json({ message: 'Укажите teacher_id, day (0–5), start_time и end_time' });
+  }
+  if (start_time >= end_time) {
+    return res.status(400).json({ message: 'Время начала должно быть раньше времени окончания' });
+  }
+
+  try {
+    const teacher = await pool.query("SELECT id FROM users WHERE id = $1 AND role = 'teacher'", [teacher_id]);
+    if (teacher.rows.length === 0) {
+      return res.status(400).json({ message: 'Преподаватель не найден' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO teacher_unavailability (teacher_id, day, start_time, end_time, note)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, teacher_id, day, start_time, end_time, note`,
+      [teacher_id, Number(day), start_time, end_time, String(note || '').trim() || null]
+    );
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'create_teacher_unavailability',
+      targetType: 'teacher_unavailability',
+      targetId: result.rows[0].id,
+      newValue: result.rows[0]
+    });
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error('Ошибка добавления ограничения преподавателя:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Удалить ограничение преподавателя
+ * @route DELETE /api/admin/teacher-unavailability/:id
+ * @param {string} req.params.id
+ */
+const deleteTeacherUnavailability = async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM teacher_unavailability WHERE id = $1 RETURNING *',
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Ограничение не найдено' });
+    }
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_teacher_unavailability',
+      targetType: 'teacher_unavailability',
+      targetId: Number(req.params.id),
+      oldValue: result.rows[0]
+    });
+
+    res.json({ message: 'Ограничение удалено' });
+  } catch (err) {
+    console.error('Ошибка удаления ограничения преподавателя:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/* ================== ЧЕРНОВИКИ ================== */
+
+/**
+ * Список черновиков (без шаблона)
+ * @route GET /api/admin/timetable-drafts
+ * @returns {Object[]} { id, semester, date_from, date_to, group_ids, status, progress, message, created_at, finished_at, applied_at }
+ */
+const getDrafts = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, semester, to_char(date_from, 'YYYY-MM-DD') AS date_from,
+              to_char(date_to, 'YYYY-MM-DD') AS date_to, group_ids, days, time_limit_sec,
+              status, progress, message, created_at, finished_at, applied_at
+       FROM timetable_drafts
+       ORDER BY created_at DESC
+       LIMIT 50`
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения черновиков:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Получить черновик с шаблоном (для опроса прогресса и просмотра)
+ * @route GET /api/admin/timetable-drafts/:id
+ * @returns {Object} Черновик + result { placements, unplaced, stats }
+ */
+const getDraft = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, semester, to_char(date_from, 'YYYY-MM-DD') AS date_from,
+              to_char(date_to, 'YYYY-MM-DD') AS date_to, group_ids, days, time_limit_sec,
+              status, progress, message, result, created_at, finished_at, applied_at
+       FROM timetable_drafts WHERE id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Черновик не найден' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Ошибка получения черновика:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Запустить генерацию нового черновика
+ *
+ * Генерация идёт в отдельном процессе node (scripts/generate-timetable.js),
+ * чтобы не блокировать сервер. Ответ приходит сразу; прогресс — через GET /:id.
+ * Одновременно идёт одна генерация (уникальный индекс по pending/running);
+ * черновик, не завершившийся за time_limit_sec + STALE_GRACE_SEC (процесс упал
+ * вместе с сервером), помечается failed и новую генерацию не блокирует.
+ *
+ * @route POST /api/admin/timetable-drafts
+ * @param {Object} req.body
+ * @param {string} req.body.semester - Семестр учебного плана
+ * @param {string} req.body.from - Начало семестра (YYYY-MM-DD)
+ * @param {string} req.body.to - Конец семестра (YYYY-MM-DD)
+ * @param {number[]} [req.body.groupIds] - Группы (по умолчанию все с планом на семестр)
+ * @param {number[]} [req.body.days] - Учебные дни (0 = Пн ... 5 = Сб)
+ * @param {number} [req.body.timeLimit=30] - Ограничение по времени, секунд
+ * @returns {Object} 202 — созданный черновик в статусе pending
+ * @throws {409} { message, draft_id } — другой черновик ещё генерируется
+ */
+const createDraft = async (req, res) => {
+  const { semester, from, to } = req.body;
+
+  if (!semester || !isDateString(from) || !isDateString(to) || from > to) {
+    return res.status(400).json({ message: 'Укажите semester, from и to (YYYY-MM-DD)' });
+  }
+
+  const days = Array.isArray(req.body.days) && req.body.days.length
+    ? [...new Set(req.body.days.map(Number))].filter(d => Number.isInteger(d) && d >= 0 && d <= 5)
+    : DEFAULT_DAYS;
+  const timeLimit = Math.min(MAX_TIME_LIMIT_SEC, Math.max(1, Number(req.body.timeLimit) || 30));
+
+  try {
+    let groupIds = Array.isArray(req.body.groupIds) ? req.body.groupIds.map(Number).filter(Boolean) : [];
+    if (groupIds.length === 0) {
+      const plans = await pool.query(
+        'SELECT DISTINCT group_id FROM curriculum_plans WHERE semester = $1',
+        [semester]
+      );
+      groupIds = plans.rows.map(r => r.group_id);
+    }
+    if (groupIds.length === 0) {
+      return res.status(400).json({ message: 'Для семестра нет учебного плана' });
+    }
+
+    await pool.query(
+      `UPDATE timetable_drafts
+       SET status = 'failed', message = 'Генерация прервана', finished_at = NOW()
+       WHERE status IN ('pending', 'running')
+         AND created_at < NOW() - make_interval(secs => time_limit_sec + $1)`,
+      [STALE_GRACE_SEC]
+    );
+
+    const result = await pool.query(
+      `INSERT INTO timetable_drafts (semester, date_from, date_to, group_ids, days, time_limit_sec, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, semester, status, progress, created_at`,
+      [semester, from, to, groupIds, days, timeLimit, req.user.id]
+    );
+    const draft = result.rows[0];
+
+    const child = spawn(process.execPath, [GENERATOR_SCRIPT, '--draft', String(draft.id)], {
+      cwd: path.join(__dirname, '..'),
+      detached: true,
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+
+    // Процесс может упасть раньше, чем runDraft отметит черновик (require, подключение к БД) —
+    // тогда черновик помечаем сами, иначе он навсегда останется pending
+    let stderr = '';
+    const markFailed = (message) => pool.query(
+      `UPDATE timetable_drafts SET status = 'failed', message = $2, finished_at = NOW()
+       WHERE id = $1 AND status IN ('pending', 'running')`,
+      [draft.id, message]
+    ).catch(err => console.error('Ошибка обновления черновика:', err));
+
+    child.stderr.on('data', (chunk) => {
+      if (stderr.length < MAX_STDERR_LENGTH) stderr += chunk;
+    });
+    child.on('error', (err) => {
+      console.error('Ошибка запуска генератора:', err);
+      markFailed(err.message);
+    });
+    child.on('exit', (code, signal) => {
+      if (code === 0 || code === GENERATOR_EXIT_PARTIAL) return;
+      console.error(`Генератор черновика ${draft.id} завершился с ошибкой (${signal || code}):`, stderr);
+      markFailed(stderr.trim().split('\n')[0].slice(0, 500) || `Генератор завершился с ошибкой (${signal || code})`);
+    });
+    child.unref();
+
+    res.status(202).json(draft);
+  } catch (err) {
+    if (err.code === '23505') {
+      const active = await pool.query("SELECT id FROM timetable_drafts WHERE status IN ('pending', 'running')");
+      return res.status(409).json({
+        message: 'Генерация другого черновика ещё не завершена',
+        draft_id: active.rows[0]?.id ?? null
+      });
+    }
+    console.error('Ошибка запуска генерации:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Применить черновик: записать шаблон в lessons
+ *
+ * Занятия групп черновика за период (не раньше сегодняшнего дня) заменяются
+ * занятиями из шаблона — все, в том числе внесённые вручную, отменённые, перенесённые
+ * и с заменой преподавателя. Если такие занятия есть, без replace отвечает 409 со списком.
+ * Замена переходит на новое занятие, если в том же слоте группы остался тот же преподаватель.
+ * Если за время с генерации появились пересечения с другими группами — 409 { conflicts },
+ * пока не передан override.
+ *
+ * @route POST /api/admin/timetable-drafts/:id/apply
+ * @param {boolean} [req.body.replace=false] - Удалить занятия групп за период
+ * @param {boolean} [req.body.override=false] - Применить, несмотря на конфликты
+ * @returns {Object} { message, created, removed, substitutions } — substitutions: сколько замен перешло на новые занятия
+ * @throws {409} { message, lessons } — у групп есть занятия за период и не передан replace
+ * @throws {409} { message, conflicts } — если есть пересечения и не передан override
+ */
+const applyDraft = async (req, res) => {
+  const { id } = req.params;
+  const override = Boolean(req.body?.override);
+  const replace = Boolean(req.body?.replace);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const draftRes = await client.query('SELECT * FROM timetable_drafts WHERE id = $1 FOR UPDATE', [id]);
+    const draft = draftRes.rows[0];
+    if (!draft) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Черновик не найден' });
+    }
+    if (draft.status !== 'done') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        message: draft.status === 'applied' ? 'Черновик уже применён' : 'Генерация черновика ещё не завершена'
+      });
+    }
+
+    // Прошедшие даты не переписываем
+    const today = formatLocalDate(new Date());
+    const dateFrom = formatLocalDate(new Date(draft.date_from));
+    const from = dateFrom > today ? dateFrom : today;
+    const to = formatLocalDate(new Date(draft.date_to));
+    if (from > to) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Период черновика уже прошёл' });
+    }
+
+    await ensureCalendar(client);
+    const lessons = expandTemplate(draft.result.placements, from, to);
+
+    const existingRes = await client.query(
+      `SELECT l.id, to_char(l.lesson_date, 'YYYY-MM-DD') AS lesson_date, l.start_time, l.end_time,
+              l.subject, l.status, l.series_id, g.name AS group_name,
+              EXISTS (SELECT 1 FROM teacher_substitutions ts WHERE ts.lesson_id = l.id) AS has_substitute
+       FROM lessons l
+       JOIN groups g ON g.id = l.group_id
+       WHERE l.group_id = ANY($1::int[]) AND l.lesson_date BETWEEN $2 AND $3
+       ORDER BY l.lesson_date, l.start_time, g.name`,
+      [draft.group_ids, from, to]
+    );
+    if (existingRes.rows.length > 0 && !replace) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        message: `У групп черновика за период есть занятия (${existingRes.rows.length}) — они будут удалены`,
+        lessons: existingRes.rows
+      });
+    }
+
+    const insertedRes = await client.query(
+      `INSERT INTO lessons (group_id, lesson_date, start_time, end_time, subject, subject_id, teacher_id, room_id, room, type)
+       SELECT * FROM unnest($1::int[], $2::date[], $3::time[], $4::time[], $5::text[], $6::int[], $7::int[], $8::int[], $9::text[], $10::text[])
+       RETURNING id`,
+      [
+        lessons.map(l => l.group_id),
+        lessons.map(l => l.lesson_date),
+        lessons.map(l => l.start_time),
+        lessons.map(l => l.end_time),
+        lessons.map(l => l.subject),
+        lessons.map(l => l.subject_id),
+        lessons.map(l => l.teacher_id),
+        lessons.map(l => l.room_id),
+        lessons.map(l => l.room),
+        lessons.map(l => l.type)
+      ]
+    );
+    const insertedIds = new Set(insertedRes.rows.map(r => r.id));
+
+    // Замены на удаляемые занятия переходят на новое занятие того же слота у того же преподавателя
+    // (иначе ON DELETE CASCADE удалит их вместе со старыми строками)
+    const movedSubstitutions = await client.query(
+      `UPDATE teacher_substitutions ts SET lesson_id = n.id
+       FROM lessons o, lessons n
+       WHERE ts.lesson_id = o.id
+         AND o.id = ANY($1::int[])
+         AND n.id = ANY($2::int[])
+         AND n.group_id = o.group_id
+         AND n.lesson_date = o.lesson_date
+         AND n.start_time = o.start_time
+         AND n.teacher_id = ts.teacher_id
+       RETURNING ts.id`,
+      [existingRes.rows.map(l => l.id), [...insertedIds]]
+    );
+
+    const removedRes = await client.query(
+      'DELETE FROM lessons WHERE id = ANY($1::int[]) RETURNING *',
+      [existingRes.rows.map(l => l.id)]
+    );
+
+    // Даты серий, занятые сгенерированным расписанием, — отмены: правило серии их не вернёт
+    const seriesRows = removedRes.rows.filter(l => l.series_id && !l.is_exception);
+    if (seriesRows.length > 0) {
+      await client.query(
+        `INSERT INTO lesson_series_exceptions (series_id, lesson_date)
+         SELECT * FROM unnest($1::int[], $2::date[])
+         ON CONFLICT (series_id, lesson_date) DO NOTHING`,
+        [seriesRows.map(l => l.series_id), seriesRows.map(l => formatLocalDate(l.lesson_date))]
+      );
+    }
+
+    // Проверяем пересечения новых занятий с тем, что уже есть в БД
+    const report = await findExistingConflicts(client, from, to);
+    const conflicts = Object.values(report.byType)
+      .flat()
+      .flatMap(day => day.conflicts)
+      .filter(c => insertedIds.has(c.lesson.id) || insertedIds.has(c.conflictsWith.id));
+
+    if (conflicts.length > 0 && !override) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'Обнаружены конфликты расписания', conflicts });
+    }
+
+    await client.query(
+      "UPDATE timetable_drafts SET status = 'applied', applied_at = NOW() WHERE id = $1",
+      [id]
+    );
+
+    await client.query('COMMIT');
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'apply_timetable_draft',
+      targetType: 'timetable_draft',
+      targetId: Number(id),
+      oldValue: { from, to, groupIds: draft.group_ids, lessons: removedRes.rows },
+      newValue: { from, to, groupIds: draft.group_ids, count: insertedIds.size, ids: [...insertedIds] }
+    });
+
+    if (conflicts.length > 0) {
+      await logChange({
+        adminId: req.user.id,
+        actionType: 'conflict_override',
+        targetType: 'timetable_draft',
+        targetId: Number(id),
+        newValue: { conflicts }
+      });
+    }
+
+    await notifyLessonChanges({
+      actionType: 'apply_timetable_draft',
+      lessons: removedRes.rows.map(lesson => ({ ...lesson, removed: true })),
+      lessonIds: [...insertedIds],
+      actorId: req.user.id
+    });
+
+    res.json({
+      message: `Черновик применён: создано ${insertedIds.size} занятий`
+        + (movedSubstitutions.rows.length > 0 ? `, замен перенесено: ${movedSubstitutions.rows.length}` : ''),
+      created: insertedIds.size,
+      removed: removedRes.rows.length,
+      substitutions: movedSubstitutions.rows.length
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Ошибка применения черновика:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Удалить черновик
+ * @route DELETE /api/admin/timetable-drafts/:id
+ */
+const deleteDraft = async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM timetable_drafts WHERE id = $1 AND status <> 'running'",
+      [req.params.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Черновик не найден или ещё генерируется' });
+    }
+    res.json({ message: 'Черновик удалён' });
+  } catch (err) {
+    console.error('Ошибка удаления черновика:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+module.exports = {
+  getTeacherUnavailability,
+  createTeacherUnavailability,
+  deleteTeacherUnavailability,
+  getDrafts,
+  getDraft,
+  createDraft,
+  applyDraft,
+  deleteDraft
+};
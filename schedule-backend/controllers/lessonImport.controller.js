@@ -0,0 +1,190 @@
+/**
+ * @file lessonImport.controller.js
+ * @description Контроллер массового импорта занятий из CSV/XLSX.
+ *
+ * Файл передаётся телом запроса как есть (формат определяется по содержимому).
+ * Проверка (mode=dry-run) и запись (mode=commit) идут одним путём в транзакции:
+ * при проверке она откатывается, и в ответе — отчёт по строкам с ошибками и конфликтами.
+ * Запись выполняется, только если ошибок нет, и попадает в историю одной записью import_lessons.
+ *
+ * @requires ../db
+ * @requires ../services/lessonImport.service
+ * @requires ../services/series.service
+ * @requires ../services/conflict.service
+ * @requires ../services/calendar.service
+ * @requires ../services/audit.service
+ * @requires ../services/notification.service
+ */
+
+const pool = require('../db');
+const { readImportFile, createResolver, parseImportRow } = require('../services/lessonImport.service');
+const { SERIES_FIELDS, planOccurrences, insertOccurrences } = require('../services/series.service');
+const { findConflicts } = require('../services/conflict.service');
+const { ensureCalendar, getSemesterRange } = require('../services/calendar.service');
+const { logChange } = require('../services/audit.service');
+const { notifyLessonChanges } = require('../services/notification.service');
+
+/** @constant {number} Сколько строк принимается в одном файле */
+const MAX_IMPORT_ROWS = 2000;
+
+/**
+ * Ключ занятия для сопоставления конфликта со строкой файла
+ * @private
+ * @param {Object} lesson - Занятие или описание из конфликта
+ * @returns {string}
+ */
+function lessonKey(lesson) {
+  return [lesson.group_id, lesson.lesson_date, String(lesson.start_time).slice(0, 5), String(lesson.end_time).slice(0, 5)].join('|');
+}
+
+/**
+ * Импорт занятий из файла
+ *
+ * @route POST /api/admin/lessons/import
+ * @param {Buffer} req.body - Содержимое файла CSV или XLSX
+ * @param {string} [req.query.mode=dry-run] - dry-run — только проверить, commit — записать
+ * @param {string} [req.query.override] - '1' — записать, несмотря на конфликты
+ * @returns {Object} { message, created?, series?, report }, где report —
+ *   { format, rows, valid, lessons, errors, conflicts, unknownColumns, items: [{ row, values, errors, conflicts, lessons }] }
+ * @throws {400} { message, report } — в файле есть ошибки (при commit ничего не записывается)
+ * @throws {409} { message, report } — есть конфликты и не передан override
+ */
+const importLessons = async (req, res) => {
+  const mode = req.query.mode || 'dry-run';
+  const override = req.query.override === '1' || req.query.override === 'true';
+
+  if (!['dry-run', 'commit'].includes(mode)) {
+    return res.status(400).json({ message: 'mode: dry-run или commit' });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ message: 'Передайте файл CSV или XLSX в теле запроса' });
+  }
+
+  const file = await readImportFile(req.body);
+  if (file.error) {
+    return res.status(400).json({ message: file.error });
+  }
+  if (file.rows.length === 0) {
+    return res.status(400).json({ message: 'В файле нет строк с занятиями' });
+  }
+  if (file.rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ message: `Слишком много строк: ${file.rows.length} (не больше ${MAX_IMPORT_ROWS})` });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await ensureCalendar(client);
+    const semester = getSemesterRange();
+
+    await client.query('BEGIN');
+
+    const resolver = createResolver(client);
+    const items = [];
+    const planned = [];
+
+    for (const { row, values } of file.rows) {
+      const parsed = await parseImportRow(resolver, values, semester);
+      const item = { row, values, errors: parsed.errors, conflicts: [], lessons: 0 };
+      items.push(item);
+      if (item.errors.length > 0) continue;
+
+      const lessons = parsed.series ? await planOccurrences(client, parsed.series) : [parsed.lesson];
+      if (lessons.length === 0) {
+        item.errors.push('В диапазоне серии нет ни одной даты');
+        continue;
+      }
+
+      item.lessons = lessons.length;
+      planned.push({ item, series: parsed.series || null, lessons });
+    }
+
+    // Конфликты с расписанием и между строками файла — к строке, из которой занятие
+    const conflicts = await findConflicts(client, planned.flatMap(p => p.lessons));
+    const itemByKey = new Map();
+    planned.forEach(p => p.lessons.forEach(lesson => {
+      if (!itemByKey.has(lessonKey(lesson))) itemByKey.set(lessonKey(lesson), p.item);
+    }));
+    for (const conflict of conflicts) {
+      const item = itemByKey.get(lessonKey(conflict.lesson));
+      const withItem = conflict.conflictsWith.id ? null : itemByKey.get(lessonKey(conflict.conflictsWith));
+      if (item) item.conflicts.push({ ...conflict, with_row: withItem ? withItem.row : null });
+    }
+
+    const report = {
+      format: file.format,
+      rows: items.length,
+      valid: planned.length,
+      lessons: planned.reduce((sum, p) => sum + p.lessons.length, 0),
+      errors: items.filter(item => item.errors.length > 0).length,
+      conflicts: conflicts.length,
+      unknownColumns: file.unknownColumns,
+      items
+    };
+
+    if (mode === 'dry-run') {
+      await client.query('ROLLBACK');
+      return res.json({
+        message: `Проверено строк: ${report.rows}, с ошибками: ${report.errors}, конфликтов: ${report.conflicts}`,
+        report
+      });
+    }
+
+    if (report.errors > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'В файле есть ошибки — ничего не импортировано', report });
+    }
+    if (conflicts.length > 0 && !override) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'Обнаружены конфликты расписания', report });
+    }
+
+    const ids = [];
+    const seriesIds = [];
+    for (const { series, lessons } of planned.filter(p => p.series)) {
+      const seriesRes = await client.query(
+        `INSERT INTO lesson_series (${SERIES_FIELDS.join(', ')})
+         VALUES (${SERIES_FIELDS.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING id`,
+        SERIES_FIELDS.map(field => series[field] ?? null)
+      );
+      seriesIds.push(seriesRes.rows[0].id);
+      ids.push(...await insertOccurrences(client, seriesRes.rows[0].id, lessons));
+    }
+    ids.push(...await insertOccurrences(client, null, planned.filter(p => !p.series).flatMap(p => p.lessons)));
+
+    await client.query('COMMIT');
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'import_lessons',
+      targetType: 'lessons',
+      newValue: {
+        format: file.format,
+        rows: report.rows,
+        count: ids.length,
+        ids,
+        series_ids: seriesIds,
+        groupIds: [...new Set(planned.map(p => p.lessons[0].group_id))],
+        conflicts: conflicts.length > 0 ? conflicts : undefined
+      }
+    });
+
+    await notifyLessonChanges({ actionType: 'import_lessons', lessonIds: ids, actorId: req.user.id });
+
+    res.json({
+      message: `Импортировано ${ids.length} занятий`,
+      created: ids.length,
+      series: seriesIds.length,
+      report
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Ошибка импорта занятий:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { importLessons };
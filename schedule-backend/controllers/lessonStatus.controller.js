@@ -0,0 +1,261 @@
+/**
+ * @file lessonStatus.controller.js
+ * @description Контроллер изменений одного занятия со статусом: отмена, перенос, смена аудитории, онлайн.
+ *
+ * В отличие от updateLesson/deleteLesson занятие остаётся в расписании с пометкой
+ * и причиной, поэтому студенты видят, что пара отменена или перенесена, а не
+ * «пропала». Все изменения пишутся в schedule_changes и откатываются из истории.
+ *
+ * Все функции защищены authMiddleware + adminOnly.
+ *
+ * @requires ../db
+ * @requires ../services/audit.service
+ * @requires ../services/conflict.service
+ * @requires ../services/lessonStatus.service
+ * @requires ../services/notification.service
+ * @requires ../services/room.service
+ */
+
+const pool = require('../db');
+const { logChange } = require('../services/audit.service');
+const { findConflicts } = require('../services/conflict.service');
+const { updateOccurrence } = require('../services/lessonStatus.service');
+const { notifyLessonChanges } = require('../services/notification.service');
+const { resolveRoom } = require('../services/room.service');
+
+/** @constant {RegExp} Формат даты (YYYY-MM-DD) */
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** @constant {RegExp} Время HH:MM или HH:MM:SS в пределах суток */
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Корректный ли это адрес http(s)
+ * @private
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isWebUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Причина изменения из тела запроса
+ * @private
+ * @param {Object} body - req.body
+ * @returns {string|null}
+ */
+function reasonOf(body = {}) {
+  return String(body.reason || '').trim() || null;
+}
+
+/**
+ * Общий ход изменения занятия: блокировка строки, сборка изменений, проверка
+ * конфликтов, сохранение и запись в лог
+ *
+ * @private
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} options
+ * @param {string} options.actionType - Тип действия для schedule_changes
+ * @param {string} options.message - Ответ при успехе
+ * @param {function(Object, Object): Promise<{ error?: string, changes?: Object, checkConflicts?: boolean }>} options.build -
+ *   (client, lesson) → изменения занятия
+ */
+async function changeOccurrence(req, res, { actionType, message, build }) {
+  const override = Boolean(req.body?.override);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const lessonRes = await client.query('SELECT * FROM lessons WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (lessonRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Занятие не найдено' });
+    }
+    const lesson = lessonRes.rows[0];
+
+    const { error, changes, checkConflicts = false } = await build(client, lesson);
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: error });
+    }
+
+    let conflicts = [];
+    if (checkConflicts) {
+      const updated = { ...lesson, ...changes };
+      if (String(updated.start_time) >= String(updated.end_time)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Время начала должно быть раньше времени окончания' });
+      }
+
+      conflicts = await findConflicts(client, [updated], { ignoreIds: [lesson.id] });
+      if (conflicts.length > 0 && !override) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: 'Обнаружены конфликты расписания', conflicts });
+      }
+    }
+
+    const result = await updateOccurrence(client, lesson, changes);
+
+    await client.query('COMMIT');
+
+    await logChange({
+      adminId: req.user.id,
+      actionType,
+      targetType: 'lesson',
+      targetId: lesson.id,
+      oldValue: lesson,
+      newValue: result
+    });
+
+    if (conflicts.length > 0) {
+      await logChange({
+        adminId: req.user.id,
+        actionType: 'conflict_override',
+        targetType: 'lesson',
+        newValue: { ids: [lesson.id], conflicts }
+      });
+    }
+
+    await notifyLessonChanges({ actionType, lessons: [result], actorId: req.user.id });
+
+    res.json({ message, lesson: result });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Ошибка изменения статуса занятия:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Отменить занятие — оно остаётся в расписании зачёркнутым
+ *
+ * @route POST /api/admin/lessons/:id/cancel
+ * @param {string} req.params.id - ID занятия
+ * @param {string} req.body.reason - Причина отмены
+ * @returns {Object} { message, lesson }
+ */
+const cancelLesson = (req, res) => changeOccurrence(req, res, {
+  actionType: 'cancel_lesson',
+  message: 'Занятие отменено',
+  build: async (client, lesson) => {
+    const reason = reasonOf(req.body);
+    if (!reason) return { error: 'Укажите причину отмены' };
+    if (lesson.status === 'cancelled') return { error: 'Занятие уже отменено' };
+    return { changes: { status: 'cancelled', change_note: reason } };
+  }
+});
+
+/**
+ * Перенести занятие на другую дату или время (и при необходимости в другую аудиторию)
+ *
+ * @route POST /api/admin/lessons/:id/move
+ * @param {string} req.params.id - ID занятия
+ * @param {string} [req.body.lesson_date] - Новая дата (YYYY-MM-DD)
+ * @param {string} [req.body.start_time] - HH:MM
+ * @param {string} [req.body.end_time] - HH:MM
+ * @param {number} [req.body.room_id] - Новая аудитория (или room — название)
+ * @param {string} req.body.reason - Причина переноса
+ * @param {boolean} [req.body.override=false] - Перенести, несмотря на конфликты
+ * @returns {Object} { message, lesson }
+ * @throws {409} { message, conflicts } — если есть пересечения и не передан override
+ */
+const moveLesson = (req, res) => changeOccurrence(req, res, {
+  actionType: 'move_lesson',
+  message: 'Занятие перенесено',
+  build: async (client, lesson) => {
+    const { lesson_date, start_time, end_time, room_id, room } = req.body;
+    const reason = reasonOf(req.body);
+    if (!reason) return { error: 'Укажите причину переноса' };
+    if (!lesson_date && !start_time && !end_time) return { error: 'Укажите новую дату или время' };
+    if (lesson_date && !DATE_RE.test(lesson_date)) return { error: 'lesson_date: укажите дату в формате YYYY-MM-DD' };
+    if ((start_time && !TIME_RE.test(start_time)) || (end_time && !TIME_RE.test(end_time))) {
+      return { error: 'Время укажите в формате HH:MM' };
+    }
+
+    const changes = { status: 'moved', change_note: reason };
+    if (lesson_date) changes.lesson_date = lesson_date;
+    if (start_time) changes.start_time = start_time;
+    if (end_time) changes.end_time = end_time;
+
+    if (room_id !== undefined || room !== undefined) {
+      const roomRow = await resolveRoom(client, { room_id, room });
+      if (!roomRow) return { error: `Аудитория не найдена: ${room_id || room || '—'}` };
+      changes.room_id = roomRow.id;
+      changes.room = roomRow.name;
+    }
+
+    return { changes, checkConflicts: true };
+  }
+});
+
+/**
+ * Сменить аудиторию занятия
+ *
+ * @route POST /api/admin/lessons/:id/room
+ * @param {string} req.params.id - ID занятия
+ * @param {number} [req.body.room_id] - ID аудитории (или room — название)
+ * @param {string} req.body.reason - Причина
+ * @param {boolean} [req.body.override=false] - Сменить, несмотря на конфликты
+ * @returns {Object} { message, lesson }
+ * @throws {409} { message, conflicts } — если аудитория занята и не передан override
+ */
+const changeLessonRoom = (req, res) => changeOccurrence(req, res, {
+  actionType: 'change_lesson_room',
+  message: 'Аудитория изменена',
+  build: async (client, lesson) => {
+    const { room_id, room } = req.body;
+    const reason = reasonOf(req.body);
+    if (!reason) return { error: 'Укажите причину смены аудитории' };
+
+    const roomRow = await resolveRoom(client, { room_id, room });
+    if (!roomRow) return { error: `Аудитория не найдена: ${room_id || room || '—'}` };
+    if (Number(roomRow.id) === Number(lesson.room_id)) return { error: 'Занятие уже в этой аудитории' };
+
+    return {
+      changes: {
+        // Перенесённое занятие остаётся перенесённым — смена аудитории видна по original_room
+        status: lesson.status === 'moved' ? 'moved' : 'room_changed',
+        change_note: reason,
+        room_id: roomRow.id,
+        room: roomRow.name
+      },
+      checkConflicts: true
+    };
+  }
+});
+
+/**
+ * Перевести занятие в онлайн
+ *
+ * @route POST /api/admin/lessons/:id/online
+ * @param {string} req.params.id - ID занятия
+ * @param {string} [req.body.url] - Ссылка на трансляцию (http/https)
+ * @param {string} [req.body.reason] - Причина
+ * @returns {Object} { message, lesson }
+ */
+const setLessonOnline = (req, res) => changeOccurrence(req, res, {
+  actionType: 'set_lesson_online',
+  message: 'Занятие проводится онлайн',
+  build: async (client, lesson) => {
+    const url = String(req.body.url || '').trim() || null;
+    if (url && !isWebUrl(url)) return { error: 'Ссылка должна быть адресом http:// или https://' };
+    if (lesson.status === 'cancelled') return { error: 'Занятие отменено' };
+    return { changes: { status: 'online', change_note: reasonOf(req.body), online_url: url } };
+  }
+});
+
+module.exports = {
+  cancelLesson,
+  moveLesson,
+  changeLessonRoom,
+  setLessonOnline
+};
@@ -0,0 +1,171 @@
+/**
+ * @file notifications.controller.js
+ * @description Контроллер уведомлений текущего пользователя об изменениях расписания.
+ *
+ * Уведомления создаёт notification.service при изменениях занятий; здесь их
+ * можно только прочитать и отметить прочитанными. Чужие уведомления недоступны.
+ * Здесь же пользователь выбирает, какие письма получать.
+ *
+ * @requires ../db
+ */
+
+const pool = require('../db');
+
+/** @constant {number} Сколько уведомлений отдаётся по умолчанию */
+const DEFAULT_LIMIT = 30;
+
+/**
+ * Получить свои уведомления
+ *
+ * @route GET /api/notifications
+ * @param {string} [req.query.unread] - '1' — только непрочитанные
+ * @param {string} [req.query.limit=30] - Сколько последних уведомлений вернуть (до 100)
+ * @returns {Object} { unread, notifications: [{ id, action_type, title, message, lessons, created_at, read_at }] }
+ */
+const getNotifications = async (req, res) => {
+  const unreadOnly = req.query.unread === '1' || req.query.unread === 'true';
+  const limit = Math.min(Math.max(Number(req.query.limit) || DEFAULT_LIMIT, 1), 100);
+
+  try {
+    const result = await pool.query(
+      `SELECT id, action_type, title, message, lessons, created_at, read_at
+       FROM notifications
+       WHERE user_id = $1 AND (NOT $2 OR read_at IS NULL)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $3`,
+      [req.user.id, unreadOnly, limit]
+    );
+    const countRes = await pool.query(
+      'SELECT COUNT(*)::int AS unread FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ unread: countRes.rows[0].unread, notifications: result.rows });
+  } catch (err) {
+    console.error('Ошибка получения уведомлений:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Отметить уведомление прочитанным
+ *
+ * @route POST /api/notifications/:id/read
+ * @param {string} req.params.id
+ * @returns {Object} { message }
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Уведомление не найдено' });
+    }
+
+    res.json({ message: 'Уведомление прочитано' });
+  } catch (err) {
+    console.error('Ошибка отметки уведомления:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Отметить все свои уведомления прочитанными
+ *
+ * @route POST /api/notifications/read-all
+ * @returns {Object} { message, updated }
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ message: 'Все уведомления прочитаны', updated: result.rowCount });
+  } catch (err) {
+    console.error('Ошибка отметки уведомлений:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/** @constant {string[]} Настройки, которые меняет пользователь */
+const PREFERENCE_FIELDS = ['email_changes', 'email_digest'];
+
+/**
+ * Получить свои настройки уведомлений
+ *
+ * @route GET /api/notifications/preferences
+ * @returns {Object} { email, email_changes, email_digest }
+ */
+const getPreferences = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.email,
+         COALESCE(p.email_changes, TRUE) AS email_changes,
+         COALESCE(p.email_digest, FALSE) AS email_digest
+       FROM users u
+       LEFT JOIN notification_preferences p ON p.user_id = u.id
+       WHERE u.id = $1`,
+      [req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Пользователь не найден' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Ошибка получения настроек уведомлений:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Изменить свои настройки уведомлений
+ *
+ * @route PUT /api/notifications/preferences
+ * @param {boolean} [req.body.email_changes] - Письма об изменениях своих занятий
+ * @param {boolean} [req.body.email_digest] - Сводка на следующую неделю в воскресенье вечером
+ * @returns {Object} { email_changes, email_digest }
+ */
+const updatePreferences = async (req, res) => {
+  const body = req.body || {};
+  const fields = PREFERENCE_FIELDS.filter(field => body[field] !== undefined);
+
+  if (fields.length === 0) {
+    return res.status(400).json({ message: 'Укажите email_changes и/или email_digest' });
+  }
+  if (fields.some(field => typeof body[field] !== 'boolean')) {
+    return res.status(400).json({ message: 'Значения настроек — true или false' });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO notification_preferences (user_id, email_changes, email_digest)
+       VALUES ($1, COALESCE($2, TRUE), COALESCE($3, FALSE))
+       ON CONFLICT (user_id) DO UPDATE
+         SET email_changes = COALESCE($2, notification_preferences.email_changes),
+             email_digest = COALESCE($3, notification_preferences.email_digest),
+             updated_at = NOW()
+       RETURNING email_changes, email_digest`,
+      [req.user.id, body.email_changes ?? null, body.email_digest ?? null]
+    );
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Ошибка сохранения настроек уведомлений:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,110 @@
+/**
+ * @file push.controller.js
+ * @description Контроллер подписок Web Push текущего пользователя.
+ *
+ * Браузер получает публичный ключ VAPID, подписывается через PushManager и присылает
+ * PushSubscription сюда; подписка привязывается к вошедшему пользователю.
+ *
+ * @requires ../db
+ * @requires ../services/push.service
+ */
+
+const pool = require('../db');
+const { checkEndpoint, getVapidDetails } = require('../services/push.service');
+
+/**
+ * Публичный ключ VAPID для PushManager.subscribe
+ *
+ * @route GET /api/push/public-key
+ * @returns {Object} { publicKey }
+ * @throws {503} Push не настроен на сервере
+ */
+const getPublicKey = (req, res) => {
+  const vapidDetails = getVapidDetails();
+  if (!vapidDetails) {
+    return res.status(503).json({ message: 'Push-уведомления не настроены на сервере' });
+  }
+
+  res.json({ publicKey: vapidDetails.publicKey });
+};
+
+/**
+ * Сохранить подписку устройства
+ *
+ * Повторная подписка с тем же endpoint обновляет ключи. Endpoint другого пользователя
+ * не переназначается — браузер должен отписаться и создать новую подписку.
+ *
+ * @route POST /api/push/subscriptions
+ * @param {string} req.body.endpoint - PushSubscription.endpoint (https push-сервиса)
+ * @param {Object} req.body.keys - { p256dh, auth }
+ * @returns {Object} { id, endpoint, created_at }
+ * @throws {400} endpoint не https или указывает на внутренний адрес
+ * @throws {409} Подписка с этим endpoint принадлежит другому пользователю
+ */
+const subscribe = async (req, res) => {
+  const { endpoint, keys } = req.body || {};
+
+  if (typeof endpoint !== 'string' || !endpoint || !keys?.p256dh || !keys?.auth) {
+    return res.status(400).json({ message: 'Передайте PushSubscription: endpoint и keys { p256dh, auth }' });
+  }
+  const endpointError = checkEndpoint(endpoint);
+  if (endpointError) {
+    return res.status(400).json({ message: endpointError });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (endpoint) DO UPDATE
+         SET p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth, user_agent = EXCLUDED.user_agent
+         WHERE push_subscriptions.user_id = EXCLUDED.user_id
+       RETURNING id, endpoint, created_at`,
+      [req.user.id, endpoint, keys.p256dh, keys.auth, req.headers['user-agent'] || null]
+    );
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'Подписка этого устройства принадлежит другому пользователю' });
+    }
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error('Ошибка сохранения push-подписки:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Удалить подписку устройства
+ *
+ * @route DELETE /api/push/subscriptions
+ * @param {string} req.body.endpoint - PushSubscription.endpoint
+ * @returns {Object} { message }
+ */
+const unsubscribe = async (req, res) => {
+  const { endpoint } = req.body || {};
+
+  if (!endpoint) {
+    return res.status(400).json({ message: 'Укажите endpoint' });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM push_subscriptions WHERE endpoint = $1 AND user_id = $2',
+      [endpoint, req.user.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Подписка не найдена' });
+    }
+
+    res.json({ message: 'Подписка удалена' });
+  } catch (err) {
+    console.error('Ошибка удаления push-подписки:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+module.exports = {
+  getPublicKey,
+  subscribe,
+  unsubscribe
+};
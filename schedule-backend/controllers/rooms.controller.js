@@ -0,0 +1,321 @@
+/**
+ * @file rooms.controller.js
+ * @description Контроллер управления аудиториями: корпус, вместимость, оснащение.
+ *
+ * Админские операции защищены authMiddleware + adminOnly.
+ * Поиск свободной аудитории (findFreeRooms) доступен преподавателям и админам.
+ *
+ * @requires ../db
+ * @requires ../services/audit.service
+ * @requires ../services/room.service
+ */
+
+const pool = require('../db');
+const { logChange } = require('../services/audit.service');
+const { ROOM_FEATURES } = require('../services/room.service');
+
+/**
+ * Проверяет и нормализует поля аудитории из тела запроса
+ * @private
+ * @param {Object} body - req.body
+ * @param {boolean} partial - PATCH: поля необязательны
+ * @returns {{ error?: string, data?: Object }}
+ */
+function parseRoomBody(body = {}, partial = false) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Укажите название аудитории' };
+    data.name = name;
+  }
+
+  if (body.building !== undefined) {
+    data.building = String(body.building || '').trim() || null;
+  }
+
+  if (body.capacity !== undefined) {
+    const capacity = body.capacity === null || body.capacity === '' ? null : Number(body.capacity);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity <= 0)) {
+      return { error: 'Вместимость должна быть положительным целым числом' };
+    }
+    data.capacity = capacity;
+  }
+
+  if (body.features !== undefined) {
+    const features = Array.isArray(body.features) ? body.features : [];
+    const unknown = features.filter(f => !ROOM_FEATURES[f]);
+    if (unknown.length > 0) {
+      return { error: `Неизвестное оснащение: ${unknown.join(', ')}` };
+    }
+    data.features = [...new Set(features)];
+  }
+
+  return { data };
+}
+
+/**
+ * Получить список аудиторий
+ * @route GET /api/admin/rooms
+ * @returns {Object[]} { id, name, building, capacity, features }
+ */
+const getRooms = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, building, capacity, features
+       FROM rooms
+       ORDER BY building NULLS LAST, name`
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения аудиторий:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Справочник оснащения аудиторий
+ * @route GET /api/admin/rooms/features
+ * @route GET /api/rooms/features
+ * @returns {Object} { projector: 'Проектор', ... }
+ */
+const getRoomFeatures = (req, res) => {
+  res.json(ROOM_FEATURES);
+};
+
+/**
+ * Создать аудиторию
+ * @route POST /api/admin/rooms
+ * @param {Object} req.body
+ * @param {string} req.body.name - Номер/название
+ * @param {string} [req.body.building] - Корпус
+ * @param {number} [req.body.capacity] - Вместимость
+ * @param {string[]} [req.body.features] - Оснащение (ключи ROOM_FEATURES)
+ * @returns {Object} Созданная аудитория
+ */
+const createRoom = async (req, res) => {
+  const { error, data } = parseRoomBody(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO rooms (name, building, capacity, features)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, name, building, capacity, features`,
+      [data.name, data.building ?? null, data.capacity ?? null, data.features ?? []]
+    );
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'create_room',
+      targetType: 'room',
+      targetId: result.rows[0].id,
+      newValue: result.rows[0]
+    });
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'Аудитория с таким названием уже существует' });
+    }
+    console.error('Ошибка создания аудитории:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Изменить аудиторию (переименование обновляет и lessons.room)
+ * @route PATCH /api/admin/rooms/:id
+ * @param {string} req.params.id - ID аудитории
+ * @returns {Object} Обновлённая аудитория
+ */
+const updateRoom = async (req, res) => {
+  const { id } = req.params;
+  const { error, data } = parseRoomBody(req.body, true);
+  if (error) return res.status(400).json({ message: error });
+
+  const fields = Object.keys(data);
+  if (fields.length === 0) return res.status(400).json({ message: 'Нет полей для изменения' });
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const oldRes = await client.query(
+      'SELECT id, name, building, capacity, features FROM rooms WHERE id = $1',
+      [id]
+    );
+    if (oldRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Аудитория не найдена' });
+    }
+
+    const setClause = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+    const result = await client.query(
+      `UPDATE rooms SET ${setClause} WHERE id = $1
+       RETURNING id, name, building, capacity, features`,
+      [id, ...fields.map(f => data[f])]
+    );
+
+    // lessons.room хранит название для старых запросов — держим его в актуальном виде
+    if (data.name && data.name !== oldRes.rows[0].name) {
+      await client.query('UPDATE lessons SET room = $1 WHERE room_id = $2', [data.name, id]);
+    }
+
+    await client.query('COMMIT');
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'update_room',
+      targetType: 'room',
+      targetId: Number(id),
+      oldValue: oldRes.rows[0],
+      newValue: result.rows[0]
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'Аудитория с таким названием уже существует' });
+    }
+    console.error('Ошибка изменения аудитории:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Удалить аудиторию (только если в ней нет занятий и серий занятий)
+ * @route DELETE /api/admin/rooms/:id
+ * @param {string} req.params.id - ID аудитории
+ * @throws {409} Если аудитория используется в занятиях или сериях
+ */
+const deleteRoom = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const oldRes = await pool.query(
+      'SELECT id, name, building, capacity, features FROM rooms WHERE id = $1',
+      [id]
+    );
+    if (oldRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Аудитория не найдена' });
+    }
+
+    // Серия ссылается на аудиторию, даже если её занятия уже прошли или удалены
+    const usage = await pool.query(
+      `SELECT (SELECT COUNT(*)::int FROM lessons WHERE room_id = $1) AS lessons,
+              (SELECT COUNT(*)::int FROM lesson_series WHERE room_id = $1) AS series`,
+      [id]
+    );
+    const { lessons, series } = usage.rows[0];
+    if (lessons > 0 || series > 0) {
+      return res.status(409).json({
+        message: lessons > 0
+          ? `Аудитория используется в ${lessons} занятиях`
+          : `Аудитория используется в ${series} сериях занятий`
+      });
+    }
+
+    await pool.query('DELETE FROM rooms WHERE id = $1', [id]);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_room',
+      targetType: 'room',
+      targetId: Number(id),
+      oldValue: oldRes.rows[0]
+    });
+
+    res.json({ message: 'Аудитория удалена' });
+  } catch (err) {
+    console.error('Ошибка удаления аудитории:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Найти свободные аудитории на дату и время
+ *
+ * Аудитория свободна, если в lessons нет занятия в ней, пересекающегося с окном
+ * [start, end) в эту дату.
+ *
+ * @route GET /api/rooms/free
+ * @param {Object} req.query
+ * @param {string} req.query.date - Дата (YYYY-MM-DD)
+ * @param {string} req.query.start - Начало окна (HH:MM)
+ * @param {string} req.query.end - Конец окна (HH:MM)
+ * @param {string} [req.query.minCapacity] - Минимальная вместимость
+ * @param {string} [req.query.building] - Корпус
+ * @param {string} [req.query.features] - Оснащение через запятую: projector,computer_lab
+ * @returns {Object[]} Свободные аудитории { id, name, building, capacity, features }
+ * @throws {400} Если неверные дата, время, minCapacity или оснащение
+ * @throws {403} Если роль не teacher и не admin
+ */
+const findFreeRooms = async (req, res) => {
+  if (req.user.role !== 'teacher' && req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Только для преподавателей и администраторов' });
+  }
+
+  const { date, start, end, minCapacity, building } = req.query;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !/^\d{2}:\d{2}/.test(start || '') || !/^\d{2}:\d{2}/.test(end || '')) {
+    return res.status(400).json({ message: 'Укажите date (YYYY-MM-DD), start и end (HH:MM)' });
+  }
+  if (start >= end) {
+    return res.status(400).json({ message: 'Время начала должно быть раньше времени окончания' });
+  }
+  if (minCapacity !== undefined && minCapacity !== '' && !/^\d{1,6}$/.test(minCapacity)) {
+    return res.status(400).json({ message: 'minCapacity — целое неотрицательное число' });
+  }
+
+  const features = String(req.query.features || '').split(',').map(f => f.trim()).filter(Boolean);
+  const unknown = features.filter(f => !ROOM_FEATURES[f]);
+  if (unknown.length > 0) {
+    return res.status(400).json({ message: `Неизвестное оснащение: ${unknown.join(', ')}` });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT r.id, r.name, r.building, r.capacity, r.features
+       FROM rooms r
+       WHERE ($4::int IS NULL OR r.capacity >= $4)
+         AND ($5::text IS NULL OR r.building = $5)
+         AND r.features @> $6::text[]
+         AND NOT EXISTS (
+           SELECT 1 FROM lessons l
+           WHERE l.room_id = r.id
+             AND l.lesson_date = $1
+             AND l.start_time < $3
+             AND $2 < l.end_time
+             AND l.status <> 'cancelled'
+         )
+       ORDER BY r.capacity NULLS LAST, r.building NULLS LAST, r.name`,
+      [
+        date,
+        start,
+        end,
+        minCapacity ? Number(minCapacity) : null,
+        building ? String(building).trim() : null,
+        features
+      ]
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка поиска свободных аудиторий:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+module.exports = {
+  findFreeRooms,
+  getRooms,
+  getRoomFeatures,
+  createRoom,
+  updateRoom,
+  deleteRoom
+};
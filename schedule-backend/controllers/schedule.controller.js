@@ -11,15 +11,45 @@
  * - Смещение недели (?weekOffset)
  * - Фильтрацию по чётности/нечётности недели
  * - Вычисление информации о неделе через week.service
+ * - Экспорт в iCalendar (.ics) для группы, преподавателя или аудитории
+ * - Выгрузка в XLSX и CSV (сетка «дни × пары» или список) для тех же объектов
+ * - Печатное расписание в PDF на неделю или семестр
  * 
  * Защищён middleware authMiddleware (требуется JWT)
  * 
  * @requires ../db - Пул соединений PostgreSQL
+ * @requires ../services/calendar.service - Учебный календарь (нумерация и чётность недель, праздники)
  * @requires ../services/week.service - Утилита для расчёта недели (чётная/нечётная, даты)
+ * @requires ../services/ics.service - Формирование .ics
+ * @requires ../services/substitution.service - Временные замены преподавателей
+ * @requires ../services/scheduleLessons.service - Занятия группы, преподавателя или аудитории за период
+ * @requires ../services/subgroup.service - Подгруппа студента
+ * @requires ../services/stream.service - Лекции потоков в расписании группы
+ * @requires ../services/scheduleExport.service - Таблицы XLSX и CSV
+ * @requires ../services/schedulePdf.service - Печатное расписание в PDF
  */
 
 const pool = require('../db');
-const { getWeekInfo } = require('../services/week.service');
+const { ensureCalendar, getCalendarDays, getSemesterRange } = require('../services/calendar.service');
+const { getWeekInfo, formatLocalDate, isDateString } = require('../services/week.service');
+const { buildCalendar, buildUid } = require('../services/ics.service');
+const { resolveRoom } = require('../services/room.service');
+const { SUBSTITUTION_COLUMNS, substitutionJoin } = require('../services/substitution.service');
+const { getScheduleLessons } = require('../services/scheduleLessons.service');
+const { getUserSubgroupId } = require('../services/subgroup.service');
+const { LESSON_GROUP_COLUMNS, lessonGroupsJoin, groupLessonCondition } = require('../services/stream.service');
+const {
+  EXPORT_LAYOUTS,
+  EXPORT_FORMATS,
+  buildListTable,
+  buildGridTable,
+  toCsv,
+  toXlsx
+} = require('../services/scheduleExport.service');
+const { resolvePrintPeriod, buildPrintTable, renderSchedulePdf, toFileName } = require('../services/schedulePdf.service');
+
+/** @constant {number} Максимальная длина периода выгрузки в днях */
+const MAX_RANGE_DAYS = 366;
 
 /**
  * GET /api/schedule
@@ -43,7 +73,9 @@ const { getWeekInfo } = require('../services/week.service');
  *   - isEven: boolean
  *   - weekStart: string (ISO date)
  *   - weekEnd: string (ISO date)
- *   - lessons: array — занятия
+ *   - subgroupId: number|null — подгруппа студента (занятия других подгрупп не попадают в lessons)
+ *   - lessons: array — занятия; у занятий на замене заполнены substitute_id,
+ *     substitute и substitution_reason (teacher остаётся основным преподавателем)
  * 
  * @throws {400} Если админ не указал группу или у студента нет группы
  * @throws {403} Если неизвестная роль
@@ -54,12 +86,19 @@ const getSchedule = async (req, res) => {
   try {
     let groupName = req.query.group;
     let teacherId = null;
+    let subgroupId = null;
+    let target = null;
 
     // Определяем логику в зависимости от роли
-    if (req.user.role === 'admin') {
+    if (req.user.role === 'admin' && req.user.readOnly) {
+      // Токен подписки администратора открывает только одно расписание — выбранное при выпуске
+      target = await resolveScheduleTarget(req);
+      if (target.status) return res.status(target.status).json({ message: target.message });
+    } else if (req.user.role === 'admin') {
       if (!groupName) return res.status(400).json({ message: 'Выберите группу' });
     } else if (req.user.role === 'student') {
       groupName = req.user.group;
+      subgroupId = await getUserSubgroupId(pool, req.user.id);
     } else if (req.user.role === 'teacher') {
       teacherId = req.user.id; // Для учителя фильтруем по его ID
     } else {
@@ -67,41 +106,29 @@ const getSchedule = async (req, res) => {
     }
 
     const weekOffset = Number(req.query.weekOffset || 0);
+    await ensureCalendar(pool);
     const weekInfo = getWeekInfo(weekOffset);
 
-    let lessonsRes;
-
-    if (teacherId) {
-      // ЗАПРОС ДЛЯ УЧИТЕЛЯ (его личные пары)
-      lessonsRes = await pool.query(
-        `SELECT l.*, g.name as group_name, u.full_name AS teacher
-         FROM lessons l
-         LEFT JOIN users u ON u.id = l.teacher_id
-         LEFT JOIN groups g ON g.id = l.group_id
-         WHERE l.teacher_id = $1
-         AND l.lesson_date BETWEEN $2 AND $3
-         ORDER BY l.lesson_date, l.start_time`,
-        [teacherId, weekInfo.weekStart, weekInfo.weekEnd]
-      );
+    let lessons;
+
+    if (target) {
+      lessons = await getScheduleLessons(pool, target.lessons, weekInfo.weekStart, weekInfo.weekEnd);
+    } else if (teacherId) {
+      // Учитель: его личные пары и пары, где он на замене
+      lessons = await getScheduleLessons(pool, { teacherId }, weekInfo.weekStart, weekInfo.weekEnd);
     } else {
-      // ЗАПРОС ДЛЯ СТУДЕНТА/АДМИНА (по группе)
+      // Студент/админ: по группе
       const groupRes = await pool.query('SELECT id FROM groups WHERE name = $1', [groupName]);
       if (groupRes.rows.length === 0) return res.status(404).json({ message: 'Группа не найдена' });
 
-      lessonsRes = await pool.query(
-        `SELECT l.*, u.full_name AS teacher
-         FROM lessons l
-         LEFT JOIN users u ON u.id = l.teacher_id
-         WHERE l.group_id = $1
-         AND l.lesson_date BETWEEN $2 AND $3
-         ORDER BY l.lesson_date, l.start_time`,
-        [groupRes.rows[0].id, weekInfo.weekStart, weekInfo.weekEnd]
-      );
+      lessons = await getScheduleLessons(pool, { groupId: groupRes.rows[0].id, subgroupId }, weekInfo.weekStart, weekInfo.weekEnd);
     }
 
     res.json({
       ...weekInfo,
-      lessons: lessonsRes.rows
+      subgroupId,
+      calendarDays: getCalendarDays(weekInfo.weekStart, weekInfo.weekEnd),
+      lessons
     });
   } catch (err) {
     console.error(err);
@@ -109,5 +136,372 @@ const getSchedule = async (req, res) => {
   }
 };
 
+/**
+ * Параметры выбора расписания из запроса с учётом токена подписки
+ *
+ * По токену (req.user.readOnly) доступно только расписание, для которого он выпущен:
+ * свой group/groupId/teacherId/room/roomId из запроса не учитывается.
+ * Преподаватель получает своё расписание, администратор — цель токена (feedTarget).
+ *
+ * @private
+ * @param {Object} req - Express request (req.user, req.query)
+ * @returns {Object} { groupId?, group?, teacherId?, roomId?, room? }
+ */
+function targetQuery(req) {
+  const { groupId, group, teacherId, roomId, room } = req.query;
+  if (!req.user.readOnly) return { groupId, group, teacherId, roomId, room };
+
+  const { role, feedTarget } = req.user;
+  if (role === 'teacher') return { teacherId: req.user.id };
+  if (role === 'admin' && feedTarget) return { [`${feedTarget.type}Id`]: feedTarget.id };
+  return {};
+}
+
+/**
+ * Определяет, чьё расписание выгружать (группа, преподаватель или аудитория) — для .ics, XLSX и CSV
+ *
+ * - Студент всегда получает расписание своей группы (и выбранной подгруппы)
+ * - Преподаватель по умолчанию — своё, но может запросить группу или аудиторию
+ * - Админ обязан указать один из параметров
+ * - По токену подписки — только расписание владельца или цель токена (см. targetQuery)
+ *
+ * @private
+ * @param {Object} req - Express request (req.user, req.query)
+ * @returns {Promise<Object>} { condition, where?, value, name, subgroupId?, streamIds?, lessons }
+ *   или { status, message } при ошибке, где lessons — цель для getScheduleLessons,
+ *   а streamIds — потоки группы
+ */
+async function resolveScheduleTarget(req) {
+  const { groupId, group, teacherId, roomId, room } = targetQuery(req);
+  const { role } = req.user;
+
+  if (!['admin', 'student', 'teacher'].includes(role)) {
+    return { status: 403, message: 'Неизвестная роль: ' + role };
+  }
+
+  if (role === 'student' || groupId || group) {
+    const groupName = role === 'student' ? req.user.group : group;
+    const groupRes = groupName
+      ? await pool.query('SELECT id, name FROM groups WHERE name = $1', [groupName])
+      : await pool.query('SELECT id, name FROM groups WHERE id = $1', [Number(groupId)]);
+
+    if (groupRes.rows.length === 0) return { status: 404, message: 'Группа не найдена' };
+
+    // Студент не видит занятия чужих подгрупп
+    const subgroupId = role === 'student' ? await getUserSubgroupId(pool, req.user.id) : null;
+    const streamsRes = await pool.query('SELECT stream_id FROM stream_groups WHERE group_id = $1', [groupRes.rows[0].id]);
+    return {
+      condition: 'l.group_id',
+      // Лекции потоков группы — тоже её занятия
+      where: groupLessonCondition('l', '$1'),
+      value: groupRes.rows[0].id,
+      name: groupRes.rows[0].name,
+      subgroupId,
+      streamIds: streamsRes.rows.map(row => Number(row.stream_id)),
+      lessons: { groupId: groupRes.rows[0].id, subgroupId }
+    };
+  }
+
+  if (roomId || room) {
+    const roomRow = await resolveRoom(pool, { room_id: roomId ? Number(roomId) : null, room });
+    if (!roomRow) return { status: 404, message: 'Аудитория не найдена' };
+    return {
+      condition: 'l.room_id',
+      value: roomRow.id,
+      name: `Аудитория ${roomRow.name}`,
+      lessons: { roomId: roomRow.id }
+    };
+  }
+
+  if (teacherId || role === 'teacher') {
+    const teacherRes = await pool.query(
+      `SELECT id, full_name FROM users WHERE id = $1 AND role = 'teacher'`,
+      [Number(teacherId || req.user.id)]
+    );
+
+    if (teacherRes.rows.length === 0) return { status: 404, message: 'Преподаватель не найден' };
+    return {
+      condition: 'l.teacher_id',
+      // Занятия, где преподаватель на замене, тоже попадают в его календарь
+      where: '(l.teacher_id = $1 OR sub.substitute_id = $1)',
+      value: teacherRes.rows[0].id,
+      name: teacherRes.rows[0].full_name,
+      lessons: { teacherId: teacherRes.rows[0].id }
+    };
+  }
+
+  return { status: 400, message: 'Укажите groupId, group, teacherId, roomId или room' };
+}
+
+/**
+ * Действия, после которых строки удалённых занятий лежат в old_value.lessons
+ * (delete_lesson — сама строка в old_value)
+ * @constant {string[]}
+ */
+const REMOVED_LESSON_ACTIONS = [
+  'delete_lesson',
+  'delete_lesson_series',
+  'update_lesson_series',
+  'clear_week',
+  'create_calendar_exception',
+  'delete_calendar_exception',
+  'apply_timetable_draft'
+];
+
+/**
+ * Дата занятия из записи лога: в JSON даты сохранены как ISO-время
+ * @private
+ * @param {string} value
+ * @returns {string} YYYY-MM-DD
+ */
+function loggedDate(value) {
+  return String(value).includes('T') ? formatLocalDate(new Date(value)) : String(value).slice(0, 10);
+}
+
+/**
+ * Занятия, удалённые из расписания: перезапись дня (updateScheduleByDay), удаление
+ * занятия или серии, очистка недели, праздник в календаре, применение черновика
+ *
+ * Строки lessons удаляются физически, поэтому «отменённые» слоты восстанавливаются
+ * из old_value/new_value в schedule_changes. Слот, который позже снова заняли,
+ * сюда не попадает — его событие обновится по тому же UID.
+ *
+ * @private
+ * @param {string} from - Начало периода (YYYY-MM-DD)
+ * @param {string} to - Конец периода (YYYY-MM-DD)
+ * @returns {Promise<Object[]>} Занятия с флагом cancelled и updated_at = момент удаления
+ */
+async function getRemovedLessons(from, to) {
+  // Даты в JSON — ISO-время в UTC, поэтому отбор в SQL с запасом в день, точный — ниже
+  const changesRes = await pool.query(
+    `SELECT action_type, old_value, new_value, changed_at
+     FROM schedule_changes
+     WHERE (action_type = 'update_schedule_day' AND (new_value->>'date')::date BETWEEN $1 AND $2)
+        OR (action_type = ANY($3::text[]) AND jsonb_path_exists(
+          CASE WHEN action_type = 'delete_lesson' THEN jsonb_build_array(old_value) ELSE old_value->'lessons' END,
+          '$[*].lesson_date ? (@ >= $from && @ < $to)',
+          jsonb_build_object('from', $1::date - 1, 'to', $2::date + 2)
+        ))
+     ORDER BY changed_at, id`,
+    [from, to, REMOVED_LESSON_ACTIONS]
+  );
+
+  const removed = new Map();
+  const remove = (lesson, changedAt) => removed.set(buildUid(lesson), {
+    ...lesson,
+    updated_at: changedAt,
+    cancelled: true
+  });
+
+  for (const change of changesRes.rows) {
+    if (change.action_type === 'update_schedule_day') {
+      const date = change.new_value.date;
+      const groupId = Number(change.new_value.groupId);
+      const inDay = lesson => ({ ...lesson, group_id: lesson.stream_id ? null : groupId, lesson_date: date });
+      const newSlots = new Set((change.new_value.lessons || []).map(l => buildUid(inDay(l))));
+
+      for (const old of change.old_value?.lessons || []) {
+        const lesson = inDay(old);
+        if (newSlots.has(buildUid(lesson))) removed.delete(buildUid(lesson));
+        else remove(lesson, change.changed_at);
+      }
+      continue;
+    }
+
+    const rows = change.action_type === 'delete_lesson' ? [change.old_value] : change.old_value.lessons;
+    for (const old of rows) {
+      if (!old.lesson_date) continue;
+      const date = loggedDate(old.lesson_date);
+      if (date >= from && date <= to) remove({ ...old, lesson_date: date }, change.changed_at);
+    }
+  }
+
+  return [...removed.values()];
+}
+
+/**
+ * GET /api/schedule/ics
+ * Выгрузка расписания в формате iCalendar для подписки из календарей
+ *
+ * @route GET /api/schedule/ics
+ * @param {Object} req.query
+ * @param {string} [req.query.groupId] - ID группы
+ * @param {string} [req.query.group] - Название группы
+ * @param {string} [req.query.teacherId] - ID преподавателя (users.id)
+ * @param {string} [req.query.roomId] - ID аудитории
+ * @param {string} [req.query.room] - Название аудитории
+ * @param {string} [req.query.from] - Начало периода (YYYY-MM-DD), по умолчанию 4 недели назад
+ * @param {string} [req.query.to] - Конец периода (YYYY-MM-DD), по умолчанию 16 недель вперёд
+ *
+ * @returns {string} text/calendar — один VEVENT на занятие
+ * @throws {400} Если не указан объект выгрузки или неверный период
+ * @throws {404} Если группа, преподаватель или аудитория не найдены
+ */
+const getScheduleIcs = async (req, res) => {
+  try {
+    const from = req.query.from || getWeekInfo(-4).weekStart;
+    const to = req.query.to || getWeekInfo(16).weekEnd;
+
+    if (!isDateString(from) || !isDateString(to) || from > to) {
+      return res.status(400).json({ message: 'Неверный период: укажите from и to в формате YYYY-MM-DD' });
+    }
+    if ((new Date(to) - new Date(from)) / 86400000 > MAX_RANGE_DAYS) {
+      return res.status(400).json({ message: `Период не может превышать ${MAX_RANGE_DAYS} дней` });
+    }
+
+    const target = await resolveScheduleTarget(req);
+    if (target.status) return res.status(target.status).json({ message: target.message });
+
+    const lessonsRes = await pool.query(
+      `SELECT l.id, l.group_id, l.stream_id, l.subgroup_id, l.lesson_date, l.start_time, l.end_time,
+              l.subject, l.room, l.room_id, l.type, l.teacher_id,
+              l.status, l.change_note, l.online_url, l.status = 'cancelled' AS cancelled,
+              GREATEST(l.updated_at, sub.substitution_created_at) AS updated_at,
+              ${LESSON_GROUP_COLUMNS}, sg.name AS subgroup_name,
+              COALESCE(u.full_name, l.teacher) AS teacher,
+              ${SUBSTITUTION_COLUMNS}
+       FROM lessons l
+       LEFT JOIN users u ON u.id = l.teacher_id
+       LEFT JOIN subgroups sg ON sg.id = l.subgroup_id
+       ${lessonGroupsJoin('l')}
+       ${substitutionJoin('l')}
+       WHERE ${target.where || `${target.condition} = $1`}
+       AND l.lesson_date BETWEEN $2 AND $3
+       AND ($4::int IS NULL OR l.subgroup_id IS NULL OR l.subgroup_id = $4::int)
+       ORDER BY l.lesson_date, l.start_time`,
+      [target.value, from, to, target.subgroupId || null]
+    );
+
+    // Отменённые слоты фильтруем тем же условием, что и основной запрос,
+    // и не дублируем слоты, которые снова заняты
+    const field = target.condition.replace('l.', '');
+    const activeUids = new Set(lessonsRes.rows.map(buildUid));
+    const removed = (await getRemovedLessons(from, to))
+      .filter(l => String(l[field]).trim() === String(target.value)
+        || (target.streamIds || []).includes(Number(l.stream_id)))
+      .filter(l => !activeUids.has(buildUid(l)))
+      .filter(l => !target.subgroupId || !l.subgroup_id || Number(l.subgroup_id) === Number(target.subgroupId));
+
+    const ics = buildCalendar([...lessonsRes.rows, ...removed], { name: target.name });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="schedule.ics"');
+    res.send(ics);
+  } catch (err) {
+    console.error('Ошибка выгрузки ICS:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * GET /api/schedule/export
+ * Выгрузка расписания в XLSX или CSV (для доски объявлений и отчётов)
+ *
+ * @route GET /api/schedule/export
+ * @param {Object} req.query
+ * @param {string} [req.query.format=xlsx] - xlsx | csv
+ * @param {string} [req.query.layout=grid] - grid — строки-дни и колонки-пары, list — занятие на строку
+ * @param {string} [req.query.groupId] - ID группы (или group, teacherId, roomId, room — как в /ics)
+ * @param {string} [req.query.period] - semester — весь текущий семестр
+ * @param {string} [req.query.from] - Начало периода (YYYY-MM-DD), по умолчанию — текущая неделя
+ * @param {string} [req.query.to] - Конец периода (YYYY-MM-DD)
+ *
+ * @returns {Buffer|string} Файл schedule_<from>_<to>.xlsx или .csv
+ * @throws {400} Если неверный формат, вид таблицы, период или не указан объект выгрузки
+ * @throws {404} Если группа, преподаватель или аудитория не найдены
+ */
+const exportSchedule = async (req, res) => {
+  const format = req.query.format || 'xlsx';
+  const layout = req.query.layout || 'grid';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `format: ${EXPORT_FORMATS.join(' или ')}` });
+  }
+  if (!EXPORT_LAYOUTS.includes(layout)) {
+    return res.status(400).json({ message: `layout: ${EXPORT_LAYOUTS.join(' или ')}` });
+  }
+
+  try {
+    await ensureCalendar(pool);
+
+    let { from, to } = req.query;
+    if (req.query.period === 'semester') {
+      ({ from, to } = getSemesterRange());
+    } else if (!from && !to) {
+      const week = getWeekInfo(0);
+      from = week.weekStart;
+      to = week.weekEnd;
+    }
+
+    if (!isDateString(from) || !isDateString(to) || from > to) {
+      return res.status(400).json({ message: 'Неверный период: укажите from и to в формате YYYY-MM-DD' });
+    }
+    if ((new Date(to) - new Date(from)) / 86400000 > MAX_RANGE_DAYS) {
+      return res.status(400).json({ message: `Период не может превышать ${MAX_RANGE_DAYS} дней` });
+    }
+
+    const target = await resolveScheduleTarget(req);
+    if (target.status) return res.status(target.status).json({ message: target.message });
+
+    const lessons = await getScheduleLessons(pool, target.lessons, from, to);
+    const table = layout === 'grid'
+      ? buildGridTable(lessons, from, to, { group: !target.lessons.groupId, teacher: !target.lessons.teacherId })
+      : buildListTable(lessons);
+    const filename = `schedule_${from}_${to}.${format}`;
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(toCsv(table));
+    }
+
+    const title = `Расписание: ${target.name}, ${from.split('-').reverse().join('.')} — ${to.split('-').reverse().join('.')}`;
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(await toXlsx(table, { title, layout }));
+  } catch (err) {
+    console.error('Ошибка выгрузки расписания:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * GET /api/schedule/pdf
+ * Печатное расписание в PDF: шапка заведения, гриф «Утверждаю», сетка на одной странице
+ *
+ * @route GET /api/schedule/pdf
+ * @param {Object} req.query
+ * @param {string} [req.query.period=week] - week — неделя с датами, semester — типовая неделя семестра
+ * @param {string} [req.query.date] - Любой день нужной недели или семестра (YYYY-MM-DD), по умолчанию сегодня
+ * @param {string} [req.query.groupId] - ID группы (или group, teacherId, roomId, room — как в /ics)
+ *
+ * @returns {Buffer} Файл <название>_<from>_<to>.pdf
+ * @throws {400} Если неверный период или не указано, чьё расписание печатать
+ * @throws {404} Если группа, преподаватель или аудитория не найдены
+ */
+const getSchedulePdf = async (req, res) => {
+  try {
+    await ensureCalendar(pool);
+
+    const period = resolvePrintPeriod(req.query);
+    if (period.error) return res.status(400).json({ message: period.error });
+
+    const target = await resolveScheduleTarget(req);
+    if (target.status) return res.status(target.status).json({ message: target.message });
+
+    const lessons = await getScheduleLessons(pool, target.lessons, period.from, period.to);
+    const table = buildPrintTable(lessons, period, { group: !target.lessons.groupId, teacher: !target.lessons.teacherId });
+    const title = target.lessons.groupId ? `группа ${target.name}` : target.name;
+    const filename = `${toFileName(target.name)}_${period.from}_${period.to}.pdf`;
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="schedule.pdf"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.send(await renderSchedulePdf([{ title, period, table }]));
+  } catch (err) {
+    console.error('Ошибка формирования PDF расписания:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
 // Экспорт контроллера
-module.exports = { getSchedule };
\ No newline at end of file
+module.exports = { getSchedule, getScheduleIcs, exportSchedule, getSchedulePdf };
\ No newline at end of file
@@ -1,11 +1,29 @@
 const pool = require('../db');
 const { logChange } = require('../services/audit.service');
+const { findConflicts } = require('../services/conflict.service');
+const { resolveRoom } = require('../services/room.service');
+const { markException } = require('../services/series.service');
+const { notifyLessonChanges } = require('../services/notification.service');
+const { resolveSubject } = require('../services/subject.service');
+const { resolveSubgroup } = require('../services/subgroup.service');
+const { LESSON_GROUP_COLUMNS, lessonGroupsJoin, groupLessonCondition, resolveStream } = require('../services/stream.service');
 
 
 /**
  * PUT /api/schedule/day
  * Полная перезапись расписания на конкретный день
  * Доступ: только admin
+ *
+ * Перед сохранением проверяет конфликты (преподаватель, аудитория, группа).
+ * При конфликтах отвечает 409 { message, conflicts }, если не передан override: true.
+ * Сохранение с override записывается в schedule_changes как 'conflict_override'.
+ *
+ * Прежние занятия узнаются по id и обновляются на месте — статус, заметка об изменении,
+ * онлайн-ссылка и назначенные замены сохраняются. Занятие серии (lesson_series) без изменений
+ * остаётся в серии как было, изменённое становится исключением, удалённое — отменой даты серии.
+ *
+ * День группы включает лекции её потоков (stream_id): это одно занятие на все группы потока,
+ * поэтому изменение или удаление здесь видно и в расписании остальных групп.
  */
 const updateScheduleByDay = async (req, res) => {
   // 🔐 Проверка роли
@@ -13,7 +31,7 @@ const updateScheduleByDay = async (req, res) => {
     return res.status(403).json({ message: 'Только администратор может редактировать расписание' });
   }
 
-  const { date, groupId, lessons } = req.body;
+  const { date, groupId, lessons, override = false } = req.body;
 
   // 🛑 Валидация входных данных
   if (!date || !groupId || !Array.isArray(lessons)) {
@@ -38,24 +56,90 @@ const updateScheduleByDay = async (req, res) => {
     await client.query('BEGIN');
     // 🔍 Сохраняем старое расписание (ДО изменений)
     const oldLessonsRes = await client.query(
-      `SELECT * FROM lessons WHERE lesson_date = $1 AND group_id = $2`,
+      `SELECT l.* FROM lessons l WHERE l.lesson_date = $1 AND ${groupLessonCondition('l', '$2')}`,
       [date, groupId]
     );
 
-    // 1️⃣ Удаляем старые занятия этого дня
-    await client.query(
-      `DELETE FROM lessons
-       WHERE lesson_date = $1 AND group_id = $2`,
-      [date, groupId]
+    // 🏫 Аудитория по room_id или по названию (старые клиенты присылают текст)
+    for (const lesson of lessons) {
+      const room = await resolveRoom(client, lesson);
+      if (!room) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          message: `Аудитория не найдена: ${lesson.room_id || lesson.room || '—'}`
+        });
+      }
+      lesson.room_id = room.id;
+      lesson.room = room.name;
+
+      // 📚 Дисциплина — только из каталога
+      const subject = await resolveSubject(client, lesson);
+      if (!subject) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          message: `Дисциплина не найдена в каталоге: ${lesson.subject_id || lesson.subject || '—'}`
+        });
+      }
+      lesson.subject_id = subject.id;
+      lesson.subject = subject.name;
+
+      // 🎓 Поток — только тот, в который входит группа
+      if (lesson.stream_id) {
+        const stream = await resolveStream(client, lesson.stream_id);
+        if (!stream || !stream.group_ids.map(Number).includes(Number(groupId))) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: `Группа не входит в поток: ${lesson.stream_id}` });
+        }
+        lesson.subgroup_id = null;
+      }
+      lesson.stream_id = lesson.stream_id || null;
+
+      // 👥 Подгруппа — только из этой группы, без неё занятие у всей группы
+      if (lesson.subgroup_id && !(await resolveSubgroup(client, groupId, lesson.subgroup_id))) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `Подгруппа не найдена в группе: ${lesson.subgroup_id}` });
+      }
+      lesson.subgroup_id = lesson.subgroup_id || null;
+    }
+
+    // 🔎 Проверяем конфликты с другими группами и внутри дня
+    const conflicts = await findConflicts(
+      client,
+      lessons
+        .filter(l => l.start_time && l.end_time)
+        .map(l => ({ ...l, group_id: l.stream_id ? null : groupId, lesson_date: date })),
+      { replacing: { groupId, date } }
     );
 
-    // 2️⃣ Вставляем новые занятия
+    if (conflicts.length > 0 && !override) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        message: 'Обнаружены конфликты расписания',
+        conflicts
+      });
+    }
+
+    // 🔁 Исключения серий, которые указывают на занятия дня (для отката)
+    const oldById = new Map(oldLessonsRes.rows.map(l => [Number(l.id), l]));
+    const exceptionsRes = await client.query(
+      `SELECT series_id, lesson_id, lesson_date FROM lesson_series_exceptions WHERE lesson_id = ANY($1::int[])`,
+      [[...oldById.keys()]]
+    );
+    const keptIds = new Set();
+    const insertedIds = [];
+    const updatedLessons = [];
+    const changedLessons = [];
+
+    // 1️⃣ Сохраняем занятия: прежние обновляются на месте (статус, заметка, онлайн-ссылка
+    // и замены остаются при них), новые вставляются
     for (const lesson of lessons) {
       const {
         start_time,
         end_time,
         subject,
+        subject_id,
         teacher_id,
+        room_id,
         room,
         type
       } = lesson;
@@ -64,31 +148,113 @@ const updateScheduleByDay = async (req, res) => {
         throw new Error('Некорректные данные занятия');
       }
 
-      await client.query(
-        `
-        INSERT INTO lessons (
-          group_id,
-          lesson_date,
-          start_time,
-          end_time,
-          subject,
-          teacher_id,
-          room,
-          type
-        )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        `,
-        [
-          groupId,
-          date,
-          start_time,
-          end_time,
-          subject,
-          teacher_id || null,
-          room,
-          type
-        ]
-      );
+      // Занятие серии: без изменений остаётся как было, иначе становится исключением
+      const old = lesson.id && !keptIds.has(Number(lesson.id)) ? oldById.get(Number(lesson.id)) : null;
+      const seriesId = old ? old.series_id : null;
+      const unchanged = old
+        && String(old.start_time).slice(0, 5) === String(start_time).slice(0, 5)
+        && String(old.end_time).slice(0, 5) === String(end_time).slice(0, 5)
+        && Number(old.subject_id) === Number(subject_id)
+        && Number(old.teacher_id || 0) === Number(teacher_id || 0)
+        && Number(old.room_id) === Number(room_id)
+        && old.type === type
+        && Number(old.subgroup_id || 0) === Number(lesson.subgroup_id || 0)
+        && Number(old.stream_id || 0) === Number(lesson.stream_id || 0);
+      const isException = Boolean(seriesId) && (old.is_exception || !unchanged);
+      if (old) keptIds.add(Number(old.id));
+      if (unchanged) continue;
+
+      const values = [
+        isException,
+        lesson.stream_id ? null : groupId,
+        lesson.stream_id,
+        lesson.subgroup_id,
+        start_time,
+        end_time,
+        subject,
+        subject_id,
+        teacher_id || null,
+        room_id,
+        room,
+        type
+      ];
+      let id;
+
+      if (old) {
+        const updated = await client.query(
+          `
+          UPDATE lessons SET
+            is_exception = $2,
+            group_id = $3,
+            stream_id = $4,
+            subgroup_id = $5,
+            start_time = $6,
+            end_time = $7,
+            subject = $8,
+            subject_id = $9,
+            teacher_id = $10,
+            room_id = $11,
+            room = $12,
+            type = $13
+          WHERE id = $1
+          RETURNING *
+          `,
+          [old.id, ...values]
+        );
+        id = old.id;
+        updatedLessons.push(updated.rows[0]);
+
+        // Исключение по исходной дате уже указывает на это занятие, если оно было исключением
+        if (isException && !old.is_exception) {
+          await markException(client, seriesId, date, id);
+        }
+      } else {
+        const inserted = await client.query(
+          `
+          INSERT INTO lessons (
+            is_exception,
+            group_id,
+            stream_id,
+            subgroup_id,
+            start_time,
+            end_time,
+            subject,
+            subject_id,
+            teacher_id,
+            room_id,
+            room,
+            type,
+            lesson_date
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          RETURNING id
+          `,
+          [...values, date]
+        );
+        id = inserted.rows[0].id;
+        insertedIds.push(id);
+      }
+
+      changedLessons.push({
+        ...lesson,
+        id,
+        group_id: lesson.stream_id ? null : groupId,
+        lesson_date: date
+      });
+    }
+
+    // 2️⃣ Удаляем убранные занятия (вместе с лекциями потоков группы);
+    // исключения серий, указывавшие на них, становятся отменой даты (ON DELETE SET NULL)
+    await client.query(
+      'DELETE FROM lessons WHERE id = ANY($1::int[])',
+      [[...oldById.keys()].filter(id => !keptIds.has(id))]
+    );
+
+    // Убранные занятия серии по правилу — отмена этой даты
+    for (const old of oldLessonsRes.rows) {
+      if (old.series_id && !old.is_exception && !keptIds.has(Number(old.id))) {
+        await markException(client, old.series_id, date);
+      }
     }
 
     await client.query('COMMIT');
@@ -99,16 +265,39 @@ const updateScheduleByDay = async (req, res) => {
       targetId: null,
       oldValue: {
         date,
-        lessons: oldLessonsRes.rows
+        lessons: oldLessonsRes.rows,
+        exceptions: exceptionsRes.rows
       },
       newValue: {
         date,
         groupId,
-        lessons
-
+        lessons,
+        ids: insertedIds,
+        kept: [...keptIds],
+        updated: updatedLessons
       }
     });
 
+    if (conflicts.length > 0) {
+      await logChange({
+        adminId: req.user.id,
+        actionType: 'conflict_override',
+        targetType: 'schedule_day',
+        targetId: null,
+        newValue: { date, groupId, conflicts }
+      });
+    }
+
+    // Уведомляем только о занятиях, которые действительно изменились или убраны
+    await notifyLessonChanges({
+      actionType: 'update_schedule_day',
+      lessons: [
+        ...oldLessonsRes.rows.filter(old => !keptIds.has(Number(old.id))).map(old => ({ ...old, removed: true })),
+        ...changedLessons
+      ],
+      actorId: req.user.id
+    });
+
 
     res.json({ message: 'Расписание на день успешно сохранено' });
 
@@ -136,13 +325,26 @@ const getScheduleByDay = async (req, res) => {
         l.start_time,
         l.end_time,
         l.subject,
+        l.subject_id,
+        l.room_id,
         l.room,
         l.type,
+        l.teacher_id,
+        l.series_id,
+        l.is_exception,
+        l.status,
+        l.change_note,
+        l.subgroup_id,
+        l.stream_id,
+        ${LESSON_GROUP_COLUMNS},
+        sg.name AS subgroup_name,
         u.full_name AS teacher
       FROM lessons l
       LEFT JOIN users u ON u.id = l.teacher_id
+      LEFT JOIN subgroups sg ON sg.id = l.subgroup_id
+      ${lessonGroupsJoin('l')}
       WHERE l.lesson_date = $1
-        AND l.group_id = $2
+        AND ${groupLessonCondition('l', '$2')}
       ORDER BY l.start_time
       `,
       [date, groupId]
@@ -0,0 +1,86 @@
+/**
+ * @file schedulePrint.controller.js
+ * @description Пакетная печать расписаний всех групп в PDF.
+ *
+ * Один PDF — по странице на группу (для печати одним заданием),
+ * или ZIP — отдельный PDF на каждую группу (для рассылки и вывешивания по кафедрам).
+ *
+ * Все функции защищены authMiddleware + adminOnly.
+ *
+ * @requires ../db
+ * @requires ../services/calendar.service
+ * @requires ../services/scheduleLessons.service
+ * @requires ../services/schedulePdf.service
+ */
+
+const pool = require('../db');
+const { ensureCalendar } = require('../services/calendar.service');
+const { getScheduleLessons } = require('../services/scheduleLessons.service');
+const {
+  resolvePrintPeriod,
+  buildPrintTable,
+  renderSchedulePdf,
+  toZip,
+  toFileName
+} = require('../services/schedulePdf.service');
+
+/**
+ * Расписания всех групп
+ *
+ * @route GET /api/admin/schedule/pdf
+ * @param {string} [req.query.period=week] - week | semester
+ * @param {string} [req.query.date] - Любой день нужной недели или семестра (YYYY-MM-DD), по умолчанию сегодня
+ * @param {string} [req.query.bundle=pdf] - pdf — один файл, zip — архив с файлом на группу
+ * @returns {Buffer} groups_<from>_<to>.pdf или .zip
+ * @throws {400} Если неверный период или bundle
+ * @throws {404} Если групп нет
+ */
+const printGroupSchedules = async (req, res) => {
+  const bundle = req.query.bundle || 'pdf';
+  if (!['pdf', 'zip'].includes(bundle)) {
+    return res.status(400).json({ message: 'bundle: pdf или zip' });
+  }
+
+  try {
+    await ensureCalendar(pool);
+
+    const period = resolvePrintPeriod(req.query);
+    if (period.error) return res.status(400).json({ message: period.error });
+
+    const groupsRes = await pool.query('SELECT id, name FROM groups ORDER BY name');
+    if (groupsRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Группы не найдены' });
+    }
+
+    const pages = [];
+    for (const group of groupsRes.rows) {
+      const lessons = await getScheduleLessons(pool, { groupId: group.id }, period.from, period.to);
+      pages.push({
+        name: group.name,
+        title: `группа ${group.name}`,
+        period,
+        table: buildPrintTable(lessons, period, { group: false, teacher: true })
+      });
+    }
+
+    const filename = `groups_${period.from}_${period.to}.${bundle}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (bundle === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      return res.send(await renderSchedulePdf(pages));
+    }
+
+    const files = [];
+    for (const page of pages) {
+      files.push({ name: `${toFileName(page.name)}.pdf`, content: await renderSchedulePdf([page]) });
+    }
+    res.set('Content-Type', 'application/zip');
+    res.send(await toZip(files));
+  } catch (err) {
+    console.error('Ошибка пакетной печати расписаний:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+module.exports = { printGroupSchedules };
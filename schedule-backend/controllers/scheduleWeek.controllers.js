@@ -26,6 +26,8 @@ const getScheduleByWeek = async (req, res) => {
         l.subject,
         l.room,
         l.type,
+        l.status,
+        l.change_note,
         u.full_name AS teacher
       FROM lessons l
       LEFT JOIN users u ON u.id = l.teacher_id
@@ -0,0 +1,223 @@
+/**
+ * @file streams.controller.js
+ * @description Контроллер потоков — групп, которые слушают лекции вместе.
+ *
+ * Лекция потока — одно занятие (lessons.stream_id) в расписании всех его групп.
+ * Изменение состава потока сразу меняет расписание: добавленная группа видит
+ * лекции потока, убранная — перестаёт их видеть.
+ *
+ * @requires ../db
+ * @requires ../services/audit.service
+ * @requires ../services/stream.service
+ */
+
+const pool = require('../db');
+const { logChange } = require('../services/audit.service');
+const { resolveStream } = require('../services/stream.service');
+
+/**
+ * Проверяет список групп потока из тела запроса
+ * @private
+ * @param {Object} db - pool или client
+ * @param {*} value - req.body.group_ids
+ * @returns {Promise<{ error?: string, groupIds?: number[] }>}
+ */
+async function parseGroupIds(db, value) {
+  const groupIds = Array.isArray(value) ? [...new Set(value.map(Number))] : [];
+  if (groupIds.length < 2 || !groupIds.every(id => Number.isInteger(id) && id > 0)) {
+    return { error: 'В потоке должно быть не меньше двух групп (group_ids)' };
+  }
+
+  const existing = await db.query('SELECT id FROM groups WHERE id = ANY($1::int[])', [groupIds]);
+  const missing = groupIds.filter(id => !existing.rows.some(row => Number(row.id) === id));
+  if (missing.length > 0) {
+    return { error: `Группы не найдены: ${missing.join(', ')}` };
+  }
+
+  return { groupIds };
+}
+
+/**
+ * Получить потоки
+ * @route GET /api/admin/streams
+ * @returns {Object[]} { id, name, groups: [{ id, name, size }], size, lessons_count }
+ */
+const getStreams = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.id, s.name,
+         COALESCE(json_agg(json_build_object('id', g.id, 'name', g.name, 'size', g.size) ORDER BY g.name)
+           FILTER (WHERE g.id IS NOT NULL), '[]') AS groups,
+         SUM(g.size)::int AS size,
+         (SELECT COUNT(*)::int FROM lessons l WHERE l.stream_id = s.id) AS lessons_count
+       FROM streams s
+       LEFT JOIN stream_groups sg ON sg.stream_id = s.id
+       LEFT JOIN groups g ON g.id = sg.group_id
+       GROUP BY s.id
+       ORDER BY s.name`
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения потоков:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Создать поток
+ * @route POST /api/admin/streams
+ * @param {string} req.body.name - Название («ИВТ, 2 курс»)
+ * @param {number[]} req.body.group_ids - Группы потока (не меньше двух)
+ * @returns {Object} { id, name, group_ids }
+ */
+const createStream = async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ message: 'Укажите название потока' });
+
+  const client = await pool.connect();
+
+  try {
+    const { error, groupIds } = await parseGroupIds(client, req.body.group_ids);
+    if (error) return res.status(400).json({ message: error });
+
+    await client.query('BEGIN');
+    const inserted = await client.query('INSERT INTO streams (name) VALUES ($1) RETURNING id', [name]);
+    await client.query(
+      'INSERT INTO stream_groups (stream_id, group_id) SELECT $1, unnest($2::int[])',
+      [inserted.rows[0].id, groupIds]
+    );
+    await client.query('COMMIT');
+
+    const stream = await resolveStream(pool, inserted.rows[0].id);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'create_stream',
+      targetType: 'stream',
+      targetId: stream.id,
+      newValue: stream
+    });
+
+    res.status(201).json(stream);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'Поток с таким названием уже есть' });
+    }
+    console.error('Ошибка создания потока:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Изменить название или состав потока
+ * @route PATCH /api/admin/streams/:id
+ * @param {string} [req.body.name]
+ * @param {number[]} [req.body.group_ids] - Новый состав целиком
+ * @returns {Object} { id, name, group_ids }
+ */
+const updateStream = async (req, res) => {
+  const name = req.body.name === undefined ? null : String(req.body.name).trim();
+  if (name === '') return res.status(400).json({ message: 'Укажите название потока' });
+
+  const client = await pool.connect();
+
+  try {
+    const old = await resolveStream(client, req.params.id);
+    if (!old) {
+      return res.status(404).json({ message: 'Поток не найден' });
+    }
+
+    let groupIds = null;
+    if (req.body.group_ids !== undefined) {
+      const parsed = await parseGroupIds(client, req.body.group_ids);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      groupIds = parsed.groupIds;
+    }
+
+    await client.query('BEGIN');
+    if (name) {
+      await client.query('UPDATE streams SET name = $2 WHERE id = $1', [old.id, name]);
+    }
+    if (groupIds) {
+      await client.query('DELETE FROM stream_groups WHERE stream_id = $1', [old.id]);
+      await client.query(
+        'INSERT INTO stream_groups (stream_id, group_id) SELECT $1, unnest($2::int[])',
+        [old.id, groupIds]
+      );
+    }
+    await client.query('COMMIT');
+
+    const stream = await resolveStream(pool, old.id);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'update_stream',
+      targetType: 'stream',
+      targetId: stream.id,
+      oldValue: old,
+      newValue: stream
+    });
+
+    res.json(stream);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'Поток с таким названием уже есть' });
+    }
+    console.error('Ошибка изменения потока:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Удалить поток
+ *
+ * Поток с занятиями удалить нельзя: лекции сначала нужно удалить.
+ *
+ * @route DELETE /api/admin/streams/:id
+ * @throws {409} Если у потока есть занятия или серии
+ */
+const deleteStream = async (req, res) => {
+  try {
+    const old = await resolveStream(pool, req.params.id);
+    if (!old) {
+      return res.status(404).json({ message: 'Поток не найден' });
+    }
+
+    const usedRes = await pool.query(
+      `SELECT (SELECT COUNT(*)::int FROM lessons WHERE stream_id = $1)
+            + (SELECT COUNT(*)::int FROM lesson_series WHERE stream_id = $1) AS count`,
+      [old.id]
+    );
+    if (usedRes.rows[0].count > 0) {
+      return res.status(409).json({ message: 'У потока есть занятия — сначала удалите их' });
+    }
+
+    await pool.query('DELETE FROM streams WHERE id = $1', [old.id]);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_stream',
+      targetType: 'stream',
+      targetId: old.id,
+      oldValue: old
+    });
+
+    res.json({ message: 'Поток удалён' });
+  } catch (err) {
+    console.error('Ошибка удаления потока:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+module.exports = {
+  getStreams,
+  createStream,
+  updateStream,
+  deleteStream
+};
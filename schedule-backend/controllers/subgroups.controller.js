@@ -0,0 +1,262 @@
+/**
+ * @file subgroups.controller.js
+ * @description Контроллер подгрупп.
+ *
+ * - Админ ведёт подгруппы группы (например, «1» и «2» для лабораторных)
+ * - Студент выбирает свою подгруппу — после этого в расписании остаются
+ *   занятия всей группы и его подгруппы
+ *
+ * @requires ../db
+ * @requires ../services/audit.service
+ * @requires ../services/subgroup.service
+ */
+
+const pool = require('../db');
+const { logChange } = require('../services/audit.service');
+const { resolveSubgroup, getUserSubgroupId } = require('../services/subgroup.service');
+
+/**
+ * Проверяет размер подгруппы из тела запроса
+ * @private
+ * @param {*} value
+ * @returns {{ error?: string, size?: number|null }}
+ */
+function parseSize(value) {
+  const size = value === undefined || value === null || value === '' ? null : Number(value);
+  if (size !== null && (!Number.isInteger(size) || size <= 0)) {
+    return { error: 'Размер подгруппы должен быть положительным целым числом' };
+  }
+  return { size };
+}
+
+/* ================== АДМИН ================== */
+
+/**
+ * Подгруппы группы
+ * @route GET /api/admin/groups/:id/subgroups
+ * @returns {Object[]} { id, group_id, name, size, students_count, lessons_count }
+ */
+const getSubgroups = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT sg.id, sg.group_id, sg.name, sg.size,
+         (SELECT COUNT(*)::int FROM users u WHERE u.subgroup_id = sg.id) AS students_count,
+         (SELECT COUNT(*)::int FROM lessons l WHERE l.subgroup_id = sg.id) AS lessons_count
+       FROM subgroups sg
+       WHERE sg.group_id = $1
+       ORDER BY sg.name`,
+      [req.params.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения подгрупп:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Создать подгруппу
+ * @route POST /api/admin/groups/:id/subgroups
+ * @param {string} req.body.name - Название («1», «2», «англ. А»)
+ * @param {number} [req.body.size] - Число студентов (для вместимости аудиторий)
+ * @returns {Object} Созданная подгруппа
+ */
+const createSubgroup = async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ message: 'Укажите название подгруппы' });
+
+  const { error, size } = parseSize(req.body.size);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const groupRes = await pool.query('SELECT id FROM groups WHERE id = $1', [req.params.id]);
+    if (groupRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Группа не найдена' });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO subgroups (group_id, name, size) VALUES ($1, $2, $3) RETURNING *',
+      [groupRes.rows[0].id, name, size]
+    );
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'create_subgroup',
+      targetType: 'subgroup',
+      targetId: result.rows[0].id,
+      newValue: result.rows[0]
+    });
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'В группе уже есть подгруппа с таким названием' });
+    }
+    console.error('Ошибка создания подгруппы:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Изменить подгруппу
+ * @route PATCH /api/admin/subgroups/:id
+ * @param {string} [req.body.name]
+ * @param {number|null} [req.body.size]
+ * @returns {Object} Подгруппа
+ */
+const updateSubgroup = async (req, res) => {
+  const name = req.body.name === undefined ? null : String(req.body.name).trim();
+  if (name === '') return res.status(400).json({ message: 'Укажите название подгруппы' });
+
+  const { error, size } = parseSize(req.body.size);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const oldRes = await pool.query('SELECT * FROM subgroups WHERE id = $1', [req.params.id]);
+    if (oldRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Подгруппа не найдена' });
+    }
+
+    const result = await pool.query(
+      `UPDATE subgroups
+       SET name = COALESCE($2, name),
+           size = CASE WHEN $4 THEN $3 ELSE size END
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id, name, size, req.body.size !== undefined]
+    );
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'update_subgroup',
+      targetType: 'subgroup',
+      targetId: result.rows[0].id,
+      oldValue: oldRes.rows[0],
+      newValue: result.rows[0]
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(400).json({ message: 'В группе уже есть подгруппа с таким названием' });
+    }
+    console.error('Ошибка изменения подгруппы:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Удалить подгруппу
+ *
+ * Подгруппу с занятиями удалить нельзя: занятия сначала нужно удалить или
+ * перевести на всю группу. Студенты подгруппы снова видят занятия всех подгрупп.
+ *
+ * @route DELETE /api/admin/subgroups/:id
+ * @throws {409} Если у подгруппы есть занятия или серии
+ */
+const deleteSubgroup = async (req, res) => {
+  try {
+    const oldRes = await pool.query('SELECT * FROM subgroups WHERE id = $1', [req.params.id]);
+    if (oldRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Подгруппа не найдена' });
+    }
+
+    const usedRes = await pool.query(
+      `SELECT (SELECT COUNT(*)::int FROM lessons WHERE subgroup_id = $1)
+            + (SELECT COUNT(*)::int FROM lesson_series WHERE subgroup_id = $1) AS count`,
+      [req.params.id]
+    );
+    if (usedRes.rows[0].count > 0) {
+      return res.status(409).json({ message: 'У подгруппы есть занятия — удалите их или назначьте всей группе' });
+    }
+
+    await pool.query('DELETE FROM subgroups WHERE id = $1', [req.params.id]);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_subgroup',
+      targetType: 'subgroup',
+      targetId: oldRes.rows[0].id,
+      oldValue: oldRes.rows[0]
+    });
+
+    res.json({ message: 'Подгруппа удалена' });
+  } catch (err) {
+    console.error('Ошибка удаления подгруппы:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/* ================== СТУДЕНТ ================== */
+
+/**
+ * Подгруппы своей группы и выбранная подгруппа
+ * @route GET /api/subgroups
+ * @returns {Object} { subgroup_id, subgroups: [{ id, name }] }
+ * @throws {403} Если не студент
+ */
+const getMySubgroups = async (req, res) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ message: 'Подгруппу выбирают только студенты' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT sg.id, sg.name
+       FROM subgroups sg
+       JOIN users u ON u.group_id = sg.group_id
+       WHERE u.id = $1
+       ORDER BY sg.name`,
+      [req.user.id]
+    );
+
+    res.json({
+      subgroup_id: await getUserSubgroupId(pool, req.user.id),
+      subgroups: result.rows
+    });
+  } catch (err) {
+    console.error('Ошибка получения подгрупп студента:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Выбрать свою подгруппу
+ * @route PUT /api/subgroups/mine
+ * @param {number|null} req.body.subgroup_id - null — показывать занятия всех подгрупп
+ * @returns {Object} { message, subgroup_id }
+ * @throws {400} Если подгруппа не из группы студента
+ * @throws {403} Если не студент
+ */
+const setMySubgroup = async (req, res) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ message: 'Подгруппу выбирают только студенты' });
+  }
+
+  const subgroupId = req.body.subgroup_id || null;
+
+  try {
+    if (subgroupId) {
+      const userRes = await pool.query('SELECT group_id FROM users WHERE id = $1', [req.user.id]);
+      const groupId = userRes.rows[0] ? userRes.rows[0].group_id : null;
+      if (!groupId || !(await resolveSubgroup(pool, groupId, subgroupId))) {
+        return res.status(400).json({ message: 'Подгруппа не найдена в вашей группе' });
+      }
+    }
+
+    await pool.query('UPDATE users SET subgroup_id = $2 WHERE id = $1', [req.user.id, subgroupId]);
+    res.json({ message: subgroupId ? 'Подгруппа выбрана' : 'Показываются занятия всех подгрупп', subgroup_id: subgroupId });
+  } catch (err) {
+    console.error('Ошибка выбора подгруппы:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+module.exports = {
+  getSubgroups,
+  createSubgroup,
+  updateSubgroup,
+  deleteSubgroup,
+  getMySubgroups,
+  setMySubgroup
+};
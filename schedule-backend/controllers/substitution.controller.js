@@ -0,0 +1,264 @@
+/**
+ * @file substitution.controller.js
+ * @description Контроллер временных замен преподавателей.
+ *
+ * Замена задаёт отсутствующего преподавателя, заменяющего и период, при необходимости —
+ * только для части групп или предметов. Сами занятия не меняются: замена применяется
+ * при выдаче расписания (substitution.service), и после окончания периода занятия
+ * снова показываются с основным преподавателем. В отличие от replaceTeacher
+ * (постоянная замена во всех занятиях группы) её можно просто удалить.
+ *
+ * Если заменяющий в это время занят или недоступен, создание отвечает 409 со списком
+ * конфликтов; с override: true замена сохраняется поверх них.
+ *
+ * Все функции защищены authMiddleware + adminOnly.
+ *
+ * @requires ../db
+ * @requires ../services/audit.service
+ * @requires ../services/notification.service
+ * @requires ../services/substitution.service
+ */
+
+const pool = require('../db');
+const { logChange } = require('../services/audit.service');
+const { notifyLessonChanges } = require('../services/notification.service');
+const { getAffectedLessons, findSubstituteConflicts } = require('../services/substitution.service');
+
+/** @constant {RegExp} Формат даты (YYYY-MM-DD) */
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** @constant {string} Поля замены в ответах API */
+const SUBSTITUTION_COLUMNS = `
+  s.id,
+  s.teacher_id,
+  t.full_name AS teacher,
+  s.substitute_id,
+  su.full_name AS substitute,
+  to_char(s.date_from, 'YYYY-MM-DD') AS date_from,
+  to_char(s.date_to, 'YYYY-MM-DD') AS date_to,
+  s.group_ids,
+  s.subject_ids,
+  s.reason,
+  s.absence_id,
+  s.lesson_id,
+  s.created_at`;
+
+/**
+ * Проверяет необязательный список ID (группы, предметы)
+ * @private
+ * @param {*} value
+ * @returns {number[]|null|undefined} null — без ограничения, undefined — ошибка
+ */
+function parseIds(value) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value)) return undefined;
+  const ids = [...new Set(value.map(Number))];
+  if (ids.some(id => !Number.isInteger(id) || id <= 0)) return undefined;
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Получить замены
+ *
+ * @route GET /api/admin/substitutions
+ * @param {string} [req.query.from] - Замены, действующие с даты (YYYY-MM-DD)
+ * @param {string} [req.query.to] - Замены, действующие по дату (YYYY-MM-DD)
+ * @param {string} [req.query.teacherId] - Отсутствующий или заменяющий преподаватель
+ * @returns {Object[]} Замены с именами и числом затронутых занятий (lessons_count)
+ */
+const getSubstitutions = async (req, res) => {
+  const { from, to, teacherId } = req.query;
+
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    return res.status(400).json({ message: 'Даты укажите в формате YYYY-MM-DD' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ${SUBSTITUTION_COLUMNS},
+         (
+           SELECT COUNT(*)::int FROM lessons l
+           WHERE l.teacher_id = s.teacher_id
+             AND l.lesson_date BETWEEN s.date_from AND s.date_to
+             AND (s.group_ids IS NULL OR l.group_id = ANY(s.group_ids)
+               OR l.stream_id IN (SELECT stream_id FROM stream_groups WHERE group_id = ANY(s.group_ids)))
+             AND (s.subject_ids IS NULL OR l.subject_id = ANY(s.subject_ids))
+             AND (s.lesson_id IS NULL OR l.id = s.lesson_id)
+             AND l.status <> 'cancelled'
+         ) AS lessons_count
+       FROM teacher_substitutions s
+       JOIN users t ON t.id = s.teacher_id
+       JOIN users su ON su.id = s.substitute_id
+       WHERE ($1::date IS NULL OR s.date_to >= $1::date)
+         AND ($2::date IS NULL OR s.date_from <= $2::date)
+         AND ($3::int IS NULL OR $3::int IN (s.teacher_id, s.substitute_id))
+       ORDER BY s.date_from DESC, s.id DESC`,
+      [from || null, to || null, Number(teacherId) || null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения замен:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Добавить замену преподавателя
+ *
+ * @route POST /api/admin/substitutions
+ * @param {Object} req.body
+ * @param {number} req.body.teacher_id - Отсутствующий преподаватель
+ * @param {number} req.body.substitute_id - Заменяющий преподаватель
+ * @param {string} req.body.date_from - YYYY-MM-DD
+ * @param {string} req.body.date_to - YYYY-MM-DD (включительно)
+ * @param {number[]} [req.body.group_ids] - Только для этих групп
+ * @param {number[]} [req.body.subject_ids] - Только для этих предметов
+ * @param {string} [req.body.reason] - Причина (больничный, командировка…)
+ * @param {boolean} [req.body.override=false] - Сохранить, несмотря на конфликты
+ * @returns {Object} Созданная замена и число затронутых занятий (lessons_count)
+ * @throws {400} Неверные данные
+ * @throws {409} { message, conflicts } — заменяющий занят или недоступен и не передан override
+ */
+const createSubstitution = async (req, res) => {
+  const { teacher_id, substitute_id, date_from, date_to, reason, override } = req.body;
+  const groupIds = parseIds(req.body.group_ids);
+  const subjectIds = parseIds(req.body.subject_ids);
+
+  if (!teacher_id || !substitute_id || !DATE_RE.test(date_from || '') || !DATE_RE.test(date_to || '')) {
+    return res.status(400).json({ message: 'Укажите teacher_id, substitute_id, date_from и date_to' });
+  }
+  if (date_from > date_to) {
+    return res.status(400).json({ message: 'Дата начала должна быть не позже даты окончания' });
+  }
+  if (Number(teacher_id) === Number(substitute_id)) {
+    return res.status(400).json({ message: 'Преподаватель не может заменять сам себя' });
+  }
+  if (groupIds === undefined || subjectIds === undefined) {
+    return res.status(400).json({ message: 'group_ids и subject_ids — массивы ID' });
+  }
+
+  try {
+    const teachers = await pool.query(
+      "SELECT id FROM users WHERE id = ANY($1::int[]) AND role = 'teacher'",
+      [[Number(teacher_id), Number(substitute_id)]]
+    );
+    if (teachers.rows.length < 2) {
+      return res.status(400).json({ message: 'Преподаватель не найден' });
+    }
+
+    const substitution = {
+      teacher_id: Number(teacher_id),
+      substitute_id: Number(substitute_id),
+      date_from,
+      date_to,
+      group_ids: groupIds,
+      subject_ids: subjectIds,
+      reason: String(reason || '').trim() || null
+    };
+
+    const lessons = await getAffectedLessons(pool, substitution);
+    const conflicts = await findSubstituteConflicts(pool, substitution.substitute_id, lessons);
+    if (conflicts.length > 0 && !override) {
+      return res.status(409).json({ message: 'Заменяющий преподаватель занят или недоступен', conflicts });
+    }
+
+    const inserted = await pool.query(
+      `INSERT INTO teacher_substitutions
+         (teacher_id, substitute_id, date_from, date_to, group_ids, subject_ids, reason, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [
+        substitution.teacher_id,
+        substitution.substitute_id,
+        date_from,
+        date_to,
+        groupIds,
+        subjectIds,
+        substitution.reason,
+        req.user.id
+      ]
+    );
+    const result = await pool.query(
+      `SELECT ${SUBSTITUTION_COLUMNS}
+       FROM teacher_substitutions s
+       JOIN users t ON t.id = s.teacher_id
+       JOIN users su ON su.id = s.substitute_id
+       WHERE s.id = $1`,
+      [inserted.rows[0].id]
+    );
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'create_substitution',
+      targetType: 'teacher_substitution',
+      targetId: result.rows[0].id,
+      newValue: {
+        ...result.rows[0],
+        lessons: lessons.map(lesson => lesson.id),
+        group_ids: [...new Set(lessons.flatMap(lesson => lesson.group_ids))],
+        conflicts: conflicts.length > 0 ? conflicts : undefined
+      }
+    });
+
+    await notifyLessonChanges({ actionType: 'create_substitution', lessons, actorId: req.user.id });
+
+    res.status(201).json({ ...result.rows[0], lessons_count: lessons.length });
+  } catch (err) {
+    console.error('Ошибка добавления замены:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Удалить замену — занятия снова показываются с основным преподавателем
+ *
+ * @route DELETE /api/admin/substitutions/:id
+ * @param {string} req.params.id
+ */
+const deleteSubstitution = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM teacher_substitutions WHERE id = $1
+       RETURNING id, teacher_id, substitute_id,
+         to_char(date_from, 'YYYY-MM-DD') AS date_from, to_char(date_to, 'YYYY-MM-DD') AS date_to,
+         group_ids, subject_ids, reason, absence_id, lesson_id`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Замена не найдена' });
+    }
+
+    const lessons = await getAffectedLessons(pool, result.rows[0]);
+
+    await logChange({
+      adminId: req.user.id,
+      actionType: 'delete_substitution',
+      targetType: 'teacher_substitution',
+      targetId: result.rows[0].id,
+      oldValue: {
+        ...result.rows[0],
+        lessons: lessons.map(lesson => lesson.id),
+        group_ids: [...new Set(lessons.flatMap(lesson => lesson.group_ids))]
+      }
+    });
+
+    // Замены уже нет — бывшего заменяющего добавляем явно
+    await notifyLessonChanges({
+      actionType: 'delete_substitution',
+      lessons,
+      actorId: req.user.id,
+      userIds: [result.rows[0].substitute_id]
+    });
+
+    res.json({ message: 'Замена удалена' });
+  } catch (err) {
+    console.error('Ошибка удаления замены:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+module.exports = {
+  getSubstitutions,
+  createSubstitution,
+  deleteSubstitution
+};
@@ -1,4 +1,6 @@
 const pool = require('../db');
+const { SUBSTITUTION_COLUMNS, substitutionJoin } = require('../services/substitution.service');
+const { LESSON_GROUP_COLUMNS, lessonGroupsJoin } = require('../services/stream.service');
 
 const getTeacherSchedule = async (req, res) => {
   if (req.user.role !== 'teacher') {
@@ -15,10 +17,18 @@ const getTeacherSchedule = async (req, res) => {
       l.end_time,
       l.subject,
       l.room,
-      g.name AS group_name
+      l.status,
+      l.change_note,
+      ${LESSON_GROUP_COLUMNS},
+      sg.name AS subgroup_name,
+      u.full_name AS teacher,
+      ${SUBSTITUTION_COLUMNS}
     FROM lessons l
-    JOIN groups g ON g.id = l.group_id
-    WHERE l.teacher_id = $1
+    LEFT JOIN subgroups sg ON sg.id = l.subgroup_id
+    LEFT JOIN users u ON u.id = l.teacher_id
+    ${lessonGroupsJoin('l')}
+    ${substitutionJoin('l')}
+    WHERE l.teacher_id = $1 OR sub.substitute_id = $1
     ORDER BY l.lesson_date, l.start_time
     `,
     [teacherId]
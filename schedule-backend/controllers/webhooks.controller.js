@@ -0,0 +1,323 @@
+/**
+ * @file webhooks.controller.js
+ * @description Контроллер подписок на исходящие вебхуки и журнала доставок.
+ *
+ * Подписка — URL получателя, набор событий (WEBHOOK_EVENTS или '*') и секрет подписи.
+ * Секрет возвращается только при создании и перевыпуске — как токены подписки на календарь.
+ *
+ * Все функции защищены authMiddleware + adminOnly.
+ *
+ * @requires ../db
+ * @requires ../services/webhook.service
+ */
+
+const pool = require('../db');
+const { WEBHOOK_EVENTS, generateSecret, sendPing, redeliver } = require('../services/webhook.service');
+
+/** @constant {string} Поля подписки в ответах API (без секрета) */
+const SUBSCRIPTION_COLUMNS = `
+  w.id, w.name, w.url, w.events, w.is_active, w.created_at, w.updated_at,
+  left(w.secret, 10) AS secret_prefix`;
+
+/** @constant {number} Размер страницы журнала доставок */
+const DELIVERIES_PAGE_SIZE = 50;
+
+/**
+ * Проверяет поля подписки из тела запроса
+ * @private
+ * @param {Object} body
+ * @param {boolean} partial - PATCH: поля необязательны
+ * @returns {string|null} Текст ошибки
+ */
+function validateSubscription(body, partial) {
+  const { name, url, events } = body;
+
+  if (!partial || name !== undefined) {
+    if (!String(name || '').trim()) return 'Укажите название';
+  }
+  if (!partial || url !== undefined) {
+    if (!/^https?:\/\/\S+$/i.test(String(url || ''))) return 'URL должен начинаться с http:// или https://';
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) return 'events — непустой массив событий';
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS[event]);
+    if (unknown.length > 0) return `Неизвестные события: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Справочник событий
+ *
+ * @route GET /api/admin/webhooks/events
+ * @returns {Object<string, string[]>} Событие → типы действий истории
+ */
+const getWebhookEvents = (req, res) => {
+  res.json(WEBHOOK_EVENTS);
+};
+
+/**
+ * Получить подписки
+ *
+ * @route GET /api/admin/webhooks
+ * @returns {Object[]} Подписки со статистикой доставок (pending_count, failed_count, last_delivery_at)
+ */
+const getWebhooks = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${SUBSCRIPTION_COLUMNS},
+         COUNT(d.id) FILTER (WHERE d.status = 'pending')::int AS pending_count,
+         COUNT(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_count,
+         MAX(d.created_at) AS last_delivery_at
+       FROM webhook_subscriptions w
+       LEFT JOIN webhook_deliveries d ON d.subscription_id = w.id
+       GROUP BY w.id
+       ORDER BY w.id`
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения вебхуков:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Создать подписку
+ *
+ * @route POST /api/admin/webhooks
+ * @param {string} req.body.name - Название (например, «Сайт колледжа»)
+ * @param {string} req.body.url - Адрес получателя
+ * @param {string[]} [req.body.events=['*']] - События
+ * @returns {Object} Подписка и открытый secret (показывается один раз)
+ */
+const createWebhook = async (req, res) => {
+  const body = req.body || {};
+  const error = validateSubscription(body, false);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const secret = generateSecret();
+    const result = await pool.query(
+      `INSERT INTO webhook_subscriptions (name, url, secret, events, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [String(body.name).trim(), body.url, secret, body.events || ['*'], req.user.id]
+    );
+    const webhook = await pool.query(
+      `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions w WHERE w.id = $1`,
+      [result.rows[0].id]
+    );
+
+    res.status(201).json({ ...webhook.rows[0], secret });
+  } catch (err) {
+    console.error('Ошибка создания вебхука:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Изменить подписку
+ *
+ * @route PATCH /api/admin/webhooks/:id
+ * @param {string} [req.body.name]
+ * @param {string} [req.body.url]
+ * @param {string[]} [req.body.events]
+ * @param {boolean} [req.body.is_active] - Отключённая подписка не получает событий
+ * @returns {Object} Подписка
+ */
+const updateWebhook = async (req, res) => {
+  const body = req.body || {};
+  const error = validateSubscription(body, true);
+  if (error) return res.status(400).json({ message: error });
+  if (body.is_active !== undefined && typeof body.is_active !== 'boolean') {
+    return res.status(400).json({ message: 'is_active — true или false' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE webhook_subscriptions
+       SET name = COALESCE($2, name),
+           url = COALESCE($3, url),
+           events = COALESCE($4, events),
+           is_active = COALESCE($5, is_active),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING id`,
+      [
+        req.params.id,
+        body.name !== undefined ? String(body.name).trim() : null,
+        body.url ?? null,
+        body.events ?? null,
+        body.is_active ?? null
+      ]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Вебхук не найден' });
+    }
+
+    const webhook = await pool.query(
+      `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions w WHERE w.id = $1`,
+      [req.params.id]
+    );
+    res.json(webhook.rows[0]);
+  } catch (err) {
+    console.error('Ошибка изменения вебхука:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Перевыпустить секрет подписи
+ *
+ * @route POST /api/admin/webhooks/:id/rotate-secret
+ * @returns {Object} { id, secret }
+ */
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const result = await pool.query(
+      'UPDATE webhook_subscriptions SET secret = $2, updated_at = NOW() WHERE id = $1 RETURNING id',
+      [req.params.id, secret]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Вебхук не найден' });
+    }
+
+    res.json({ id: result.rows[0].id, secret });
+  } catch (err) {
+    console.error('Ошибка перевыпуска секрета вебхука:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Удалить подписку вместе с журналом её доставок
+ *
+ * @route DELETE /api/admin/webhooks/:id
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Вебхук не найден' });
+    }
+
+    res.json({ message: 'Вебхук удалён' });
+  } catch (err) {
+    console.error('Ошибка удаления вебхука:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Отправить проверочное событие ping
+ *
+ * @route POST /api/admin/webhooks/:id/ping
+ * @returns {Object} { message }
+ */
+const pingWebhook = async (req, res) => {
+  try {
+    const result = await pool.query('SELECT id FROM webhook_subscriptions WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Вебхук не найден' });
+    }
+
+    await sendPing(result.rows[0].id);
+    res.json({ message: 'Событие ping поставлено в очередь' });
+  } catch (err) {
+    console.error('Ошибка отправки ping:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Журнал доставок
+ *
+ * @route GET /api/admin/webhooks/deliveries
+ * @param {string} [req.query.subscriptionId]
+ * @param {string} [req.query.status] - pending | success | failed
+ * @param {string} [req.query.page=1]
+ * @returns {Object} { total, page, pageSize, items: [...] } — без тела события
+ */
+const getDeliveries = async (req, res) => {
+  const { subscriptionId, status } = req.query;
+  const page = Math.max(Number(req.query.page) || 1, 1);
+
+  if (status && !['pending', 'success', 'failed'].includes(status)) {
+    return res.status(400).json({ message: 'status: pending, success или failed' });
+  }
+
+  try {
+    const params = [Number(subscriptionId) || null, status || null];
+    const where = `($1::int IS NULL OR d.subscription_id = $1::int) AND ($2::text IS NULL OR d.status = $2::text)`;
+
+    const countRes = await pool.query(`SELECT COUNT(*)::int AS total FROM webhook_deliveries d WHERE ${where}`, params);
+    const result = await pool.query(
+      `SELECT d.id, d.subscription_id, w.name AS subscription, d.event, d.change_id, d.status,
+         d.attempts, d.next_attempt_at, d.last_status_code, d.last_error, d.created_at, d.delivered_at
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions w ON w.id = d.subscription_id
+       WHERE ${where}
+       ORDER BY d.created_at DESC, d.id DESC
+       LIMIT $3 OFFSET $4`,
+      [...params, DELIVERIES_PAGE_SIZE, (page - 1) * DELIVERIES_PAGE_SIZE]
+    );
+
+    res.json({ total: countRes.rows[0].total, page, pageSize: DELIVERIES_PAGE_SIZE, items: result.rows });
+  } catch (err) {
+    console.error('Ошибка получения журнала доставок:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Доставка с телом события
+ *
+ * @route GET /api/admin/webhooks/deliveries/:id
+ * @returns {Object} Строка webhook_deliveries
+ */
+const getDelivery = async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Доставка не найдена' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Ошибка получения доставки:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+/**
+ * Повторить доставку сейчас (с полным числом попыток)
+ *
+ * @route POST /api/admin/webhooks/deliveries/:id/retry
+ * @returns {Object} { message }
+ */
+const retryDelivery = async (req, res) => {
+  try {
+    if (!(await redeliver(req.params.id))) {
+      return res.status(404).json({ message: 'Доставка не найдена' });
+    }
+
+    res.json({ message: 'Доставка поставлена в очередь' });
+  } catch (err) {
+    console.error('Ошибка повтора доставки:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+};
+
+module.exports = {
+  getWebhookEvents,
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  pingWebhook,
+  getDeliveries,
+  getDelivery,
+  retryDelivery
+};
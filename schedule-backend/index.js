@@ -36,6 +36,26 @@ const teacherScheduleRoutes=require('./routes/teacherSchedule.routes')
 const adminLessonsRoutes = require('./routes/adminLessons.routes');
 const groupsRoutes = require('./routes/groups.routes');
 const adminAuditRoutes = require('./routes/adminAudit.routes');
+const feedTokensRoutes = require('./routes/feedTokens.routes');
+const adminRoomsRoutes = require('./routes/adminRooms.routes');
+const roomsRoutes = require('./routes/rooms.routes');
+const adminCurriculumRoutes = require('./routes/adminCurriculum.routes');
+const adminGeneratorRoutes = require('./routes/adminGenerator.routes');
+const adminCalendarRoutes = require('./routes/adminCalendar.routes');
+const adminSubstitutionsRoutes = require('./routes/adminSubstitutions.routes');
+const adminAbsencesRoutes = require('./routes/adminAbsences.routes');
+const adminLessonStatusRoutes = require('./routes/adminLessonStatus.routes');
+const notificationsRoutes = require('./routes/notifications.routes');
+const pushRoutes = require('./routes/push.routes');
+const adminWebhooksRoutes = require('./routes/adminWebhooks.routes');
+const adminImportRoutes = require('./routes/adminImport.routes');
+const adminPrintRoutes = require('./routes/adminPrint.routes');
+const adminSubgroupsRoutes = require('./routes/adminSubgroups.routes');
+const subgroupsRoutes = require('./routes/subgroups.routes');
+const adminStreamsRoutes = require('./routes/adminStreams.routes');
+const { startDigestScheduler } = require('./services/emailNotification.service');
+const { startWebhookWorker } = require('./services/webhook.service');
+const { startNotificationWorker } = require('./services/notification.service');
 
 
 
@@ -112,10 +132,30 @@ app.use(express.static(path.join(__dirname, '..', 'frontend')));
 app.use('/api/auth', authRoutes);
 app.use('/api/schedule', scheduleRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/feed-tokens', feedTokensRoutes);
+app.use('/api/admin', adminRoomsRoutes);
+app.use('/api/rooms', roomsRoutes);
+app.use('/api/admin', adminCurriculumRoutes);
+app.use('/api/admin', adminGeneratorRoutes);
+app.use('/api/admin', adminCalendarRoutes);
+app.use('/api/admin', adminSubstitutionsRoutes);
+app.use('/api/admin', adminAbsencesRoutes);
+app.use('/api/admin', adminLessonStatusRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/admin', adminWebhooksRoutes);
+app.use('/api/admin', adminImportRoutes);
+app.use('/api/admin', adminPrintRoutes);
+app.use('/api/admin', adminSubgroupsRoutes);
+app.use('/api/subgroups', subgroupsRoutes);
+app.use('/api/admin', adminStreamsRoutes);
 
 // === ЗАПУСК СЕРВЕРА ===
 const PORT = process.env.PORT || 3000;  // process.env.PORT для продакшена (Render, Railway)
 
 app.listen(PORT, () => {
   console.log(`Сервер запущен на http://localhost:${PORT}`);
+  startDigestScheduler();
+  startWebhookWorker();
+  startNotificationWorker();
 });
\ No newline at end of file
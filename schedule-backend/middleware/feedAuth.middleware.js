@@ -0,0 +1,72 @@
+/**
+ * @file feedAuth.middleware.js
+ * @description Middleware аутентификации для read-only выгрузок расписания.
+ * 
+ * Календари и информационные экраны не умеют отправлять короткоживущий accessToken,
+ * поэтому здесь дополнительно принимается секретный токен подписки (?token=ft_...).
+ * 
+ * - Есть ?token — ищем владельца в feed_tokens, req.user заполняется данными владельца,
+ *   req.user.readOnly = true. Разрешены только GET/HEAD. Контроллеры по readOnly
+ *   отдают только расписание владельца (у администратора — feedTarget токена).
+ *   Токен администратора без привязки к расписанию не принимается.
+ * - Нет ?token — обычная проверка JWT через authMiddleware.
+ * 
+ * Используется на GET /api/schedule и форматах выгрузки (.ics).
+ * 
+ * @requires ./auth.middleware
+ * @requires ../services/feedToken.service
+ * 
+ * @middleware
+ */
+
+const authMiddleware = require('./auth.middleware');
+const { findUserByToken } = require('../services/feedToken.service');
+
+/**
+ * Middleware: JWT или токен подписки
+ * 
+ * @async
+ * @function feedAuth
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.token] - Токен подписки
+ * @param {Object} res - Express response object
+ * @param {Function} next - Следующий middleware в цепочке
+ * 
+ * @returns {Promise<void>}
+ * @throws {401} Если токен неизвестен или отозван
+ * @throws {403} Если токен администратора не привязан к расписанию
+ * @throws {405} Если токен подписки использован не для чтения
+ * 
+ * @example
+ * router.get('/ics', feedAuth, getScheduleIcs);
+ */
+async function feedAuth(req, res, next) {
+  const { token } = req.query;
+
+  if (!token) {
+    return authMiddleware(req, res, next);
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ message: 'Токен подписки даёт доступ только на чтение' });
+  }
+
+  try {
+    const user = await findUserByToken(String(token));
+    if (!user) {
+      return res.status(401).json({ message: 'Недействительный токен подписки' });
+    }
+
+    if (user.role === 'admin' && !user.feedTarget) {
+      return res.status(403).json({ message: 'Токен администратора не привязан к расписанию — выпустите новый' });
+    }
+
+    req.user = { ...user, readOnly: true };
+    next();
+  } catch (err) {
+    console.error('Ошибка проверки токена подписки:', err);
+    res.status(500).json({ message: 'Ошибка сервера' });
+  }
+}
+
+module.exports = feedAuth;
@@ -29,15 +29,23 @@ const adminOnly = require('../middleware/role.middleware');
 const {
   getGroups,
   createGroup,
+  updateGroup,
   deleteGroup,
   getLessons,
   createLesson,
+  updateLesson,
   deleteLesson,
   copyWeek,
   clearWeek,
   replaceTeacher,
-  getChangeHistory
+  getConflictReport
 } = require('../controllers/admin.controller');
+const {
+  getFeedTokens,
+  createFeedToken,
+  rotateFeedToken,
+  revokeFeedToken
+} = require('../controllers/feedTokens.controller');
 
 /* ================== МАССОВЫЕ ОПЕРАЦИИ С ЗАНЯТИЯМИ ================== */
 
@@ -78,6 +86,13 @@ router.get('/groups', authMiddleware, adminOnly, getGroups);
  */
 router.post('/groups', authMiddleware, adminOnly, createGroup);
 
+/**
+ * Изменить размер группы
+ * @route PATCH /api/admin/groups/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.patch('/groups/:id', authMiddleware, adminOnly, updateGroup);
+
 /**
  * Удалить группу (и все её занятия, если есть каскад)
  * @route DELETE /api/admin/groups/:id
@@ -102,22 +117,59 @@ router.get('/lessons', authMiddleware, adminOnly, getLessons);
 router.post('/lessons', authMiddleware, adminOnly, createLesson);
 
 /**
- * Удалить занятие по ID
+ * Изменить занятие или его серию (scope: single | following | all)
+ * @route PATCH /api/admin/lessons/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.patch('/lessons/:id', authMiddleware, adminOnly, updateLesson);
+
+/**
+ * Удалить занятие по ID (?scope=single | following | all для серий)
  * @route DELETE /api/admin/lessons/:id
  * @middleware authMiddleware, adminOnly
  */
 router.delete('/lessons/:id', authMiddleware, adminOnly, deleteLesson);
 
-/* ================== ИСТОРИЯ ИЗМЕНЕНИЙ ================== */
+/* ================== КОНФЛИКТЫ ================== */
+
+/**
+ * Отчёт о пересечениях преподавателей, аудиторий и групп за период
+ * @route GET /api/admin/conflicts
+ * @middleware authMiddleware, adminOnly
+ * @query {string} [from] - Начало периода (YYYY-MM-DD)
+ * @query {string} [to] - Конец периода (YYYY-MM-DD)
+ */
+router.get('/conflicts', authMiddleware, adminOnly, getConflictReport);
+
+/* ================== ТОКЕНЫ ПОДПИСКИ ПОЛЬЗОВАТЕЛЕЙ ================== */
+
+/**
+ * Получить действующие токены подписки пользователя
+ * @route GET /api/admin/users/:userId/feed-tokens
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/users/:userId/feed-tokens', authMiddleware, adminOnly, getFeedTokens);
+
+/**
+ * Создать токен подписки для пользователя
+ * @route POST /api/admin/users/:userId/feed-tokens
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/users/:userId/feed-tokens', authMiddleware, adminOnly, createFeedToken);
+
+/**
+ * Перевыпустить токен подписки пользователя
+ * @route POST /api/admin/users/:userId/feed-tokens/:id/rotate
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/users/:userId/feed-tokens/:id/rotate', authMiddleware, adminOnly, rotateFeedToken);
 
 /**
- * Получить историю изменений (аудит-лог)
- * @route GET /api/admin/changes
+ * Отозвать токен подписки пользователя
+ * @route DELETE /api/admin/users/:userId/feed-tokens/:id
  * @middleware authMiddleware, adminOnly
- * @query {number} [limit=50] - Количество записей
- * @query {number} [offset=0] - Смещение для пагинации
  */
-router.get('/changes', authMiddleware, adminOnly, getChangeHistory);
+router.delete('/users/:userId/feed-tokens/:id', authMiddleware, adminOnly, revokeFeedToken);
 
 // Экспортируем роутер
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * @file adminAbsences.routes.js
+ * @description Маршруты реестра отсутствий преподавателей: кандидаты на замену и решения по занятиям.
+ * 
+ * Все роуты защищены authMiddleware + adminOnly.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminAbsencesRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/absence.controller
+ * 
+ * @module routes/adminAbsences
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const {
+  getAbsences,
+  createAbsence,
+  getAbsence,
+  deleteAbsence,
+  assignSubstitute,
+  cancelAbsenceLesson,
+  moveAbsenceLesson
+} = require('../controllers/absence.controller');
+
+/**
+ * Получить отсутствия за период
+ * @route GET /api/admin/absences
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/absences', authMiddleware, adminOnly, getAbsences);
+
+/**
+ * Зарегистрировать отсутствие преподавателя
+ * @route POST /api/admin/absences
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/absences', authMiddleware, adminOnly, createAbsence);
+
+/**
+ * Занятия отсутствия с кандидатами на замену
+ * @route GET /api/admin/absences/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/absences/:id', authMiddleware, adminOnly, getAbsence);
+
+/**
+ * Удалить отсутствие и назначенные по нему замены
+ * @route DELETE /api/admin/absences/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/absences/:id', authMiddleware, adminOnly, deleteAbsence);
+
+/**
+ * Назначить заменяющего на занятие
+ * @route POST /api/admin/absences/:id/lessons/:lessonId/substitute
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/absences/:id/lessons/:lessonId/substitute', authMiddleware, adminOnly, assignSubstitute);
+
+/**
+ * Отменить занятие
+ * @route POST /api/admin/absences/:id/lessons/:lessonId/cancel
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/absences/:id/lessons/:lessonId/cancel', authMiddleware, adminOnly, cancelAbsenceLesson);
+
+/**
+ * Перенести занятие
+ * @route POST /api/admin/absences/:id/lessons/:lessonId/move
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/absences/:id/lessons/:lessonId/move', authMiddleware, adminOnly, moveAbsenceLesson);
+
+module.exports = router;
@@ -1,30 +1,65 @@
+/**
+ * @file adminAudit.routes.js
+ * @description Маршруты аудит-лога: история изменений с фильтрами, экспорт в CSV и откат.
+ * 
+ * Все роуты защищены authMiddleware + adminOnly.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminAuditRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/audit.controller
+ * 
+ * @module routes/adminAudit
+ */
+
 const express = require('express');
 const router = express.Router();
-const pool = require('../db');
+
 const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const {
+  getAuditLog,
+  exportAuditLog,
+  getAuditFilters,
+  revertChange
+} = require('../controllers/audit.controller');
+
+/**
+ * Получить историю изменений (фильтры, пагинация курсором)
+ * @route GET /api/admin/audit
+ * @middleware authMiddleware, adminOnly
+ * @query {number} [adminId] - Кто изменил
+ * @query {string} [actionType] - Тип действия (несколько — через запятую)
+ * @query {string} [targetType] - Тип объекта
+ * @query {number} [groupId] - Группа
+ * @query {string} [from] - С даты (YYYY-MM-DD)
+ * @query {string} [to] - По дату (YYYY-MM-DD)
+ * @query {number} [cursor] - nextCursor предыдущей страницы
+ * @query {number} [limit=50] - Размер страницы
+ */
+router.get('/audit', authMiddleware, adminOnly, getAuditLog);
 
-router.get('/audit', authMiddleware, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Доступ запрещён' });
-  }
+/**
+ * Выгрузить историю изменений в CSV (те же фильтры)
+ * @route GET /api/admin/audit/export
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/audit/export', authMiddleware, adminOnly, exportAuditLog);
 
-  const result = await pool.query(`
-    SELECT
-      sc.id,
-      sc.changed_at,
-      sc.action_type,
-      sc.target_type,
-      sc.target_id,
-      sc.old_value,
-      sc.new_value,
-      u.email AS admin_email
-    FROM schedule_changes sc
-    JOIN users u ON u.id = sc.admin_id
-    ORDER BY sc.changed_at DESC
-    LIMIT 100
-  `);
+/**
+ * Значения для фильтров истории (админы, типы действий и объектов)
+ * @route GET /api/admin/audit/filters
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/audit/filters', authMiddleware, adminOnly, getAuditFilters);
 
-  res.json(result.rows);
-});
+/**
+ * Откатить изменение из истории
+ * @route POST /api/admin/audit/:id/revert
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/audit/:id/revert', authMiddleware, adminOnly, revertChange);
 
 module.exports = router;
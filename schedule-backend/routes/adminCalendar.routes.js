@@ -0,0 +1,105 @@
+/**
+ * @file adminCalendar.routes.js
+ * @description Маршруты учебного календаря: учебные годы, семестры и исключения (праздники, каникулы, переносы).
+ * 
+ * Все роуты защищены authMiddleware + adminOnly.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminCalendarRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/calendar.controller
+ * 
+ * @module routes/adminCalendar
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const {
+  getAcademicYears,
+  createAcademicYear,
+  updateAcademicYear,
+  deleteAcademicYear,
+  createSemester,
+  updateSemester,
+  deleteSemester,
+  getCalendarExceptions,
+  createCalendarException,
+  deleteCalendarException
+} = require('../controllers/calendar.controller');
+
+/**
+ * Учебные годы с семестрами
+ * @route GET /api/admin/academic-years
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/academic-years', authMiddleware, adminOnly, getAcademicYears);
+
+/**
+ * Создать учебный год
+ * @route POST /api/admin/academic-years
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/academic-years', authMiddleware, adminOnly, createAcademicYear);
+
+/**
+ * Изменить учебный год (границы, нумерация и чётность недель)
+ * @route PATCH /api/admin/academic-years/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.patch('/academic-years/:id', authMiddleware, adminOnly, updateAcademicYear);
+
+/**
+ * Удалить учебный год вместе с семестрами
+ * @route DELETE /api/admin/academic-years/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/academic-years/:id', authMiddleware, adminOnly, deleteAcademicYear);
+
+/**
+ * Создать семестр
+ * @route POST /api/admin/semesters
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/semesters', authMiddleware, adminOnly, createSemester);
+
+/**
+ * Изменить семестр
+ * @route PATCH /api/admin/semesters/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.patch('/semesters/:id', authMiddleware, adminOnly, updateSemester);
+
+/**
+ * Удалить семестр
+ * @route DELETE /api/admin/semesters/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/semesters/:id', authMiddleware, adminOnly, deleteSemester);
+
+/**
+ * Получить праздники, каникулы и переносы за период
+ * @route GET /api/admin/calendar-exceptions
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/calendar-exceptions', authMiddleware, adminOnly, getCalendarExceptions);
+
+/**
+ * Добавить праздник, каникулы или день переноса
+ * @route POST /api/admin/calendar-exceptions
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/calendar-exceptions', authMiddleware, adminOnly, createCalendarException);
+
+/**
+ * Удалить исключение календаря
+ * @route DELETE /api/admin/calendar-exceptions/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/calendar-exceptions/:id', authMiddleware, adminOnly, deleteCalendarException);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+/**
+ * @file adminCurriculum.routes.js
+ * @description Маршруты каталога дисциплин, учебного плана групп и назначений преподавателей.
+ * 
+ * Все роуты защищены authMiddleware + adminOnly.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminCurriculumRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/curriculum.controller
+ * 
+ * @module routes/adminCurriculum
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const {
+  getSubjects,
+  createSubject,
+  updateSubject,
+  deleteSubject,
+  getCurriculum,
+  saveCurriculumPlan,
+  deleteCurriculumPlan,
+  getTeacherAssignments,
+  saveTeacherAssignment,
+  deleteTeacherAssignment,
+  getCurriculumReport
+} = require('../controllers/curriculum.controller');
+
+/**
+ * Каталог дисциплин
+ * @route GET /api/admin/subjects
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/subjects', authMiddleware, adminOnly, getSubjects);
+
+/**
+ * Добавить дисциплину
+ * @route POST /api/admin/subjects
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/subjects', authMiddleware, adminOnly, createSubject);
+
+/**
+ * Переименовать дисциплину
+ * @route PATCH /api/admin/subjects/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.patch('/subjects/:id', authMiddleware, adminOnly, updateSubject);
+
+/**
+ * Удалить дисциплину (если по ней нет занятий)
+ * @route DELETE /api/admin/subjects/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/subjects/:id', authMiddleware, adminOnly, deleteSubject);
+
+/**
+ * Отчёт «план / факт» по часам
+ * @route GET /api/admin/curriculum/report?groupId=&semester=&from=&to=
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/curriculum/report', authMiddleware, adminOnly, getCurriculumReport);
+
+/**
+ * Учебный план группы на семестр
+ * @route GET /api/admin/curriculum?groupId=&semester=
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/curriculum', authMiddleware, adminOnly, getCurriculum);
+
+/**
+ * Задать часы по дисциплине
+ * @route PUT /api/admin/curriculum
+ * @middleware authMiddleware, adminOnly
+ */
+router.put('/curriculum', authMiddleware, adminOnly, saveCurriculumPlan);
+
+/**
+ * Удалить строку учебного плана
+ * @route DELETE /api/admin/curriculum/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/curriculum/:id', authMiddleware, adminOnly, deleteCurriculumPlan);
+
+/**
+ * Назначения преподавателей группы на семестр
+ * @route GET /api/admin/teacher-assignments?groupId=&semester=
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/teacher-assignments', authMiddleware, adminOnly, getTeacherAssignments);
+
+/**
+ * Назначить преподавателя на вид занятий по дисциплине
+ * @route PUT /api/admin/teacher-assignments
+ * @middleware authMiddleware, adminOnly
+ */
+router.put('/teacher-assignments', authMiddleware, adminOnly, saveTeacherAssignment);
+
+/**
+ * Снять назначение
+ * @route DELETE /api/admin/teacher-assignments/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/teacher-assignments/:id', authMiddleware, adminOnly, deleteTeacherAssignment);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+/**
+ * @file adminGenerator.routes.js
+ * @description Маршруты генератора расписания: ограничения преподавателей и черновики.
+ * 
+ * Все роуты защищены authMiddleware + adminOnly.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminGeneratorRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/generator.controller
+ * 
+ * @module routes/adminGenerator
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const {
+  getTeacherUnavailability,
+  createTeacherUnavailability,
+  deleteTeacherUnavailability,
+  getDrafts,
+  getDraft,
+  createDraft,
+  applyDraft,
+  deleteDraft
+} = require('../controllers/generator.controller');
+
+/**
+ * Когда преподаватели не могут вести занятия
+ * @route GET /api/admin/teacher-unavailability?teacherId=
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/teacher-unavailability', authMiddleware, adminOnly, getTeacherUnavailability);
+
+/**
+ * Добавить ограничение преподавателя
+ * @route POST /api/admin/teacher-unavailability
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/teacher-unavailability', authMiddleware, adminOnly, createTeacherUnavailability);
+
+/**
+ * Удалить ограничение преподавателя
+ * @route DELETE /api/admin/teacher-unavailability/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/teacher-unavailability/:id', authMiddleware, adminOnly, deleteTeacherUnavailability);
+
+/**
+ * Список черновиков расписания
+ * @route GET /api/admin/timetable-drafts
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/timetable-drafts', authMiddleware, adminOnly, getDrafts);
+
+/**
+ * Запустить генерацию черновика
+ * @route POST /api/admin/timetable-drafts
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/timetable-drafts', authMiddleware, adminOnly, createDraft);
+
+/**
+ * Черновик с шаблоном и прогрессом
+ * @route GET /api/admin/timetable-drafts/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/timetable-drafts/:id', authMiddleware, adminOnly, getDraft);
+
+/**
+ * Применить черновик (записать в lessons)
+ * @route POST /api/admin/timetable-drafts/:id/apply
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/timetable-drafts/:id/apply', authMiddleware, adminOnly, applyDraft);
+
+/**
+ * Удалить черновик
+ * @route DELETE /api/admin/timetable-drafts/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/timetable-drafts/:id', authMiddleware, adminOnly, deleteDraft);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * @file adminImport.routes.js
+ * @description Маршруты массового импорта занятий из CSV/XLSX.
+ * 
+ * Все роуты защищены authMiddleware + adminOnly. Файл приходит телом запроса,
+ * поэтому здесь подключён express.raw вместо общего express.json.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminImportRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/lessonImport.controller
+ * 
+ * @module routes/adminImport
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const { importLessons } = require('../controllers/lessonImport.controller');
+
+/**
+ * Проверить или импортировать занятия из файла
+ * @route POST /api/admin/lessons/import
+ * @middleware authMiddleware, adminOnly
+ * @query {string} [mode=dry-run] - dry-run | commit
+ * @query {string} [override] - '1' — импортировать, несмотря на конфликты
+ * @body Файл CSV или XLSX (до 10 МБ)
+ */
+router.post(
+  '/lessons/import',
+  authMiddleware,
+  adminOnly,
+  express.raw({ type: () => true, limit: '10mb' }),
+  importLessons
+);
+
+module.exports = router;
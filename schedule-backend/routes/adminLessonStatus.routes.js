@@ -0,0 +1,57 @@
+/**
+ * @file adminLessonStatus.routes.js
+ * @description Маршруты изменений одного занятия со статусом: отмена, перенос, смена аудитории, онлайн.
+ * 
+ * Все роуты защищены authMiddleware + adminOnly.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminLessonStatusRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/lessonStatus.controller
+ * 
+ * @module routes/adminLessonStatus
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const {
+  cancelLesson,
+  moveLesson,
+  changeLessonRoom,
+  setLessonOnline
+} = require('../controllers/lessonStatus.controller');
+
+/**
+ * Отменить занятие с причиной
+ * @route POST /api/admin/lessons/:id/cancel
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/lessons/:id/cancel', authMiddleware, adminOnly, cancelLesson);
+
+/**
+ * Перенести занятие с причиной
+ * @route POST /api/admin/lessons/:id/move
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/lessons/:id/move', authMiddleware, adminOnly, moveLesson);
+
+/**
+ * Сменить аудиторию занятия с причиной
+ * @route POST /api/admin/lessons/:id/room
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/lessons/:id/room', authMiddleware, adminOnly, changeLessonRoom);
+
+/**
+ * Перевести занятие в онлайн
+ * @route POST /api/admin/lessons/:id/online
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/lessons/:id/online', authMiddleware, adminOnly, setLessonOnline);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * @file adminPrint.routes.js
+ * @description Маршруты пакетной печати расписаний в PDF.
+ * 
+ * Все роуты защищены authMiddleware + adminOnly.
+ * Печать расписания одной группы, преподавателя или аудитории — GET /api/schedule/pdf.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminPrintRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/schedulePrint.controller
+ * 
+ * @module routes/adminPrint
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const { printGroupSchedules } = require('../controllers/schedulePrint.controller');
+
+/**
+ * Расписания всех групп: один PDF (страница на группу) или ZIP
+ * @route GET /api/admin/schedule/pdf
+ * @middleware authMiddleware, adminOnly
+ * @query {string} [period=week] - week | semester
+ * @query {string} [date] - Любой день нужной недели или семестра (YYYY-MM-DD)
+ * @query {string} [bundle=pdf] - pdf | zip
+ */
+router.get('/schedule/pdf', authMiddleware, adminOnly, printGroupSchedules);
+
+module.exports = router;
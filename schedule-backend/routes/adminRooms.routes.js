@@ -0,0 +1,65 @@
+/**
+ * @file adminRooms.routes.js
+ * @description Маршруты управления аудиториями (корпус, вместимость, оснащение).
+ * 
+ * Все роуты защищены authMiddleware + adminOnly.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminRoomsRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/rooms.controller
+ * 
+ * @module routes/adminRooms
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const {
+  getRooms,
+  getRoomFeatures,
+  createRoom,
+  updateRoom,
+  deleteRoom
+} = require('../controllers/rooms.controller');
+
+/**
+ * Список аудиторий
+ * @route GET /api/admin/rooms
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/rooms', authMiddleware, adminOnly, getRooms);
+
+/**
+ * Справочник оснащения (projector, computer_lab, gym, lab)
+ * @route GET /api/admin/rooms/features
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/rooms/features', authMiddleware, adminOnly, getRoomFeatures);
+
+/**
+ * Создать аудиторию
+ * @route POST /api/admin/rooms
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/rooms', authMiddleware, adminOnly, createRoom);
+
+/**
+ * Изменить аудиторию
+ * @route PATCH /api/admin/rooms/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.patch('/rooms/:id', authMiddleware, adminOnly, updateRoom);
+
+/**
+ * Удалить аудиторию (если в ней нет занятий)
+ * @route DELETE /api/admin/rooms/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/rooms/:id', authMiddleware, adminOnly, deleteRoom);
+
+module.exports = router;
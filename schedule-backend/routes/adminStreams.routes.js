@@ -0,0 +1,59 @@
+/**
+ * @file adminStreams.routes.js
+ * @description Маршруты управления потоками (лекции для нескольких групп).
+ *
+ * Все роуты защищены authMiddleware + adminOnly.
+ *
+ * Подключён в index.js через app.use('/api/admin', adminStreamsRoutes)
+ *
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/streams.controller
+ *
+ * @module routes/adminStreams
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const {
+  getStreams,
+  createStream,
+  updateStream,
+  deleteStream
+} = require('../controllers/streams.controller');
+
+/**
+ * Потоки с группами
+ * @route GET /api/admin/streams
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/streams', authMiddleware, adminOnly, getStreams);
+
+/**
+ * Создать поток
+ * @route POST /api/admin/streams
+ * @middleware authMiddleware, adminOnly
+ * @body {string} name
+ * @body {number[]} group_ids
+ */
+router.post('/streams', authMiddleware, adminOnly, createStream);
+
+/**
+ * Изменить название или состав потока
+ * @route PATCH /api/admin/streams/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.patch('/streams/:id', authMiddleware, adminOnly, updateStream);
+
+/**
+ * Удалить поток без занятий
+ * @route DELETE /api/admin/streams/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/streams/:id', authMiddleware, adminOnly, deleteStream);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+/**
+ * @file adminSubgroups.routes.js
+ * @description Маршруты управления подгруппами.
+ * 
+ * Все роуты защищены authMiddleware + adminOnly.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminSubgroupsRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/subgroups.controller
+ * 
+ * @module routes/adminSubgroups
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const {
+  getSubgroups,
+  createSubgroup,
+  updateSubgroup,
+  deleteSubgroup
+} = require('../controllers/subgroups.controller');
+
+/**
+ * Подгруппы группы
+ * @route GET /api/admin/groups/:id/subgroups
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/groups/:id/subgroups', authMiddleware, adminOnly, getSubgroups);
+
+/**
+ * Создать подгруппу
+ * @route POST /api/admin/groups/:id/subgroups
+ * @middleware authMiddleware, adminOnly
+ * @body {string} name
+ * @body {number} [size]
+ */
+router.post('/groups/:id/subgroups', authMiddleware, adminOnly, createSubgroup);
+
+/**
+ * Изменить название или размер подгруппы
+ * @route PATCH /api/admin/subgroups/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.patch('/subgroups/:id', authMiddleware, adminOnly, updateSubgroup);
+
+/**
+ * Удалить подгруппу без занятий
+ * @route DELETE /api/admin/subgroups/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/subgroups/:id', authMiddleware, adminOnly, deleteSubgroup);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * @file adminSubstitutions.routes.js
+ * @description Маршруты временных замен преподавателей.
+ * 
+ * Все роуты защищены authMiddleware + adminOnly.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminSubstitutionsRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/substitution.controller
+ * 
+ * @module routes/adminSubstitutions
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const {
+  getSubstitutions,
+  createSubstitution,
+  deleteSubstitution
+} = require('../controllers/substitution.controller');
+
+/**
+ * Получить замены за период
+ * @route GET /api/admin/substitutions
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/substitutions', authMiddleware, adminOnly, getSubstitutions);
+
+/**
+ * Добавить замену преподавателя на период
+ * @route POST /api/admin/substitutions
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/substitutions', authMiddleware, adminOnly, createSubstitution);
+
+/**
+ * Удалить замену
+ * @route DELETE /api/admin/substitutions/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/substitutions/:id', authMiddleware, adminOnly, deleteSubstitution);
+
+module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * @file adminWebhooks.routes.js
+ * @description Маршруты подписок на исходящие вебхуки и журнала доставок.
+ * 
+ * Все роуты защищены authMiddleware + adminOnly.
+ * 
+ * Подключён в index.js через app.use('/api/admin', adminWebhooksRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../middleware/role.middleware
+ * @requires ../controllers/webhooks.controller
+ * 
+ * @module routes/adminWebhooks
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const adminOnly = require('../middleware/role.middleware');
+const {
+  getWebhookEvents,
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  pingWebhook,
+  getDeliveries,
+  getDelivery,
+  retryDelivery
+} = require('../controllers/webhooks.controller');
+
+/**
+ * Справочник событий
+ * @route GET /api/admin/webhooks/events
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/webhooks/events', authMiddleware, adminOnly, getWebhookEvents);
+
+/**
+ * Журнал доставок
+ * @route GET /api/admin/webhooks/deliveries
+ * @middleware authMiddleware, adminOnly
+ * @query {number} [subscriptionId]
+ * @query {string} [status] - pending | success | failed
+ * @query {number} [page=1]
+ */
+router.get('/webhooks/deliveries', authMiddleware, adminOnly, getDeliveries);
+
+/**
+ * Доставка с телом события
+ * @route GET /api/admin/webhooks/deliveries/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/webhooks/deliveries/:id', authMiddleware, adminOnly, getDelivery);
+
+/**
+ * Повторить доставку
+ * @route POST /api/admin/webhooks/deliveries/:id/retry
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/webhooks/deliveries/:id/retry', authMiddleware, adminOnly, retryDelivery);
+
+/**
+ * Получить подписки
+ * @route GET /api/admin/webhooks
+ * @middleware authMiddleware, adminOnly
+ */
+router.get('/webhooks', authMiddleware, adminOnly, getWebhooks);
+
+/**
+ * Создать подписку (секрет возвращается один раз)
+ * @route POST /api/admin/webhooks
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/webhooks', authMiddleware, adminOnly, createWebhook);
+
+/**
+ * Изменить подписку, включить или отключить её
+ * @route PATCH /api/admin/webhooks/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.patch('/webhooks/:id', authMiddleware, adminOnly, updateWebhook);
+
+/**
+ * Удалить подписку
+ * @route DELETE /api/admin/webhooks/:id
+ * @middleware authMiddleware, adminOnly
+ */
+router.delete('/webhooks/:id', authMiddleware, adminOnly, deleteWebhook);
+
+/**
+ * Перевыпустить секрет подписи
+ * @route POST /api/admin/webhooks/:id/rotate-secret
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/webhooks/:id/rotate-secret', authMiddleware, adminOnly, rotateWebhookSecret);
+
+/**
+ * Отправить проверочное событие ping
+ * @route POST /api/admin/webhooks/:id/ping
+ * @middleware authMiddleware, adminOnly
+ */
+router.post('/webhooks/:id/ping', authMiddleware, adminOnly, pingWebhook);
+
+module.exports = router;
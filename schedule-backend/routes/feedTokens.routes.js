@@ -0,0 +1,57 @@
+/**
+ * @file feedTokens.routes.js
+ * @description Маршруты управления собственными токенами подписки на расписание.
+ * 
+ * Все роуты защищены authMiddleware (JWT) — токеном подписки управлять токенами нельзя.
+ * Токены других пользователей админ редактирует через /api/admin/users/:userId/feed-tokens.
+ * 
+ * Подключён в index.js через app.use('/api/feed-tokens', feedTokensRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../controllers/feedTokens.controller
+ * 
+ * @module routes/feedTokens
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const {
+  getFeedTokens,
+  createFeedToken,
+  rotateFeedToken,
+  revokeFeedToken
+} = require('../controllers/feedTokens.controller');
+
+/**
+ * Список своих действующих токенов
+ * @route GET /api/feed-tokens
+ * @middleware authMiddleware
+ */
+router.get('/', authMiddleware, getFeedTokens);
+
+/**
+ * Создать токен (открытое значение возвращается один раз)
+ * @route POST /api/feed-tokens
+ * @middleware authMiddleware
+ * @body {string} [name] - Подпись токена
+ */
+router.post('/', authMiddleware, createFeedToken);
+
+/**
+ * Перевыпустить токен
+ * @route POST /api/feed-tokens/:id/rotate
+ * @middleware authMiddleware
+ */
+router.post('/:id/rotate', authMiddleware, rotateFeedToken);
+
+/**
+ * Отозвать токен
+ * @route DELETE /api/feed-tokens/:id
+ * @middleware authMiddleware
+ */
+router.delete('/:id', authMiddleware, revokeFeedToken);
+
+module.exports = router;
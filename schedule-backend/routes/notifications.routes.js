@@ -0,0 +1,68 @@
+/**
+ * @file notifications.routes.js
+ * @description Маршруты уведомлений текущего пользователя об изменениях расписания.
+ *
+ * Все роуты защищены authMiddleware (JWT); пользователь видит только свои уведомления
+ * и меняет только свои настройки.
+ *
+ * Подключён в index.js через app.use('/api/notifications', notificationsRoutes)
+ *
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../controllers/notifications.controller
+ *
+ * @module routes/notifications
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notifications.controller');
+
+/**
+ * Свои уведомления и число непрочитанных
+ * @route GET /api/notifications
+ * @middleware authMiddleware
+ * @query {string} [unread] - '1' — только непрочитанные
+ * @query {number} [limit=30]
+ */
+router.get('/', authMiddleware, getNotifications);
+
+/**
+ * Свои настройки писем
+ * @route GET /api/notifications/preferences
+ * @middleware authMiddleware
+ */
+router.get('/preferences', authMiddleware, getPreferences);
+
+/**
+ * Изменить настройки писем
+ * @route PUT /api/notifications/preferences
+ * @middleware authMiddleware
+ * @body {boolean} [email_changes]
+ * @body {boolean} [email_digest]
+ */
+router.put('/preferences', authMiddleware, updatePreferences);
+
+/**
+ * Отметить все уведомления прочитанными
+ * @route POST /api/notifications/read-all
+ * @middleware authMiddleware
+ */
+router.post('/read-all', authMiddleware, markAllNotificationsRead);
+
+/**
+ * Отметить уведомление прочитанным
+ * @route POST /api/notifications/:id/read
+ * @middleware authMiddleware
+ */
+router.post('/:id/read', authMiddleware, markNotificationRead);
+
+module.exports = router;
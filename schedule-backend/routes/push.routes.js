@@ -0,0 +1,50 @@
+/**
+ * @file push.routes.js
+ * @description Маршруты подписок Web Push текущего пользователя.
+ *
+ * Все роуты защищены authMiddleware (JWT): подписка привязывается к вошедшему пользователю.
+ *
+ * Подключён в index.js через app.use('/api/push', pushRoutes)
+ *
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../controllers/push.controller
+ *
+ * @module routes/push
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const {
+  getPublicKey,
+  subscribe,
+  unsubscribe
+} = require('../controllers/push.controller');
+
+/**
+ * Публичный ключ VAPID
+ * @route GET /api/push/public-key
+ * @middleware authMiddleware
+ */
+router.get('/public-key', authMiddleware, getPublicKey);
+
+/**
+ * Сохранить PushSubscription устройства
+ * @route POST /api/push/subscriptions
+ * @middleware authMiddleware
+ * @body {string} endpoint
+ * @body {Object} keys - { p256dh, auth }
+ */
+router.post('/subscriptions', authMiddleware, subscribe);
+
+/**
+ * Удалить подписку устройства
+ * @route DELETE /api/push/subscriptions
+ * @middleware authMiddleware
+ * @body {string} endpoint
+ */
+router.delete('/subscriptions', authMiddleware, unsubscribe);
+
+module.exports = router;
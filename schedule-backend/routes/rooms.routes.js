@@ -0,0 +1,45 @@
+/**
+ * @file rooms.routes.js
+ * @description Маршруты аудиторий для преподавателей и администраторов.
+ * 
+ * - /free — поиск свободной аудитории (например, для отработки занятия)
+ * - /features — справочник оснащения для формы поиска
+ * 
+ * Управление аудиториями — в adminRooms.routes.js.
+ * 
+ * Подключён в index.js через app.use('/api/rooms', roomsRoutes)
+ * 
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../controllers/rooms.controller
+ * 
+ * @module routes/rooms
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const { findFreeRooms, getRoomFeatures } = require('../controllers/rooms.controller');
+
+/**
+ * Свободные аудитории на дату и время
+ * @route GET /api/rooms/free
+ * @middleware authMiddleware (роль teacher или admin проверяется в контроллере)
+ * @query {string} date - YYYY-MM-DD
+ * @query {string} start - HH:MM
+ * @query {string} end - HH:MM
+ * @query {number} [minCapacity] - Минимальная вместимость
+ * @query {string} [building] - Корпус
+ * @query {string} [features] - Оснащение через запятую
+ */
+router.get('/free', authMiddleware, findFreeRooms);
+
+/**
+ * Справочник оснащения аудиторий
+ * @route GET /api/rooms/features
+ * @middleware authMiddleware
+ */
+router.get('/features', authMiddleware, getRoomFeatures);
+
+module.exports = router;
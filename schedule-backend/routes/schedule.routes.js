@@ -6,12 +6,15 @@
  * - Студент видит расписание своей группы
  * - Админ может указать группу через query-параметр ?group=...
  * 
- * Защищён middleware authMiddleware (проверка JWT accessToken).
+ * Защищён middleware feedAuth: JWT accessToken или токен подписки (?token=...),
+ * который даёт доступ только на чтение расписания владельца токена (у администратора —
+ * одного расписания, выбранного при выпуске токена). Параметры group, groupId, teacherId,
+ * room и roomId при доступе по токену не учитываются.
  * 
  * Подключён в index.js через app.use('/api/schedule', scheduleRoutes)
  * 
  * @requires express
- * @requires ../middleware/auth.middleware
+ * @requires ../middleware/feedAuth.middleware
  * @requires ../controllers/schedule.controller
  * 
  * @module routes/schedule
@@ -20,19 +23,20 @@
 const express = require('express');
 const router = express.Router();
 
-// Middleware аутентификации (проверка JWT)
-const authMiddleware = require('../middleware/auth.middleware');
+// Middleware аутентификации (JWT или токен подписки)
+const feedAuth = require('../middleware/feedAuth.middleware');
 
 // Контроллер расписания
-const { getSchedule } = require('../controllers/schedule.controller');
+const { getSchedule, getScheduleIcs, exportSchedule, getSchedulePdf } = require('../controllers/schedule.controller');
 
 /**
  * GET /api/schedule
  * Получение расписания занятий для текущего пользователя
  * 
  * @route GET /api/schedule
- * @middleware authMiddleware - Требуется валидный accessToken
+ * @middleware feedAuth - Требуется валидный accessToken или токен подписки
  * 
+ * @query {string} [token] - Токен подписки вместо заголовка Authorization
  * @query {number} [weekOffset=0] - Смещение недели (0 = текущая, -1 = предыдущая и т.д.)
  * @query {string} [group] - Название группы (только для админа)
  * 
@@ -50,7 +54,65 @@ const { getSchedule } = require('../controllers/schedule.controller');
  * @throws {403} Если неизвестная роль
  * @throws {404} Если группа не найдена
  */
-router.get('/', authMiddleware, getSchedule);
+router.get('/', feedAuth, getSchedule);
+
+/**
+ * GET /api/schedule/ics
+ * Расписание в формате iCalendar (.ics) для подписки из календарей
+ * 
+ * @route GET /api/schedule/ics
+ * @middleware feedAuth - Требуется валидный accessToken или токен подписки
+ * 
+ * @query {string} [token] - Токен подписки (для календарей, которые не умеют слать заголовки)
+ * @query {number} [groupId] - ID группы
+ * @query {string} [group] - Название группы
+ * @query {number} [teacherId] - ID преподавателя
+ * @query {number} [roomId] - ID аудитории
+ * @query {string} [room] - Название аудитории
+ * @query {string} [from] - Начало периода (YYYY-MM-DD)
+ * @query {string} [to] - Конец периода (YYYY-MM-DD)
+ * 
+ * @returns {string} text/calendar — по одному VEVENT на занятие
+ * 
+ * @throws {400} Если не указано, чьё расписание выгружать, или неверный период
+ * @throws {404} Если группа, преподаватель или аудитория не найдены
+ */
+router.get('/ics', feedAuth, getScheduleIcs);
+
+/**
+ * GET /api/schedule/export
+ * Расписание в XLSX или CSV: сетка «дни × пары» или список занятий
+ * 
+ * @route GET /api/schedule/export
+ * @middleware feedAuth - Требуется валидный accessToken или токен подписки
+ * 
+ * @query {string} [format=xlsx] - xlsx | csv
+ * @query {string} [layout=grid] - grid | list
+ * @query {number} [groupId] - ID группы (или group, teacherId, roomId, room — как в /ics)
+ * @query {string} [period] - semester — весь текущий семестр
+ * @query {string} [from] - Начало периода (YYYY-MM-DD), по умолчанию — текущая неделя
+ * @query {string} [to] - Конец периода (YYYY-MM-DD)
+ * 
+ * @throws {400} Если неверные параметры или не указано, чьё расписание выгружать
+ * @throws {404} Если группа, преподаватель или аудитория не найдены
+ */
+router.get('/export', feedAuth, exportSchedule);
+
+/**
+ * GET /api/schedule/pdf
+ * Печатное расписание в PDF на неделю или семестр (одна страница)
+ * 
+ * @route GET /api/schedule/pdf
+ * @middleware feedAuth - Требуется валидный accessToken или токен подписки
+ * 
+ * @query {string} [period=week] - week | semester
+ * @query {string} [date] - Любой день нужной недели или семестра (YYYY-MM-DD), по умолчанию сегодня
+ * @query {number} [groupId] - ID группы (или group, teacherId, roomId, room — как в /ics)
+ * 
+ * @throws {400} Если неверный период или не указано, чьё расписание печатать
+ * @throws {404} Если группа, преподаватель или аудитория не найдены
+ */
+router.get('/pdf', feedAuth, getSchedulePdf);
 
 // Экспортируем роутер
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * @file subgroups.routes.js
+ * @description Маршруты выбора подгруппы студентом.
+ *
+ * Защищены authMiddleware (JWT); студент видит подгруппы только своей группы.
+ *
+ * Подключён в index.js через app.use('/api/subgroups', subgroupsRoutes)
+ *
+ * @requires express
+ * @requires ../middleware/auth.middleware
+ * @requires ../controllers/subgroups.controller
+ *
+ * @module routes/subgroups
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/auth.middleware');
+const { getMySubgroups, setMySubgroup } = require('../controllers/subgroups.controller');
+
+/**
+ * Подгруппы своей группы и выбранная подгруппа
+ * @route GET /api/subgroups
+ * @middleware authMiddleware
+ */
+router.get('/', authMiddleware, getMySubgroups);
+
+/**
+ * Выбрать свою подгруппу (null — все подгруппы)
+ * @route PUT /api/subgroups/mine
+ * @middleware authMiddleware
+ * @body {number|null} subgroup_id
+ */
+router.put('/mine', authMiddleware, setMySubgroup);
+
+module.exports = router;
@@ -0,0 +1,116 @@
+/**
+ * @file scripts/generate-timetable.js
+ * @description Консольный запуск генератора расписания.
+ * 
+ * Собирает черновик из учебного плана, назначений преподавателей, аудиторий
+ * и ограничений по времени. В lessons ничего не пишет — черновик применяется
+ * из админки (POST /api/admin/timetable-drafts/:id/apply).
+ * 
+ * Запуск:
+ * @example
+ * # Новый черновик
+ * node scripts/generate-timetable.js --semester 2025/2026-1 --from 2025-09-01 --to 2025-12-28 --groups 1,2 --time-limit 60
+ * 
+ * # Уже созданный черновик (так его запускает админка)
+ * node scripts/generate-timetable.js --draft 12
+ * 
+ * Параметры:
+ * - --groups — ID групп через запятую (по умолчанию все группы с учебным планом на семестр)
+ * - --days — учебные дни через запятую, 0 = Пн ... 5 = Сб (по умолчанию 0-5)
+ * - --time-limit — ограничение по времени в секундах (по умолчанию 30)
+ * 
+ * Код выхода: 0 — всё размещено, 2 — часть занятий не размещена, 1 — ошибка.
+ */
+
+const pool = require('../db');
+const { runDraft, DEFAULT_DAYS } = require('../services/generator.service');
+
+/**
+ * Разбирает аргументы вида --name value
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+/**
+ * Список чисел из строки '1,2,3'
+ * @param {string} value
+ * @returns {number[]}
+ */
+function parseIds(value) {
+  return String(value || '').split(',').map(Number).filter(Number.isInteger);
+}
+
+/**
+ * Создаёт черновик по параметрам командной строки
+ * @param {Object} args
+ * @returns {Promise<number>} ID черновика
+ */
+async function createDraft(args) {
+  if (!args.semester || !/^\d{4}-\d{2}-\d{2}$/.test(args.from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(args.to || '')) {
+    throw new Error('Укажите --semester, --from и --to (YYYY-MM-DD) или --draft <id>');
+  }
+
+  let groupIds = parseIds(args.groups);
+  if (groupIds.length === 0) {
+    const res = await pool.query(
+      'SELECT DISTINCT group_id FROM curriculum_plans WHERE semester = $1 ORDER BY group_id',
+      [args.semester]
+    );
+    groupIds = res.rows.map(r => r.group_id);
+  }
+  if (groupIds.length === 0) {
+    throw new Error(`Для семестра ${args.semester} нет учебного плана`);
+  }
+
+  const days = args.days ? parseIds(args.days) : DEFAULT_DAYS;
+  const timeLimit = Number(args['time-limit']) || 30;
+
+  const res = await pool.query(
+    `INSERT INTO timetable_drafts (semester, date_from, date_to, group_ids, days, time_limit_sec)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [args.semester, args.from, args.to, groupIds, days, timeLimit]
+  );
+  return res.rows[0].id;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const draftId = args.draft ? Number(args.draft) : await createDraft(args);
+
+  console.log(`Черновик #${draftId}: генерация...`);
+
+  const result = await runDraft(pool, draftId, {
+    onProgress: ({ progress, placed, total, iteration, elapsedMs }) => {
+      console.log(
+        `[${String(progress).padStart(3)}%] размещено ${placed}/${total}, попытка ${iteration}, ${(elapsedMs / 1000).toFixed(1)} с`
+      );
+    }
+  });
+
+  console.log(`Готово: размещено ${result.stats.placed} из ${result.stats.total}` +
+    (result.stats.timedOut ? ' (вышло время)' : ''));
+
+  result.unplaced.forEach(u => {
+    console.log(`  ✗ ${u.group_name}: ${u.subject} (${u.type}${u.weekly ? '' : ', через неделю'}) — ${u.reason}`);
+  });
+
+  return result.unplaced.length === 0 ? 0 : 2;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    console.error('Ошибка генерации расписания:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,109 @@
+/**
+ * @file scripts/mock-push-server.js
+ * @description Локальный push-сервис для проверки Web Push без браузера.
+ *
+ * Создаёт ключи «устройства», печатает подписку и расшифровывает (aes128gcm, RFC 8291)
+ * каждое пришедшее сообщение. Подписку регистрируют обычным запросом от имени
+ * пользователя, после чего изменения его расписания приходят сюда.
+ *
+ * Сервер принимает http-адрес на localhost только с PUSH_ALLOW_LOCAL=true в .env —
+ * без флага такие endpoint отклоняются как внутренние.
+ *
+ * Запуск:
+ * @example
+ * npm run mock-push -- --port 4000
+ *
+ * # Зарегистрировать напечатанную подписку
+ * curl -X POST http://localhost:3000/api/push/subscriptions \
+ *   -H "Authorization: Bearer <accessToken>" -H "Content-Type: application/json" \
+ *   -d '<subscription JSON>'
+ *
+ * Параметры:
+ * - --port — порт (по умолчанию 4000)
+ * - --gone — отвечать 410, как push-сервис на отписанное устройство (сервер удалит подписку)
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * Разбирает аргументы вида --name value
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+/**
+ * Расшифровывает тело aes128gcm (одна запись)
+ *
+ * @param {Buffer} body - Тело запроса push-сервису
+ * @param {crypto.ECDH} ecdh - Ключи устройства
+ * @param {Buffer} authSecret - Секрет подписки (keys.auth)
+ * @returns {string} Открытый текст
+ */
+function decrypt(body, ecdh, authSecret) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const sharedSecret = ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const key = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+
+  // Последняя запись заканчивается разделителем 0x02 и нулями
+  return padded.subarray(0, padded.lastIndexOf(2)).toString('utf8');
+}
+
+const args = parseArgs(process.argv.slice(2));
+const port = Number(args.port) || 4000;
+
+const ecdh = crypto.createECDH('prime256v1');
+ecdh.generateKeys();
+const authSecret = crypto.randomBytes(16);
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks);
+    console.log(`\n${req.method} ${req.url}`);
+    console.log('  Authorization:', (req.headers.authorization || '—').slice(0, 60) + '…');
+    console.log('  TTL:', req.headers.ttl, ' Content-Encoding:', req.headers['content-encoding']);
+
+    try {
+      console.log('  Сообщение:', decrypt(body, ecdh, authSecret));
+    } catch (err) {
+      console.log('  Не удалось расшифровать:', err.message);
+    }
+
+    res.writeHead(args.gone ? 410 : 201);
+    res.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock push-сервис: http://localhost:${port}`);
+  console.log('Подписка:');
+  console.log(JSON.stringify({
+    endpoint: `http://localhost:${port}/push/${crypto.randomBytes(8).toString('hex')}`,
+    keys: {
+      p256dh: ecdh.getPublicKey().toString('base64url'),
+      auth: authSecret.toString('base64url')
+    }
+  }));
+});
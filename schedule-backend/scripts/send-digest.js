@@ -0,0 +1,57 @@
+/**
+ * @file scripts/send-digest.js
+ * @description Консольный запуск еженедельной сводки расписания на следующую неделю.
+ *
+ * Сервер отправляет сводку сам в воскресенье вечером (startDigestScheduler);
+ * скрипт нужен для cron (при DIGEST_SCHEDULER=off) и для проверки писем.
+ *
+ * Запуск:
+ * @example
+ * # Всем, кто включил сводку и ещё не получил её на следующую неделю
+ * npm run digest
+ *
+ * # Проверка: письмо в консоль одному пользователю, даже если уже отправлено
+ * MAIL_TRANSPORT=stdout node scripts/send-digest.js --users 12 --force
+ *
+ * Параметры:
+ * - --users — ID пользователей через запятую
+ * - --force — отправить повторно
+ */
+
+const pool = require('../db');
+const { sendWeeklyDigests } = require('../services/emailNotification.service');
+
+/**
+ * Разбирает аргументы вида --name value
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const userIds = args.users
+    ? String(args.users).split(',').map(Number).filter(Number.isInteger)
+    : null;
+
+  const result = await sendWeeklyDigests({ force: Boolean(args.force), userIds });
+  console.log(`Сводка на неделю с ${result.weekStart}: отправлено ${result.sent}, ошибок ${result.failed}`);
+
+  return result.failed === 0 ? 0 : 2;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    console.error('Ошибка рассылки сводки:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
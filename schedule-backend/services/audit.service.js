@@ -5,11 +5,16 @@
  * Записывает все действия администратора в таблицу schedule_changes для:
  * - Отслеживания, кто и когда что изменил
  * - Возможности анализа ошибок
- * - Будущей реализации отката изменений
+ * - Отката изменений по old_value/new_value (revert.service)
  * 
- * Используется в admin.controller.js для всех операций (создание, удаление, массовые действия).
+ * Группы, которых касается запись (group_ids), вычисляет SQL-функция audit_group_ids
+ * по group_id / groupId / groupIds в значениях — по ним история фильтруется по группе.
+ * 
+ * Используется во всех контроллерах, которые меняют данные (создание, удаление, массовые действия).
+ * Записанное изменение публикуется подписчикам вебхуков (webhook.service).
  * 
  * @requires ../db - Пул соединений PostgreSQL
+ * @requires ./webhook.service - publishChange
  * 
  * @module services/audit
  */
@@ -19,34 +24,33 @@
  * @type {Pool}
  */
 const pool = require('../db');
+const { publishChange } = require('./webhook.service');
 
 /**
  * Логирует действие администратора в таблицу schedule_changes
  * 
  * @async
  * @function logChange
- * @param {number} adminId - ID администратора (из users.id)
- * @param {string} actionType - Тип действия (например, 'create_lesson', 'delete_group', 'copy_week')
- * @param {string} targetType - Тип объекта ('lesson', 'group', 'lessons')
- * @param {number|null} [targetId=null] - ID изменённого объекта (если применимо, иначе null для массовых операций)
- * @param {Object|Array|null} [oldValue=null] - Старое значение (объект или массив для массовых операций)
- * @param {Object|Array|null} [newValue=null] - Новое значение
- * @param {string|null} [description=null] - Человекочитаемое описание (по умолчанию = actionType)
+ * @param {Object} change
+ * @param {number} change.adminId - ID администратора (из users.id)
+ * @param {string} change.actionType - Тип действия (например, 'create_lesson', 'delete_group', 'copy_week')
+ * @param {string} change.targetType - Тип объекта ('lesson', 'group', 'lessons')
+ * @param {number|null} [change.targetId=null] - ID изменённого объекта (если применимо, иначе null для массовых операций)
+ * @param {Object|Array|null} [change.oldValue=null] - Старое значение; удалённые строки — целиком, чтобы их можно было восстановить
+ * @param {Object|Array|null} [change.newValue=null] - Новое значение; ID созданных строк — в поле ids
  * 
  * @returns {Promise<void>}
  * 
  * @throws Не бросает ошибку — логирование не должно прерывать основную операцию
  * 
  * @example
- * await logChange(
- *   req.user.id,
- *   'create_lesson',
- *   'lesson',
- *   lessonId,
- *   null,
- *   lessonData,
- *   'Создано занятие: Математика (ауд. 301)'
- * );
+ * await logChange({
+ *   adminId: req.user.id,
+ *   actionType: 'create_lesson',
+ *   targetType: 'lesson',
+ *   targetId: lessonId,
+ *   newValue: lessonData
+ * });
  */
 
 async function logChange({
@@ -58,11 +62,12 @@ async function logChange({
   newValue = null
 }) {
   try {
-    await pool.query(
+    const result = await pool.query(
       `
       INSERT INTO schedule_changes
-      (admin_id, action_type, target_type, target_id, old_value, new_value)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      (admin_id, action_type, target_type, target_id, old_value, new_value, group_ids)
+      VALUES ($1, $2, $3, $4, $5, $6, audit_group_ids($3, $4, $5, $6))
+      RETURNING *
       `,
       [
         adminId,
@@ -73,6 +78,8 @@ async function logChange({
         newValue ? JSON.stringify(newValue) : null
       ]
     );
+
+    await publishChange(result.rows[0]);
   } catch (err) {
     console.error('Ошибка логирования изменения:', {
       adminId,
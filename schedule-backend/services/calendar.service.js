@@ -0,0 +1,318 @@
+/**
+ * @file calendar.service.js
+ * @description Сервис учебного календаря: учебные годы, семестры, нумерация и чётность недель.
+ *
+ * Календарь хранится в таблицах academic_years, semesters и calendar_exceptions и редактируется из админки.
+ * Чтобы getWeekInfo и generateDates оставались синхронными, календарь держится в памяти:
+ * - loadCalendar — перечитать из БД (после изменений в админке)
+ * - ensureCalendar — перечитать, если кэш пуст или устарел (в начале запросов)
+ * - loadExceptions — исключения без записи в кэш: транзакция, которая их меняет,
+ *   передаёт их в getDayInfo явно, чтобы другие запросы не видели несохранённых изменений
+ *
+ * Исключения календаря (calendar_exceptions): праздники и каникулы отменяют занятия,
+ * день переноса идёт по расписанию другого дня недели (getDayInfo).
+ *
+ * Если учебный год на дату не настроен, действует календарь по умолчанию:
+ * год с 1 сентября по 31 августа, семестры сентябрь–декабрь и февраль–июнь,
+ * неделя 1 — нечётная и начинается в понедельник недели 1 сентября.
+ *
+ * @module services/calendar
+ */
+
+/** @constant {number} Время жизни кэша календаря (мс) — на случай изменений из другого процесса */
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+/** @constant {string[]} Способы нумерации недель: от начала года или заново с каждого семестра */
+const WEEK_NUMBERING = ['year', 'semester'];
+
+/** @constant {string[]} Чётность первой недели */
+const WEEK_PARITIES = ['odd', 'even'];
+
+/** @constant {Object<string, string>} Виды исключений календаря */
+const EXCEPTION_KINDS = {
+  holiday: 'Праздник',
+  vacation: 'Каникулы',
+  transfer: 'Перенос'
+};
+
+/** @type {{ years: Object[], semesters: Object[], exceptions: Object[], loadedAt: number }|null} */
+let cache = null;
+
+/**
+ * Дата 'YYYY-MM-DD' в локальном времени
+ * @param {string|Date} value
+ * @returns {Date}
+ */
+function parseLocalDate(value) {
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  const [y, m, d] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/**
+ * Дата в виде YYYY-MM-DD (локальное время)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  const d = parseLocalDate(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Понедельник недели, в которую попадает дата
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+function mondayOf(date) {
+  const d = parseLocalDate(date);
+  d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+  return d;
+}
+
+/**
+ * Исключение календаря с датами YYYY-MM-DD
+ * @param {Object} row - Строка calendar_exceptions
+ * @returns {Object}
+ */
+function normalizeException(row) {
+  return { ...row, date_from: toDateString(row.date_from), date_to: toDateString(row.date_to) };
+}
+
+/**
+ * Перечитывает календарь из БД
+ *
+ * @async
+ * @function loadCalendar
+ * @param {Object} db - pool или client
+ * @returns {Promise<Object>} { years, semesters, exceptions }
+ */
+async function loadCalendar(db) {
+  const [years, semesters, exceptions] = await Promise.all([
+    db.query('SELECT * FROM academic_years ORDER BY start_date'),
+    db.query('SELECT * FROM semesters ORDER BY start_date'),
+    db.query('SELECT * FROM calendar_exceptions ORDER BY date_from')
+  ]);
+
+  const normalize = row => ({ ...row, start_date: toDateString(row.start_date), end_date: toDateString(row.end_date) });
+
+  cache = {
+    years: years.rows.map(normalize),
+    semesters: semesters.rows.map(normalize),
+    exceptions: exceptions.rows.map(normalizeException),
+    loadedAt: Date.now()
+  };
+  return cache;
+}
+
+/**
+ * Читает исключения календаря, не меняя кэш
+ *
+ * Внутри транзакции видны её собственные изменения — их передают в getDayInfo/generateDates
+ * явно, а кэш перечитывают только после COMMIT.
+ *
+ * @async
+ * @function loadExceptions
+ * @param {Object} db - pool или client
+ * @returns {Promise<Object[]>} Исключения { id, kind, date_from, date_to, weekday, name }
+ */
+async function loadExceptions(db) {
+  const result = await db.query('SELECT * FROM calendar_exceptions ORDER BY date_from');
+  return result.rows.map(normalizeException);
+}
+
+/**
+ * Загружает календарь, если кэш пуст или устарел
+ *
+ * @async
+ * @function ensureCalendar
+ * @param {Object} db - pool или client
+ * @returns {Promise<Object>} { years, semesters, exceptions }
+ */
+async function ensureCalendar(db) {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+  return loadCalendar(db);
+}
+
+/**
+ * Учебный год, в который попадает дата (настроенный или по умолчанию)
+ *
+ * @function findAcademicYear
+ * @param {Date|string} [date=new Date()]
+ * @returns {Object} { id, name, start_date, end_date, week_numbering, first_week_parity }; id = null у года по умолчанию
+ */
+function findAcademicYear(date = new Date()) {
+  const day = toDateString(date);
+  const configured = (cache ? cache.years : []).find(y => y.start_date <= day && day <= y.end_date);
+  if (configured) return configured;
+
+  const d = parseLocalDate(date);
+  const year = d.getMonth() >= 8 ? d.getFullYear() : d.getFullYear() - 1;
+  return {
+    id: null,
+    name: `${year}/${year + 1}`,
+    start_date: `${year}-09-01`,
+    end_date: `${year + 1}-08-31`,
+    week_numbering: 'year',
+    first_week_parity: 'odd'
+  };
+}
+
+/**
+ * Семестры учебного года (настроенные или по умолчанию)
+ * @param {Object} year - Результат findAcademicYear
+ * @returns {Object[]}
+ */
+function semestersOf(year) {
+  if (year.id) {
+    return (cache ? cache.semesters : []).filter(s => s.academic_year_id === year.id);
+  }
+
+  const [from] = year.start_date.split('-').map(Number);
+  return [
+    { id: null, number: 1, code: `${year.name}-1`, name: 'Осенний', start_date: `${from}-09-01`, end_date: `${from}-12-31` },
+    { id: null, number: 2, code: `${year.name}-2`, name: 'Весенний', start_date: `${from + 1}-02-01`, end_date: `${from + 1}-06-30` }
+  ];
+}
+
+/**
+ * Семестр, в который попадает дата
+ *
+ * @function findSemester
+ * @param {Date|string} [date=new Date()]
+ * @returns {Object|null} Семестр { id, number, code, name, start_date, end_date } или null (каникулы)
+ */
+function findSemester(date = new Date()) {
+  const day = toDateString(date);
+  return semestersOf(findAcademicYear(date)).find(s => s.start_date <= day && day <= s.end_date) || null;
+}
+
+/**
+ * Границы семестра для серий занятий по умолчанию
+ *
+ * Текущий семестр, а на каникулах — ближайший следующий в том же учебном году
+ * (если его нет — последний прошедший).
+ *
+ * @function getSemesterRange
+ * @param {Date|string} [date=new Date()]
+ * @returns {{ from: string, to: string }} Даты YYYY-MM-DD
+ */
+function getSemesterRange(date = new Date()) {
+  const day = toDateString(date);
+  const semesters = semestersOf(findAcademicYear(date));
+  const semester = semesters.find(s => s.start_date <= day && day <= s.end_date)
+    || semesters.find(s => s.start_date > day)
+    || semesters[semesters.length - 1];
+
+  if (!semester) {
+    const year = findAcademicYear(date);
+    return { from: year.start_date, to: year.end_date };
+  }
+  return { from: semester.start_date, to: semester.end_date };
+}
+
+/**
+ * Номер учебной недели для даты
+ *
+ * Неделя 1 — неделя (с понедельника), в которую попадает начало учебного года,
+ * а при нумерации по семестрам — начало текущего семестра.
+ *
+ * @function getWeekNumber
+ * @param {Date|string} date
+ * @returns {number}
+ */
+function getWeekNumber(date) {
+  const year = findAcademicYear(date);
+  let start = year.start_date;
+
+  if (year.week_numbering === 'semester') {
+    const day = toDateString(date);
+    const started = semestersOf(year).filter(s => s.start_date <= day);
+    if (started.length > 0) start = started[started.length - 1].start_date;
+  }
+
+  const diffDays = Math.round((mondayOf(date) - mondayOf(start)) / (1000 * 60 * 60 * 24));
+  return Math.floor(diffDays / 7) + 1;
+}
+
+/**
+ * Чётная ли учебная неделя, в которую попадает дата
+ *
+ * @function isEvenWeek
+ * @param {Date|string} date
+ * @returns {boolean}
+ */
+function isEvenWeek(date) {
+  const firstIsOdd = findAcademicYear(date).first_week_parity !== 'even';
+  const weekIsOdd = getWeekNumber(date) % 2 === 1;
+  return firstIsOdd ? !weekIsOdd : weekIsOdd;
+}
+
+/**
+ * Как проходит день по учебному календарю
+ *
+ * @function getDayInfo
+ * @param {Date|string} date
+ * @param {Object[]} [exceptions] - Исключения календаря (по умолчанию — из кэша)
+ * @returns {Object} { date, weekday, teaching, exception }:
+ *   weekday — день недели, чьё расписание действует (0 = Пн ... 6 = Вс),
+ *   teaching = false для праздника и каникул,
+ *   exception — { id, kind, name, weekday } или null
+ */
+function getDayInfo(date, exceptions = cache ? cache.exceptions : []) {
+  const day = toDateString(date);
+  exceptions = exceptions.filter(e => e.date_from <= day && day <= e.date_to);
+
+  // Праздник важнее переноса на ту же дату
+  const closed = exceptions.find(e => e.kind !== 'transfer');
+  const transfer = exceptions.find(e => e.kind === 'transfer');
+  const exception = closed || transfer || null;
+
+  return {
+    date: day,
+    weekday: transfer && !closed ? transfer.weekday : (parseLocalDate(date).getDay() + 6) % 7,
+    teaching: !closed,
+    exception: exception && {
+      id: exception.id,
+      kind: exception.kind,
+      name: exception.name || EXCEPTION_KINDS[exception.kind],
+      weekday: exception.weekday ?? null
+    }
+  };
+}
+
+/**
+ * Дни периода с исключениями календаря (для ответа API расписания)
+ *
+ * @function getCalendarDays
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Object[]} Результаты getDayInfo только для дней с исключением
+ */
+function getCalendarDays(from, to) {
+  const days = [];
+  const end = parseLocalDate(to);
+
+  for (let date = parseLocalDate(from); date <= end; date.setDate(date.getDate() + 1)) {
+    const info = getDayInfo(date);
+    if (info.exception) days.push(info);
+  }
+
+  return days;
+}
+
+module.exports = {
+  WEEK_NUMBERING,
+  WEEK_PARITIES,
+  EXCEPTION_KINDS,
+  loadCalendar,
+  loadExceptions,
+  ensureCalendar,
+  findAcademicYear,
+  findSemester,
+  getSemesterRange,
+  getWeekNumber,
+  isEvenWeek,
+  getDayInfo,
+  getCalendarDays
+};
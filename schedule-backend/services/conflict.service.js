@@ -0,0 +1,331 @@
+/**
+ * @file conflict.service.js
+ * @description Сервис проверки конфликтов расписания.
+ *
+ * Конфликт — пересечение по времени в один день:
+ * - teacher — преподаватель ведёт два занятия одновременно
+ * - room — две группы в одной аудитории
+ * - group — у группы два занятия одновременно (занятия разных подгрупп одной группы
+ *   в одно время — не конфликт, а занятие всей группы пересекается с любой подгруппой).
+ *   Занятие потока пересекается с занятиями каждой группы потока
+ * - capacity — в аудитории меньше мест, чем студентов на занятии (у потока размеры
+ *   групп складываются); только для сохраняемых занятий, без пары conflictsWith
+ *
+ * Используется всеми путями записи занятий (updateScheduleByDay, createLesson, updateLesson).
+ * Проверка идёт и против БД, и внутри самого набора сохраняемых занятий.
+ * findExistingConflicts ищет пересечения, которые уже есть в БД (отчёт для админа).
+ *
+ * @requires ./week.service - formatLocalDate для дат в ответе
+ * @requires ./room.service - normalizeRoomName для занятий без room_id
+ * @requires ./stream.service - группы занятия потока и число студентов
+ *
+ * @module services/conflict
+ */
+
+const { formatLocalDate } = require('./week.service');
+const { normalizeRoomName } = require('./room.service');
+const { LESSON_GROUP_COLUMNS, lessonGroupsJoin, groupLessonCondition, getLessonAudience } = require('./stream.service');
+
+/** @constant {Object<string, string>} Описание типов конфликтов для сообщений */
+const CONFLICT_LABELS = {
+  teacher: 'Преподаватель занят',
+  room: 'Аудитория занята',
+  group: 'У группы уже есть занятие',
+  capacity: 'В аудитории не хватает мест'
+};
+
+/**
+ * Дата занятия в виде YYYY-MM-DD
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date instanceof Date ? formatLocalDate(date) : String(date).slice(0, 10);
+}
+
+/**
+ * Время в минутах от начала суток
+ * @param {string} time - '08:30' или '08:30:00'
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Группы занятия: group_ids (поток) или его group_id
+ * @param {Object} lesson
+ * @returns {number[]}
+ */
+function groupsOf(lesson) {
+  return (lesson.group_ids || [lesson.group_id]).filter(Boolean).map(Number);
+}
+
+/**
+ * Типы конфликтов между двумя занятиями одного дня (без проверки времени)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {string[]} Массив из 'teacher' | 'room' | 'group'
+ */
+function clashTypes(a, b) {
+  const types = [];
+
+  if (a.teacher_id && b.teacher_id && Number(a.teacher_id) === Number(b.teacher_id)) {
+    types.push('teacher');
+  } else if (!a.teacher_id && !b.teacher_id && a.teacher && b.teacher && a.teacher.trim() === b.teacher.trim()) {
+    types.push('teacher');
+  }
+
+  const sameRoom = a.room_id && b.room_id
+    ? Number(a.room_id) === Number(b.room_id)
+    : normalizeRoomName(a.room) !== '' && normalizeRoomName(a.room) === normalizeRoomName(b.room);
+  if (sameRoom) {
+    types.push('room');
+  }
+
+  const sameSubgroup = !a.subgroup_id || !b.subgroup_id || Number(a.subgroup_id) === Number(b.subgroup_id);
+  const groupsB = groupsOf(b);
+  if (groupsOf(a).some(id => groupsB.includes(id)) && sameSubgroup) {
+    types.push('group');
+  }
+
+  return types;
+}
+
+/**
+ * Краткое описание занятия для ответа API
+ * @param {Object} lesson
+ * @returns {Object}
+ */
+function describe(lesson) {
+  return {
+    id: lesson.id ?? null,
+    group_id: lesson.group_id ? Number(lesson.group_id) : null,
+    group_name: lesson.group_name ?? null,
+    group_ids: groupsOf(lesson),
+    stream_id: lesson.stream_id ?? null,
+    stream_name: lesson.stream_name ?? null,
+    subgroup_id: lesson.subgroup_id ?? null,
+    subgroup_name: lesson.subgroup_name ?? null,
+    lesson_date: toDateString(lesson.lesson_date),
+    start_time: String(lesson.start_time).slice(0, 5),
+    end_time: String(lesson.end_time).slice(0, 5),
+    subject: lesson.subject,
+    room_id: lesson.room_id ?? null,
+    room: lesson.room,
+    teacher_id: lesson.teacher_id ?? null,
+    teacher: lesson.teacher_name ?? lesson.teacher ?? null
+  };
+}
+
+/**
+ * Ищет конфликты для набора сохраняемых занятий
+ *
+ * @async
+ * @function findConflicts
+ * @param {Object} db - pool или client внутри транзакции
+ * @param {Object[]} lessons - Новые занятия
+ * @param {number} [lessons[].group_id]
+ * @param {number} [lessons[].stream_id] - Поток (вместо group_id)
+ * @param {number} [lessons[].subgroup_id] - Подгруппа (без неё — вся группа)
+ * @param {Date|string} lessons[].lesson_date
+ * @param {string} lessons[].start_time
+ * @param {string} lessons[].end_time
+ * @param {number} [lessons[].teacher_id]
+ * @param {string} [lessons[].teacher] - Текстовое имя (старые записи без teacher_id)
+ * @param {number} [lessons[].room_id]
+ * @param {string} [lessons[].room] - Название (если room_id не известен)
+ * @param {Object} [options]
+ * @param {{ groupId: number, date: string }} [options.replacing] - День группы, который будет перезаписан
+ *   (его текущие занятия, включая занятия потоков группы, не считаются конфликтами)
+ * @param {number[]} [options.ignoreIds] - Занятия, которые будут перезаписаны (изменение занятия или серии)
+ *
+ * @returns {Promise<Object[]>} Конфликты { type, message, lesson, conflictsWith }
+ *
+ * @example
+ * const conflicts = await findConflicts(client, lessons, { replacing: { groupId, date } });
+ * if (conflicts.length) return res.status(409).json({ message: '...', conflicts });
+ */
+async function findConflicts(db, lessons, { replacing = null, ignoreIds = [] } = {}) {
+  const conflicts = [];
+
+  const push = (type, lesson, other) => conflicts.push({
+    type,
+    message: CONFLICT_LABELS[type],
+    lesson: describe(lesson),
+    conflictsWith: describe(other)
+  });
+
+  // 0. Группы и число студентов каждого занятия (у занятий серии они одинаковые)
+  const audiences = new Map();
+  const planned = [];
+  for (const lesson of lessons) {
+    const key = `${lesson.group_id || ''}|${lesson.stream_id || ''}|${lesson.subgroup_id || ''}`;
+    if (!audiences.has(key)) audiences.set(key, await getLessonAudience(db, lesson));
+    planned.push({ ...lesson, group_ids: audiences.get(key).group_ids, audience: key });
+  }
+
+  // 1. Конфликты с уже сохранёнными занятиями
+  for (const lesson of planned) {
+    const date = toDateString(lesson.lesson_date);
+
+    const existing = await db.query(
+      `SELECT l.id, l.group_id, l.stream_id, l.subgroup_id, l.lesson_date, l.start_time, l.end_time,
+              l.subject, l.room, l.room_id, l.teacher_id, l.teacher,
+              ${LESSON_GROUP_COLUMNS}, sg.name AS subgroup_name, u.full_name AS teacher_name
+       FROM lessons l
+       LEFT JOIN subgroups sg ON sg.id = l.subgroup_id
+       LEFT JOIN users u ON u.id = l.teacher_id
+       ${lessonGroupsJoin('l')}
+       WHERE l.lesson_date = $1
+         AND l.start_time < $3
+         AND $2 < l.end_time
+         AND (${groupLessonCondition('l', '$4')} AND l.lesson_date = $5) IS NOT TRUE
+         AND NOT (l.id = ANY($6::int[]))
+         AND l.status <> 'cancelled'`,
+      [
+        date,
+        lesson.start_time,
+        lesson.end_time,
+        replacing ? replacing.groupId : -1,
+        replacing ? replacing.date : date,
+        ignoreIds
+      ]
+    );
+
+    for (const other of existing.rows) {
+      clashTypes(lesson, other).forEach(type => push(type, lesson, other));
+    }
+  }
+
+  // 2. Конфликты внутри сохраняемого набора
+  for (let i = 0; i < planned.length; i++) {
+    for (let j = i + 1; j < planned.length; j++) {
+      const a = planned[i];
+      const b = planned[j];
+
+      if (toDateString(a.lesson_date) !== toDateString(b.lesson_date)) continue;
+      if (!(toMinutes(a.start_time) < toMinutes(b.end_time) && toMinutes(b.start_time) < toMinutes(a.end_time))) continue;
+
+      clashTypes(a, b).forEach(type => push(type, a, b));
+    }
+  }
+
+  // 3. Вместимость аудитории — по разу на аудиторию и состав занятия
+  const roomIds = [...new Set(planned.map(l => Number(l.room_id)).filter(Boolean))];
+  const roomsRes = await db.query('SELECT id, capacity FROM rooms WHERE id = ANY($1::int[])', [roomIds]);
+  const capacities = new Map(roomsRes.rows.map(room => [Number(room.id), room.capacity]));
+  const checked = new Set();
+
+  for (const lesson of planned) {
+    const capacity = capacities.get(Number(lesson.room_id));
+    const { size } = audiences.get(lesson.audience);
+    const key = `${lesson.room_id}|${lesson.audience}`;
+    if (!capacity || !size || size <= capacity || checked.has(key)) continue;
+
+    checked.add(key);
+    conflicts.push({
+      type: 'capacity',
+      message: `${CONFLICT_LABELS.capacity}: ${capacity} мест на ${size} студентов`,
+      lesson: describe(lesson),
+      conflictsWith: null,
+      capacity,
+      size
+    });
+  }
+
+  return conflicts;
+}
+
+/**
+ * Ищет конфликты среди уже сохранённых занятий за период
+ *
+ * Данные вносились до появления проверок, поэтому пересечения могут уже быть в БД.
+ *
+ * @async
+ * @function findExistingConflicts
+ * @param {Object} db - pool или client
+ * @param {string} from - Начало периода (YYYY-MM-DD)
+ * @param {string} to - Конец периода (YYYY-MM-DD)
+ * @returns {Promise<Object>} { total, byType: { teacher, room, group } },
+ *   где каждый тип — массив { date, conflicts: [{ type, message, lesson, conflictsWith }] } по возрастанию даты
+ */
+async function findExistingConflicts(db, from, to) {
+  const result = await db.query(
+    `SELECT
+       a.id AS a_id, a.group_id AS a_group_id, a.stream_id AS a_stream_id, a.subgroup_id AS a_subgroup_id,
+       a.lesson_date AS a_lesson_date, lga.group_ids AS a_group_ids, lga.stream_name AS a_stream_name,
+       a.start_time AS a_start_time, a.end_time AS a_end_time, a.subject AS a_subject,
+       a.room AS a_room, a.room_id AS a_room_id, a.teacher_id AS a_teacher_id, a.teacher AS a_teacher,
+       lga.group_name AS a_group_name, sa.name AS a_subgroup_name, ua.full_name AS a_teacher_name,
+       b.id AS b_id, b.group_id AS b_group_id, b.stream_id AS b_stream_id, b.subgroup_id AS b_subgroup_id,
+       b.lesson_date AS b_lesson_date, lgb.group_ids AS b_group_ids, lgb.stream_name AS b_stream_name,
+       b.start_time AS b_start_time, b.end_time AS b_end_time, b.subject AS b_subject,
+       b.room AS b_room, b.room_id AS b_room_id, b.teacher_id AS b_teacher_id, b.teacher AS b_teacher,
+       lgb.group_name AS b_group_name, sb.name AS b_subgroup_name, ub.full_name AS b_teacher_name
+     FROM lessons a
+     JOIN lessons b
+       ON b.lesson_date = a.lesson_date
+      AND b.id > a.id
+      AND a.start_time < b.end_time
+      AND b.start_time < a.end_time
+     LEFT JOIN subgroups sa ON sa.id = a.subgroup_id
+     LEFT JOIN subgroups sb ON sb.id = b.subgroup_id
+     LEFT JOIN users ua ON ua.id = a.teacher_id
+     LEFT JOIN users ub ON ub.id = b.teacher_id
+     ${lessonGroupsJoin('a', 'lga')}
+     ${lessonGroupsJoin('b', 'lgb')}
+     WHERE a.lesson_date BETWEEN $1 AND $2
+       AND a.status <> 'cancelled'
+       AND b.status <> 'cancelled'
+       AND (
+         (lga.group_ids && lgb.group_ids
+           AND (a.subgroup_id IS NULL OR b.subgroup_id IS NULL OR a.subgroup_id = b.subgroup_id))
+         OR a.teacher_id = b.teacher_id
+         OR (a.teacher_id IS NULL AND b.teacher_id IS NULL AND trim(a.teacher) = trim(b.teacher))
+         OR a.room_id = b.room_id
+         OR (
+           (a.room_id IS NULL OR b.room_id IS NULL)
+           AND normalize_room_name(a.room) = normalize_room_name(b.room)
+         )
+       )
+     ORDER BY a.lesson_date, a.start_time`,
+    [from, to]
+  );
+
+  const pick = (row, prefix) => Object.fromEntries(
+    Object.entries(row)
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, value]) => [key.slice(prefix.length), value])
+  );
+
+  const byType = { teacher: [], room: [], group: [] };
+  let total = 0;
+
+  for (const row of result.rows) {
+    const a = pick(row, 'a_');
+    const b = pick(row, 'b_');
+
+    for (const type of clashTypes(a, b)) {
+      const date = toDateString(a.lesson_date);
+      let day = byType[type].find(d => d.date === date);
+      if (!day) {
+        day = { date, conflicts: [] };
+        byType[type].push(day);
+      }
+
+      day.conflicts.push({
+        type,
+        message: CONFLICT_LABELS[type],
+        lesson: describe(a),
+        conflictsWith: describe(b)
+      });
+      total++;
+    }
+  }
+
+  return { total, byType };
+}
+
+module.exports = { findConflicts, findExistingConflicts };
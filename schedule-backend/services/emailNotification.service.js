@@ -0,0 +1,266 @@
+/**
+ * @file emailNotification.service.js
+ * @description Письма об изменениях расписания и еженедельная сводка на следующую неделю.
+ *
+ * Что получать, пользователь выбирает в notification_preferences: письма об изменениях
+ * его занятий (по умолчанию включены) и сводку в воскресенье вечером (по умолчанию выключена).
+ * Сводка строится из тех же данных, что и GET /api/schedule (scheduleLessons.service).
+ *
+ * Воскресную рассылку запускает startDigestScheduler (из index.js) после DIGEST_HOUR
+ * (по умолчанию 18:00) или вручную `npm run digest`. Повторно за ту же неделю
+ * сводка не отправляется (digest_week).
+ *
+ * @requires ../db - Пул соединений PostgreSQL
+ * @requires ./calendar.service - ensureCalendar, getCalendarDays
+ * @requires ./mail.service - isMailEnabled, sendMail
+ * @requires ./scheduleLessons.service - getScheduleLessons
+ * @requires ./week.service - getWeekInfo, formatLocalDate
+ *
+ * @module services/emailNotification
+ */
+
+const pool = require('../db');
+const { ensureCalendar, getCalendarDays } = require('./calendar.service');
+const { isMailEnabled, sendMail } = require('./mail.service');
+const { getScheduleLessons } = require('./scheduleLessons.service');
+const { getWeekInfo, formatLocalDate } = require('./week.service');
+
+/** @constant {string} Адрес приложения для ссылок в письмах */
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/** @constant {number} Час воскресенья, после которого уходит сводка */
+const DIGEST_HOUR = Number(process.env.DIGEST_HOUR) || 18;
+
+/** @constant {number} Как часто планировщик проверяет время рассылки, мс */
+const DIGEST_CHECK_INTERVAL = 15 * 60 * 1000;
+
+/** @constant {string[]} Короткие названия дней недели (0 = Пн) */
+const WEEKDAYS = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+
+/**
+ * DD.MM из YYYY-MM-DD
+ * @private
+ * @param {string} date
+ * @returns {string}
+ */
+function shortDate(date) {
+  return `${date.slice(8, 10)}.${date.slice(5, 7)}`;
+}
+
+/**
+ * Письма об изменениях расписания по созданным уведомлениям
+ *
+ * Уходят тем получателям, у кого есть email и не выключены письма об изменениях.
+ * Не бросает ошибку: уведомления, письма по которым не ушли, возвращаются в failed —
+ * очередь доставки (notification.service) повторит их позже.
+ *
+ * @async
+ * @function emailNotifications
+ * @param {Object[]} notifications - Строки notifications ({ id, user_id, title, message })
+ * @returns {Promise<{ sent: number, failed: number[] }>} Сколько писем отправлено и ID неотправленных уведомлений
+ */
+async function emailNotifications(notifications) {
+  if (notifications.length === 0 || !isMailEnabled()) return { sent: 0, failed: [] };
+
+  try {
+    const usersRes = await pool.query(
+      `SELECT u.id, u.email
+       FROM users u
+       LEFT JOIN notification_preferences p ON p.user_id = u.id
+       WHERE u.id = ANY($1::int[])
+         AND u.email LIKE '%@%'
+         AND COALESCE(p.email_changes, TRUE)`,
+      [[...new Set(notifications.map(notification => Number(notification.user_id)))]]
+    );
+    const emails = new Map(usersRes.rows.map(user => [Number(user.id), user.email]));
+
+    let sent = 0;
+    const failed = [];
+    for (const notification of notifications) {
+      const to = emails.get(Number(notification.user_id));
+      if (!to) continue;
+
+      try {
+        await sendMail({
+          to,
+          subject: `Расписание: ${notification.title.toLowerCase()}`,
+          text: `${notification.message}\n\nРасписание: ${APP_URL}/schedule.html`
+        });
+        sent++;
+      } catch (err) {
+        failed.push(notification.id);
+        console.warn('Письмо не отправлено:', to, err.message);
+      }
+    }
+    return { sent, failed };
+  } catch (err) {
+    console.error('Ошибка отправки писем об изменениях:', err.message);
+    return { sent: 0, failed: notifications.map(notification => notification.id) };
+  }
+}
+
+/**
+ * Строка занятия в сводке
+ * @private
+ * @param {Object} lesson - Результат getScheduleLessons
+ * @returns {string}
+ */
+function describeLesson(lesson) {
+  const parts = [`${String(lesson.start_time).slice(0, 5)}–${String(lesson.end_time).slice(0, 5)} ${lesson.subject}`];
+  if (lesson.group_name) parts.push(`гр. ${lesson.group_name}`);
+  if (lesson.subgroup_name) parts.push(`подгр. ${lesson.subgroup_name}`);
+  if (lesson.room) parts.push(`ауд. ${lesson.room}`);
+  if (lesson.substitute) parts.push(`${lesson.substitute} (замена: ${lesson.teacher || '—'})`);
+  else if (lesson.teacher) parts.push(lesson.teacher);
+
+  let line = parts.join(', ');
+  if (lesson.status === 'cancelled') line += ' — ОТМЕНЕНО';
+  if (lesson.status === 'moved') line += ' — перенесено';
+  if (lesson.status === 'room_changed') line += ' — другая аудитория';
+  if (lesson.status === 'online') line += ` — онлайн${lesson.online_url ? `: ${lesson.online_url}` : ''}`;
+  if (lesson.change_note && lesson.status !== 'scheduled') line += ` (${lesson.change_note})`;
+  return line;
+}
+
+/**
+ * Текст сводки на неделю
+ *
+ * @function buildDigest
+ * @param {Object} weekInfo - Результат getWeekInfo
+ * @param {Object[]} lessons - Результат getScheduleLessons
+ * @param {Object[]} calendarDays - Результат getCalendarDays
+ * @returns {string}
+ */
+function buildDigest(weekInfo, lessons, calendarDays) {
+  const lines = [
+    `Расписание на неделю ${shortDate(weekInfo.weekStart)}–${shortDate(weekInfo.weekEnd)}`
+    + (weekInfo.weekNumber ? ` (неделя ${weekInfo.weekNumber}, ${weekInfo.weekType})` : '')
+  ];
+
+  const byDate = new Map();
+  for (const lesson of lessons) {
+    const date = lesson.lesson_date instanceof Date ? formatLocalDate(lesson.lesson_date) : String(lesson.lesson_date).slice(0, 10);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(lesson);
+  }
+  const exceptions = new Map(calendarDays.map(day => [day.date, day.exception]));
+
+  const start = new Date(`${weekInfo.weekStart}T00:00:00`);
+  for (let i = 0; i < 7; i++) {
+    const date = formatLocalDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+    const dayLessons = byDate.get(date) || [];
+    const exception = exceptions.get(date);
+    if (dayLessons.length === 0 && !exception) continue;
+
+    lines.push('', `${WEEKDAYS[i]} ${shortDate(date)}${exception ? ` — ${exception.name}` : ''}`);
+    dayLessons.forEach(lesson => lines.push(`  ${describeLesson(lesson)}`));
+  }
+
+  if (lessons.length === 0) lines.push('', 'Занятий нет.');
+  lines.push('', `Расписание: ${APP_URL}/schedule.html`);
+  return lines.join('\n');
+}
+
+/**
+ * Рассылает сводку на следующую неделю тем, кто её включил
+ *
+ * @async
+ * @function sendWeeklyDigests
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Отправить, даже если сводка на эту неделю уже ушла
+ * @param {number[]|null} [options.userIds=null] - Только этим пользователям
+ * @returns {Promise<{ weekStart: string, sent: number, failed: number }>}
+ * @throws {Error} Транспорт писем не выбран — иначе сводка отметилась бы отправленной
+ */
+async function sendWeeklyDigests({ force = false, userIds = null } = {}) {
+  if (!isMailEnabled()) throw new Error('Отправка писем выключена: задайте MAIL_TRANSPORT');
+  await ensureCalendar(pool);
+  const weekInfo = getWeekInfo(1);
+  const calendarDays = getCalendarDays(weekInfo.weekStart, weekInfo.weekEnd);
+
+  const usersRes = await pool.query(
+    `SELECT u.id, u.email, u.role, u.group_id, u.subgroup_id
+     FROM users u
+     JOIN notification_preferences p ON p.user_id = u.id AND p.email_digest
+     WHERE u.role IN ('student', 'teacher')
+       AND u.email LIKE '%@%'
+       AND ($1 OR p.digest_week IS DISTINCT FROM $2::date)
+       AND ($3::int[] IS NULL OR u.id = ANY($3::int[]))
+     ORDER BY u.id`,
+    [force, weekInfo.weekStart, userIds]
+  );
+
+  let sent = 0;
+  let failed = 0;
+  for (const user of usersRes.rows) {
+    if (user.role === 'student' && !user.group_id) continue;
+
+    try {
+      const lessons = await getScheduleLessons(
+        pool,
+        user.role === 'teacher' ? { teacherId: user.id } : { groupId: user.group_id, subgroupId: user.subgroup_id },
+        weekInfo.weekStart,
+        weekInfo.weekEnd
+      );
+      await sendMail({
+        to: user.email,
+        subject: `Расписание на неделю ${shortDate(weekInfo.weekStart)}–${shortDate(weekInfo.weekEnd)}`,
+        text: buildDigest(weekInfo, lessons, calendarDays)
+      });
+      await pool.query(
+        'UPDATE notification_preferences SET digest_week = $2 WHERE user_id = $1',
+        [user.id, weekInfo.weekStart]
+      );
+      sent++;
+    } catch (err) {
+      failed++;
+      console.warn('Сводка не отправлена:', user.email, err.message);
+    }
+  }
+
+  return { weekStart: weekInfo.weekStart, sent, failed };
+}
+
+/**
+ * Запускает воскресную рассылку сводки внутри процесса сервера
+ *
+ * Проверка раз в DIGEST_CHECK_INTERVAL; рассылка идёт в воскресенье после DIGEST_HOUR.
+ * Не запускается без транспорта писем (MAIL_TRANSPORT) и при DIGEST_SCHEDULER=off
+ * (например, если сводку запускает cron через npm run digest).
+ *
+ * @function startDigestScheduler
+ * @returns {NodeJS.Timeout|null}
+ */
+function startDigestScheduler() {
+  if (process.env.DIGEST_SCHEDULER === 'off' || !isMailEnabled()) return null;
+
+  let running = false;
+  const check = async () => {
+    const now = new Date();
+    if (running || now.getDay() !== 0 || now.getHours() < DIGEST_HOUR) return;
+
+    running = true;
+    try {
+      const result = await sendWeeklyDigests();
+      if (result.sent > 0 || result.failed > 0) {
+        console.log(`Сводка на неделю ${result.weekStart}: отправлено ${result.sent}, ошибок ${result.failed}`);
+      }
+    } catch (err) {
+      console.error('Ошибка рассылки сводки:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(check, DIGEST_CHECK_INTERVAL);
+  timer.unref();
+  check();
+  return timer;
+}
+
+module.exports = {
+  emailNotifications,
+  buildDigest,
+  sendWeeklyDigests,
+  startDigestScheduler
+};
@@ -0,0 +1,80 @@
+/**
+ * @file feedToken.service.js
+ * @description Сервис секретных токенов подписки на расписание.
+ * 
+ * Токен выдаётся пользователю один раз (при создании или ротации) и передаётся
+ * в URL (?token=...). В БД хранится только sha256-хеш, поэтому утечка таблицы
+ * не раскрывает рабочие ссылки.
+ * 
+ * @requires crypto
+ * @requires ../db - Пул соединений PostgreSQL
+ * 
+ * @module services/feedToken
+ */
+
+const crypto = require('crypto');
+const pool = require('../db');
+
+/** @constant {string} Префикс токена — помогает узнать его в логах и конфигурации */
+const TOKEN_PREFIX = 'ft_';
+
+/**
+ * Генерирует новый токен и его хеш
+ * 
+ * @function generateToken
+ * @returns {{ token: string, hash: string, prefix: string }}
+ */
+function generateToken() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  return { token, hash: hashToken(token), prefix: token.slice(0, 10) };
+}
+
+/**
+ * sha256-хеш токена
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Находит владельца токена и отмечает время использования
+ * 
+ * @async
+ * @function findUserByToken
+ * @param {string} token - Токен из query-параметра
+ * @returns {Promise<Object|null>} { tokenId, id, email, role, group, feedTarget } или null, если токен неизвестен или отозван;
+ *   feedTarget — { type, id } у токена администратора, выпущенного на одно расписание
+ */
+async function findUserByToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+  const result = await pool.query(
+    `WITH t AS (
+       UPDATE feed_tokens
+       SET last_used_at = NOW()
+       WHERE token_hash = $1 AND revoked_at IS NULL
+       RETURNING id, user_id, target_type, target_id
+     )
+     SELECT t.id AS token_id, t.target_type, t.target_id, u.id, u.email, u.role, g.name AS group_name
+     FROM t
+     JOIN users u ON u.id = t.user_id
+     LEFT JOIN groups g ON g.id = u.group_id`,
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    tokenId: row.token_id,
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    group: row.group_name,
+    feedTarget: row.target_type ? { type: row.target_type, id: row.target_id } : null
+  };
+}
+
+module.exports = { generateToken, findUserByToken };
@@ -1,56 +1,651 @@
 /**
  * @file services/generator.service.js
- * @description Сервис для генерации конкретных занятий на основе шаблонов
+ * @description Сервис для генерации занятий.
+ *
+ * - generateDates — даты занятия по дню недели и типу недели (серии занятий)
+ * - solveTimetable — составление недельного шаблона семестра из учебного плана
+ * - loadGeneratorInput / runDraft — загрузка данных из БД и сборка черновика
+ * - expandTemplate — развёртка шаблона черновика в конкретные даты
+ *
+ * Шаблон строится на неделю с учётом чётности: занятие идёт либо каждую неделю
+ * (week = 0), либо через неделю (1 — чётная, 2 — нечётная), как в lessons.week.
  */
-const pool = require('../db');
+const { ensureCalendar, getSemesterRange, isEvenWeek, getDayInfo } = require('./calendar.service');
+const { formatLocalDate } = require('./week.service');
+const { ACADEMIC_HOUR_MINUTES, LESSON_KINDS } = require('./subject.service');
 
-// Настройки семестра (можно вынести в конфиг или БД)
-const SEMESTER_START = new Date('2023-09-01'); // Укажите реальное начало
-const SEMESTER_END = new Date('2023-12-31');   // Укажите реальный конец
+/** @constant {Object[]} Сетка пар (звонки) */
+const LESSON_SLOTS = [
+  { start: '08:30', end: '10:00' },
+  { start: '10:10', end: '11:40' },
+  { start: '12:20', end: '13:50' },
+  { start: '14:00', end: '15:30' },
+  { start: '15:40', end: '17:10' },
+  { start: '17:20', end: '18:50' }
+];
+
+/** @constant {number} Пара = 90 минут = 2 академических часа */
+const PAIR_HOURS = 90 / ACADEMIC_HOUR_MINUTES;
+
+/** @constant {number} Больше пар в день у группы генератор не ставит */
+const MAX_PAIRS_PER_DAY = 4;
+
+/** @constant {number[]} Учебные дни по умолчанию: 0 = Пн ... 5 = Сб */
+const DEFAULT_DAYS = [0, 1, 2, 3, 4, 5];
+
+/** @constant {Object<string, string[]>} Оснащение, нужное для вида занятий (хотя бы одно из списка) */
+const TYPE_ROOM_FEATURES = {
+  lab: ['lab', 'computer_lab']
+};
+
+/** @constant {number} Предел числа попыток (перезапусков жадного поиска) */
+const MAX_ITERATIONS = 5000;
+
+/**
+ * Дата 'YYYY-MM-DD' в локальном времени
+ * @param {string|Date} value
+ * @returns {Date}
+ */
+function parseLocalDate(value) {
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  const [y, m, d] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/**
+ * Тип недели даты: 1 — чётная, 2 — нечётная
+ * @param {Date} date
+ * @returns {number}
+ */
+function weekParity(date) {
+  return isEvenWeek(date) ? 1 : 2;
+}
 
 /**
  * Генерирует даты для занятия на основе дня недели и типа недели
- * @param {number} dayOfWeek - 0 (Пн) - 5 (Сб) (в вашей системе массив days начинается с Пн)
- * @param {number} weekType - 0 (все), 1 (четная), 2 (нечетная)
+ *
+ * Чётность недели, семестр по умолчанию, праздники, каникулы и переносы берутся из учебного
+ * календаря (calendar.service) — те же, что показываются студентам. Календарь должен быть
+ * загружен (ensureCalendar).
+ *
+ * @param {number} dayOfWeek - 0 (Пн) - 5 (Сб)
+ * @param {number} weekType - 0 (все), 1 (чётная), 2 (нечётная)
+ * @param {string|Date} [from] - Начало периода (по умолчанию — начало текущего семестра)
+ * @param {string|Date} [to] - Конец периода (по умолчанию — конец текущего семестра)
+ * @param {Object[]} [exceptions] - Исключения календаря, если они ещё не в кэше (см. loadExceptions)
+ * @returns {string[]} Даты YYYY-MM-DD
  */
-function generateDates(dayOfWeek, weekType) {
+function generateDates(dayOfWeek, weekType, from, to, exceptions) {
+  const semester = getSemesterRange();
   const dates = [];
-  let currentDate = new Date(SEMESTER_START);
-
-  // Корректируем currentDate до первого нужного дня недели
-  // В JS getDay(): 0=Вс, 1=Пн... Ваша система: 0=Пн...
-  // Преобразуем вашу систему (0=Пн) в JS (1=Пн)
-  const targetJsDay = dayOfWeek + 1; 
-
-  while (currentDate <= SEMESTER_END) {
-    // Если день недели совпадает
-    if (currentDate.getDay() === targetJsDay) {
-      const isEven = getWeekNumber(currentDate) % 2 === 0;
-      
-      // Логика weekType: 0=любая, 1=четная, 2=нечетная
-      // Примечание: тут нужно согласовать вашу логику четности
-      let match = false;
-      if (weekType === 0) match = true;
-      else if (weekType === 1 && isEven) match = true;
-      else if (weekType === 2 && !isEven) match = true;
-
-      if (match) {
-        dates.push(new Date(currentDate));
-      }
+  const end = parseLocalDate(to || semester.to);
+
+  for (let date = parseLocalDate(from || semester.from); date <= end; date.setDate(date.getDate() + 1)) {
+    // Праздники и каникулы пропускаем, в день переноса действует расписание другого дня (0 = Пн)
+    const info = getDayInfo(date, exceptions);
+    if (!info.teaching || info.weekday !== Number(dayOfWeek)) continue;
+
+    const type = Number(weekType);
+    if (type === 0 || type === weekParity(date)) {
+      dates.push(formatLocalDate(date));
     }
-    // Следующий день
-    currentDate.setDate(currentDate.getDate() + 1);
   }
+
   return dates;
 }
 
-// Вспомогательная функция номера недели
-function getWeekNumber(d) {
-  d = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
-  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
-  var yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-  var weekNo = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
-  return weekNo;
+/* ================== ГЕНЕРАТОР ШАБЛОНА ================== */
+
+/**
+ * Время в минутах от начала суток
+ * @param {string} time - '08:30' или '08:30:00'
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Индексы пар, пересекающихся с промежутком времени
+ * @param {string} start
+ * @param {string} end
+ * @returns {number[]}
+ */
+function overlappingSlots(start, end) {
+  return LESSON_SLOTS
+    .map((slot, index) => ({ slot, index }))
+    .filter(({ slot }) => toMinutes(slot.start) < toMinutes(end) && toMinutes(start) < toMinutes(slot.end))
+    .map(({ index }) => index);
+}
+
+/**
+ * Детерминированный генератор случайных чисел (mulberry32), чтобы запуск с тем же seed повторялся
+ * @param {number} seed
+ * @returns {Function} () => число в [0, 1)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Превращает учебный план в список занятий, которые нужно разместить в неделе
+ *
+ * Часы плана делятся на число недель: 1 пара в неделю = 2 ч × weeks.
+ * Дробный остаток ставится парой через неделю.
+ *
+ * @param {Object} input - См. solveTimetable
+ * @returns {{ items: Object[], unassigned: Object[] }} unassigned — занятия без преподавателя
+ */
+function buildItems({ groups, plans, assignments, weeks }) {
+  const items = [];
+  const unassigned = [];
+
+  for (const plan of plans) {
+    const group = groups.find(g => g.id === plan.group_id);
+    if (!group) continue;
+
+    for (const type of LESSON_KINDS) {
+      const hours = Number(plan[`${type}_hours`]) || 0;
+      if (hours === 0) continue;
+
+      // Число «полупар» в неделю: 2 = каждую неделю, 1 = через неделю
+      const halfPairs = Math.max(1, Math.round(hours / PAIR_HOURS / weeks * 2));
+      const assignment = assignments.find(a =>
+        a.group_id === plan.group_id && a.subject_id === plan.subject_id && a.type === type
+      );
+
+      const base = {
+        group_id: group.id,
+        group_name: group.name,
+        size: group.size || null,
+        subject_id: plan.subject_id,
+        subject: plan.subject,
+        type,
+        teacher_id: assignment ? assignment.teacher_id : null,
+        teacher: assignment ? assignment.teacher_name : null
+      };
+
+      const units = [
+        ...Array.from({ length: Math.floor(halfPairs / 2) }, () => ({ ...base, weekly: true })),
+        ...(halfPairs % 2 ? [{ ...base, weekly: false }] : [])
+      ];
+
+      if (!assignment) {
+        units.forEach(unit => unassigned.push({ ...unit, reason: 'Не назначен преподаватель' }));
+      } else {
+        items.push(...units);
+      }
+    }
+  }
+
+  items.forEach((item, index) => { item.key = index; });
+  return { items, unassigned };
+}
+
+/**
+ * Аудитории, подходящие занятию по вместимости и оснащению (от меньшей к большей)
+ * @param {Object} item
+ * @param {Object[]} rooms
+ * @returns {Object[]}
+ */
+function suitableRooms(item, rooms) {
+  const required = TYPE_ROOM_FEATURES[item.type];
+  // Если в вузе вообще нет аудиторий с нужным оснащением — не требуем его
+  const enforceFeatures = required && rooms.some(r => (r.features || []).some(f => required.includes(f)));
+
+  return rooms
+    .filter(r => !r.capacity || !item.size || r.capacity >= item.size)
+    .filter(r => !enforceFeatures || (r.features || []).some(f => required.includes(f)))
+    .sort((a, b) => (a.capacity ?? Infinity) - (b.capacity ?? Infinity));
+}
+
+/**
+ * Занятость, которая не зависит от генератора: недоступность преподавателей,
+ * занятия групп, не входящих в черновик, и лекции потоков (они занимают и группы черновика)
+ * @param {Object} input
+ * @returns {Set<string>}
+ */
+function buildFixedOccupancy({ unavailability, busy }) {
+  const occupied = new Set();
+
+  for (const u of unavailability) {
+    for (const slot of overlappingSlots(u.start_time, u.end_time)) {
+      for (const parity of [1, 2]) occupied.add(`t:${u.teacher_id}:${u.day}:${slot}:${parity}`);
+    }
+  }
+
+  for (const b of busy) {
+    for (const slot of overlappingSlots(b.start_time, b.end_time)) {
+      if (b.teacher_id) occupied.add(`t:${b.teacher_id}:${b.day}:${slot}:${b.parity}`);
+      if (b.room_id) occupied.add(`r:${b.room_id}:${b.day}:${slot}:${b.parity}`);
+      for (const groupId of b.group_ids || []) occupied.add(`g:${groupId}:${b.day}:${slot}:${b.parity}`);
+    }
+  }
+
+  return occupied;
+}
+
+/**
+ * Варианты размещения занятия при текущей занятости
+ * @param {Object} item
+ * @param {Object} state - { occupied, dayCount, subjectDays }
+ * @param {Object} ctx - { days, roomsByItem }
+ * @returns {Object[]} { day, slot, parities, room, score }
+ */
+function findCandidates(item, state, ctx) {
+  const candidates = [];
+  const parityOptions = item.weekly ? [[1, 2]] : [[1], [2]];
+  const usedDays = state.subjectDays.get(`${item.group_id}:${item.subject_id}`) || new Set();
+
+  for (const day of ctx.days) {
+    for (let slot = 0; slot < LESSON_SLOTS.length; slot++) {
+      for (const parities of parityOptions) {
+        const blocked = parities.some(p =>
+          state.occupied.has(`g:${item.group_id}:${day}:${slot}:${p}`) ||
+          state.occupied.has(`t:${item.teacher_id}:${day}:${slot}:${p}`) ||
+          (state.dayCount.get(`${item.group_id}:${day}:${p}`) || 0) >= MAX_PAIRS_PER_DAY
+        );
+        if (blocked) continue;
+
+        const room = ctx.roomsByItem.get(item.key).find(r =>
+          parities.every(p => !state.occupied.has(`r:${r.id}:${day}:${slot}:${p}`))
+        );
+        if (!room) continue;
+
+        // Меньше — лучше: ранние пары, без «окон», одна дисциплина не дважды в день
+        const hasNeighbour = parities.some(p =>
+          state.occupied.has(`g:${item.group_id}:${day}:${slot - 1}:${p}`) ||
+          state.occupied.has(`g:${item.group_id}:${day}:${slot + 1}:${p}`)
+        );
+        const dayLoad = parities.reduce((sum, p) => sum + (state.dayCount.get(`${item.group_id}:${day}:${p}`) || 0), 0);
+        const score = slot * 2
+          + (usedDays.has(day) ? 6 : 0)
+          + (dayLoad > 0 && !hasNeighbour ? 3 : 0);
+
+        candidates.push({ day, slot, parities, room, score });
+      }
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Отмечает занятие в состоянии
+ * @param {Object} item
+ * @param {Object} choice - { day, slot, parities, room }
+ * @param {Object} state
+ */
+function occupy(item, { day, slot, parities, room }, state) {
+  for (const p of parities) {
+    state.occupied.add(`g:${item.group_id}:${day}:${slot}:${p}`);
+    state.occupied.add(`t:${item.teacher_id}:${day}:${slot}:${p}`);
+    state.occupied.add(`r:${room.id}:${day}:${slot}:${p}`);
+    const key = `${item.group_id}:${day}:${p}`;
+    state.dayCount.set(key, (state.dayCount.get(key) || 0) + 1);
+  }
+
+  const subjectKey = `${item.group_id}:${item.subject_id}`;
+  if (!state.subjectDays.has(subjectKey)) state.subjectDays.set(subjectKey, new Set());
+  state.subjectDays.get(subjectKey).add(day);
+}
+
+/**
+ * Одна попытка жадного размещения: самые «трудные» занятия ставятся первыми
+ * @param {Object[]} order - Занятия в порядке размещения
+ * @param {Object} ctx
+ * @param {Function|null} random - Шум для выбора варианта (null — строго лучший)
+ * @returns {{ placements: Object[], unplaced: Object[], penalty: number }}
+ */
+function placeGreedy(order, ctx, random) {
+  const state = {
+    occupied: new Set(ctx.fixedOccupancy),
+    dayCount: new Map(),
+    subjectDays: new Map()
+  };
+  const placements = [];
+  const unplaced = [];
+  let penalty = 0;
+
+  for (const item of order) {
+    const candidates = findCandidates(item, state, ctx);
+
+    if (candidates.length === 0) {
+      unplaced.push({
+        ...item,
+        reason: ctx.roomsByItem.get(item.key).length === 0
+          ? 'Нет аудитории подходящей вместимости и оснащения'
+          : 'Нет общего свободного времени у группы, преподавателя и аудиторий'
+      });
+      continue;
+    }
+
+    const pick = (c) => c.score + (random ? random() * 4 : 0);
+    const choice = candidates.reduce((best, c) => (pick(c) < pick(best) ? c : best));
+
+    occupy(item, choice, state);
+    penalty += choice.score;
+
+    const slot = LESSON_SLOTS[choice.slot];
+    placements.push({
+      group_id: item.group_id,
+      group_name: item.group_name,
+      subject_id: item.subject_id,
+      subject: item.subject,
+      type: item.type,
+      teacher_id: item.teacher_id,
+      teacher: item.teacher,
+      room_id: choice.room.id,
+      room: choice.room.name,
+      day: choice.day,
+      slot: choice.slot,
+      start_time: slot.start,
+      end_time: slot.end,
+      week: choice.parities.length === 2 ? 0 : choice.parities[0]
+    });
+  }
+
+  return { placements, unplaced, penalty };
+}
+
+/**
+ * Составляет бесконфликтный недельный шаблон для семестра
+ *
+ * Жадный поиск с перезапусками: первая попытка детерминирована, следующие
+ * перемешивают порядок и выбор вариантов. Хранится лучший результат
+ * (меньше неразмещённых, затем меньше штраф). Поиск останавливается, когда
+ * всё размещено или вышло время.
+ *
+ * @async
+ * @function solveTimetable
+ * @param {Object} input - Результат loadGeneratorInput
+ * @param {Object[]} input.groups - { id, name, size }
+ * @param {Object[]} input.plans - Строки curriculum_plans + subject
+ * @param {Object[]} input.assignments - Строки teacher_assignments + teacher_name
+ * @param {Object[]} input.rooms - { id, name, capacity, features }
+ * @param {Object[]} input.unavailability - { teacher_id, day, start_time, end_time }
+ * @param {Object[]} input.busy - Занятость вне черновика { teacher_id, room_id, group_ids, day, parity, start_time, end_time }
+ * @param {number[]} input.days - Учебные дни
+ * @param {number} input.weeks - Число недель в семестре
+ * @param {Object} [options]
+ * @param {number} [options.timeLimitMs=30000] - Ограничение по времени
+ * @param {Function} [options.onProgress] - async ({ progress, placed, total, iteration, elapsedMs }) — не чаще раза в секунду
+ * @param {number} [options.seed=1]
+ * @returns {Promise<Object>} { placements, unplaced, stats: { total, placed, iterations, elapsedMs, timedOut } }
+ */
+async function solveTimetable(input, { timeLimitMs = 30000, onProgress = async () => {}, seed = 1 } = {}) {
+  const startedAt = Date.now();
+  const random = createRandom(seed);
+  const { items, unassigned } = buildItems(input);
+  const total = items.length + unassigned.length;
+
+  const ctx = {
+    days: input.days && input.days.length ? input.days : DEFAULT_DAYS,
+    fixedOccupancy: buildFixedOccupancy(input),
+    roomsByItem: new Map(items.map(item => [item.key, suitableRooms(item, input.rooms)]))
+  };
+
+  // «Трудность» занятия — число вариантов на пустой сетке; меньше вариантов — ставим раньше
+  const emptyState = { occupied: new Set(ctx.fixedOccupancy), dayCount: new Map(), subjectDays: new Map() };
+  const difficulty = new Map(items.map(item => [
+    item.key,
+    findCandidates(item, emptyState, ctx).length / (item.weekly ? 2 : 1)
+  ]));
+
+  let best = null;
+  let iteration = 0;
+  let lastReport = -Infinity;
+
+  for (;;) {
+    const noise = iteration === 0 ? null : random;
+    const order = items
+      .map(item => ({ item, weight: difficulty.get(item.key) * (noise ? 0.6 + noise() * 0.8 : 1) }))
+      .sort((a, b) => a.weight - b.weight)
+      .map(({ item }) => item);
+
+    const attempt = placeGreedy(order, ctx, noise);
+    if (!best
+      || attempt.unplaced.length < best.unplaced.length
+      || (attempt.unplaced.length === best.unplaced.length && attempt.penalty < best.penalty)) {
+      best = attempt;
+    }
+    iteration++;
+
+    const elapsedMs = Date.now() - startedAt;
+    const finished = best.unplaced.length === 0 || elapsedMs >= timeLimitMs || iteration >= MAX_ITERATIONS;
+
+    if (finished || elapsedMs - lastReport >= 1000) {
+      lastReport = elapsedMs;
+      await onProgress({
+        progress: total === 0 ? 100 : Math.floor(best.placements.length / total * 100),
+        placed: best.placements.length,
+        total,
+        iteration,
+        elapsedMs
+      });
+    }
+
+    if (finished) {
+      return {
+        placements: best.placements.sort((a, b) =>
+          a.group_id - b.group_id || a.day - b.day || a.slot - b.slot || a.week - b.week
+        ),
+        unplaced: [...unassigned, ...best.unplaced].map(({ key, ...rest }) => rest),
+        stats: {
+          total,
+          placed: best.placements.length,
+          iterations: iteration,
+          elapsedMs,
+          timedOut: best.unplaced.length > 0 && elapsedMs >= timeLimitMs
+        }
+      };
+    }
+
+    // Отдаём управление циклу событий (запись прогресса, сигналы)
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Загружает из БД всё, что нужно генератору
+ *
+ * @async
+ * @function loadGeneratorInput
+ * @param {Object} db - pool или client
+ * @param {Object} params
+ * @param {string} params.semester - Семестр учебного плана
+ * @param {number[]} params.groupIds - Группы черновика
+ * @param {string} params.from - Начало семестра (YYYY-MM-DD)
+ * @param {string} params.to - Конец семестра (YYYY-MM-DD)
+ * @param {number[]} [params.days] - Учебные дни
+ * @returns {Promise<Object>} input для solveTimetable
+ */
+async function loadGeneratorInput(db, { semester, groupIds, from, to, days = DEFAULT_DAYS }) {
+  const [groups, plans, assignments, rooms, unavailability, lessons] = await Promise.all([
+    db.query('SELECT id, name, size FROM groups WHERE id = ANY($1::int[]) ORDER BY name', [groupIds]),
+    db.query(
+      `SELECT cp.group_id, cp.subject_id, s.name AS subject,
+              cp.lecture_hours, cp.practice_hours, cp.lab_hours
+       FROM curriculum_plans cp
+       JOIN subjects s ON s.id = cp.subject_id
+       WHERE cp.semester = $1 AND cp.group_id = ANY($2::int[])`,
+      [semester, groupIds]
+    ),
+    db.query(
+      `SELECT ta.group_id, ta.subject_id, ta.type, ta.teacher_id, u.full_name AS teacher_name
+       FROM teacher_assignments ta
+       JOIN users u ON u.id = ta.teacher_id
+       WHERE ta.semester = $1 AND ta.group_id = ANY($2::int[])`,
+      [semester, groupIds]
+    ),
+    db.query('SELECT id, name, capacity, features FROM rooms'),
+    db.query('SELECT teacher_id, day, start_time, end_time FROM teacher_unavailability'),
+    // Занятия остальных групп и потоков в эти даты — их преподаватели и аудитории уже заняты,
+    // а лекция потока занимает ещё и его группы из черновика (применение черновика её не удаляет)
+    db.query(
+      `SELECT DISTINCT lesson_date, start_time, end_time, teacher_id, room_id,
+         ARRAY(
+           SELECT sg.group_id FROM stream_groups sg
+           WHERE sg.stream_id = lessons.stream_id AND sg.group_id = ANY($3::int[])
+           ORDER BY sg.group_id
+         ) AS group_ids
+       FROM lessons
+       WHERE lesson_date BETWEEN $1 AND $2
+         AND (group_id IS NULL OR NOT (group_id = ANY($3::int[])))
+         AND (teacher_id IS NOT NULL OR room_id IS NOT NULL OR stream_id IS NOT NULL)
+         AND status <> 'cancelled'`,
+      [from, to, groupIds]
+    )
+  ]);
+
+  const busy = lessons.rows.map(l => {
+    const date = parseLocalDate(l.lesson_date);
+    return {
+      teacher_id: l.teacher_id,
+      room_id: l.room_id,
+      group_ids: l.group_ids,
+      day: (date.getDay() + 6) % 7,
+      parity: weekParity(date),
+      start_time: l.start_time,
+      end_time: l.end_time
+    };
+  });
+
+  const totalDays = Math.round((parseLocalDate(to) - parseLocalDate(from)) / 86400000) + 1;
+
+  return {
+    groups: groups.rows,
+    plans: plans.rows,
+    assignments: assignments.rows,
+    rooms: rooms.rows,
+    unavailability: unavailability.rows,
+    busy,
+    days,
+    weeks: Math.max(1, Math.round(totalDays / 7))
+  };
+}
+
+/**
+ * Запускает генерацию для черновика и сохраняет прогресс и результат в timetable_drafts
+ *
+ * @async
+ * @function runDraft
+ * @param {Object} db - pool
+ * @param {number} draftId - ID черновика
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Дополнительный обработчик прогресса (вывод в консоль)
+ * @returns {Promise<Object>} Результат solveTimetable
+ * @throws {Error} Если черновик не найден или генерация упала (черновик помечается failed)
+ */
+async function runDraft(db, draftId, { onProgress = () => {} } = {}) {
+  const draftRes = await db.query('SELECT * FROM timetable_drafts WHERE id = $1', [draftId]);
+  const draft = draftRes.rows[0];
+  if (!draft) throw new Error(`Черновик ${draftId} не найден`);
+
+  await db.query(
+    "UPDATE timetable_drafts SET status = 'running', progress = 0, message = NULL WHERE id = $1",
+    [draftId]
+  );
+
+  try {
+    await ensureCalendar(db);
+
+    const input = await loadGeneratorInput(db, {
+      semester: draft.semester,
+      groupIds: draft.group_ids,
+      from: formatLocalDate(parseLocalDate(draft.date_from)),
+      to: formatLocalDate(parseLocalDate(draft.date_to)),
+      days: draft.days
+    });
+
+    const result = await solveTimetable(input, {
+      timeLimitMs: draft.time_limit_sec * 1000,
+      onProgress: async (progress) => {
+        onProgress(progress);
+        await db.query(
+          'UPDATE timetable_drafts SET progress = $2, message = $3 WHERE id = $1',
+          [draftId, progress.progress, `Размещено ${progress.placed} из ${progress.total}`]
+        );
+      }
+    });
+
+    await db.query(
+      `UPDATE timetable_drafts
+       SET status = 'done', result = $2, finished_at = NOW(), message = $3
+       WHERE id = $1`,
+      [
+        draftId,
+        JSON.stringify(result),
+        result.unplaced.length === 0
+          ? `Размещены все занятия (${result.stats.placed})`
+          : `Не размещено занятий: ${result.unplaced.length}`
+      ]
+    );
+
+    return result;
+  } catch (err) {
+    await db.query(
+      "UPDATE timetable_drafts SET status = 'failed', message = $2, finished_at = NOW() WHERE id = $1",
+      [draftId, err.message]
+    );
+    throw err;
+  }
+}
+
+/**
+ * Разворачивает недельный шаблон в занятия на конкретные даты
+ *
+ * @function expandTemplate
+ * @param {Object[]} placements - Шаблон черновика
+ * @param {string} from - Первая дата (YYYY-MM-DD)
+ * @param {string} to - Последняя дата (YYYY-MM-DD)
+ * @returns {Object[]} Строки для lessons { group_id, lesson_date, start_time, end_time, subject_id, subject, teacher_id, room_id, room, type }
+ */
+function expandTemplate(placements, from, to) {
+  const lessons = [];
+  const end = parseLocalDate(to);
+
+  for (let date = parseLocalDate(from); date <= end; date.setDate(date.getDate() + 1)) {
+    const { teaching, weekday: day } = getDayInfo(date);
+    if (!teaching) continue;
+
+    const parity = weekParity(date);
+    const lessonDate = formatLocalDate(date);
+
+    for (const p of placements) {
+      if (p.day !== day || (p.week !== 0 && p.week !== parity)) continue;
+      lessons.push({
+        group_id: p.group_id,
+        lesson_date: lessonDate,
+        start_time: p.start_time,
+        end_time: p.end_time,
+        subject_id: p.subject_id,
+        subject: p.subject,
+        teacher_id: p.teacher_id,
+        room_id: p.room_id,
+        room: p.room,
+        type: p.type
+      });
+    }
+  }
+
+  return lessons;
 }
 
-module.exports = { generateDates };
\ No newline at end of file
+module.exports = {
+  LESSON_SLOTS,
+  DEFAULT_DAYS,
+  generateDates,
+  solveTimetable,
+  loadGeneratorInput,
+  runDraft,
+  expandTemplate
+};
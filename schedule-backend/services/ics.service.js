@@ -0,0 +1,237 @@
+/**
+ * @file ics.service.js
+ * @description Сервис для формирования календаря в формате iCalendar (RFC 5545).
+ *
+ * Превращает строки из таблицы lessons в VEVENT-события, которые понимают
+ * календари телефонов и десктопов (Google Calendar, Apple Calendar, Outlook).
+ *
+ * Особенности:
+ * - UID события строится по «слоту» (группа + дата + время начала), а не по lessons.id,
+ *   потому что updateScheduleByDay пересоздаёт строки дня. Так подписанный календарь
+ *   обновляет событие на месте, а не дублирует его.
+ * - SEQUENCE вычисляется из lessons.updated_at — при каждом изменении он растёт.
+ * - Отменённые занятия отдаются со STATUS:CANCELLED и тем же UID.
+ * - При заданном CALENDAR_TZ время переводится в UTC (…Z): TZID без VTIMEZONE
+ *   RFC 5545 не допускает, и часть клиентов показывает такое время со сдвигом.
+ *
+ * @module services/ics
+ */
+
+const { formatLocalDate } = require('./week.service');
+
+/** @constant {string} Домен для UID событий */
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'schedule.local';
+
+/** @constant {string|undefined} Часовой пояс занятий (IANA), например Europe/Moscow. Без него время «плавающее» */
+const CALENDAR_TZ = process.env.CALENDAR_TZ;
+
+/** @constant {number} Точка отсчёта для SEQUENCE (чтобы число помещалось в 32 бита) */
+const SEQUENCE_EPOCH = Date.UTC(2024, 0, 1);
+
+/** @constant {Object<string, string>} Человекочитаемые названия типов занятий */
+const LESSON_TYPES = {
+  lecture: 'Лекция',
+  practice: 'Практика',
+  lab: 'Лабораторная'
+};
+
+/**
+ * Экранирует текст для значений iCalendar (\\ ; , и переводы строк)
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Сворачивает строку длиннее 75 октетов (RFC 5545, 3.1)
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Первая строка — до 75 октетов, продолжения начинаются с пробела (74 + 1)
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Приводит дату занятия к виду YYYY-MM-DD
+ * @param {Date|string} date - Date из pg или строка
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date instanceof Date ? formatLocalDate(date) : String(date).slice(0, 10);
+}
+
+/**
+ * Дата и время занятия в формате iCalendar (YYYYMMDDTHHMMSS)
+ * @param {Date|string} date
+ * @param {string} time - '08:30' или '08:30:00'
+ * @returns {string}
+ */
+function formatDateTime(date, time) {
+  const [h, m, s = '00'] = String(time).split(':');
+  return `${toDateString(date).replace(/-/g, '')}T${h.padStart(2, '0')}${m}${s.slice(0, 2)}`;
+}
+
+/**
+ * Момент времени в UTC (для DTSTAMP и LAST-MODIFIED)
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Смещение часового пояса от UTC в момент времени, мс
+ * @param {number} timestamp - UTC, мс
+ * @param {string} timeZone - IANA
+ * @returns {number}
+ */
+function zoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, Number(part.value)])
+  );
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Время занятия для DTSTART/DTEND: в UTC, если задан CALENDAR_TZ, иначе «плавающее»
+ * @param {Date|string} date
+ * @param {string} time - '08:30' или '08:30:00'
+ * @returns {string}
+ */
+function formatLessonTime(date, time) {
+  if (!CALENDAR_TZ) return formatDateTime(date, time);
+
+  const [y, mo, d] = toDateString(date).split('-').map(Number);
+  const [h, m, s = 0] = String(time).split(':').map(Number);
+  const wallClock = Date.UTC(y, mo - 1, d, h, m, s);
+  // Смещение берём на момент самого занятия (второй проход — на случай перехода на летнее время)
+  let utc = wallClock - zoneOffset(wallClock, CALENDAR_TZ);
+  utc = wallClock - zoneOffset(utc, CALENDAR_TZ);
+
+  return formatUtc(new Date(utc));
+}
+
+/**
+ * Стабильный UID занятия: группа (или поток) + подгруппа + дата + время начала
+ *
+ * Параллельные занятия подгрупп в одно время — разные события. У занятия всей
+ * группы подгруппы нет, и его UID остаётся прежним.
+ *
+ * @param {Object} lesson
+ * @returns {string}
+ */
+function buildUid(lesson) {
+  const owner = lesson.stream_id ? `stream${lesson.stream_id}` : lesson.group_id;
+  const subgroup = lesson.subgroup_id ? `-sg${lesson.subgroup_id}` : '';
+  return `lesson-${owner}${subgroup}-${formatDateTime(lesson.lesson_date, lesson.start_time)}@${UID_DOMAIN}`;
+}
+
+/**
+ * Формирует VEVENT для одного занятия
+ *
+ * @param {Object} lesson - Строка lessons (+ group_name, teacher)
+ * @param {string} [lesson.substitute] - Заменяющий преподаватель
+ * @param {string} [lesson.change_note] - Причина отмены, переноса или смены аудитории
+ * @param {string} [lesson.online_url] - Ссылка на онлайн-занятие
+ * @param {boolean} [lesson.cancelled] - Занятие отменено
+ * @param {Date} [lesson.updated_at] - Время последнего изменения
+ * @param {Date} now - Текущее время для DTSTAMP
+ * @returns {string[]} Строки события
+ */
+function buildEvent(lesson, now) {
+  const updatedAt = lesson.updated_at ? new Date(lesson.updated_at) : now;
+  const sequence = Math.max(0, Math.floor((updatedAt.getTime() - SEQUENCE_EPOCH) / 1000));
+  const typeLabel = LESSON_TYPES[lesson.type] || lesson.type || '';
+
+  const description = [
+    lesson.teacher ? `Преподаватель: ${lesson.teacher}` : null,
+    lesson.substitute ? `Замена: ${lesson.substitute}` : null,
+    typeLabel ? `Тип: ${typeLabel}` : null,
+    lesson.group_name ? `Группа: ${lesson.group_name}` : null,
+    lesson.subgroup_name ? `Подгруппа: ${lesson.subgroup_name}` : null,
+    lesson.online_url ? `Онлайн: ${lesson.online_url}` : null,
+    lesson.change_note ? `Изменение: ${lesson.change_note}` : null
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${buildUid(lesson)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `LAST-MODIFIED:${formatUtc(updatedAt)}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART:${formatLessonTime(lesson.lesson_date, lesson.start_time)}`,
+    `DTEND:${formatLessonTime(lesson.lesson_date, lesson.end_time)}`,
+    `SUMMARY:${escapeText(typeLabel ? `${lesson.subject} (${typeLabel})` : lesson.subject)}`,
+    `LOCATION:${escapeText(lesson.room)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    ...(typeLabel ? [`CATEGORIES:${escapeText(typeLabel)}`] : []),
+    `STATUS:${lesson.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Собирает календарь iCalendar из списка занятий
+ *
+ * @function buildCalendar
+ * @param {Object[]} lessons - Занятия (строки lessons + group_name, teacher)
+ * @param {Object} [options]
+ * @param {string} [options.name='Расписание'] - Название календаря (X-WR-CALNAME)
+ * @returns {string} Текст .ics с переводами строк CRLF
+ *
+ * @example
+ * res.type('text/calendar').send(buildCalendar(rows, { name: 'ИС-21' }));
+ */
+function buildCalendar(lessons, { name = 'Расписание' } = {}) {
+  const now = new Date();
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Schedule for University and College//RU',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(CALENDAR_TZ ? [`X-WR-TIMEZONE:${CALENDAR_TZ}`] : []),
+    ...lessons.flatMap(lesson => buildEvent(lesson, now)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar, buildUid };
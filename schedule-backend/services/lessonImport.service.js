@@ -0,0 +1,399 @@
+/**
+ * @file lessonImport.service.js
+ * @description Разбор файлов импорта занятий (CSV и XLSX).
+ *
+ * Первая строка файла — заголовки. Колонки узнаются по названию на русском или
+ * английском (IMPORT_COLUMNS), порядок не важен:
+ * - Группа, Преподаватель, Дисциплина, Аудитория — названия из справочников
+ * - Дата — одно занятие; или День недели + Неделя (каждая/чётная/нечётная) — серия,
+ *   при необходимости с «Дата начала»/«Дата окончания» (по умолчанию — текущий семестр)
+ * - Начало, Конец — время пары
+ * - Тип — лекция / практика / лабораторная
+ *
+ * CSV — UTF-8 (BOM допустим), разделитель «;» или «,» определяется по строке заголовков.
+ * В XLSX читается первый лист.
+ *
+ * @requires exceljs
+ * @requires ./subject.service
+ * @requires ./room.service
+ *
+ * @module services/lessonImport
+ */
+
+const ExcelJS = require('exceljs');
+const { LESSON_KINDS, resolveSubject } = require('./subject.service');
+const { resolveRoom } = require('./room.service');
+
+/** @constant {Object<string, string[]>} Поле занятия → варианты заголовка колонки */
+const IMPORT_COLUMNS = {
+  group: ['группа', 'group'],
+  date: ['дата', 'date', 'single_date'],
+  day: ['день недели', 'день', 'day', 'weekday'],
+  week: ['неделя', 'четность', 'week', 'parity'],
+  date_from: ['дата начала', 'date_from'],
+  date_to: ['дата окончания', 'date_to'],
+  start_time: ['начало', 'время начала', 'start', 'start_time'],
+  end_time: ['конец', 'окончание', 'время окончания', 'end', 'end_time'],
+  subject: ['дисциплина', 'предмет', 'subject'],
+  teacher: ['преподаватель', 'teacher'],
+  room: ['аудитория', 'room'],
+  type: ['тип', 'вид занятия', 'type']
+};
+
+/** @constant {string[]} Колонки, без которых файл не принимается */
+const REQUIRED_COLUMNS = ['group', 'start_time', 'end_time', 'subject', 'room', 'type'];
+
+/** @constant {string[][]} Названия дней недели: индекс — 0 (Пн) - 5 (Сб) */
+const DAY_NAMES = [
+  ['пн', 'понедельник', 'mon', 'monday'],
+  ['вт', 'вторник', 'tue', 'tuesday'],
+  ['ср', 'среда', 'wed', 'wednesday'],
+  ['чт', 'четверг', 'thu', 'thursday'],
+  ['пт', 'пятница', 'fri', 'friday'],
+  ['сб', 'суббота', 'sat', 'saturday']
+];
+
+/** @constant {Object<string, number>} Тип недели: 0 все, 1 чётная, 2 нечётная */
+const WEEK_NAMES = {
+  '': 0, '0': 0, 'каждая': 0, 'все': 0, 'every': 0, 'all': 0,
+  '1': 1, 'чет': 1, 'четная': 1, 'even': 1,
+  '2': 2, 'нечет': 2, 'нечетная': 2, 'odd': 2
+};
+
+/** @constant {Object<string, string>} Вид занятия из файла → lessons.type */
+const TYPE_NAMES = {
+  'лекция': 'lecture', 'лек': 'lecture',
+  'практика': 'practice', 'пр': 'practice', 'практическое занятие': 'practice', 'семинар': 'practice',
+  'лабораторная': 'lab', 'лаб': 'lab', 'лабораторная работа': 'lab',
+  ...Object.fromEntries(LESSON_KINDS.map(kind => [kind, kind]))
+};
+
+/** @constant {Object<string, string>} Справочники в сообщениях об ошибках */
+const REFERENCE_TITLES = { group: 'группа', subject: 'дисциплина', room: 'аудитория', teacher: 'преподаватель' };
+
+/**
+ * Приводит текст к виду для сравнения: нижний регистр, ё → е, без точек и лишних пробелов
+ * @param {*} value
+ * @returns {string}
+ */
+function normalizeKey(value) {
+  return String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/\./g, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Разбирает CSV (RFC 4180: поля в кавычках, "" внутри кавычек)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Значение ячейки XLSX в виде строки (даты — YYYY-MM-DD, время — HH:MM)
+ * @param {*} value - cell.value из exceljs
+ * @returns {string}
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+
+  if (value instanceof Date) {
+    // Ячейки только со временем Excel хранит как дату 1899-12-30
+    if (value.getUTCFullYear() < 1901) {
+      return `${String(value.getUTCHours()).padStart(2, '0')}:${String(value.getUTCMinutes()).padStart(2, '0')}`;
+    }
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellToString(value.result);
+    if (value.text !== undefined) return String(value.text);
+    return '';
+  }
+
+  return String(value);
+}
+
+/**
+ * Читает строки файла импорта
+ *
+ * @async
+ * @function readImportFile
+ * @param {Buffer} buffer - Содержимое файла
+ * @returns {Promise<Object>} { error } — файл не читается или нет обязательных колонок, иначе
+ *   { format: 'csv'|'xlsx', unknownColumns, rows: [{ row, values }] }, где row — номер строки
+ *   в файле (заголовок — 1), values — { group, date, ... } строками
+ */
+async function readImportFile(buffer) {
+  // XLSX — ZIP-архив, начинается с PK\x03\x04
+  const format = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50 ? 'xlsx' : 'csv';
+
+  let table;
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (err) {
+      return { error: `Не удалось прочитать XLSX: ${err.message}` };
+    }
+
+    const sheet = workbook.worksheets[0];
+    table = [];
+    sheet?.eachRow({ includeEmpty: true }, (row, number) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, col) => { cells[col - 1] = cellToString(cell.value); });
+      table[number - 1] = Array.from(cells, cell => cell ?? '');
+    });
+    table = Array.from(table, row => row || []);
+  } else {
+    table = parseCsv(buffer.toString('utf8'));
+  }
+
+  const [header = [], ...body] = table;
+  const aliases = new Map(
+    Object.entries(IMPORT_COLUMNS).flatMap(([field, names]) => names.map(name => [name, field]))
+  );
+
+  const columns = {};
+  const unknownColumns = [];
+  header.forEach((title, index) => {
+    const field = aliases.get(normalizeKey(title));
+    if (field && columns[field] === undefined) columns[field] = index;
+    else if (String(title).trim()) unknownColumns.push(String(title).trim());
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(field => columns[field] === undefined);
+  if (columns.date === undefined && columns.day === undefined) missing.push('date');
+  if (missing.length > 0) {
+    return { error: `В файле нет колонок: ${missing.map(field => IMPORT_COLUMNS[field][0]).join(', ')}` };
+  }
+
+  const rows = body
+    .map((cells, index) => ({
+      row: index + 2,
+      values: Object.fromEntries(
+        Object.entries(columns).map(([field, col]) => [field, String(cells[col] ?? '').trim()])
+      )
+    }))
+    .filter(({ values }) => Object.values(values).some(Boolean));
+
+  return { format, unknownColumns, rows };
+}
+
+/**
+ * Дата из файла в виде YYYY-MM-DD (понимает ДД.ММ.ГГГГ)
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseDate(value) {
+  let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    const ru = value.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+    if (ru) match = [null, ru[3], ru[2].padStart(2, '0'), ru[1].padStart(2, '0')];
+  }
+  if (!match) return null;
+
+  const [, y, m, d] = match;
+  const date = new Date(Number(y), Number(m) - 1, Number(d));
+  return date.getMonth() === Number(m) - 1 && date.getDate() === Number(d) ? `${y}-${m}-${d}` : null;
+}
+
+/**
+ * Время из файла в виде HH:MM (понимает 8:30, 08.30, 08:30:00 и долю суток из XLSX — 0.5)
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseTime(value) {
+  if (/^0?\.\d+$/.test(value)) {
+    const minutes = Math.round(Number(value) * 24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  const match = value.match(/^(\d{1,2})[:.](\d{2})(?::\d{2})?$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * День недели из файла: название или номер 1 (Пн) - 6 (Сб)
+ * @param {string} value
+ * @returns {number|null} 0 (Пн) - 5 (Сб)
+ */
+function parseDay(value) {
+  const key = normalizeKey(value);
+  if (/^[1-6]$/.test(key)) return Number(key) - 1;
+  const day = DAY_NAMES.findIndex(names => names.includes(key));
+  return day === -1 ? null : day;
+}
+
+/**
+ * Создаёт кэширующий поиск по справочникам (одно название — один запрос за импорт)
+ *
+ * @function createResolver
+ * @param {Object} db - client
+ * @returns {Object} { group, teacher, subject, room } — async (name) => { id, name } | null | { ambiguous: true }
+ */
+function createResolver(db) {
+  const caches = { group: new Map(), teacher: new Map(), subject: new Map(), room: new Map() };
+
+  const lookups = {
+    group: async (name) => {
+      const result = await db.query('SELECT id, name FROM groups WHERE lower(trim(name)) = lower(trim($1))', [name]);
+      return result.rows[0] || null;
+    },
+    teacher: async (name) => {
+      const result = await db.query(
+        `SELECT id, full_name AS name FROM users
+         WHERE role = 'teacher'
+           AND (lower(trim(full_name)) = lower(trim($1)) OR lower(email) = lower(trim($1)))`,
+        [name]
+      );
+      return result.rows.length > 1 ? { ambiguous: true } : result.rows[0] || null;
+    },
+    subject: (name) => resolveSubject(db, { subject: name }),
+    room: (name) => resolveRoom(db, { room: name })
+  };
+
+  return Object.fromEntries(Object.keys(caches).map(kind => [kind, (name) => {
+    const key = normalizeKey(name);
+    if (!caches[kind].has(key)) caches[kind].set(key, lookups[kind](name));
+    return caches[kind].get(key);
+  }]));
+}
+
+/**
+ * Проверяет строку файла и переводит её в данные занятия
+ *
+ * @async
+ * @function parseImportRow
+ * @param {Object} resolver - Результат createResolver
+ * @param {Object} values - Значения строки из readImportFile
+ * @param {{ from: string, to: string }} semester - Диапазон серии по умолчанию
+ * @returns {Promise<Object>} { errors: string[], lesson?, series? } — lesson для даты, series для дня недели
+ */
+async function parseImportRow(resolver, values, semester) {
+  const errors = [];
+
+  const start_time = parseTime(values.start_time);
+  const end_time = parseTime(values.end_time);
+  if (!start_time) errors.push(`Неверное время начала: «${values.start_time}»`);
+  if (!end_time) errors.push(`Неверное время окончания: «${values.end_time}»`);
+  if (start_time && end_time && start_time >= end_time) errors.push('Время начала позже окончания');
+
+  const type = TYPE_NAMES[normalizeKey(values.type)];
+  if (!type) errors.push(`Неизвестный тип занятия: «${values.type}»`);
+
+  let single_date = null;
+  let day = null;
+  let week = null;
+  let date_from = semester.from;
+  let date_to = semester.to;
+
+  if (values.date && values.day) {
+    errors.push('Укажите либо дату, либо день недели');
+  } else if (values.date) {
+    single_date = parseDate(values.date);
+    if (!single_date) errors.push(`Неверная дата: «${values.date}»`);
+  } else if (values.day) {
+    day = parseDay(values.day);
+    week = WEEK_NAMES[normalizeKey(values.week)] ?? null;
+    if (day === null) errors.push(`Неверный день недели: «${values.day}»`);
+    if (week === null) errors.push(`Неверный тип недели: «${values.week}»`);
+
+    if (values.date_from) {
+      date_from = parseDate(values.date_from);
+      if (!date_from) errors.push(`Неверная дата начала: «${values.date_from}»`);
+    }
+    if (values.date_to) {
+      date_to = parseDate(values.date_to);
+      if (!date_to) errors.push(`Неверная дата окончания: «${values.date_to}»`);
+    }
+    if (date_from && date_to && date_from > date_to) errors.push('Дата начала серии позже даты окончания');
+  } else {
+    errors.push('Не указана дата или день недели');
+  }
+
+  const found = {};
+  for (const kind of ['group', 'subject', 'room', 'teacher']) {
+    if (!values[kind]) {
+      if (kind !== 'teacher') errors.push(`Не указано: ${REFERENCE_TITLES[kind]}`);
+      continue;
+    }
+
+    const row = await resolver[kind](values[kind]);
+    if (row?.ambiguous) errors.push(`Несколько преподавателей «${values[kind]}» — укажите email`);
+    else if (!row) errors.push(`Не найдено: ${REFERENCE_TITLES[kind]} «${values[kind]}»`);
+    else found[kind] = row;
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const lesson = {
+    group_id: found.group.id,
+    start_time,
+    end_time,
+    subject: found.subject.name,
+    subject_id: found.subject.id,
+    teacher_id: found.teacher ? found.teacher.id : null,
+    room_id: found.room.id,
+    room: found.room.name,
+    type
+  };
+
+  return single_date
+    ? { errors, lesson: { ...lesson, lesson_date: single_date } }
+    : { errors, series: { ...lesson, day, week, date_from, date_to } };
+}
+
+module.exports = {
+  IMPORT_COLUMNS,
+  readImportFile,
+  createResolver,
+  parseImportRow
+};
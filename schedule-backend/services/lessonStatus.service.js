@@ -0,0 +1,65 @@
+/**
+ * @file lessonStatus.service.js
+ * @description Изменение одного занятия с пометкой статуса: отмена, перенос, смена аудитории, онлайн.
+ *
+ * Занятие не удаляется и не пересоздаётся: меняются поля строки lessons, статус и
+ * причина (change_note). При первом переносе или смене аудитории исходные дата, время
+ * и аудитория сохраняются в original_*, чтобы расписание могло показать, откуда занятие
+ * перенесено. Занятие серии становится исключением, и правило серии его больше не перезаписывает.
+ *
+ * @requires ./series.service - markException
+ *
+ * @module services/lessonStatus
+ */
+
+const { markException } = require('./series.service');
+
+/** @constant {string[]} Статусы занятия */
+const LESSON_STATUSES = ['scheduled', 'cancelled', 'moved', 'room_changed', 'online'];
+
+/**
+ * Применяет изменение к занятию
+ *
+ * @async
+ * @function updateOccurrence
+ * @param {Object} db - client внутри транзакции
+ * @param {Object} lesson - Текущая строка lessons
+ * @param {Object} changes - Новые значения колонок (status, change_note, lesson_date, start_time, end_time, room_id, room, online_url)
+ * @returns {Promise<Object>} Обновлённая строка lessons
+ *
+ * @example
+ * await updateOccurrence(client, lesson, { status: 'cancelled', change_note: 'Болезнь преподавателя' });
+ */
+async function updateOccurrence(db, lesson, changes) {
+  const values = { ...changes };
+
+  const movesTime = ['lesson_date', 'start_time', 'end_time'].some(field => changes[field] !== undefined);
+  if (movesTime && !lesson.original_date) {
+    values.original_date = lesson.lesson_date;
+    values.original_start_time = lesson.start_time;
+    values.original_end_time = lesson.end_time;
+  }
+  if (changes.room !== undefined && !lesson.original_room) {
+    values.original_room = lesson.room;
+  }
+
+  const fields = Object.keys(values);
+  const setClause = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+  const result = await db.query(
+    `UPDATE lessons SET ${setClause}, is_exception = series_id IS NOT NULL
+     WHERE id = $1
+     RETURNING *`,
+    [lesson.id, ...fields.map(field => values[field])]
+  );
+
+  if (lesson.series_id && !lesson.is_exception) {
+    await markException(db, lesson.series_id, lesson.lesson_date, lesson.id);
+  }
+
+  return result.rows[0];
+}
+
+module.exports = {
+  LESSON_STATUSES,
+  updateOccurrence
+};
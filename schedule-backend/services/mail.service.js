@@ -0,0 +1,137 @@
+/**
+ * @file mail.service.js
+ * @description Отправка писем через подключаемый транспорт.
+ *
+ * Транспорт выбирается переменной MAIL_TRANSPORT:
+ * - smtp — SMTP-сервер (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ * - file — каждое письмо сохраняется в MAIL_DIR (по умолчанию ./mail) как .eml
+ * - stdout — письмо печатается в консоль (для локальной проверки)
+ * - off — письма не отправляются (по умолчанию: без явно выбранного транспорта
+ *   письма с расписанием не должны попадать в логи сервера)
+ *
+ * Свой транспорт подключается через registerTransport. Отправитель — MAIL_FROM.
+ *
+ * @requires nodemailer
+ *
+ * @module services/mail
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/** @constant {string} Адрес отправителя */
+const MAIL_FROM = process.env.MAIL_FROM || 'Расписание <schedule@localhost>';
+
+/**
+ * Фабрики транспортов: () => { send(message) → Promise }
+ * @type {Object<string, Function>}
+ */
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return { send: message => transporter.sendMail(message) };
+  },
+
+  file: () => {
+    const dir = path.resolve(process.env.MAIL_DIR || 'mail');
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+        await fs.promises.writeFile(file, info.message);
+        return info;
+      }
+    };
+  },
+
+  stdout: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        console.log(`\n✉️  Письмо для ${message.to}: ${message.subject}\n${message.text}\n`);
+        return info;
+      }
+    };
+  },
+
+  off: () => ({ send: async () => null })
+};
+
+/** @type {{ name: string, send: Function }|null} Созданный транспорт */
+let current = null;
+
+/**
+ * Подключает свой транспорт (например, HTTP API почтового сервиса)
+ *
+ * @function registerTransport
+ * @param {string} name - Значение MAIL_TRANSPORT
+ * @param {Function} factory - () => { send(message) → Promise }
+ */
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  if (current && current.name === name) current = null;
+}
+
+/**
+ * Имя транспорта из MAIL_TRANSPORT
+ * @private
+ * @returns {string}
+ */
+function transportName() {
+  return process.env.MAIL_TRANSPORT || 'off';
+}
+
+/**
+ * Включена ли отправка писем (MAIL_TRANSPORT задан и не off)
+ *
+ * @function isMailEnabled
+ * @returns {boolean}
+ */
+function isMailEnabled() {
+  return transportName() !== 'off';
+}
+
+/**
+ * Транспорт из MAIL_TRANSPORT (создаётся при первом письме)
+ * @private
+ * @returns {{ name: string, send: Function }}
+ */
+function getTransport() {
+  const name = transportName();
+  if (!current || current.name !== name) {
+    if (!transports[name]) throw new Error(`Неизвестный MAIL_TRANSPORT: ${name}`);
+    current = { name, ...transports[name]() };
+  }
+  return current;
+}
+
+/**
+ * Отправляет письмо
+ *
+ * @async
+ * @function sendMail
+ * @param {Object} message
+ * @param {string} message.to - Адрес получателя
+ * @param {string} message.subject - Тема
+ * @param {string} message.text - Текст письма
+ * @returns {Promise<Object|null>} Ответ транспорта
+ * @throws {Error} Ошибка транспорта — вызывающий решает, прерывать ли операцию
+ */
+async function sendMail({ to, subject, text }) {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  isMailEnabled,
+  registerTransport,
+  sendMail
+};
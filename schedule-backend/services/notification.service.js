@@ -0,0 +1,350 @@
+/**
+ * @file notification.service.js
+ * @description Сервис уведомлений об изменениях расписания (таблица notifications).
+ *
+ * Пути записи (перезапись дня, замена преподавателя, очистка недели, отмена и перенос
+ * занятий) после COMMIT передают сюда затронутые занятия. Если занятие приходится на
+ * ближайшие NOTIFY_DAYS дней, уведомление получают студенты его группы, преподаватель
+ * и действующий заменяющий. Каждый получатель видит только свои занятия.
+ * Созданные уведомления дублируются на устройства через Web Push (push.service)
+ * и письмами (emailNotification.service), если пользователь их не выключил.
+ *
+ * Отправка идёт в фоне: notifyLessonChanges только записывает уведомления и очередь
+ * notification_deliveries, а processDueNotifications рассылает их сразу после записи
+ * и периодически (startNotificationWorker) — медленный push-сервис или SMTP
+ * не задерживают ответ на изменение расписания. Неотправленное письмо повторяется
+ * через MAIL_RETRY_BASE * 2^(попытка-1) секунд, после MAIL_MAX_ATTEMPTS попыток
+ * доставка снимается с очереди.
+ *
+ * @requires ../db - Пул соединений PostgreSQL
+ * @requires ./emailNotification.service - emailNotifications
+ * @requires ./push.service - pushNotifications
+ * @requires ./week.service - formatLocalDate
+ *
+ * @module services/notification
+ */
+
+const pool = require('../db');
+const { emailNotifications } = require('./emailNotification.service');
+const { pushNotifications } = require('./push.service');
+const { formatLocalDate } = require('./week.service');
+
+/** @constant {number} За сколько дней вперёд изменения порождают уведомления */
+const NOTIFY_DAYS = Number(process.env.NOTIFY_DAYS) || 14;
+
+/** @constant {number} Период проверки очереди доставки, мс */
+const WORKER_INTERVAL = 60 * 1000;
+
+/** @constant {number} Сколько уведомлений отправлять за один проход */
+const BATCH_SIZE = 50;
+
+/** @constant {number} Сколько раз пытаться отправить письмо */
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 6;
+
+/** @constant {number} Пауза перед первым повтором письма, с (дальше удваивается) */
+const RETRY_BASE_SECONDS = Number(process.env.MAIL_RETRY_BASE) || 60;
+
+/** @constant {Object<string, string>} Заголовки уведомлений по типу действия */
+const NOTIFICATION_TITLES = {
+  update_schedule_day: 'Изменено расписание',
+  clear_week: 'Занятия удалены из расписания',
+  replace_teacher: 'Сменился преподаватель',
+  cancel_lesson: 'Занятие отменено',
+  cancel_absence_lesson: 'Занятие отменено',
+  move_lesson: 'Занятие перенесено',
+  move_absence_lesson: 'Занятие перенесено',
+  change_lesson_room: 'Занятие в другой аудитории',
+  set_lesson_online: 'Занятие пройдёт онлайн',
+  create_lesson: 'Новое занятие',
+  create_lesson_series: 'Новые занятия',
+  update_lesson: 'Занятие изменено',
+  update_lesson_series: 'Изменены занятия',
+  delete_lesson: 'Занятие удалено из расписания',
+  delete_lesson_series: 'Занятия удалены из расписания',
+  copy_week: 'Изменено расписание',
+  apply_timetable_draft: 'Новое расписание',
+  import_lessons: 'Новые занятия',
+  create_substitution: 'Замена преподавателя',
+  delete_substitution: 'Замена преподавателя отменена',
+  assign_absence_substitute: 'Замена преподавателя',
+  create_calendar_exception: 'Изменения по учебному календарю',
+  delete_calendar_exception: 'Изменения по учебному календарю',
+  revert_change: 'Изменение расписания отменено'
+};
+
+/**
+ * Дата в YYYY-MM-DD (из pg приходит Date, из запроса — строка)
+ * @private
+ * @param {Date|string|null} value
+ * @returns {string|null}
+ */
+function dateOf(value) {
+  if (!value) return null;
+  return value instanceof Date ? formatLocalDate(value) : String(value).slice(0, 10);
+}
+
+/**
+ * Снимок занятия для уведомления
+ * @private
+ * @param {Object} lesson - Строка lessons (removed: true — занятие убрано из расписания)
+ * @returns {Object}
+ */
+function snapshot(lesson) {
+  return {
+    id: lesson.id ? Number(lesson.id) : null,
+    group_id: lesson.group_id ? Number(lesson.group_id) : null,
+    stream_id: lesson.stream_id ? Number(lesson.stream_id) : null,
+    lesson_date: dateOf(lesson.lesson_date),
+    start_time: String(lesson.start_time).slice(0, 5),
+    end_time: String(lesson.end_time).slice(0, 5),
+    subject: lesson.subject,
+    room: lesson.room || null,
+    teacher: lesson.teacher || null,
+    status: lesson.removed ? 'removed' : (lesson.status || 'scheduled'),
+    change_note: lesson.change_note || null,
+    original_date: dateOf(lesson.original_date),
+    original_start_time: lesson.original_start_time ? String(lesson.original_start_time).slice(0, 5) : null,
+    online_url: lesson.online_url || null
+  };
+}
+
+/**
+ * Строка текста уведомления: «21.10 10:00–11:30 Математика, ауд. 301 — отменено: причина»
+ * @private
+ * @param {Object} item - Результат snapshot
+ * @returns {string}
+ */
+function describe(item) {
+  const day = date => date.slice(8, 10) + '.' + date.slice(5, 7);
+  let line = `${day(item.lesson_date)} ${item.start_time}–${item.end_time} ${item.subject}`;
+  if (item.room) line += `, ауд. ${item.room}`;
+
+  if (item.status === 'removed') line += ' — удалено';
+  if (item.status === 'cancelled') line += ' — отменено';
+  if (item.status === 'moved' && item.original_date) {
+    line += ` — перенесено с ${day(item.original_date)} ${item.original_start_time || ''}`.trimEnd();
+  }
+  if (item.status === 'online') line += ' — онлайн';
+  if (item.change_note) line += `: ${item.change_note}`;
+  return line;
+}
+
+/**
+ * Создаёт уведомления о затронутых занятиях
+ *
+ * Занятия вне окна [сегодня; сегодня + NOTIFY_DAYS] пропускаются (для перенесённого
+ * учитываются и новая, и исходная дата). Удалённое занятие не упоминается, если в его
+ * слот (группа или поток, подгруппа, дата, время начала) встало новое — достаточно строки о новом.
+ * Не бросает ошибку — как и logChange, уведомления не должны прерывать основную операцию.
+ *
+ * @async
+ * @function notifyLessonChanges
+ * @param {Object} change
+ * @param {string} change.actionType - Тип действия (ключ NOTIFICATION_TITLES)
+ * @param {Object[]} [change.lessons] - Строки lessons после изменения; удалённые — с removed: true
+ * @param {number[]} [change.lessonIds] - ID созданных или изменённых занятий: строки читаются из БД
+ * @param {number} [change.actorId] - Кто внёс изменение (себе уведомление не получает)
+ * @param {number[]} [change.userIds] - Дополнительные получатели всех занятий (например, новый преподаватель)
+ * @returns {Promise<number>} Сколько уведомлений создано
+ *
+ * @example
+ * await notifyLessonChanges({ actionType: 'cancel_lesson', lessons: [result], actorId: req.user.id });
+ */
+async function notifyLessonChanges({ actionType, lessons = [], lessonIds = [], actorId = null, userIds = [] }) {
+  try {
+    const today = new Date();
+    const from = formatLocalDate(today);
+    const to = formatLocalDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + NOTIFY_DAYS));
+
+    const loaded = lessonIds.length > 0
+      ? (await pool.query(
+        `SELECT * FROM lessons
+         WHERE id = ANY($1::int[])
+           AND (lesson_date BETWEEN $2 AND $3 OR original_date BETWEEN $2 AND $3)`,
+        [lessonIds, from, to]
+      )).rows
+      : [];
+
+    const slot = item => `${item.group_id}|${item.stream_id}|${item.subgroup_id}|${item.lesson_date}|${item.start_time}`;
+    const all = [...lessons, ...loaded]
+      .map(lesson => ({
+        ...snapshot(lesson),
+        subgroup_id: lesson.subgroup_id || null,
+        teacher_id: lesson.teacher_id || null,
+        subject_id: lesson.subject_id || null
+      }))
+      .filter(item => [item.lesson_date, item.original_date].some(date => date && date >= from && date <= to));
+    const occupied = new Set(all.filter(item => item.status !== 'removed').map(slot));
+    const items = all.filter(item => item.status !== 'removed' || !occupied.has(slot(item)));
+    if (items.length === 0) return 0;
+
+    const recipientsRes = await pool.query(
+      `WITH l AS (
+         SELECT * FROM jsonb_to_recordset($1::jsonb)
+           AS x(idx int, id int, group_id int, stream_id int, subgroup_id int, teacher_id int, subject_id int, lesson_date date)
+       )
+       SELECT u.id AS user_id, l.idx
+       FROM l JOIN users u ON u.role = 'student'
+        AND (u.group_id = l.group_id
+          OR u.group_id IN (SELECT group_id FROM stream_groups WHERE stream_id = l.stream_id))
+        AND (l.subgroup_id IS NULL OR u.subgroup_id IS NULL OR u.subgroup_id = l.subgroup_id)
+       UNION
+       SELECT l.teacher_id, l.idx FROM l WHERE l.teacher_id IS NOT NULL
+       UNION
+       SELECT s.substitute_id, l.idx
+       FROM l
+       JOIN teacher_substitutions s
+         ON s.teacher_id = l.teacher_id
+        AND l.lesson_date BETWEEN s.date_from AND s.date_to
+        AND (s.group_ids IS NULL OR l.group_id = ANY(s.group_ids)
+          OR EXISTS (SELECT 1 FROM stream_groups sg WHERE sg.stream_id = l.stream_id AND sg.group_id = ANY(s.group_ids)))
+        AND (s.subject_ids IS NULL OR l.subject_id = ANY(s.subject_ids))
+        AND (s.lesson_id IS NULL OR s.lesson_id = l.id)`,
+      [JSON.stringify(items.map((item, idx) => ({ ...item, idx })))]
+    );
+
+    const byUser = new Map();
+    const add = (userId, idx) => {
+      if (!userId || Number(userId) === Number(actorId)) return;
+      if (!byUser.has(Number(userId))) byUser.set(Number(userId), new Set());
+      byUser.get(Number(userId)).add(idx);
+    };
+    recipientsRes.rows.forEach(row => add(row.user_id, row.idx));
+    userIds.forEach(userId => items.forEach((item, idx) => add(userId, idx)));
+    if (byUser.size === 0) return 0;
+
+    const title = NOTIFICATION_TITLES[actionType] || 'Изменено расписание';
+    const rows = [...byUser].map(([userId, indexes]) => {
+      const own = [...indexes].sort((a, b) => a - b).map(idx => {
+        const { teacher_id, subject_id, ...item } = items[idx];
+        return item;
+      });
+      return { user_id: userId, message: own.map(describe).join('\n'), lessons: own };
+    });
+
+    const inserted = await pool.query(
+      `WITH inserted AS (
+         INSERT INTO notifications (user_id, action_type, title, message, lessons)
+         SELECT x.user_id, $2, $3, x.message, x.lessons
+         FROM jsonb_to_recordset($1::jsonb) AS x(user_id int, message text, lessons jsonb)
+         RETURNING id
+       ), queued AS (
+         INSERT INTO notification_deliveries (notification_id)
+         SELECT id FROM inserted
+       )
+       SELECT id FROM inserted`,
+      [JSON.stringify(rows), actionType, title]
+    );
+
+    setImmediate(processDueNotifications);
+    return inserted.rows.length;
+  } catch (err) {
+    console.error('Ошибка создания уведомлений:', { actionType, error: err.message });
+    return 0;
+  }
+}
+
+/** @type {boolean} Идёт ли отправка (в процессе — одна) */
+let processing = false;
+
+/** @type {boolean} Появились новые уведомления во время отправки */
+let pendingRun = false;
+
+/**
+ * Отправляет уведомления из очереди через Web Push и письмами
+ *
+ * Уведомления «захватываются» сдвигом next_attempt_at: если процесс упадёт
+ * во время отправки, через 5 минут их возьмёт следующий проход. Доставка с
+ * неотправленным письмом остаётся в очереди до следующей попытки.
+ * Не бросает ошибку.
+ *
+ * @async
+ * @function processDueNotifications
+ * @returns {Promise<number>} Сколько уведомлений обработано
+ */
+async function processDueNotifications() {
+  if (processing) {
+    pendingRun = true;
+    return 0;
+  }
+
+  processing = true;
+  let processed = 0;
+  try {
+    do {
+      pendingRun = false;
+      const claimed = await pool.query(
+        `WITH due AS (
+           UPDATE notification_deliveries
+           SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+           WHERE notification_id IN (
+             SELECT notification_id FROM notification_deliveries
+             WHERE next_attempt_at <= NOW()
+             ORDER BY next_attempt_at, notification_id
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+           )
+           RETURNING notification_id, attempts, push_sent
+         )
+         SELECT n.id, n.user_id, n.title, n.message, due.attempts, due.push_sent
+         FROM due JOIN notifications n ON n.id = due.notification_id
+         ORDER BY n.id`,
+        [BATCH_SIZE]
+      );
+      if (claimed.rows.length > 0) {
+        await pushNotifications(claimed.rows.filter(notification => !notification.push_sent));
+        const failed = new Set((await emailNotifications(claimed.rows)).failed.map(Number));
+
+        const retry = claimed.rows.filter(n => failed.has(Number(n.id)) && n.attempts + 1 < MAX_ATTEMPTS);
+        const exhausted = claimed.rows.filter(n => failed.has(Number(n.id)) && n.attempts + 1 >= MAX_ATTEMPTS);
+        if (exhausted.length > 0) {
+          console.warn(`Письма не отправлены после ${MAX_ATTEMPTS} попыток, уведомления:`, exhausted.map(n => n.id));
+        }
+
+        await pool.query(
+          'DELETE FROM notification_deliveries WHERE notification_id = ANY($1::int[])',
+          [claimed.rows.filter(n => !retry.includes(n)).map(n => n.id)]
+        );
+        if (retry.length > 0) {
+          await pool.query(
+            `UPDATE notification_deliveries
+             SET attempts = attempts + 1,
+                 push_sent = TRUE,
+                 next_attempt_at = NOW() + $2 * 2 ^ attempts * INTERVAL '1 second'
+             WHERE notification_id = ANY($1::int[])`,
+            [retry.map(n => n.id), RETRY_BASE_SECONDS]
+          );
+        }
+      }
+
+      processed += claimed.rows.length;
+      if (claimed.rows.length === BATCH_SIZE) pendingRun = true;
+    } while (pendingRun);
+  } catch (err) {
+    console.error('Ошибка доставки уведомлений:', err.message);
+  } finally {
+    processing = false;
+  }
+  return processed;
+}
+
+/**
+ * Запускает периодическую отправку уведомлений из очереди
+ * (в том числе оставшихся после перезапуска сервера)
+ *
+ * @function startNotificationWorker
+ * @returns {NodeJS.Timeout}
+ */
+function startNotificationWorker() {
+  const timer = setInterval(processDueNotifications, WORKER_INTERVAL);
+  timer.unref();
+  processDueNotifications();
+  return timer;
+}
+
+module.exports = {
+  NOTIFY_DAYS,
+  notifyLessonChanges,
+  processDueNotifications,
+  startNotificationWorker
+};
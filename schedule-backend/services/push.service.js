@@ -0,0 +1,238 @@
+/**
+ * @file push.service.js
+ * @description Сервис Web Push: отправка уведомлений на подписанные устройства пользователей.
+ *
+ * Ключи VAPID хранятся на сервере в .env (VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY,
+ * VAPID_SUBJECT); сгенерировать пару можно командой `npm run vapid-keys`. Без ключей
+ * push выключен, а уведомления остаются только в приложении.
+ *
+ * Запрос к push-сервису собирает web-push (шифрование aes128gcm и подпись VAPID),
+ * а отправляет fetch. Endpoint присылает пользователь, поэтому принимается только https
+ * на публичный адрес: loopback, частные и link-local сети отклоняются и при подписке,
+ * и перед отправкой (после разрешения имени). Локальный http-адрес
+ * (scripts/mock-push-server.js) разрешён только с PUSH_ALLOW_LOCAL=true — для проверки без браузера.
+ *
+ * Подписки, на которые push-сервис ответил 404/410, удаляются.
+ *
+ * @requires web-push
+ * @requires dns
+ * @requires net
+ * @requires ../db - Пул соединений PostgreSQL
+ *
+ * @module services/push
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const webpush = require('web-push');
+const pool = require('../db');
+
+/** @constant {number} Время жизни push-сообщения в push-сервисе, с */
+const PUSH_TTL = 24 * 60 * 60;
+
+/** @constant {number} Таймаут запроса к push-сервису, мс */
+const PUSH_TIMEOUT = 10 * 1000;
+
+/**
+ * Настройки VAPID из окружения
+ *
+ * @function getVapidDetails
+ * @returns {{ subject: string, publicKey: string, privateKey: string }|null} null — push не настроен
+ */
+function getVapidDetails() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return null;
+
+  return {
+    subject: VAPID_SUBJECT || 'mailto:admin@localhost',
+    publicKey: VAPID_PUBLIC_KEY,
+    privateKey: VAPID_PRIVATE_KEY
+  };
+}
+
+/** @constant {RegExp[]} Адреса IPv4, на которые push не отправляется (loopback, частные, link-local, служебные) */
+const BLOCKED_IPV4 = [
+  /^0\./, /^10\./, /^127\./, /^169\.254\./, /^172\.(1[6-9]|2\d|3[01])\./, /^192\.168\./,
+  /^100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\./, /^(22[4-9]|2[3-5]\d)\./
+];
+
+/**
+ * Разрешена ли локальная отправка (http, loopback) — только для mock-push-server
+ * @private
+ * @returns {boolean}
+ */
+function allowLocal() {
+  return process.env.PUSH_ALLOW_LOCAL === 'true';
+}
+
+/**
+ * Внутренний ли это IP-адрес
+ * @private
+ * @param {string} address - IPv4 или IPv6
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  // IPv4, отображённый в IPv6: ::ffff:10.0.0.1 или (после new URL) ::ffff:a00:1
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const mappedHex = address.toLowerCase().match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map(part => parseInt(part, 16));
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  if (net.isIPv4(address)) return BLOCKED_IPV4.some(re => re.test(address));
+
+  const ip = address.toLowerCase();
+  return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || /^ff/.test(ip);
+}
+
+/**
+ * Проверяет endpoint подписки без обращения к сети
+ *
+ * @function checkEndpoint
+ * @param {string} endpoint - PushSubscription.endpoint
+ * @returns {string|null} Текст ошибки или null, если адрес допустим
+ */
+function checkEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (err) {
+    return 'endpoint должен быть URL push-сервиса';
+  }
+
+  if (allowLocal() && url.protocol === 'http:') return null;
+  if (url.protocol !== 'https:') return 'endpoint должен быть https-адресом';
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const local = host === 'localhost' || host.endsWith('.localhost')
+    || (net.isIP(host) ? isPrivateAddress(host) : !host.includes('.'));
+  if (local && !allowLocal()) return 'endpoint не может указывать на внутренний адрес';
+  return null;
+}
+
+/**
+ * Проверяет, что имя хоста endpoint не разрешается во внутренний адрес
+ * @private
+ * @param {string} endpoint
+ * @returns {Promise<boolean>}
+ */
+async function resolvesToPublic(endpoint) {
+  if (allowLocal()) return true;
+
+  const host = new URL(endpoint).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return !isPrivateAddress(host);
+
+  const addresses = await dns.lookup(host, { all: true });
+  return addresses.every(({ address }) => !isPrivateAddress(address));
+}
+
+/**
+ * Отправляет одно push-сообщение
+ *
+ * @async
+ * @function sendPush
+ * @param {Object} subscription - Строка push_subscriptions
+ * @param {Object} payload - Данные для service worker ({ title, body, url, tag })
+ * @param {Object} vapidDetails - Результат getVapidDetails
+ * @returns {Promise<number>} HTTP-статус ответа push-сервиса
+ * @throws {Error} endpoint не прошёл проверку (в том числе подписка, сохранённая до неё)
+ */
+async function sendPush(subscription, payload, vapidDetails) {
+  const error = checkEndpoint(subscription.endpoint);
+  if (error || !(await resolvesToPublic(subscription.endpoint))) {
+    throw new Error(error || 'endpoint разрешается во внутренний адрес');
+  }
+
+  const request = webpush.generateRequestDetails(
+    {
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+    },
+    JSON.stringify(payload),
+    { vapidDetails, TTL: PUSH_TTL }
+  );
+
+  const response = await fetch(request.endpoint, {
+    method: request.method,
+    headers: request.headers,
+    body: request.body,
+    signal: AbortSignal.timeout(PUSH_TIMEOUT)
+  });
+  return response.status;
+}
+
+/**
+ * Рассылает созданные уведомления на устройства получателей
+ *
+ * Не бросает ошибку: недоступный push-сервис не должен мешать изменению расписания.
+ *
+ * @async
+ * @function pushNotifications
+ * @param {Object[]} notifications - Строки notifications ({ id, user_id, title, message })
+ * @returns {Promise<number>} Сколько сообщений принято push-сервисами
+ *
+ * @example
+ * await pushNotifications(inserted.rows);
+ */
+async function pushNotifications(notifications) {
+  const vapidDetails = getVapidDetails();
+  if (!vapidDetails || notifications.length === 0) return 0;
+
+  try {
+    const subscriptionsRes = await pool.query(
+      'SELECT * FROM push_subscriptions WHERE user_id = ANY($1::int[])',
+      [[...new Set(notifications.map(notification => Number(notification.user_id)))]]
+    );
+    if (subscriptionsRes.rows.length === 0) return 0;
+
+    const jobs = [];
+    for (const notification of notifications) {
+      const payload = {
+        title: notification.title,
+        body: notification.message,
+        url: 'schedule.html',
+        tag: `notification-${notification.id}`
+      };
+      subscriptionsRes.rows
+        .filter(subscription => Number(subscription.user_id) === Number(notification.user_id))
+        .forEach(subscription => jobs.push({ subscription, payload }));
+    }
+
+    const results = await Promise.allSettled(
+      jobs.map(job => sendPush(job.subscription, job.payload, vapidDetails))
+    );
+
+    const sent = [];
+    const gone = [];
+    results.forEach((result, i) => {
+      const { subscription } = jobs[i];
+      if (result.status === 'rejected') {
+        console.warn('Push не отправлен:', subscription.endpoint, result.reason.message);
+      } else if (result.value === 404 || result.value === 410) {
+        gone.push(subscription.id);
+      } else if (result.value >= 200 && result.value < 300) {
+        sent.push(subscription.id);
+      } else {
+        console.warn('Push-сервис отклонил сообщение:', subscription.endpoint, result.value);
+      }
+    });
+
+    if (gone.length > 0) {
+      await pool.query('DELETE FROM push_subscriptions WHERE id = ANY($1::int[])', [gone]);
+    }
+    if (sent.length > 0) {
+      await pool.query('UPDATE push_subscriptions SET last_sent_at = NOW() WHERE id = ANY($1::int[])', [sent]);
+    }
+    return sent.length;
+  } catch (err) {
+    console.error('Ошибка отправки push-уведомлений:', err.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  checkEndpoint,
+  getVapidDetails,
+  pushNotifications
+};
@@ -0,0 +1,411 @@
+/**
+ * @file revert.service.js
+ * @description Откат изменений расписания по записям аудит-лога (schedule_changes).
+ *
+ * Запись лога сводится к плану отката:
+ * - added — ID занятий, созданных действием (при откате удаляются)
+ * - removed — строки занятий, удалённых действием (вставляются обратно с теми же ID)
+ * - updated — { before, after } изменённых занятий (возвращается before)
+ * - series / calendar — серия занятий и исключение календаря, если действие их меняло
+ *
+ * Перед откатом ищутся более поздние изменения тех же данных: занятие удалено или
+ * изменено после записи, ID уже занят, серия изменена, восстановленное занятие
+ * пересекается с текущим расписанием. Они возвращаются как конфликты.
+ *
+ * @requires ./conflict.service - findConflicts для восстанавливаемых занятий
+ * @requires ./series.service - SERIES_FIELDS для сравнения серий
+ * @requires ./week.service - formatLocalDate
+ *
+ * @module services/revert
+ */
+
+const { findConflicts } = require('./conflict.service');
+const { SERIES_FIELDS } = require('./series.service');
+const { formatLocalDate } = require('./week.service');
+
+/** @constant {string[]} Колонки-даты: в JSON лога они сохранены как ISO-время */
+const DATE_COLUMNS = ['lesson_date', 'date_from', 'date_to', 'original_date'];
+
+/**
+ * Планы отката по типу действия; null — в записи не хватает данных
+ * (например, она сделана до появления отката)
+ * @constant {Object<string, function(Object): Object|null>}
+ */
+const REVERT_PLANS = {
+  create_lesson: ({ new_value: v }) => v && v.id ? { added: [v.id] } : null,
+  create_lesson_series: ({ new_value: v }) => v && v.ids ? { added: v.ids, series: { after: v.series } } : null,
+  update_lesson: ({ old_value: o, new_value: v }) => o && v ? { updated: [{ before: o, after: v }] } : null,
+  update_lesson_series: ({ old_value: o, new_value: v }) => o && v && v.ids
+    ? { added: v.ids, removed: o.lessons, series: { before: o.series, after: v.series } }
+    : null,
+  delete_lesson: ({ old_value: o }) => o && o.id ? { removed: [o] } : null,
+  cancel_absence_lesson: ({ old_value: o, new_value: v }) => o && v && v.id ? { updated: [{ before: o, after: v }] } : null,
+  move_absence_lesson: ({ old_value: o, new_value: v }) => o && v ? { updated: [{ before: o, after: v }] } : null,
+  cancel_lesson: ({ old_value: o, new_value: v }) => o && v ? { updated: [{ before: o, after: v }] } : null,
+  move_lesson: ({ old_value: o, new_value: v }) => o && v ? { updated: [{ before: o, after: v }] } : null,
+  change_lesson_room: ({ old_value: o, new_value: v }) => o && v ? { updated: [{ before: o, after: v }] } : null,
+  set_lesson_online: ({ old_value: o, new_value: v }) => o && v ? { updated: [{ before: o, after: v }] } : null,
+  delete_lesson_series: ({ old_value: o }) => o && o.exceptions
+    ? { removed: o.lessons, exceptions: o.exceptions, series: { before: o.series } }
+    : null,
+  update_schedule_day: ({ old_value: o, new_value: v }) => o && v && v.ids
+    ? {
+      added: v.ids,
+      removed: o.lessons.filter(lesson => !(v.kept || []).includes(Number(lesson.id))),
+      updated: (v.updated || []).map(after => ({
+        before: o.lessons.find(lesson => Number(lesson.id) === Number(after.id)),
+        after
+      })),
+      exceptions: o.exceptions || []
+    }
+    : null,
+  apply_timetable_draft: ({ old_value: o, new_value: v }) => o && v && v.ids
+    ? { added: v.ids, removed: o.lessons }
+    : null,
+  copy_week: ({ old_value: o, new_value: v }) => o && o.lessons && v && v.ids
+    ? { added: v.ids, removed: o.lessons }
+    : null,
+  clear_week: ({ old_value: o }) => o && o.lessons ? { removed: o.lessons } : null,
+  replace_teacher: ({ old_value: o, new_value: v }) => o && o.lessons && v
+    ? { updated: o.lessons.map(lesson => ({ before: lesson, after: { ...lesson, teacher: v.teacher } })) }
+    : null,
+  create_calendar_exception: ({ old_value: o, new_value: v }) => o && v
+    ? { added: v.ids, removed: o.lessons, calendar: { created: v } }
+    : null,
+  delete_calendar_exception: ({ old_value: o, new_value: v }) => o && v
+    ? { added: v.ids, removed: o.lessons, calendar: { deleted: o } }
+    : null
+};
+
+/**
+ * Можно ли откатить действие такого типа
+ *
+ * @function isRevertible
+ * @param {string} actionType
+ * @returns {boolean}
+ */
+function isRevertible(actionType) {
+  return Boolean(REVERT_PLANS[actionType]);
+}
+
+/**
+ * Возвращает датам вид YYYY-MM-DD (в логе они лежат как JSON-сериализованный Date)
+ * @param {Object} row
+ * @returns {Object}
+ */
+function normalizeRow(row) {
+  const result = { ...row };
+  for (const column of DATE_COLUMNS) {
+    if (typeof result[column] === 'string' && result[column].includes('T')) {
+      result[column] = formatLocalDate(new Date(result[column]));
+    }
+  }
+  return result;
+}
+
+/**
+ * План отката записи лога
+ *
+ * @function buildRevertPlan
+ * @param {Object} change - Строка schedule_changes
+ * @returns {Object|null} { added, removed, updated, exceptions, series, calendar } или null
+ */
+function buildRevertPlan(change) {
+  const build = REVERT_PLANS[change.action_type];
+  const plan = build ? build(change) : null;
+  if (!plan) return null;
+
+  // Серия была разделена: удалённые занятия новой части вернутся в исходную серию
+  const split = plan.series && plan.series.before && plan.series.after
+    && Number(plan.series.before.id) !== Number(plan.series.after.id);
+  const toSeries = row => split && Number(row.series_id) === Number(plan.series.after.id)
+    ? { ...row, series_id: plan.series.before.id }
+    : row;
+
+  return {
+    added: (plan.added || []).map(Number),
+    removed: (plan.removed || []).map(normalizeRow).map(toSeries),
+    updated: (plan.updated || []).map(({ before, after }) => ({ before: normalizeRow(before), after: normalizeRow(after) })),
+    exceptions: (plan.exceptions || []).map(normalizeRow),
+    series: plan.series
+      ? {
+        before: plan.series.before && normalizeRow(plan.series.before),
+        after: plan.series.after && normalizeRow(plan.series.after)
+      }
+      : null,
+    calendar: plan.calendar || null
+  };
+}
+
+/**
+ * Поля серии в сравнимом виде
+ * @param {Object} series
+ * @returns {string}
+ */
+function seriesState(series) {
+  const row = normalizeRow(JSON.parse(JSON.stringify(series)));
+  return JSON.stringify(SERIES_FIELDS.map(field => String(row[field] ?? '')));
+}
+
+/**
+ * Ищет изменения, сделанные после записи лога и мешающие откату
+ *
+ * @async
+ * @function findRevertConflicts
+ * @param {Object} db - client внутри транзакции
+ * @param {Object} change - Строка schedule_changes
+ * @param {Object} plan - Результат buildRevertPlan
+ * @returns {Promise<Object[]>} Конфликты { type, message, lesson?, conflictsWith? }
+ */
+async function findRevertConflicts(db, change, plan) {
+  const conflicts = [];
+  const touchedIds = [...plan.added, ...plan.updated.map(u => Number(u.before.id))];
+
+  const currentRes = await db.query('SELECT * FROM lessons WHERE id = ANY($1::int[])', [touchedIds]);
+  const current = new Map(currentRes.rows.map(lesson => [Number(lesson.id), lesson]));
+
+  for (const id of touchedIds) {
+    const lesson = current.get(id);
+    if (!lesson) {
+      conflicts.push({ type: 'deleted', message: `Занятие #${id} уже удалено позже`, lesson: { id } });
+    } else if (new Date(lesson.updated_at) > new Date(change.changed_at)) {
+      conflicts.push({ type: 'modified', message: `Занятие #${id} изменено позже`, lesson });
+    }
+  }
+
+  const existingRes = await db.query(
+    'SELECT * FROM lessons WHERE id = ANY($1::int[])',
+    [plan.removed.map(lesson => Number(lesson.id))]
+  );
+  for (const lesson of existingRes.rows) {
+    conflicts.push({ type: 'exists', message: `Занятие #${lesson.id} уже восстановлено`, lesson });
+  }
+
+  // Серия: изменена или получила отдельные правки после записи
+  const seriesIds = plan.series
+    ? [plan.series.before, plan.series.after].filter(Boolean).map(series => Number(series.id))
+    : [];
+  if (plan.series && plan.series.after) {
+    const seriesRes = await db.query('SELECT * FROM lesson_series WHERE id = $1', [plan.series.after.id]);
+    if (seriesRes.rows.length === 0 || seriesState(seriesRes.rows[0]) !== seriesState(plan.series.after)) {
+      conflicts.push({ type: 'series', message: `Серия #${plan.series.after.id} изменена или удалена позже` });
+    }
+  }
+  if (seriesIds.length > 0) {
+    const laterRes = await db.query(
+      `SELECT series_id, to_char(lesson_date, 'YYYY-MM-DD') AS lesson_date
+       FROM lesson_series_exceptions
+       WHERE series_id = ANY($1::int[]) AND created_at > $2`,
+      [seriesIds, change.changed_at]
+    );
+    for (const exception of laterRes.rows) {
+      conflicts.push({
+        type: 'series',
+        message: `Занятие серии #${exception.series_id} на ${exception.lesson_date} изменено отдельно позже`
+      });
+    }
+  }
+
+  // Восстанавливаемые занятия против текущего расписания; пересечения, которые
+  // у изменённого занятия есть и сейчас, откат не создаёт — их не показываем
+  const restoring = [...plan.removed, ...plan.updated.map(u => u.before)];
+  const slotConflicts = await findConflicts(db, restoring, { ignoreIds: touchedIds });
+  const existing = await findConflicts(
+    db,
+    plan.updated.map(u => current.get(Number(u.before.id))).filter(Boolean),
+    { ignoreIds: touchedIds }
+  );
+  const key = c => `${c.type}|${c.lesson.id}|${c.conflictsWith.id}`;
+  const existingKeys = new Set(existing.map(key));
+  conflicts.push(...slotConflicts.filter(c => !existingKeys.has(key(c))));
+
+  return conflicts;
+}
+
+/**
+ * Вставляет строки обратно в таблицу с прежними ID
+ *
+ * Берутся только колонки, которые есть и в таблице, и в строке; updated_at
+ * выставляется заново, чтобы подписки .ics увидели изменение.
+ *
+ * @async
+ * @function insertRows
+ * @param {Object} db - client внутри транзакции
+ * @param {string} table - lessons | lesson_series
+ * @param {Object[]} rows
+ * @returns {Promise<number[]>} ID вставленных строк
+ */
+async function insertRows(db, table, rows) {
+  if (rows.length === 0) return [];
+
+  const columnsRes = await db.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_name = $1 AND column_name <> 'updated_at'`,
+    [table]
+  );
+  const list = columnsRes.rows.map(row => row.column_name).filter(column => column in rows[0]).join(', ');
+
+  const result = await db.query(
+    `INSERT INTO ${table} (${list})
+     SELECT ${list} FROM jsonb_populate_recordset(NULL::${table}, $1::jsonb)
+     RETURNING id`,
+    [JSON.stringify(rows)]
+  );
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Возвращает строке lessons значения before
+ * @param {Object} db
+ * @param {Object} before
+ * @returns {Promise<Object|null>} Строка до отката или null, если занятия нет
+ */
+async function restoreLesson(db, before) {
+  const columnsRes = await db.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_name = 'lessons' AND column_name NOT IN ('id', 'updated_at')`
+  );
+  const columns = columnsRes.rows.map(row => row.column_name).filter(column => column in before);
+
+  const currentRes = await db.query('SELECT * FROM lessons WHERE id = $1', [before.id]);
+  if (currentRes.rows.length === 0) return null;
+
+  await db.query(
+    `UPDATE lessons SET (${columns.join(', ')}) = (
+       SELECT ${columns.join(', ')} FROM jsonb_populate_record(NULL::lessons, $2::jsonb)
+     )
+     WHERE id = $1`,
+    [before.id, JSON.stringify(before)]
+  );
+  return currentRes.rows[0];
+}
+
+/**
+ * Приводит исключения серий в соответствие с восстановленными занятиями:
+ * занятие по правилу снимает отмену даты, исключение снова указывает на своё занятие
+ * @param {Object} db
+ * @param {Object[]} lessons - Восстановленные строки
+ * @param {Object[]} exceptions - Исключения из лога { series_id, lesson_date, lesson_id }
+ */
+async function syncSeriesExceptions(db, lessons, exceptions) {
+  for (const lesson of lessons) {
+    if (!lesson.series_id) continue;
+    if (!lesson.is_exception) {
+      await db.query(
+        'DELETE FROM lesson_series_exceptions WHERE series_id = $1 AND lesson_date = $2',
+        [lesson.series_id, lesson.lesson_date]
+      );
+    } else if (!exceptions.some(e => Number(e.lesson_id) === Number(lesson.id))) {
+      await db.query(
+        `UPDATE lesson_series_exceptions SET lesson_id = $3
+         WHERE series_id = $1 AND lesson_date = $2 AND lesson_id IS NULL`,
+        [lesson.series_id, lesson.lesson_date, lesson.id]
+      );
+    }
+  }
+
+  for (const exception of exceptions) {
+    await db.query(
+      `INSERT INTO lesson_series_exceptions (series_id, lesson_date, lesson_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (series_id, lesson_date) DO UPDATE SET lesson_id = EXCLUDED.lesson_id`,
+      [exception.series_id, exception.lesson_date, exception.lesson_id]
+    );
+  }
+}
+
+/**
+ * Откатывает серию к состоянию before (или удаляет созданную серию)
+ * @param {Object} db
+ * @param {{ before?: Object, after?: Object }} series
+ */
+async function revertSeries(db, { before, after }) {
+  if (!before) {
+    await db.query('DELETE FROM lesson_series WHERE id = $1', [after.id]);
+    return;
+  }
+
+  // Серия была разделена: отдельные правки новой части возвращаются в исходную
+  if (after && Number(after.id) !== Number(before.id)) {
+    await db.query('UPDATE lesson_series_exceptions SET series_id = $2 WHERE series_id = $1', [after.id, before.id]);
+    await db.query('UPDATE lessons SET series_id = $2 WHERE series_id = $1', [after.id, before.id]);
+    await db.query('DELETE FROM lesson_series WHERE id = $1', [after.id]);
+  }
+
+  const exists = await db.query('SELECT id FROM lesson_series WHERE id = $1', [before.id]);
+  if (exists.rows.length === 0) {
+    await insertRows(db, 'lesson_series', [before]);
+    return;
+  }
+
+  await db.query(
+    `UPDATE lesson_series SET (${SERIES_FIELDS.join(', ')}) = (
+       SELECT ${SERIES_FIELDS.join(', ')} FROM jsonb_populate_record(NULL::lesson_series, $2::jsonb)
+     )
+     WHERE id = $1`,
+    [before.id, JSON.stringify(before)]
+  );
+}
+
+/**
+ * Выполняет откат по плану
+ *
+ * Занятия, которых уже нет, и занятые ID пропускаются — это допустимо только
+ * после подтверждения конфликтов (override).
+ *
+ * @async
+ * @function applyRevert
+ * @param {Object} db - client внутри транзакции
+ * @param {Object} plan - Результат buildRevertPlan
+ * @returns {Promise<Object>} { deleted, restored, updated } — строки до отката и ID восстановленных занятий
+ */
+async function applyRevert(db, plan) {
+  const deletedRes = await db.query(
+    'DELETE FROM lessons WHERE id = ANY($1::int[]) RETURNING *',
+    [plan.added]
+  );
+
+  if (plan.series) await revertSeries(db, plan.series);
+
+  if (plan.calendar && plan.calendar.created) {
+    await db.query('DELETE FROM calendar_exceptions WHERE id = $1', [plan.calendar.created.id]);
+  }
+  if (plan.calendar && plan.calendar.deleted) {
+    const { id, kind, date_from, date_to, weekday, name } = plan.calendar.deleted;
+    await db.query(
+      `INSERT INTO calendar_exceptions (id, kind, date_from, date_to, weekday, name)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (id) DO NOTHING`,
+      [id, kind, date_from, date_to, weekday, name]
+    );
+  }
+
+  const existingRes = await db.query(
+    'SELECT id FROM lessons WHERE id = ANY($1::int[])',
+    [plan.removed.map(lesson => Number(lesson.id))]
+  );
+  const existing = new Set(existingRes.rows.map(row => Number(row.id)));
+  const toRestore = plan.removed.filter(lesson => !existing.has(Number(lesson.id)));
+  const restored = await insertRows(db, 'lessons', toRestore);
+
+  const updated = [];
+  for (const { before } of plan.updated) {
+    const previous = await restoreLesson(db, before);
+    if (previous) updated.push({ before: previous, after: before });
+  }
+
+  await syncSeriesExceptions(
+    db,
+    [...toRestore, ...plan.updated.map(u => u.before)],
+    plan.exceptions.filter(e => !e.lesson_id || restored.includes(Number(e.lesson_id)))
+  );
+
+  return { deleted: deletedRes.rows, restored, updated };
+}
+
+module.exports = {
+  isRevertible,
+  buildRevertPlan,
+  findRevertConflicts,
+  applyRevert
+};
@@ -0,0 +1,68 @@
+/**
+ * @file room.service.js
+ * @description Сервис для работы с аудиториями.
+ * 
+ * - Нормализация названий ('Ауд. 301' и '301' — одна аудитория)
+ * - Поиск аудитории по ID или по тексту для путей записи занятий
+ * 
+ * Нормализация совпадает с SQL-функцией normalize_room_name из sql/schema.sql.
+ * 
+ * @module services/room
+ */
+
+/** @constant {Object<string, string>} Допустимое оснащение аудиторий */
+const ROOM_FEATURES = {
+  projector: 'Проектор',
+  computer_lab: 'Компьютерный класс',
+  gym: 'Спортзал',
+  lab: 'Лаборатория'
+};
+
+/**
+ * Нормализует название аудитории
+ * 
+ * @function normalizeRoomName
+ * @param {string} raw - Название, как его ввели ('Ауд. 301', ' 301a ')
+ * @returns {string} Нормализованное название ('301', '301а')
+ */
+function normalizeRoomName(raw) {
+  const latinToCyrillic = { a: 'а', c: 'с', e: 'е', o: 'о', p: 'р', x: 'х', y: 'у' };
+
+  return String(raw || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^(аудитория|ауд|кабинет|каб)\.?\s*/, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[aceopxy]/g, ch => latinToCyrillic[ch]);
+}
+
+/**
+ * Находит аудиторию по ID или по названию
+ * 
+ * @async
+ * @function resolveRoom
+ * @param {Object} db - pool или client
+ * @param {Object} lesson - Данные занятия
+ * @param {number} [lesson.room_id] - ID аудитории (приоритет)
+ * @param {string} [lesson.room] - Название (для старых клиентов)
+ * @returns {Promise<Object|null>} { id, name, capacity, building } или null, если не найдена
+ */
+async function resolveRoom(db, { room_id, room }) {
+  if (room_id) {
+    const result = await db.query(
+      'SELECT id, name, capacity, building FROM rooms WHERE id = $1',
+      [room_id]
+    );
+    return result.rows[0] || null;
+  }
+
+  if (!normalizeRoomName(room)) return null;
+
+  const result = await db.query(
+    'SELECT id, name, capacity, building FROM rooms WHERE normalize_room_name(name) = $1',
+    [normalizeRoomName(room)]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = { ROOM_FEATURES, normalizeRoomName, resolveRoom };
@@ -0,0 +1,222 @@
+/**
+ * @file scheduleExport.service.js
+ * @description Выгрузка расписания в таблицы XLSX и CSV.
+ *
+ * Два вида таблицы:
+ * - grid — классическая сетка для доски объявлений: строки — дни, колонки — пары
+ * - list — плоский список, по строке на занятие (для отчётов и дальнейшей обработки)
+ *
+ * CSV — «;», UTF-8 с BOM, как выгрузка истории изменений: файл сразу открывается в Excel.
+ *
+ * @requires exceljs
+ * @requires ./calendar.service - getDayInfo (праздники и переносы в сетке)
+ * @requires ./week.service - formatLocalDate
+ *
+ * @module services/scheduleExport
+ */
+
+const ExcelJS = require('exceljs');
+const { getDayInfo } = require('./calendar.service');
+const { formatLocalDate } = require('./week.service');
+
+/** @constant {string[]} Виды таблицы */
+const EXPORT_LAYOUTS = ['grid', 'list'];
+
+/** @constant {string[]} Форматы файла */
+const EXPORT_FORMATS = ['xlsx', 'csv'];
+
+/** @constant {string[]} Дни недели, 0 = Пн */
+const WEEKDAYS = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+
+/** @constant {Object<string, string>} Виды занятий */
+const TYPE_TITLES = { lecture: 'Лекция', practice: 'Практика', lab: 'Лабораторная' };
+
+/** @constant {Object<string, string>} Статусы занятий (scheduled не подписывается) */
+const STATUS_TITLES = {
+  cancelled: 'Отменено',
+  moved: 'Перенесено',
+  room_changed: 'Замена аудитории',
+  online: 'Онлайн'
+};
+
+/** @constant {string[]} Колонки плоского списка */
+const LIST_COLUMNS = [
+  'Дата', 'День', 'Начало', 'Конец', 'Дисциплина', 'Вид', 'Группа',
+  'Преподаватель', 'Аудитория', 'Статус', 'Примечание'
+];
+
+/**
+ * Дата в виде YYYY-MM-DD
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date instanceof Date ? formatLocalDate(date) : String(date).slice(0, 10);
+}
+
+/**
+ * YYYY-MM-DD → ДД.ММ.ГГГГ
+ * @param {string} date
+ * @returns {string}
+ */
+function formatRuDate(date) {
+  const [y, m, d] = date.split('-');
+  return `${d}.${m}.${y}`;
+}
+
+/**
+ * Преподаватель занятия с учётом замены
+ * @param {Object} lesson
+ * @returns {string}
+ */
+function teacherOf(lesson) {
+  if (lesson.substitute) return `${lesson.substitute} (замена: ${lesson.teacher || '—'})`;
+  return lesson.teacher || '';
+}
+
+/**
+ * Плоский список: по строке на занятие
+ *
+ * @function buildListTable
+ * @param {Object[]} lessons - Результат getScheduleLessons
+ * @returns {{ columns: string[], rows: string[][] }}
+ */
+function buildListTable(lessons) {
+  const rows = lessons.map(lesson => {
+    const date = toDateString(lesson.lesson_date);
+    return [
+      formatRuDate(date),
+      WEEKDAYS[(new Date(`${date}T00:00:00`).getDay() + 6) % 7],
+      String(lesson.start_time).slice(0, 5),
+      String(lesson.end_time).slice(0, 5),
+      lesson.subject,
+      TYPE_TITLES[lesson.type] || lesson.type,
+      [lesson.group_name, lesson.subgroup_name && `подгр. ${lesson.subgroup_name}`].filter(Boolean).join(', '),
+      teacherOf(lesson),
+      lesson.room || '',
+      STATUS_TITLES[lesson.status] || '',
+      [lesson.change_note, lesson.online_url].filter(Boolean).join(' ')
+    ];
+  });
+
+  return { columns: LIST_COLUMNS, rows };
+}
+
+/**
+ * Сетка: строки — дни периода (кроме пустых воскресений), колонки — пары
+ *
+ * @function buildGridTable
+ * @param {Object[]} lessons - Результат getScheduleLessons
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {Object} [show] - Что писать в ячейке помимо дисциплины и аудитории
+ * @param {boolean} [show.group=true]
+ * @param {boolean} [show.teacher=true]
+ * @returns {{ columns: string[], rows: string[][] }}
+ */
+function buildGridTable(lessons, from, to, { group = true, teacher = true } = {}) {
+  const slots = [...new Set(lessons.map(l => `${String(l.start_time).slice(0, 5)}–${String(l.end_time).slice(0, 5)}`))].sort();
+  const cells = new Map();
+
+  for (const lesson of lessons) {
+    const key = `${toDateString(lesson.lesson_date)}|${String(lesson.start_time).slice(0, 5)}–${String(lesson.end_time).slice(0, 5)}`;
+    const status = STATUS_TITLES[lesson.status];
+    const text = [
+      `${lesson.subject} (${TYPE_TITLES[lesson.type] || lesson.type})`,
+      group && lesson.group_name,
+      lesson.subgroup_name && `подгр. ${lesson.subgroup_name}`,
+      teacher && teacherOf(lesson),
+      lesson.room && `ауд. ${lesson.room}`,
+      status && `${status}${lesson.change_note ? `: ${lesson.change_note}` : ''}`
+    ].filter(Boolean).join('\n');
+
+    cells.set(key, cells.has(key) ? `${cells.get(key)}\n\n${text}` : text);
+  }
+
+  const rows = [];
+  const [y, m, d] = from.split('-').map(Number);
+  for (let date = new Date(y, m - 1, d); formatLocalDate(date) <= to; date.setDate(date.getDate() + 1)) {
+    const day = formatLocalDate(date);
+    const slotCells = slots.map(slot => cells.get(`${day}|${slot}`) || '');
+    if (date.getDay() === 0 && slotCells.every(cell => !cell)) continue;
+
+    const info = getDayInfo(day);
+    rows.push([
+      formatRuDate(day),
+      WEEKDAYS[(date.getDay() + 6) % 7] + (info.exception ? ` — ${info.exception.name}` : ''),
+      ...slotCells
+    ]);
+  }
+
+  return { columns: ['Дата', 'День', ...slots], rows };
+}
+
+/**
+ * Значение для ячейки CSV
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Таблица в CSV
+ *
+ * @function toCsv
+ * @param {{ columns: string[], rows: string[][] }} table
+ * @returns {string}
+ */
+function toCsv({ columns, rows }) {
+  return '\uFEFF' + [columns, ...rows].map(row => row.map(csvCell).join(';')).join('\r\n');
+}
+
+/**
+ * Таблица в XLSX: заголовок документа, шапка с закреплением, перенос строк в ячейках сетки
+ *
+ * @async
+ * @function toXlsx
+ * @param {{ columns: string[], rows: string[][] }} table
+ * @param {Object} options
+ * @param {string} options.title - Первая строка листа (чьё расписание и за какой период)
+ * @param {string} options.layout - grid | list
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx({ columns, rows }, { title, layout }) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Расписание', {
+    views: [{ state: 'frozen', xSplit: layout === 'grid' ? 2 : 0, ySplit: 2 }],
+    pageSetup: { orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 }
+  });
+
+  sheet.addRow([title]).font = { bold: true, size: 14 };
+  sheet.mergeCells(1, 1, 1, columns.length);
+
+  const header = sheet.addRow(columns);
+  header.font = { bold: true };
+  header.eachCell(cell => {
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE7EEF7' } };
+    cell.border = { bottom: { style: 'thin' } };
+  });
+
+  rows.forEach(row => sheet.addRow(row));
+
+  sheet.columns.forEach((column, index) => {
+    const longest = Math.max(...[columns[index], ...rows.map(row => row[index])]
+      .flatMap(value => String(value ?? '').split('\n').map(line => line.length)));
+    column.width = Math.min(Math.max(longest + 2, 8), layout === 'grid' && index >= 2 ? 28 : 45);
+    if (layout === 'grid' && index >= 2) column.alignment = { wrapText: true, vertical: 'top' };
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  EXPORT_LAYOUTS,
+  EXPORT_FORMATS,
+  buildListTable,
+  buildGridTable,
+  toCsv,
+  toXlsx
+};
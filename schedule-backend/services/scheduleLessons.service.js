@@ -0,0 +1,71 @@
+/**
+ * @file scheduleLessons.service.js
+ * @description Занятия расписания группы, преподавателя или аудитории за период — те же данные,
+ * что отдаёт GET /api/schedule.
+ *
+ * Вынесено из schedule.controller, чтобы письма (еженедельная сводка) и выгрузки XLSX/CSV
+ * строились из того же запроса, что и расписание в приложении: с заменами и статусами занятий.
+ *
+ * @requires ./substitution.service - SUBSTITUTION_COLUMNS, substitutionJoin
+ * @requires ./stream.service - группы занятия и занятия потоков группы
+ *
+ * @module services/scheduleLessons
+ */
+
+const { SUBSTITUTION_COLUMNS, substitutionJoin } = require('./substitution.service');
+const { LESSON_GROUP_COLUMNS, lessonGroupsJoin, groupLessonCondition } = require('./stream.service');
+
+/**
+ * Занятия за период
+ *
+ * Для преподавателя — его занятия и занятия, где он на замене.
+ * Для группы или аудитории — все её занятия; для группы с subgroupId — занятия всей группы
+ * и этой подгруппы (без занятий других подгрупп). Лекция потока — одна строка, в расписании
+ * группы она есть, если группа входит в поток.
+ *
+ * @async
+ * @function getScheduleLessons
+ * @param {Object} db - pool или client
+ * @param {Object} target - { teacherId }, { groupId, subgroupId? } или { roomId }
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<Object[]>} Строки lessons с group_name (у потока — группы через запятую), group_ids,
+ *   stream_name, subgroup_name, teacher и полями замены (SUBSTITUTION_COLUMNS)
+ */
+async function getScheduleLessons(db, { groupId, subgroupId, teacherId, roomId }, from, to) {
+  if (teacherId) {
+    // Личные пары преподавателя и пары, где он на замене
+    const result = await db.query(
+      `SELECT l.*, ${LESSON_GROUP_COLUMNS}, sg.name AS subgroup_name, u.full_name AS teacher, ${SUBSTITUTION_COLUMNS}
+       FROM lessons l
+       LEFT JOIN users u ON u.id = l.teacher_id
+       LEFT JOIN subgroups sg ON sg.id = l.subgroup_id
+       ${lessonGroupsJoin('l')}
+       ${substitutionJoin('l')}
+       WHERE (l.teacher_id = $1 OR sub.substitute_id = $1)
+       AND l.lesson_date BETWEEN $2 AND $3
+       ORDER BY l.lesson_date, l.start_time`,
+      [teacherId, from, to]
+    );
+    return result.rows;
+  }
+
+  const result = await db.query(
+    `SELECT l.*, ${LESSON_GROUP_COLUMNS}, sg.name AS subgroup_name, u.full_name AS teacher, ${SUBSTITUTION_COLUMNS}
+     FROM lessons l
+     LEFT JOIN users u ON u.id = l.teacher_id
+     LEFT JOIN subgroups sg ON sg.id = l.subgroup_id
+     ${lessonGroupsJoin('l')}
+     ${substitutionJoin('l')}
+     WHERE ${roomId ? 'l.room_id = $1' : groupLessonCondition('l', '$1')}
+     AND l.lesson_date BETWEEN $2 AND $3
+     AND ($4::int IS NULL OR l.subgroup_id IS NULL OR l.subgroup_id = $4::int)
+     ORDER BY l.lesson_date, l.start_time, lg.group_name, sg.name`,
+    [roomId || groupId, from, to, roomId ? null : subgroupId || null]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  getScheduleLessons
+};
@@ -0,0 +1,400 @@
+/**
+ * @file schedulePdf.service.js
+ * @description Печатные расписания в PDF: по странице на группу, преподавателя или аудиторию.
+ *
+ * Страница — шапка учебного заведения, гриф «Утверждаю» с местом для подписи,
+ * период с номером и чётностью недели и сетка «дни × пары».
+ * - week — расписание конкретной недели с датами, праздниками и изменениями
+ * - semester — типовая неделя семестра: у пары помечается чётность недели
+ *   и номера недель, если она идёт не весь семестр
+ *
+ * PDF собирается на сервере (pdfkit) со встроенным шрифтом DejaVu — кириллица
+ * не зависит от шрифтов системы. Несколько файлов упаковываются в ZIP (archiver).
+ *
+ * Переменные окружения:
+ * - INSTITUTION_NAME — название учебного заведения в шапке
+ * - PDF_APPROVER — должность и ФИО под грифом «Утверждаю»
+ *
+ * @requires pdfkit
+ * @requires archiver
+ * @requires dejavu-fonts-ttf
+ * @requires ./calendar.service - getSemesterRange, findSemester, findAcademicYear
+ * @requires ./week.service - getWeekInfo, getWeekParity, formatLocalDate
+ * @requires ./scheduleExport.service - buildGridTable (сетка недели)
+ *
+ * @module services/schedulePdf
+ */
+
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const { getSemesterRange, findSemester, findAcademicYear } = require('./calendar.service');
+const { getWeekInfo, getWeekParity, formatLocalDate } = require('./week.service');
+const { buildGridTable } = require('./scheduleExport.service');
+
+/** @constant {string[]} Периоды печати */
+const PRINT_PERIODS = ['week', 'semester'];
+
+/** @constant {string} Название учебного заведения в шапке */
+const INSTITUTION_NAME = process.env.INSTITUTION_NAME || 'Учебное заведение';
+
+/** @constant {string} Кто утверждает расписание */
+const PDF_APPROVER = process.env.PDF_APPROVER || '';
+
+/** @constant {string} Каталог шрифтов DejaVu */
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+
+/** @constant {number[]} Размеры шрифта сетки — от крупного к мелкому, пока страница не уместится */
+const FONT_SIZES = [9, 8, 7, 6, 5];
+
+/** @constant {string[]} Дни недели, 0 = Пн */
+const WEEKDAYS = ['Понедельник', 'Вторник', 'Среда', 'Четверг', 'Пятница', 'Суббота', 'Воскресенье'];
+
+/** @constant {Object<string, string>} Виды занятий */
+const TYPE_TITLES = { lecture: 'Лекция', practice: 'Практика', lab: 'Лабораторная' };
+
+/**
+ * YYYY-MM-DD → ДД.ММ.ГГГГ
+ * @param {string} date
+ * @returns {string}
+ */
+function formatRuDate(date) {
+  return date.split('-').reverse().join('.');
+}
+
+/**
+ * Период печати по query-параметрам
+ *
+ * Календарь должен быть загружен (ensureCalendar).
+ *
+ * @function resolvePrintPeriod
+ * @param {Object} query
+ * @param {string} [query.period=week] - week | semester
+ * @param {string} [query.date] - Любой день нужной недели или семестра (YYYY-MM-DD), по умолчанию сегодня
+ * @returns {Object} { period, from, to, label } или { error }
+ */
+function resolvePrintPeriod({ period = 'week', date } = {}) {
+  if (!PRINT_PERIODS.includes(period)) {
+    return { error: `period: ${PRINT_PERIODS.join(' или ')}` };
+  }
+  if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return { error: 'date — в формате YYYY-MM-DD' };
+  }
+
+  const day = date || formatLocalDate(new Date());
+
+  if (period === 'semester') {
+    const { from, to } = getSemesterRange(day);
+    const semester = findSemester(from);
+    const first = getWeekParity(from).weekNumber;
+    const last = getWeekParity(to).weekNumber;
+    return {
+      period,
+      from,
+      to,
+      label: `Семестр «${semester ? semester.name : '—'}» ${findAcademicYear(from).name}: `
+        + `${formatRuDate(from)} — ${formatRuDate(to)}, недели ${first}–${last}`
+    };
+  }
+
+  const [y, m, d] = day.split('-').map(Number);
+  const offset = Math.round((new Date(y, m - 1, d) - new Date(getWeekInfo(0).weekStart + 'T00:00:00')) / 86400000);
+  const week = getWeekInfo(Math.floor(offset / 7));
+  return {
+    period,
+    from: week.weekStart,
+    to: week.weekEnd,
+    label: `Неделя ${week.weekNumber} (${week.weekType}): ${formatRuDate(week.weekStart)} — ${formatRuDate(week.weekEnd)}`
+  };
+}
+
+/**
+ * Номера недель одной строкой: [1, 2, 3, 5] → «1–3, 5»
+ * @param {number[]} numbers - По возрастанию
+ * @returns {string}
+ */
+function formatWeekNumbers(numbers) {
+  const ranges = [];
+  for (const n of numbers) {
+    const last = ranges[ranges.length - 1];
+    if (last && n === last[1] + 1) last[1] = n;
+    else ranges.push([n, n]);
+  }
+  return ranges.map(([a, b]) => (a === b ? `${a}` : `${a}–${b}`)).join(', ');
+}
+
+/**
+ * Типовая неделя семестра: строки — дни недели, колонки — пары
+ *
+ * Одинаковые занятия (дисциплина, вид, группа, преподаватель, аудитория) в одном слоте
+ * сливаются в одну запись. Если запись идёт только по чётным или нечётным неделям,
+ * она помечается; если не во все такие недели — перечисляются номера недель.
+ * Отменённые занятия не учитываются.
+ *
+ * @function buildSemesterGrid
+ * @param {Object[]} lessons - Результат getScheduleLessons
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {Object} [show] - Что писать в ячейке помимо дисциплины и аудитории
+ * @param {boolean} [show.group=true]
+ * @param {boolean} [show.teacher=true]
+ * @returns {{ columns: string[], rows: string[][] }}
+ */
+function buildSemesterGrid(lessons, from, to, { group = true, teacher = true } = {}) {
+  // Недели семестра, в которые попадает каждый день недели, — с ними сравниваются недели записи
+  const weeks = Array.from({ length: 7 }, () => ({ all: new Set(), even: new Set(), odd: new Set() }));
+  for (let date = new Date(`${from}T00:00:00`); formatLocalDate(date) <= to; date.setDate(date.getDate() + 1)) {
+    const week = getWeekParity(date);
+    const day = weeks[(date.getDay() + 6) % 7];
+    day.all.add(week.weekNumber);
+    day[week.isEven ? 'even' : 'odd'].add(week.weekNumber);
+  }
+
+  const slotOf = l => `${String(l.start_time).slice(0, 5)}–${String(l.end_time).slice(0, 5)}`;
+  const active = lessons.filter(l => l.status !== 'cancelled');
+  const slots = [...new Set(active.map(slotOf))].sort();
+  const entries = new Map();
+
+  for (const lesson of active) {
+    const day = lesson.lesson_date instanceof Date ? formatLocalDate(lesson.lesson_date) : String(lesson.lesson_date).slice(0, 10);
+    const date = new Date(`${day}T00:00:00`);
+    const text = [
+      `${lesson.subject} (${TYPE_TITLES[lesson.type] || lesson.type})`,
+      group && lesson.group_name,
+      lesson.subgroup_name && `подгр. ${lesson.subgroup_name}`,
+      teacher && lesson.teacher,
+      lesson.room && `ауд. ${lesson.room}`
+    ].filter(Boolean).join('\n');
+    const key = `${(date.getDay() + 6) % 7}|${slotOf(lesson)}|${text}`;
+
+    if (!entries.has(key)) entries.set(key, { text, weeks: new Set(), parities: new Set() });
+    const week = getWeekParity(date);
+    entries.get(key).weeks.add(week.weekNumber);
+    entries.get(key).parities.add(week.isEven ? 'even' : 'odd');
+  }
+
+  const cells = new Map();
+  const ordered = [...entries.entries()]
+    .map(([key, entry]) => {
+      const parity = entry.parities.size === 1 ? [...entry.parities][0] : 'all';
+      const expected = weeks[Number(key.split('|')[0])][parity];
+      const numbers = [...entry.weeks].sort((a, b) => a - b);
+      const notes = [
+        parity === 'even' && 'чётные недели',
+        parity === 'odd' && 'нечётные недели',
+        numbers.length < expected.size && `нед. ${formatWeekNumbers(numbers)}`
+      ].filter(Boolean);
+      return { key, parity, text: notes.length ? `${entry.text}\n[${notes.join(', ')}]` : entry.text };
+    })
+    .sort((a, b) => ['all', 'odd', 'even'].indexOf(a.parity) - ['all', 'odd', 'even'].indexOf(b.parity));
+
+  for (const { key, text } of ordered) {
+    const cell = key.split('|').slice(0, 2).join('|');
+    cells.set(cell, cells.has(cell) ? `${cells.get(cell)}\n\n${text}` : text);
+  }
+
+  const rows = [];
+  for (let day = 0; day < 7; day++) {
+    const slotCells = slots.map(slot => cells.get(`${day}|${slot}`) || '');
+    if (day === 6 && slotCells.every(cell => !cell)) continue;
+    rows.push([WEEKDAYS[day], ...slotCells]);
+  }
+
+  return { columns: ['День', ...slots], rows };
+}
+
+/**
+ * Сетка страницы для периода
+ *
+ * @function buildPrintTable
+ * @param {Object[]} lessons - Результат getScheduleLessons
+ * @param {Object} period - Результат resolvePrintPeriod
+ * @param {Object} [show] - { group, teacher }, как в buildGridTable
+ * @returns {{ columns: string[], rows: string[][], fixed: number }} fixed — сколько первых колонок узкие (дата/день)
+ */
+function buildPrintTable(lessons, period, show) {
+  if (period.period === 'semester') {
+    return { ...buildSemesterGrid(lessons, period.from, period.to, show), fixed: 1 };
+  }
+  return { ...buildGridTable(lessons, period.from, period.to, show), fixed: 2 };
+}
+
+/**
+ * Шапка страницы: заведение, гриф «Утверждаю», заголовок и период
+ * @param {PDFDocument} doc
+ * @param {Object} page
+ * @returns {number} y, с которого начинается сетка
+ */
+function drawHeader(doc, page) {
+  const { left, right, top } = doc.page.margins;
+  const width = doc.page.width - left - right;
+  const stampWidth = 220;
+
+  doc.font('bold').fontSize(11).text(INSTITUTION_NAME, left, top, { width: width - stampWidth - 20 });
+
+  doc.font('regular').fontSize(9);
+  doc.text('УТВЕРЖДАЮ', left + width - stampWidth, top, { width: stampWidth });
+  if (PDF_APPROVER) doc.text(PDF_APPROVER, { width: stampWidth });
+  doc.moveDown(0.6).text('______________  /______________/', { width: stampWidth });
+  doc.text('«____» ______________ 20___ г.', { width: stampWidth });
+  const stampBottom = doc.y;
+
+  doc.font('bold').fontSize(15).text(`Расписание занятий: ${page.title}`, left, Math.max(stampBottom, top + 30) + 8, { width });
+  doc.font('regular').fontSize(10).text(page.period.label, { width });
+
+  return doc.y + 8;
+}
+
+/**
+ * Рисует сетку, подбирая размер шрифта так, чтобы она уместилась на страницу
+ * @param {PDFDocument} doc
+ * @param {Object} table - Результат buildPrintTable
+ * @param {number} top - y начала сетки
+ */
+function drawTable(doc, { columns, rows, fixed }, top) {
+  const { left, right, bottom } = doc.page.margins;
+  const width = doc.page.width - left - right;
+  const available = doc.page.height - bottom - 14 - top;
+  const padding = 3;
+
+  const fixedWidths = fixed === 2 ? [68, 80] : [80];
+  const slotWidth = (width - fixedWidths.reduce((a, b) => a + b, 0)) / Math.max(columns.length - fixed, 1);
+  const widths = columns.map((_, i) => (i < fixed ? fixedWidths[i] : slotWidth));
+
+  const measure = size => {
+    doc.font('regular').fontSize(size);
+    const heightOf = row => Math.max(...row.map((cell, i) =>
+      doc.heightOfString(String(cell || ' '), { width: widths[i] - padding * 2 }))) + padding * 2;
+    return { size, header: heightOf(columns), rows: rows.map(heightOf) };
+  };
+
+  let layout;
+  for (const size of FONT_SIZES) {
+    layout = measure(size);
+    if (layout.header + layout.rows.reduce((a, b) => a + b, 0) <= available) break;
+  }
+
+  // Даже мелким шрифтом не помещается — строки делят место поровну, текст обрезается
+  const total = layout.header + layout.rows.reduce((a, b) => a + b, 0);
+  if (total > available) {
+    const share = (available - layout.header) / Math.max(rows.length, 1);
+    layout.rows = layout.rows.map(h => Math.min(h, share));
+  }
+
+  const drawRow = (row, y, height, header) => {
+    let x = left;
+    row.forEach((cell, i) => {
+      if (header) doc.rect(x, y, widths[i], height).fillAndStroke('#e7eef7', '#555');
+      else doc.rect(x, y, widths[i], height).stroke('#555');
+      doc.fillColor('#000').font(header || i < fixed ? 'bold' : 'regular').fontSize(layout.size)
+        .text(String(cell || ''), x + padding, y + padding, {
+          width: widths[i] - padding * 2,
+          height: height - padding * 2,
+          ellipsis: true
+        });
+      x += widths[i];
+    });
+  };
+
+  doc.lineWidth(0.5);
+  drawRow(columns, top, layout.header, true);
+
+  let y = top + layout.header;
+  rows.forEach((row, i) => {
+    drawRow(row, y, layout.rows[i], false);
+    y += layout.rows[i];
+  });
+
+  if (rows.length === 0 || columns.length === fixed) {
+    doc.font('regular').fontSize(10).text('Занятий нет', left, y + 10, { width });
+  }
+}
+
+/**
+ * PDF с расписаниями: по странице на каждую запись pages
+ *
+ * @async
+ * @function renderSchedulePdf
+ * @param {Object[]} pages - [{ title, period, table }], где period — результат resolvePrintPeriod,
+ *   table — результат buildPrintTable
+ * @returns {Promise<Buffer>}
+ */
+function renderSchedulePdf(pages) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margins: { top: 28, bottom: 28, left: 28, right: 28 },
+      autoFirstPage: false,
+      info: { Title: pages.length === 1 ? `Расписание: ${pages[0].title}` : 'Расписание занятий', Author: INSTITUTION_NAME }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.registerFont('regular', path.join(FONT_DIR, 'DejaVuSans.ttf'));
+    doc.registerFont('bold', path.join(FONT_DIR, 'DejaVuSans-Bold.ttf'));
+
+    const printedAt = new Date().toLocaleString('ru-RU', { dateStyle: 'short', timeStyle: 'short' });
+
+    for (const page of pages) {
+      doc.addPage();
+      drawTable(doc, page.table, drawHeader(doc, page));
+
+      // Подвал пишется внутри полей страницы, чтобы pdfkit не начал новую
+      const { left, right, bottom } = doc.page.margins;
+      doc.font('regular').fontSize(7).fillColor('#666')
+        .text(`Сформировано ${printedAt}`, left, doc.page.height - bottom - 9, {
+          width: doc.page.width - left - right,
+          align: 'right',
+          lineBreak: false
+        });
+      doc.fillColor('#000');
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Упаковывает файлы в ZIP
+ *
+ * @async
+ * @function toZip
+ * @param {{ name: string, content: Buffer }[]} files
+ * @returns {Promise<Buffer>}
+ */
+function toZip(files) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+
+    files.forEach(file => archive.append(file.content, { name: file.name }));
+    archive.finalize();
+  });
+}
+
+/**
+ * Имя файла из названия группы или ФИО (без символов, недопустимых в путях)
+ *
+ * @function toFileName
+ * @param {string} name
+ * @returns {string}
+ */
+function toFileName(name) {
+  return String(name).replace(/[\\/:*?"<>|\s]+/g, '_').replace(/^_+|_+$/g, '') || 'schedule';
+}
+
+module.exports = {
+  PRINT_PERIODS,
+  resolvePrintPeriod,
+  buildSemesterGrid,
+  buildPrintTable,
+  renderSchedulePdf,
+  toZip,
+  toFileName
+};
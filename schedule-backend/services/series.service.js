@@ -0,0 +1,241 @@
+/**
+ * @file series.service.js
+ * @description Сервис повторяющихся занятий (серий).
+ *
+ * Серия (lesson_series) хранит правило: день недели, тип недели (чётность из week.service)
+ * и диапазон дат. Конкретные даты лежат в lessons с series_id.
+ *
+ * Занятие, изменённое или удалённое отдельно от правила, фиксируется в lesson_series_exceptions
+ * по исходной дате — при пересоздании дат серии такие даты не трогаются.
+ *
+ * @requires ./calendar.service - loadExceptions для пересоздания дат после изменения календаря
+ * @requires ./generator.service - generateDates для дат по правилу
+ * @requires ./week.service - formatLocalDate
+ *
+ * @module services/series
+ */
+
+const { loadExceptions } = require('./calendar.service');
+const { generateDates } = require('./generator.service');
+const { formatLocalDate } = require('./week.service');
+
+/** @constant {string[]} Поля серии, которые копируются в её занятия */
+const SERIES_LESSON_FIELDS = [
+  'group_id', 'stream_id', 'subgroup_id', 'start_time', 'end_time', 'subject', 'subject_id',
+  'teacher', 'teacher_id', 'room', 'room_id', 'type'
+];
+
+/** @constant {string[]} Все изменяемые поля серии */
+const SERIES_FIELDS = ['day', 'week', 'date_from', 'date_to', ...SERIES_LESSON_FIELDS];
+
+/**
+ * Дата в виде YYYY-MM-DD
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date instanceof Date ? formatLocalDate(date) : String(date).slice(0, 10);
+}
+
+/**
+ * Сдвигает дату на число дней
+ * @param {Date|string} date
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const [y, m, d] = toDateString(date).split('-').map(Number);
+  return formatLocalDate(new Date(y, m - 1, d + days));
+}
+
+/**
+ * Строит занятия серии по правилу за период (без записи в БД)
+ *
+ * Даты, по которым уже есть исключение, пропускаются.
+ *
+ * @async
+ * @function planOccurrences
+ * @param {Object} db - pool или client
+ * @param {Object} series - Строка lesson_series (id может отсутствовать у ещё не сохранённой серии)
+ * @param {string} [from] - Начало периода (по умолчанию — date_from серии)
+ * @param {string} [to] - Конец периода (по умолчанию — date_to серии)
+ * @param {Object[]} [exceptions] - Исключения календаря (по умолчанию — из кэша)
+ * @returns {Promise<Object[]>} Занятия { group_id, lesson_date, start_time, ... }
+ */
+async function planOccurrences(db, series, from, to, exceptions) {
+  const seriesFrom = toDateString(series.date_from);
+  const seriesTo = toDateString(series.date_to);
+  const rangeFrom = from && from > seriesFrom ? from : seriesFrom;
+  const rangeTo = to && to < seriesTo ? to : seriesTo;
+
+  if (rangeFrom > rangeTo) return [];
+
+  let skipped = new Set();
+  if (series.id) {
+    const exceptions = await db.query(
+      'SELECT lesson_date FROM lesson_series_exceptions WHERE series_id = $1',
+      [series.id]
+    );
+    skipped = new Set(exceptions.rows.map(row => toDateString(row.lesson_date)));
+  }
+
+  return generateDates(series.day, series.week, rangeFrom, rangeTo, exceptions)
+    .filter(date => !skipped.has(date))
+    .map(date => ({
+      ...Object.fromEntries(SERIES_LESSON_FIELDS.map(field => [field, series[field] ?? null])),
+      lesson_date: date
+    }));
+}
+
+/**
+ * Записывает занятия серии
+ *
+ * @async
+ * @function insertOccurrences
+ * @param {Object} db - client внутри транзакции
+ * @param {number} seriesId
+ * @param {Object[]} lessons - Результат planOccurrences
+ * @returns {Promise<number[]>} ID созданных занятий
+ */
+async function insertOccurrences(db, seriesId, lessons) {
+  if (lessons.length === 0) return [];
+
+  const column = field => lessons.map(lesson => lesson[field] ?? null);
+
+  const result = await db.query(
+    `INSERT INTO lessons
+       (series_id, group_id, stream_id, subgroup_id, lesson_date, start_time, end_time, subject, subject_id,
+        teacher, teacher_id, room, room_id, type)
+     SELECT $1, * FROM unnest(
+       $2::int[], $3::int[], $4::int[], $5::date[], $6::time[], $7::time[], $8::text[], $9::int[],
+       $10::text[], $11::int[], $12::text[], $13::int[], $14::text[]
+     )
+     RETURNING id`,
+    [
+      seriesId,
+      column('group_id'),
+      column('stream_id'),
+      column('subgroup_id'),
+      column('lesson_date'),
+      column('start_time'),
+      column('end_time'),
+      column('subject'),
+      column('subject_id'),
+      column('teacher'),
+      column('teacher_id'),
+      column('room'),
+      column('room_id'),
+      column('type')
+    ]
+  );
+
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Фиксирует отклонение от правила серии в исходную дату
+ *
+ * @async
+ * @function markException
+ * @param {Object} db - pool или client
+ * @param {number} seriesId
+ * @param {Date|string} lessonDate - Дата по правилу серии
+ * @param {number|null} [lessonId=null] - Занятие-замена; null — занятие отменено
+ * @returns {Promise<void>}
+ */
+async function markException(db, seriesId, lessonDate, lessonId = null) {
+  await db.query(
+    `INSERT INTO lesson_series_exceptions (series_id, lesson_date, lesson_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (series_id, lesson_date) DO UPDATE SET lesson_id = EXCLUDED.lesson_id`,
+    [seriesId, toDateString(lessonDate), lessonId]
+  );
+}
+
+/**
+ * Отделяет от серии её часть начиная с даты
+ *
+ * Старая серия заканчивается накануне pivot, новая получает те же поля с date_from = pivot.
+ * Исключения и изменённые занятия с даты pivot переходят в новую серию.
+ *
+ * @async
+ * @function splitSeries
+ * @param {Object} db - client внутри транзакции
+ * @param {Object} series - Строка lesson_series
+ * @param {string} pivot - Первая дата новой серии (YYYY-MM-DD), позже date_from
+ * @returns {Promise<Object>} Новая строка lesson_series
+ */
+async function splitSeries(db, series, pivot) {
+  const fields = SERIES_FIELDS.filter(field => field !== 'date_from');
+
+  const created = await db.query(
+    `INSERT INTO lesson_series (date_from, ${fields.join(', ')})
+     VALUES ($1, ${fields.map((_, i) => `$${i + 2}`).join(', ')})
+     RETURNING *`,
+    [pivot, ...fields.map(field => series[field])]
+  );
+  const newSeries = created.rows[0];
+
+  await db.query('UPDATE lesson_series SET date_to = $2 WHERE id = $1', [series.id, addDays(pivot, -1)]);
+  await db.query(
+    'UPDATE lesson_series_exceptions SET series_id = $2 WHERE series_id = $1 AND lesson_date >= $3',
+    [series.id, newSeries.id, pivot]
+  );
+  await db.query(
+    `UPDATE lessons SET series_id = $2
+     WHERE series_id = $1
+       AND ((NOT is_exception AND lesson_date >= $3)
+            OR id IN (SELECT lesson_id FROM lesson_series_exceptions WHERE series_id = $2))`,
+    [series.id, newSeries.id, pivot]
+  );
+
+  return newSeries;
+}
+
+/**
+ * Пересоздаёт занятия всех серий за период по их правилам
+ *
+ * Нужен после изменения учебного календаря: праздник убирает даты серий,
+ * перенос добавляет занятия другого дня недели. Исключения не трогаются.
+ * Исключения календаря читаются через db: в транзакции видны её несохранённые изменения,
+ * а общий кэш календаря остаётся прежним до COMMIT.
+ *
+ * @async
+ * @function replanSeries
+ * @param {Object} db - client внутри транзакции
+ * @param {string} from - Начало периода (YYYY-MM-DD)
+ * @param {string} to - Конец периода (YYYY-MM-DD)
+ * @returns {Promise<{ removed: Object[], inserted: number[] }>} Удалённые строки и ID новых занятий
+ */
+async function replanSeries(db, from, to) {
+  const seriesRes = await db.query(
+    'SELECT * FROM lesson_series WHERE date_from <= $2 AND $1 <= date_to ORDER BY id',
+    [from, to]
+  );
+
+  const removed = await db.query(
+    `DELETE FROM lessons
+     WHERE series_id = ANY($1::int[]) AND NOT is_exception AND lesson_date BETWEEN $2 AND $3
+     RETURNING *`,
+    [seriesRes.rows.map(series => series.id), from, to]
+  );
+
+  const exceptions = await loadExceptions(db);
+  const inserted = [];
+  for (const series of seriesRes.rows) {
+    const lessons = await planOccurrences(db, series, from, to, exceptions);
+    inserted.push(...await insertOccurrences(db, series.id, lessons));
+  }
+
+  return { removed: removed.rows, inserted };
+}
+
+module.exports = {
+  SERIES_FIELDS,
+  addDays,
+  planOccurrences,
+  insertOccurrences,
+  markException,
+  splitSeries,
+  replanSeries
+};
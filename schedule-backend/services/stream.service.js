@@ -0,0 +1,106 @@
+/**
+ * @file stream.service.js
+ * @description Сервис потоков — нескольких групп, которые слушают лекцию вместе.
+ *
+ * Занятие потока хранится одной строкой: stream_id задан, group_id — NULL.
+ * Группа видит свои занятия и занятия своих потоков, поэтому запросы по группе
+ * строятся через groupLessonCondition, а названия групп занятия — через lessonGroupsJoin.
+ *
+ * @module services/stream
+ */
+
+/** @constant {string} Поля, которые добавляет lessonGroupsJoin к занятию */
+const LESSON_GROUP_COLUMNS = 'lg.group_ids, lg.group_name, lg.stream_name';
+
+/**
+ * LEFT JOIN LATERAL с группами занятия (по умолчанию алиас lg)
+ *
+ * group_ids — группа занятия или все группы потока, group_name — их названия через запятую,
+ * stream_name — название потока (NULL у занятия одной группы).
+ *
+ * @function lessonGroupsJoin
+ * @param {string} [alias='l'] - Алиас таблицы lessons в запросе
+ * @param {string} [as='lg'] - Алиас подзапроса (если занятий в запросе несколько)
+ * @returns {string} SQL
+ *
+ * @example
+ * pool.query(`SELECT l.*, ${LESSON_GROUP_COLUMNS} FROM lessons l ${lessonGroupsJoin('l')} WHERE ...`);
+ */
+function lessonGroupsJoin(alias = 'l', as = 'lg') {
+  return `
+    LEFT JOIN LATERAL (
+      SELECT COALESCE(array_agg(gg.id ORDER BY gg.name), '{}') AS group_ids,
+             string_agg(gg.name, ', ' ORDER BY gg.name) AS group_name,
+             (SELECT st.name FROM streams st WHERE st.id = ${alias}.stream_id) AS stream_name
+      FROM groups gg
+      WHERE gg.id = ${alias}.group_id
+         OR gg.id IN (SELECT group_id FROM stream_groups WHERE stream_id = ${alias}.stream_id)
+    ) ${as} ON TRUE`;
+}
+
+/**
+ * SQL-условие «занятие касается группы»: занятие самой группы или одного из её потоков
+ *
+ * @function groupLessonCondition
+ * @param {string} alias - Алиас таблицы lessons (или lesson_series)
+ * @param {string} param - Параметр с ID группы, например '$1'
+ * @returns {string} SQL
+ */
+function groupLessonCondition(alias, param) {
+  return `(${alias}.group_id = ${param}
+    OR ${alias}.stream_id IN (SELECT stream_id FROM stream_groups WHERE group_id = ${param}))`;
+}
+
+/**
+ * Находит поток
+ *
+ * @async
+ * @function resolveStream
+ * @param {Object} db - pool или client
+ * @param {number} streamId
+ * @returns {Promise<Object|null>} { id, name, group_ids } или null, если потока нет
+ */
+async function resolveStream(db, streamId) {
+  const result = await db.query(
+    `SELECT s.id, s.name,
+       COALESCE(array_agg(sg.group_id ORDER BY sg.group_id) FILTER (WHERE sg.group_id IS NOT NULL), '{}') AS group_ids
+     FROM streams s
+     LEFT JOIN stream_groups sg ON sg.stream_id = s.id
+     WHERE s.id = $1
+     GROUP BY s.id`,
+    [Number(streamId)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Кто сидит на занятии: группы и число студентов
+ *
+ * Размер — подгруппы (если задан), иначе сумма размеров групп занятия или потока.
+ * Группы без указанного размера не учитываются; если размер не известен ни у одной — null.
+ *
+ * @async
+ * @function getLessonAudience
+ * @param {Object} db - pool или client
+ * @param {Object} lesson - { group_id, stream_id, subgroup_id }
+ * @returns {Promise<{ group_ids: number[], size: number|null }>}
+ */
+async function getLessonAudience(db, lesson) {
+  const result = await db.query(
+    `SELECT COALESCE(array_agg(g.id ORDER BY g.id), '{}') AS group_ids,
+            COALESCE((SELECT size FROM subgroups WHERE id = $3::int), SUM(g.size))::int AS size
+     FROM groups g
+     WHERE g.id = $1::int
+        OR g.id IN (SELECT group_id FROM stream_groups WHERE stream_id = $2::int)`,
+    [lesson.group_id || null, lesson.stream_id || null, lesson.subgroup_id || null]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  LESSON_GROUP_COLUMNS,
+  lessonGroupsJoin,
+  groupLessonCondition,
+  resolveStream,
+  getLessonAudience
+};
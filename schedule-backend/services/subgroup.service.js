@@ -0,0 +1,43 @@
+/**
+ * @file subgroup.service.js
+ * @description Сервис подгрупп.
+ *
+ * Занятие с subgroup_id касается только этой подгруппы, без него — всей группы.
+ * Студент видит занятия группы и своей подгруппы; пока подгруппа не выбрана — все.
+ *
+ * @module services/subgroup
+ */
+
+/**
+ * Находит подгруппу группы
+ *
+ * @async
+ * @function resolveSubgroup
+ * @param {Object} db - pool или client
+ * @param {number} groupId - Группа занятия
+ * @param {number|null} subgroupId
+ * @returns {Promise<Object|null>} { id, group_id, name } или null, если подгруппы нет или она из другой группы
+ */
+async function resolveSubgroup(db, groupId, subgroupId) {
+  const result = await db.query(
+    'SELECT id, group_id, name FROM subgroups WHERE id = $1 AND group_id = $2',
+    [Number(subgroupId), Number(groupId)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Подгруппа, выбранная студентом
+ *
+ * @async
+ * @function getUserSubgroupId
+ * @param {Object} db - pool или client
+ * @param {number} userId
+ * @returns {Promise<number|null>}
+ */
+async function getUserSubgroupId(db, userId) {
+  const result = await db.query('SELECT subgroup_id FROM users WHERE id = $1', [userId]);
+  return result.rows[0] ? result.rows[0].subgroup_id : null;
+}
+
+module.exports = { resolveSubgroup, getUserSubgroupId };
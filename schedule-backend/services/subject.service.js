@@ -0,0 +1,54 @@
+/**
+ * @file subject.service.js
+ * @description Сервис каталога дисциплин.
+ * 
+ * - Поиск дисциплины по ID или по названию для путей записи занятий
+ * - Перевод длительности занятий в академические часы
+ * 
+ * @module services/subject
+ */
+
+/** @constant {number} Длительность академического часа в минутах (пара 90 мин = 2 часа) */
+const ACADEMIC_HOUR_MINUTES = 45;
+
+/** @constant {string[]} Виды занятий, для которых ведётся учёт часов */
+const LESSON_KINDS = ['lecture', 'practice', 'lab'];
+
+/**
+ * Находит дисциплину по ID или по названию (без учёта регистра)
+ * 
+ * @async
+ * @function resolveSubject
+ * @param {Object} db - pool или client
+ * @param {Object} lesson - Данные занятия
+ * @param {number} [lesson.subject_id] - ID дисциплины (приоритет)
+ * @param {string} [lesson.subject] - Название (для старых клиентов)
+ * @returns {Promise<Object|null>} { id, name } или null, если в каталоге нет
+ */
+async function resolveSubject(db, { subject_id, subject }) {
+  if (subject_id) {
+    const result = await db.query('SELECT id, name FROM subjects WHERE id = $1', [subject_id]);
+    return result.rows[0] || null;
+  }
+
+  if (!String(subject || '').trim()) return null;
+
+  const result = await db.query(
+    'SELECT id, name FROM subjects WHERE lower(trim(name)) = lower(trim($1))',
+    [subject]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Переводит минуты в академические часы (с точностью до 0.1)
+ * 
+ * @function minutesToHours
+ * @param {number} minutes
+ * @returns {number}
+ */
+function minutesToHours(minutes) {
+  return Math.round((Number(minutes) || 0) / ACADEMIC_HOUR_MINUTES * 10) / 10;
+}
+
+module.exports = { ACADEMIC_HOUR_MINUTES, LESSON_KINDS, resolveSubject, minutesToHours };
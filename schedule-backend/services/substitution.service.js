@@ -0,0 +1,269 @@
+/**
+ * @file substitution.service.js
+ * @description Сервис временных замен преподавателей (teacher_substitutions).
+ *
+ * Замена не переписывает lessons: она накладывается при чтении расписания через
+ * substitutionJoin, поэтому после date_to занятия сами возвращаются к своему
+ * преподавателю. Если на занятие подходят несколько замен, действует последняя созданная.
+ *
+ * @requires ./week.service - formatLocalDate
+ * @requires ./stream.service - группы занятий потока
+ *
+ * @module services/substitution
+ */
+
+const { formatLocalDate } = require('./week.service');
+const { LESSON_GROUP_COLUMNS, lessonGroupsJoin } = require('./stream.service');
+
+/** @constant {string} Поля замены, которые добавляет substitutionJoin к занятию */
+const SUBSTITUTION_COLUMNS = 'sub.substitution_id, sub.substitute_id, sub.substitute, sub.substitution_reason';
+
+/**
+ * LEFT JOIN LATERAL с действующей заменой занятия (алиас sub)
+ *
+ * Ставится после остальных JOIN запроса; поля — SUBSTITUTION_COLUMNS
+ * и sub.substitution_created_at (у занятия без замены они NULL).
+ *
+ * @function substitutionJoin
+ * @param {string} [alias='l'] - Алиас таблицы lessons в запросе
+ * @returns {string} SQL
+ *
+ * @example
+ * pool.query(`SELECT l.*, ${SUBSTITUTION_COLUMNS} FROM lessons l ${substitutionJoin('l')} WHERE ...`);
+ */
+function substitutionJoin(alias = 'l') {
+  return `
+    LEFT JOIN LATERAL (
+      SELECT s.id AS substitution_id, s.substitute_id, su.full_name AS substitute, s.reason AS substitution_reason,
+             s.created_at AS substitution_created_at
+      FROM teacher_substitutions s
+      JOIN users su ON su.id = s.substitute_id
+      WHERE s.teacher_id = ${alias}.teacher_id
+        AND ${alias}.lesson_date BETWEEN s.date_from AND s.date_to
+        AND (s.group_ids IS NULL OR ${alias}.group_id = ANY(s.group_ids)
+          OR ${alias}.stream_id IN (SELECT stream_id FROM stream_groups WHERE group_id = ANY(s.group_ids)))
+        AND (s.subject_ids IS NULL OR ${alias}.subject_id = ANY(s.subject_ids))
+        AND (s.lesson_id IS NULL OR s.lesson_id = ${alias}.id)
+      ORDER BY s.id DESC
+      LIMIT 1
+    ) sub ON TRUE`;
+}
+
+/**
+ * Занятия, которые попадают под правило замены
+ *
+ * @async
+ * @function getAffectedLessons
+ * @param {Object} db - pool или client
+ * @param {Object} substitution - { teacher_id, date_from, date_to, group_ids, subject_ids, lesson_id } (может быть ещё не сохранена)
+ * @returns {Promise<Object[]>} Занятия с group_name, group_ids (у потока — все его группы) и teacher
+ */
+async function getAffectedLessons(db, substitution) {
+  const result = await db.query(
+    `SELECT l.*, ${LESSON_GROUP_COLUMNS}, COALESCE(u.full_name, l.teacher) AS teacher
+     FROM lessons l
+     LEFT JOIN users u ON u.id = l.teacher_id
+     ${lessonGroupsJoin('l')}
+     WHERE l.teacher_id = $1
+       AND l.lesson_date BETWEEN $2 AND $3
+       AND ($4::int[] IS NULL OR lg.group_ids && $4::int[])
+       AND ($5::int[] IS NULL OR l.subject_id = ANY($5::int[]))
+       AND ($6::int IS NULL OR l.id = $6::int)
+       AND l.status <> 'cancelled'
+     ORDER BY l.lesson_date, l.start_time`,
+    [
+      substitution.teacher_id,
+      substitution.date_from,
+      substitution.date_to,
+      substitution.group_ids || null,
+      substitution.subject_ids || null,
+      substitution.lesson_id || null
+    ]
+  );
+  return result.rows;
+}
+
+/**
+ * Занятия, которые преподаватель фактически ведёт в период: свои без замены
+ * и чужие, где он заменяющий
+ *
+ * @async
+ * @function getEffectiveLessons
+ * @param {Object} db - pool или client
+ * @param {number} teacherId
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<Object[]>}
+ */
+async function getEffectiveLessons(db, teacherId, from, to) {
+  const result = await db.query(
+    `SELECT l.*, ${LESSON_GROUP_COLUMNS}, COALESCE(u.full_name, l.teacher) AS teacher, ${SUBSTITUTION_COLUMNS}
+     FROM lessons l
+     LEFT JOIN users u ON u.id = l.teacher_id
+     ${lessonGroupsJoin('l')}
+     ${substitutionJoin('l')}
+     WHERE l.lesson_date BETWEEN $2 AND $3
+       AND ((l.teacher_id = $1 AND sub.substitution_id IS NULL) OR sub.substitute_id = $1)
+       AND l.status <> 'cancelled'
+     ORDER BY l.lesson_date, l.start_time`,
+    [teacherId, from, to]
+  );
+  return result.rows;
+}
+
+/**
+ * Занятие для ответа о конфликте
+ * @param {Object} lesson
+ * @returns {Object}
+ */
+function describe(lesson) {
+  return {
+    id: lesson.id,
+    group_id: lesson.group_id,
+    group_name: lesson.group_name || null,
+    lesson_date: lesson.lesson_date instanceof Date ? formatLocalDate(lesson.lesson_date) : String(lesson.lesson_date).slice(0, 10),
+    start_time: String(lesson.start_time).slice(0, 5),
+    end_time: String(lesson.end_time).slice(0, 5),
+    subject: lesson.subject,
+    room: lesson.room,
+    teacher: lesson.substitute || lesson.teacher || null
+  };
+}
+
+/**
+ * Проверяет, может ли заменяющий вести занятия: не занят ли он в это время
+ * своими или уже взятыми на замену занятиями и нет ли у него ограничения
+ * (teacher_unavailability)
+ *
+ * @async
+ * @function findSubstituteConflicts
+ * @param {Object} db - pool или client
+ * @param {number} substituteId
+ * @param {Object[]} lessons - Результат getAffectedLessons
+ * @returns {Promise<Object[]>} Конфликты { type: 'teacher' | 'unavailable', message, lesson, conflictsWith? }
+ */
+async function findSubstituteConflicts(db, substituteId, lessons) {
+  if (lessons.length === 0) return [];
+
+  const dates = lessons.map(lesson => describe(lesson).lesson_date).sort();
+  const busy = await getEffectiveLessons(db, substituteId, dates[0], dates[dates.length - 1]);
+  const unavailabilityRes = await db.query(
+    'SELECT day, start_time, end_time, note FROM teacher_unavailability WHERE teacher_id = $1',
+    [substituteId]
+  );
+
+  const affectedIds = new Set(lessons.map(lesson => Number(lesson.id)));
+  const overlaps = (a, b) => String(a.start_time).slice(0, 5) < String(b.end_time).slice(0, 5)
+    && String(b.start_time).slice(0, 5) < String(a.end_time).slice(0, 5);
+  const conflicts = [];
+
+  for (const lesson of lessons) {
+    const described = describe(lesson);
+
+    for (const other of busy) {
+      if (affectedIds.has(Number(other.id))) continue;
+      const otherDescribed = describe(other);
+      if (otherDescribed.lesson_date === described.lesson_date && overlaps(lesson, other)) {
+        conflicts.push({
+          type: 'teacher',
+          message: 'Заменяющий преподаватель занят',
+          lesson: described,
+          conflictsWith: otherDescribed
+        });
+      }
+    }
+
+    const [y, m, d] = described.lesson_date.split('-').map(Number);
+    const weekday = (new Date(y, m - 1, d).getDay() + 6) % 7;
+    for (const slot of unavailabilityRes.rows) {
+      if (Number(slot.day) === weekday && overlaps(lesson, slot)) {
+        conflicts.push({
+          type: 'unavailable',
+          message: `Заменяющий преподаватель недоступен${slot.note ? ` (${slot.note})` : ''}`,
+          lesson: described
+        });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Кандидаты на замену занятия: преподаватели той же дисциплины (по назначениям
+ * teacher_assignments или по уже проведённым занятиям), у которых в это время
+ * нет занятий, ограничений и своего отсутствия
+ *
+ * Первыми идут те, кому дисциплина назначена именно в этой группе. Занятость
+ * проверяется одним запросом для всех кандидатов — по тем же правилам, что
+ * и в findSubstituteConflicts.
+ *
+ * @async
+ * @function findCandidates
+ * @param {Object} db - pool или client
+ * @param {Object} lesson - Строка lessons
+ * @returns {Promise<Object[]>} [{ id, full_name, teaches_group }]
+ */
+async function findCandidates(db, lesson) {
+  if (!lesson.subject_id) return [];
+
+  const lessonDate = describe(lesson).lesson_date;
+  const [y, m, d] = lessonDate.split('-').map(Number);
+  const weekday = (new Date(y, m - 1, d).getDay() + 6) % 7;
+
+  const result = await db.query(
+    `WITH busy AS (
+       SELECT COALESCE(sub.substitute_id, l.teacher_id) AS teacher_id
+       FROM lessons l
+       ${substitutionJoin('l')}
+       WHERE l.lesson_date = $4
+         AND l.id <> $6
+         AND l.status <> 'cancelled'
+         AND l.start_time < $8::time AND $7::time < l.end_time
+       UNION
+       SELECT teacher_id
+       FROM teacher_unavailability
+       WHERE day = $9 AND start_time < $8::time AND $7::time < end_time
+     )
+     SELECT u.id, u.full_name,
+       EXISTS (
+         SELECT 1 FROM teacher_assignments ta
+         WHERE ta.teacher_id = u.id AND ta.subject_id = $2
+           AND (ta.group_id = $3 OR ta.group_id IN (SELECT group_id FROM stream_groups WHERE stream_id = $5))
+       ) AS teaches_group
+     FROM users u
+     WHERE u.role = 'teacher'
+       AND u.id IS DISTINCT FROM $1
+       AND (
+         EXISTS (SELECT 1 FROM teacher_assignments ta WHERE ta.teacher_id = u.id AND ta.subject_id = $2)
+         OR EXISTS (SELECT 1 FROM lessons x WHERE x.teacher_id = u.id AND x.subject_id = $2)
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM teacher_absences a
+         WHERE a.teacher_id = u.id AND $4::date BETWEEN a.date_from AND a.date_to
+       )
+       AND NOT EXISTS (SELECT 1 FROM busy WHERE busy.teacher_id = u.id)
+     ORDER BY teaches_group DESC, u.full_name`,
+    [
+      lesson.teacher_id,
+      lesson.subject_id,
+      lesson.group_id,
+      lessonDate,
+      lesson.stream_id || null,
+      lesson.id,
+      String(lesson.start_time).slice(0, 5),
+      String(lesson.end_time).slice(0, 5),
+      weekday
+    ]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  SUBSTITUTION_COLUMNS,
+  substitutionJoin,
+  getAffectedLessons,
+  getEffectiveLessons,
+  findSubstituteConflicts,
+  findCandidates
+};
@@ -0,0 +1,350 @@
+/**
+ * @file webhook.service.js
+ * @description Исходящие вебхуки: события изменений расписания для внешних систем.
+ *
+ * События публикует logChange (audit.service) — то есть все пути записи, которые
+ * пишут историю. Тип действия сводится к событию по WEBHOOK_EVENTS; для каждой
+ * активной подписки на это событие создаётся доставка в webhook_deliveries.
+ *
+ * Доставку выполняет processDueDeliveries: сразу после публикации и периодически
+ * (startWebhookWorker). Запрос — POST JSON с заголовками:
+ * - X-Webhook-Event — имя события
+ * - X-Webhook-Delivery — ID доставки (одинаковый во всех попытках)
+ * - X-Webhook-Timestamp — время попытки (unix, с)
+ * - X-Webhook-Signature — sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+ *
+ * Ответ не 2xx или ошибка сети — повтор через WEBHOOK_RETRY_BASE * 2^(попытка-1) секунд,
+ * после WEBHOOK_MAX_ATTEMPTS попыток доставка помечается failed. Ожидающие доставки
+ * отключённой подписки больше не повторяются и тоже помечаются failed — кроме ping,
+ * которым подписку проверяют и до включения.
+ *
+ * @requires ../db - Пул соединений PostgreSQL
+ *
+ * @module services/webhook
+ */
+
+const crypto = require('crypto');
+const pool = require('../db');
+
+/** @constant {number} Сколько попыток доставки делать */
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+/** @constant {number} Пауза перед первым повтором, с (дальше удваивается) */
+const RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE) || 30;
+
+/** @constant {number} Таймаут запроса к получателю, мс */
+const DELIVERY_TIMEOUT = 10 * 1000;
+
+/** @constant {number} Период проверки отложенных доставок, мс */
+const WORKER_INTERVAL = 15 * 1000;
+
+/** @constant {number} Сколько доставок обрабатывать за один проход */
+const BATCH_SIZE = 20;
+
+/** @constant {Object<string, string[]>} События и типы действий schedule_changes, из которых они возникают */
+const WEBHOOK_EVENTS = {
+  'lesson.created': ['create_lesson', 'create_lesson_series'],
+  'lesson.updated': [
+    'update_lesson',
+    'update_lesson_series',
+    'move_lesson',
+    'move_absence_lesson',
+    'change_lesson_room',
+    'set_lesson_online',
+    'create_substitution',
+    'delete_substitution',
+    'assign_absence_substitute'
+  ],
+  'lesson.deleted': ['delete_lesson', 'delete_lesson_series'],
+  'lesson.cancelled': ['cancel_lesson', 'cancel_absence_lesson'],
+  'lessons.bulk': [
+    'update_schedule_day',
+    'copy_week',
+    'clear_week',
+    'replace_teacher',
+    'apply_timetable_draft',
+    'import_lessons',
+    'create_calendar_exception',
+    'delete_calendar_exception',
+    'revert_change'
+  ]
+};
+
+/** @type {Map<string, string>} Тип действия → событие */
+const EVENT_BY_ACTION = new Map(
+  Object.entries(WEBHOOK_EVENTS).flatMap(([event, actions]) => actions.map(action => [action, event]))
+);
+
+/**
+ * Новый секрет подписи
+ *
+ * @function generateSecret
+ * @returns {string}
+ */
+function generateSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Подпись тела запроса (так же её проверяет получатель)
+ *
+ * @function signPayload
+ * @param {string} secret
+ * @param {number} timestamp - unix, с
+ * @param {string} body - Тело запроса как есть
+ * @returns {string} sha256=<hex>
+ *
+ * @example
+ * // Проверка на стороне получателя
+ * const expected = signPayload(secret, req.headers['x-webhook-timestamp'], rawBody);
+ * crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(req.headers['x-webhook-signature']));
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Создаёт доставки события для подписок
+ * @private
+ * @param {Object} db - pool или client
+ * @param {string} event
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {number|null} [options.changeId=null] - Запись schedule_changes
+ * @param {number|null} [options.subscriptionId=null] - Только эта подписка (проверка), иначе все подписанные
+ * @returns {Promise<number>} Сколько доставок создано
+ */
+async function enqueue(db, event, payload, { changeId = null, subscriptionId = null } = {}) {
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (subscription_id, event, change_id, payload)
+     SELECT w.id, $1, $2::int, $3::jsonb
+     FROM webhook_subscriptions w
+     WHERE ($4::int IS NULL AND w.is_active AND (w.events && ARRAY[$1, '*']))
+        OR w.id = $4::int`,
+    [event, changeId, JSON.stringify(payload), subscriptionId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Публикует событие по записи истории изменений
+ *
+ * Вызывается из logChange; действия без события (справочники, учебные годы и семестры) пропускаются.
+ * Не бросает ошибку — вебхуки не должны прерывать основную операцию.
+ *
+ * @async
+ * @function publishChange
+ * @param {Object} change - Строка schedule_changes
+ * @returns {Promise<void>}
+ */
+async function publishChange(change) {
+  const event = EVENT_BY_ACTION.get(change.action_type);
+  if (!event) return;
+
+  try {
+    const created = await enqueue(pool, event, {
+      id: `change-${change.id}`,
+      event,
+      action: change.action_type,
+      occurred_at: change.changed_at,
+      admin_id: change.admin_id,
+      target: { type: change.target_type, id: change.target_id },
+      group_ids: change.group_ids || [],
+      data: { old: change.old_value, new: change.new_value }
+    }, { changeId: change.id });
+
+    if (created > 0) setImmediate(processDueDeliveries);
+  } catch (err) {
+    console.error('Ошибка публикации вебхука:', { action: change.action_type, error: err.message });
+  }
+}
+
+/**
+ * Отправляет проверочное событие ping подписке (даже отключённой)
+ *
+ * @async
+ * @function sendPing
+ * @param {number} subscriptionId
+ * @returns {Promise<void>}
+ */
+async function sendPing(subscriptionId) {
+  await enqueue(pool, 'ping', {
+    id: `ping-${Date.now()}`,
+    event: 'ping',
+    occurred_at: new Date().toISOString()
+  }, { subscriptionId });
+  setImmediate(processDueDeliveries);
+}
+
+/**
+ * Одна попытка доставки
+ * @private
+ * @param {Object} delivery - Строка webhook_deliveries с url и secret подписки
+ * @returns {Promise<{ ok: boolean, statusCode: number|null, error: string|null }>}
+ */
+async function attempt(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'schedule-webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+    });
+
+    return {
+      ok: response.ok,
+      statusCode: response.status,
+      error: response.ok ? null : `HTTP ${response.status}: ${(await response.text()).slice(0, 300)}`
+    };
+  } catch (err) {
+    return { ok: false, statusCode: null, error: err.cause?.message || err.message };
+  }
+}
+
+/** @type {boolean} Идёт ли обработка (в процессе — одна) */
+let processing = false;
+
+/** @type {boolean} Появились новые доставки во время обработки */
+let pendingRun = false;
+
+/**
+ * Выполняет доставки, время которых подошло
+ *
+ * Доставки «захватываются» сдвигом next_attempt_at, поэтому несколько экземпляров
+ * сервера не отправят одно событие одновременно.
+ *
+ * @async
+ * @function processDueDeliveries
+ * @returns {Promise<number>} Сколько попыток сделано
+ */
+async function processDueDeliveries() {
+  if (processing) {
+    pendingRun = true;
+    return 0;
+  }
+  processing = true;
+
+  let attempted = 0;
+  try {
+    do {
+      pendingRun = false;
+      await pool.query(
+        `UPDATE webhook_deliveries d
+         SET status = 'failed', last_error = 'Подписка отключена'
+         FROM webhook_subscriptions w
+         WHERE w.id = d.subscription_id AND NOT w.is_active AND d.status = 'pending' AND d.event <> 'ping'`
+      );
+
+      const claimed = await pool.query(
+        `UPDATE webhook_deliveries d
+         SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+         FROM webhook_subscriptions w
+         WHERE w.id = d.subscription_id
+           AND (w.is_active OR d.event = 'ping')
+           AND d.id IN (
+             SELECT id FROM webhook_deliveries
+             WHERE status = 'pending' AND next_attempt_at <= NOW()
+             ORDER BY next_attempt_at, id
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+           )
+         RETURNING d.*, w.url, w.secret`,
+        [BATCH_SIZE]
+      );
+
+      for (const delivery of claimed.rows) {
+        const result = await attempt(delivery);
+        const attempts = delivery.attempts + 1;
+        attempted++;
+
+        if (result.ok) {
+          await pool.query(
+            `UPDATE webhook_deliveries
+             SET status = 'success', attempts = $2, last_status_code = $3, last_error = NULL, delivered_at = NOW()
+             WHERE id = $1`,
+            [delivery.id, attempts, result.statusCode]
+          );
+        } else {
+          const exhausted = attempts >= MAX_ATTEMPTS;
+          await pool.query(
+            `UPDATE webhook_deliveries
+             SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+                 next_attempt_at = NOW() + make_interval(secs => $6)
+             WHERE id = $1`,
+            [
+              delivery.id,
+              exhausted ? 'failed' : 'pending',
+              attempts,
+              result.statusCode,
+              result.error,
+              RETRY_BASE_SECONDS * 2 ** (attempts - 1)
+            ]
+          );
+        }
+      }
+
+      if (claimed.rows.length === BATCH_SIZE) pendingRun = true;
+    } while (pendingRun);
+  } catch (err) {
+    console.error('Ошибка доставки вебхуков:', err.message);
+  } finally {
+    processing = false;
+  }
+  return attempted;
+}
+
+/**
+ * Ставит доставку на повтор сейчас с полным числом попыток
+ *
+ * @async
+ * @function redeliver
+ * @param {number} deliveryId
+ * @returns {Promise<boolean>} false — доставка не найдена
+ */
+async function redeliver(deliveryId) {
+  const result = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), delivered_at = NULL
+     WHERE id = $1
+     RETURNING id`,
+    [deliveryId]
+  );
+  if (result.rows.length === 0) return false;
+
+  setImmediate(processDueDeliveries);
+  return true;
+}
+
+/**
+ * Запускает периодическую доставку отложенных повторов
+ *
+ * @function startWebhookWorker
+ * @returns {NodeJS.Timeout}
+ */
+function startWebhookWorker() {
+  const timer = setInterval(processDueDeliveries, WORKER_INTERVAL);
+  timer.unref();
+  processDueDeliveries();
+  return timer;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  publishChange,
+  sendPing,
+  processDueDeliveries,
+  redeliver,
+  startWebhookWorker
+};
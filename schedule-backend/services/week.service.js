@@ -2,24 +2,27 @@
  * @file week.service.js
  * @description Сервис для расчёта информации об учебной неделе.
  * 
- * Учебный год начинается 1 сентября.
+ * Границы учебного года, семестров и правила нумерации/чётности недель берутся
+ * из учебного календаря (calendar.service).
  * Неделя считается с понедельника по воскресенье.
  * Поддерживает смещение (weekOffset) для прошлых и будущих недель.
+ *
+ * @requires ./calendar.service
  */
 
+const { findAcademicYear, findSemester, getWeekNumber, isEvenWeek } = require('./calendar.service');
+
 /**
  * Возвращает информацию о неделе с учётом смещения
  * 
+ * Календарь должен быть загружен (ensureCalendar) — иначе действует календарь по умолчанию.
+ * 
  * @param {number} [weekOffset=0] - Смещение от текущей недели (0 — текущая, -1 — предыдущая и т.д.)
  * @returns {Object} Информация о неделе
  */
 function getWeekInfo(weekOffset = 0) {
   const now = new Date();
 
-  // Определяем дату начала текущего учебного года (1 сентября)
-  const year = now.getMonth() >= 8 ? now.getFullYear() : now.getFullYear() - 1;
-  const academicYearStart = new Date(year, 8, 1); // 1 сентября
-
   // Смещаем дату на нужное количество недель
   const targetDate = new Date(now);
   targetDate.setDate(now.getDate() + weekOffset * 7);
@@ -34,19 +37,43 @@ function getWeekInfo(weekOffset = 0) {
   const weekEnd = new Date(weekStart);
   weekEnd.setDate(weekStart.getDate() + 6);
 
-  // Номер недели от начала учебного года
-  const diffDays = Math.floor((weekStart - academicYearStart) / (1000 * 60 * 60 * 24));
-  const weekNumber = Math.floor(diffDays / 7) + 1;
+  // Номер и чётность недели — по учебному календарю
+  const semester = findSemester(weekStart) || findSemester(weekEnd);
 
   return {
-    weekNumber,
-    isEven: weekNumber % 2 === 0,
-    weekType: weekNumber % 2 === 0 ? 'чётная' : 'нечётная',
+    ...getWeekParity(weekStart),
     weekStart: formatLocalDate(weekStart),
-    weekEnd: formatLocalDate(weekEnd)
+    weekEnd: formatLocalDate(weekEnd),
+    academicYear: findAcademicYear(weekStart).name,
+    semester: semester ? semester.name : null
+  };
+
+}
+/**
+ * Номер и чётность учебной недели, в которую попадает дата
+ *
+ * @param {Date|string} date - Дата
+ * @returns {{ weekNumber: number, isEven: boolean, weekType: string }} weekType — 'чётная' или 'нечётная'
+ */
+function getWeekParity(date) {
+  const isEven = isEvenWeek(date);
+  return {
+    weekNumber: getWeekNumber(date),
+    isEven,
+    weekType: isEven ? 'чётная' : 'нечётная'
   };
+}
 
+/**
+ * Номер учебной недели для произвольной даты (по тем же правилам, что и getWeekInfo)
+ * 
+ * @param {Date} date - Дата
+ * @returns {number} Номер недели по учебному календарю
+ */
+function getAcademicWeekNumber(date) {
+  return getWeekNumber(date);
 }
+
 /**
  * @function formatLocalDate Натраивает верный формат выаода даты и поэтому число не сбивается и все даты выведены корренктно
  * @param {number} date 
@@ -59,5 +86,18 @@ function formatLocalDate(date) {
   return `${year}-${month}-${day}`;
 }
 
+/** @constant {RegExp} Формат даты в параметрах запроса (YYYY-MM-DD) */
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Проверяет, что строка — существующая дата YYYY-MM-DD (2024-13-45 не пройдёт)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isDateString(value) {
+  if (!DATE_RE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
 
-module.exports = { getWeekInfo };
\ No newline at end of file
+module.exports = { getWeekInfo, getWeekParity, getAcademicWeekNumber, formatLocalDate, isDateString };
\ No newline at end of file
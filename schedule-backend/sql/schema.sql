@@ -25,3 +25,500 @@ CREATE TABLE IF NOT EXISTS users (
   group_id INTEGER REFERENCES groups(id),
   role TEXT NOT NULL DEFAULT 'student'
 );
+
+-- Время последнего изменения занятия (SEQUENCE для .ics-подписок)
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+CREATE OR REPLACE FUNCTION touch_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS lessons_touch_updated_at ON lessons;
+CREATE TRIGGER lessons_touch_updated_at
+  BEFORE UPDATE ON lessons
+  FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+
+-- Секретные токены подписки (календари, информационные экраны) — доступ без JWT, только чтение
+CREATE TABLE IF NOT EXISTS feed_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL DEFAULT 'Подписка',
+  token_hash TEXT UNIQUE NOT NULL,      -- sha256 от токена, сам токен не хранится
+  token_prefix TEXT NOT NULL,           -- первые символы токена для отображения в списке
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  rotated_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS feed_tokens_user_idx ON feed_tokens(user_id);
+-- Токен администратора привязан к одному расписанию (экран в холле, календарь аудитории):
+-- токены студентов и преподавателей всегда дают только расписание владельца
+ALTER TABLE feed_tokens ADD COLUMN IF NOT EXISTS target_type TEXT CHECK (target_type IN ('group', 'teacher', 'room'));
+ALTER TABLE feed_tokens ADD COLUMN IF NOT EXISTS target_id INTEGER;
+
+-- Аудитории (вместо свободного текста lessons.room)
+CREATE TABLE IF NOT EXISTS rooms (
+  id SERIAL PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,               -- '301', '301а', 'Спортзал'
+  building TEXT,                           -- корпус
+  capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+  features TEXT[] NOT NULL DEFAULT '{}',   -- projector / computer_lab / gym / lab
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS room_id INTEGER REFERENCES rooms(id);
+CREATE INDEX IF NOT EXISTS lessons_room_date_idx ON lessons(room_id, lesson_date);
+
+-- Нормализация названия аудитории: 'Ауд. 301' -> '301', '301a' (латиница) -> '301а'
+-- Та же логика в services/room.service.js (normalizeRoomName)
+CREATE OR REPLACE FUNCTION normalize_room_name(raw TEXT) RETURNS TEXT AS $$
+  SELECT translate(
+    regexp_replace(
+      regexp_replace(lower(trim(raw)), '^(аудитория|ауд|кабинет|каб)\.?\s*', ''),
+      '\s+', ' ', 'g'
+    ),
+    'aceopxy', 'асеорху'
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- '301' и 'Ауд. 301' — одна аудитория
+CREATE UNIQUE INDEX IF NOT EXISTS rooms_normalized_name_idx ON rooms (normalize_room_name(name));
+
+-- Миграция текстовых значений: создаём аудитории и проставляем room_id.
+-- Название аудитории — самое частое исходное написание (нормализованное — только ключ сравнения),
+-- lessons.room не меняется
+INSERT INTO rooms (name)
+SELECT DISTINCT ON (normalize_room_name(spelling)) spelling
+FROM (
+  SELECT trim(room) AS spelling, COUNT(*) AS uses
+  FROM lessons
+  WHERE room_id IS NULL AND room IS NOT NULL AND normalize_room_name(room) <> ''
+  GROUP BY trim(room)
+) spellings
+ORDER BY normalize_room_name(spelling), uses DESC, spelling
+ON CONFLICT DO NOTHING;
+
+UPDATE lessons l
+SET room_id = r.id
+FROM rooms r
+WHERE l.room_id IS NULL AND normalize_room_name(r.name) = normalize_room_name(l.room);
+
+-- Каталог дисциплин (вместо свободного текста lessons.subject)
+CREATE TABLE IF NOT EXISTS subjects (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  short_name TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS subjects_name_idx ON subjects (lower(trim(name)));
+
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS subject_id INTEGER REFERENCES subjects(id);
+
+-- Миграция: каждый встречавшийся текст становится дисциплиной
+INSERT INTO subjects (name)
+SELECT DISTINCT ON (lower(trim(subject))) trim(subject)
+FROM lessons
+WHERE subject_id IS NULL AND trim(subject) <> ''
+ORDER BY lower(trim(subject)), trim(subject)
+ON CONFLICT DO NOTHING;
+
+UPDATE lessons l
+SET subject_id = s.id
+FROM subjects s
+WHERE l.subject_id IS NULL AND lower(trim(s.name)) = lower(trim(l.subject));
+
+-- Учебный план: требуемые часы по видам занятий для группы в семестре
+CREATE TABLE IF NOT EXISTS curriculum_plans (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  semester TEXT NOT NULL,                  -- например '2025/2026-1'
+  subject_id INTEGER NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+  lecture_hours INTEGER NOT NULL DEFAULT 0 CHECK (lecture_hours >= 0),
+  practice_hours INTEGER NOT NULL DEFAULT 0 CHECK (practice_hours >= 0),
+  lab_hours INTEGER NOT NULL DEFAULT 0 CHECK (lab_hours >= 0),
+  UNIQUE (group_id, semester, subject_id)
+);
+
+-- Генератор расписания: численность групп для проверки вместимости аудиторий
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS size INTEGER CHECK (size > 0);
+
+-- Кто ведёт дисциплину у группы в семестре (по видам занятий)
+CREATE TABLE IF NOT EXISTS teacher_assignments (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  semester TEXT NOT NULL,
+  subject_id INTEGER NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('lecture', 'practice', 'lab')),
+  teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE (group_id, semester, subject_id, type)
+);
+
+-- Время, когда преподаватель не может вести занятия (day: 0 = Пн ... 5 = Сб)
+CREATE TABLE IF NOT EXISTS teacher_unavailability (
+  id SERIAL PRIMARY KEY,
+  teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  day SMALLINT NOT NULL CHECK (day BETWEEN 0 AND 5),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  note TEXT,
+  CHECK (start_time < end_time)
+);
+
+-- Черновики, собранные генератором (в lessons попадают только после применения)
+CREATE TABLE IF NOT EXISTS timetable_drafts (
+  id SERIAL PRIMARY KEY,
+  semester TEXT NOT NULL,
+  date_from DATE NOT NULL,
+  date_to DATE NOT NULL,
+  group_ids INTEGER[] NOT NULL,
+  days SMALLINT[] NOT NULL DEFAULT '{0,1,2,3,4,5}',
+  time_limit_sec INTEGER NOT NULL DEFAULT 30,
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending | running | done | failed | applied
+  progress INTEGER NOT NULL DEFAULT 0,     -- доля размещённых занятий, %
+  message TEXT,
+  result JSONB,                            -- { placements, unplaced, stats }
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP,
+  applied_at TIMESTAMP
+);
+
+-- Повторяющиеся занятия: серия хранит правило, lessons — её конкретные даты
+CREATE TABLE IF NOT EXISTS lesson_series (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  day SMALLINT NOT NULL CHECK (day BETWEEN 0 AND 5),              -- 0 = Пн ... 5 = Сб
+  week SMALLINT NOT NULL DEFAULT 0 CHECK (week IN (0, 1, 2)),     -- 0 каждая, 1 чётная, 2 нечётная (week.service)
+  date_from DATE NOT NULL,
+  date_to DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  subject TEXT NOT NULL,
+  subject_id INTEGER REFERENCES subjects(id),
+  teacher TEXT,
+  teacher_id INTEGER REFERENCES users(id),
+  room TEXT NOT NULL,
+  room_id INTEGER REFERENCES rooms(id),
+  type TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (date_from <= date_to)
+);
+
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES lesson_series(id) ON DELETE SET NULL;
+-- Занятие серии, изменённое отдельно от правила
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS is_exception BOOLEAN NOT NULL DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS lessons_series_idx ON lessons (series_id, lesson_date);
+
+-- Отклонения от правила серии по исходной дате:
+-- lesson_id = NULL — занятие в эту дату отменено, иначе — заменено указанным занятием
+CREATE TABLE IF NOT EXISTS lesson_series_exceptions (
+  id SERIAL PRIMARY KEY,
+  series_id INTEGER NOT NULL REFERENCES lesson_series(id) ON DELETE CASCADE,
+  lesson_date DATE NOT NULL,
+  lesson_id INTEGER REFERENCES lessons(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (series_id, lesson_date)
+);
+
+-- Учебный календарь: год, его семестры и правила нумерации недель
+CREATE TABLE IF NOT EXISTS academic_years (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,                                       -- '2026/2027'
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  -- year — недели считаются от начала года, semester — заново с начала каждого семестра
+  week_numbering TEXT NOT NULL DEFAULT 'year' CHECK (week_numbering IN ('year', 'semester')),
+  first_week_parity TEXT NOT NULL DEFAULT 'odd' CHECK (first_week_parity IN ('odd', 'even')),
+  CHECK (start_date < end_date)
+);
+
+CREATE TABLE IF NOT EXISTS semesters (
+  id SERIAL PRIMARY KEY,
+  academic_year_id INTEGER NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+  number SMALLINT NOT NULL CHECK (number > 0),
+  code TEXT NOT NULL UNIQUE,                                       -- '2026/2027-1', как curriculum_plans.semester
+  name TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  CHECK (start_date <= end_date),
+  UNIQUE (academic_year_id, number)
+);
+
+-- Исключения учебного календаря:
+-- holiday — праздник, vacation — каникулы (диапазон), transfer — дата идёт по расписанию другого дня недели
+CREATE TABLE IF NOT EXISTS calendar_exceptions (
+  id SERIAL PRIMARY KEY,
+  kind TEXT NOT NULL CHECK (kind IN ('holiday', 'vacation', 'transfer')),
+  date_from DATE NOT NULL,
+  date_to DATE NOT NULL,
+  weekday SMALLINT CHECK (weekday BETWEEN 0 AND 5),               -- transfer: 0 = Пн ... 5 = Сб
+  name TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (date_from <= date_to),
+  CHECK ((kind = 'transfer') = (weekday IS NOT NULL)),
+  CHECK (kind = 'vacation' OR date_from = date_to)
+);
+CREATE INDEX IF NOT EXISTS calendar_exceptions_dates_idx ON calendar_exceptions (date_from, date_to);
+
+-- Группы, которых касается запись аудит-лога (фильтр истории изменений по группе):
+-- group_id / groupId / groupIds / group_ids в old_value и new_value, а для target_type = 'group' — target_id
+CREATE OR REPLACE FUNCTION audit_group_ids(target_type TEXT, target_id INTEGER, old_value JSONB, new_value JSONB)
+RETURNS INTEGER[] AS $$
+  SELECT COALESCE(array_agg(DISTINCT id ORDER BY id), '{}')
+  FROM (
+    SELECT target_id AS id WHERE target_type = 'group' AND target_id IS NOT NULL
+    UNION
+    SELECT (v #>> '{}')::int
+    FROM jsonb_path_query(
+      jsonb_build_array(old_value, new_value),
+      'lax $.**.group_id ? (@.type() == "number" || @ like_regex "^[0-9]+$")'
+    ) v
+    UNION
+    SELECT (v #>> '{}')::int
+    FROM jsonb_path_query(
+      jsonb_build_array(old_value, new_value),
+      'lax $.**.groupId ? (@.type() == "number" || @ like_regex "^[0-9]+$")'
+    ) v
+    UNION
+    SELECT (v #>> '{}')::int
+    FROM jsonb_path_query(jsonb_build_array(old_value, new_value), 'lax $.**.groupIds[*] ? (@.type() == "number")') v
+    UNION
+    SELECT (v #>> '{}')::int
+    FROM jsonb_path_query(jsonb_build_array(old_value, new_value), 'lax $.**.group_ids[*] ? (@.type() == "number")') v
+  ) ids
+$$ LANGUAGE SQL IMMUTABLE;
+
+ALTER TABLE schedule_changes ADD COLUMN IF NOT EXISTS group_ids INTEGER[];
+UPDATE schedule_changes
+SET group_ids = audit_group_ids(target_type, target_id, old_value, new_value)
+WHERE group_ids IS NULL;
+CREATE INDEX IF NOT EXISTS schedule_changes_group_ids_idx ON schedule_changes USING GIN (group_ids);
+CREATE INDEX IF NOT EXISTS schedule_changes_changed_at_idx ON schedule_changes (changed_at);
+
+-- Временные замены преподавателей: занятия teacher_id с date_from по date_to ведёт substitute_id.
+-- group_ids / subject_ids = NULL — все группы / дисциплины. Сами занятия не меняются:
+-- замена накладывается при чтении расписания и после date_to перестаёт действовать
+CREATE TABLE IF NOT EXISTS teacher_substitutions (
+  id SERIAL PRIMARY KEY,
+  teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  substitute_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  date_from DATE NOT NULL,
+  date_to DATE NOT NULL,
+  group_ids INTEGER[],
+  subject_ids INTEGER[],
+  reason TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (date_from <= date_to),
+  CHECK (teacher_id <> substitute_id)
+);
+CREATE INDEX IF NOT EXISTS teacher_substitutions_teacher_idx ON teacher_substitutions (teacher_id, date_from, date_to);
+CREATE INDEX IF NOT EXISTS teacher_substitutions_substitute_idx ON teacher_substitutions (substitute_id, date_from, date_to);
+
+-- Отсутствия преподавателей (больничный, командировка): по ним подбираются замены
+-- для каждого занятия периода
+CREATE TABLE IF NOT EXISTS teacher_absences (
+  id SERIAL PRIMARY KEY,
+  teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  date_from DATE NOT NULL,
+  date_to DATE NOT NULL,
+  reason TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (date_from <= date_to)
+);
+CREATE INDEX IF NOT EXISTS teacher_absences_teacher_idx ON teacher_absences (teacher_id, date_from, date_to);
+
+-- Замена, принятая по отсутствию, действует на одно занятие (lesson_id)
+-- и удаляется вместе с отсутствием
+ALTER TABLE teacher_substitutions ADD COLUMN IF NOT EXISTS absence_id INTEGER REFERENCES teacher_absences(id) ON DELETE CASCADE;
+ALTER TABLE teacher_substitutions ADD COLUMN IF NOT EXISTS lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE;
+
+-- Статус отдельного занятия. Отменённое, перенесённое, онлайн-занятие или занятие
+-- в другой аудитории остаётся в расписании с пометкой и причиной (change_note);
+-- отменённое не занимает ни преподавателя, ни аудиторию, ни группу.
+-- original_* — дата, время и аудитория до первого переноса / смены аудитории
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'scheduled'
+  CHECK (status IN ('scheduled', 'cancelled', 'moved', 'room_changed', 'online'));
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS change_note TEXT;
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS original_date DATE;
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS original_start_time TIME;
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS original_end_time TIME;
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS original_room TEXT;
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS online_url TEXT;
+
+-- Уведомления об изменениях расписания на ближайшие дни (NOTIFY_DAYS).
+-- lessons — снимки затронутых занятий получателя на момент изменения
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  action_type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  message TEXT NOT NULL,
+  lessons JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  read_at TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS notifications_user_idx ON notifications (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS notifications_unread_idx ON notifications (user_id) WHERE read_at IS NULL;
+
+-- Подписки Web Push (PushSubscription браузера) пользователей.
+-- Один endpoint — одно устройство; другому пользователю подписка не переходит —
+-- браузер отписывается и подписывается заново
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL UNIQUE,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_sent_at TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS push_subscriptions_user_idx ON push_subscriptions (user_id);
+
+-- Настройки уведомлений пользователя. Нет строки — действуют значения по умолчанию:
+-- письма об изменениях включены, еженедельная сводка выключена.
+-- digest_week — понедельник недели, сводка на которую уже отправлена
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  email_changes BOOLEAN NOT NULL DEFAULT TRUE,
+  email_digest BOOLEAN NOT NULL DEFAULT FALSE,
+  digest_week DATE,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Исходящие вебхуки: внешние системы (сайт, боты, LMS) получают события изменений
+-- расписания JSON-запросом с подписью HMAC-SHA256 по secret.
+-- events — имена событий (lesson.created, lessons.bulk, ...) или '*' — все
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL DEFAULT ARRAY['*'],
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Журнал доставок. pending — ждёт (следующей) попытки в next_attempt_at,
+-- success — получатель ответил 2xx, failed — попытки исчерпаны
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  change_id INTEGER REFERENCES schedule_changes(id) ON DELETE SET NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_status_code INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS webhook_deliveries_subscription_idx ON webhook_deliveries (subscription_id, created_at DESC);
+
+-- Подгруппы: практики и лабораторные идут у половин группы одновременно в разных аудиториях
+CREATE TABLE IF NOT EXISTS subgroups (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  size INTEGER CHECK (size > 0),
+  UNIQUE (group_id, name)
+);
+
+-- Занятие одной подгруппы; NULL — вся группа
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS subgroup_id INTEGER REFERENCES subgroups(id);
+ALTER TABLE lesson_series ADD COLUMN IF NOT EXISTS subgroup_id INTEGER REFERENCES subgroups(id);
+-- Подгруппа студента (выбирает сам); NULL — видит занятия всех подгрупп
+ALTER TABLE users ADD COLUMN IF NOT EXISTS subgroup_id INTEGER REFERENCES subgroups(id) ON DELETE SET NULL;
+
+-- Потоки: лекция для нескольких групп — одно занятие с stream_id (group_id у него NULL)
+CREATE TABLE IF NOT EXISTS streams (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS stream_groups (
+  stream_id INTEGER NOT NULL REFERENCES streams(id) ON DELETE CASCADE,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  PRIMARY KEY (stream_id, group_id)
+);
+CREATE INDEX IF NOT EXISTS stream_groups_group_idx ON stream_groups (group_id);
+
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS stream_id INTEGER REFERENCES streams(id);
+ALTER TABLE lesson_series ADD COLUMN IF NOT EXISTS stream_id INTEGER REFERENCES streams(id);
+ALTER TABLE lesson_series ALTER COLUMN group_id DROP NOT NULL;
+CREATE INDEX IF NOT EXISTS lessons_stream_date_idx ON lessons (stream_id, lesson_date) WHERE stream_id IS NOT NULL;
+
+-- История группы включает занятия её потоков: stream_id в значениях раскрывается в группы потока
+CREATE OR REPLACE FUNCTION audit_group_ids(target_type TEXT, target_id INTEGER, old_value JSONB, new_value JSONB)
+RETURNS INTEGER[] AS $$
+  SELECT COALESCE(array_agg(DISTINCT id ORDER BY id), '{}')
+  FROM (
+    SELECT target_id AS id WHERE target_type = 'group' AND target_id IS NOT NULL
+    UNION
+    SELECT (v #>> '{}')::int
+    FROM jsonb_path_query(
+      jsonb_build_array(old_value, new_value),
+      'lax $.**.group_id ? (@.type() == "number" || @ like_regex "^[0-9]+$")'
+    ) v
+    UNION
+    SELECT (v #>> '{}')::int
+    FROM jsonb_path_query(
+      jsonb_build_array(old_value, new_value),
+      'lax $.**.groupId ? (@.type() == "number" || @ like_regex "^[0-9]+$")'
+    ) v
+    UNION
+    SELECT (v #>> '{}')::int
+    FROM jsonb_path_query(jsonb_build_array(old_value, new_value), 'lax $.**.groupIds[*] ? (@.type() == "number")') v
+    UNION
+    SELECT (v #>> '{}')::int
+    FROM jsonb_path_query(jsonb_build_array(old_value, new_value), 'lax $.**.group_ids[*] ? (@.type() == "number")') v
+    UNION
+    SELECT sg.group_id
+    FROM stream_groups sg
+    WHERE sg.stream_id IN (
+      SELECT (v #>> '{}')::int
+      FROM jsonb_path_query(jsonb_build_array(old_value, new_value), 'lax $.**.stream_id ? (@.type() == "number")') v
+    )
+  ) ids
+$$ LANGUAGE SQL STABLE;
+
+-- Очередь доставки уведомлений через Web Push и письмами. Строку создаёт notifyLessonChanges
+-- вместе с уведомлением, удаляет фоновый обработчик после отправки; next_attempt_at
+-- сдвигается при захвате, чтобы доставку не взяли два экземпляра сервера сразу.
+-- Неотправленное письмо повторяется с нарастающей паузой (attempts), push при этом
+-- второй раз не уходит (push_sent)
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  notification_id INTEGER PRIMARY KEY REFERENCES notifications(id) ON DELETE CASCADE,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  push_sent BOOLEAN NOT NULL DEFAULT FALSE
+);
+CREATE INDEX IF NOT EXISTS notification_deliveries_due_idx ON notification_deliveries (next_attempt_at);
+
+-- Отметка отката ставится в той же транзакции, что и сам откат: запись revert_change
+-- пишется только после COMMIT, и два одновременных отката иначе прошли бы оба
+ALTER TABLE schedule_changes ADD COLUMN IF NOT EXISTS reverted_at TIMESTAMP;
+UPDATE schedule_changes sc
+SET reverted_at = r.changed_at
+FROM schedule_changes r
+WHERE r.action_type = 'revert_change' AND r.target_type = 'schedule_change' AND r.target_id = sc.id
+  AND sc.reverted_at IS NULL;
+
+-- Генерация черновика идёт по одной: незавершённые черновики, кроме последнего,
+-- помечаются прерванными, второй pending/running не вставится
+UPDATE timetable_drafts
+SET status = 'failed', message = 'Генерация прервана', finished_at = NOW()
+WHERE status IN ('pending', 'running')
+  AND id <> (SELECT MAX(id) FROM timetable_drafts WHERE status IN ('pending', 'running'));
+CREATE UNIQUE INDEX IF NOT EXISTS timetable_drafts_one_active_idx
+  ON timetable_drafts ((TRUE)) WHERE status IN ('pending', 'running');